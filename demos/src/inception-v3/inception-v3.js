@@ -25,6 +25,8 @@ const MODEL_CONFIG = {
     ? MODEL_FILEPATHS_PROD
     : MODEL_FILEPATHS_DEV
 };
+// without WebGL, the model is run in a Web Worker to keep the UI responsive
+const WORKER_PATH = 'dist/keras.worker.js';
 
 /**
  *
@@ -38,12 +40,13 @@ export const InceptionV3 = Vue.extend({
     return {
       showInfoPanel: true,
       useGpu: this.hasWebgl,
-      model: new KerasJS.Model(
-        Object.assign(
-          { gpu: this.hasWebgl, layerCallPauses: true },
-          MODEL_CONFIG
+      model: this.hasWebgl
+        ? new KerasJS.Model(
+          Object.assign({ gpu: true, layerCallPauses: true }, MODEL_CONFIG)
         )
-      ),
+        : new KerasJS.WorkerModel(
+          Object.assign({ workerPath: WORKER_PATH }, MODEL_CONFIG)
+        ),
       modelLoading: true,
       modelRunning: false,
       imageURLInput: null,
@@ -144,10 +147,16 @@ export const InceptionV3 = Vue.extend({
       this.showInfoPanel = false;
     },
     toggleGpu: function() {
-      this.model.toggleGpu(!this.useGpu);
+      // WorkerModel always runs in CPU mode
+      if (this.model instanceof KerasJS.Model) {
+        this.model.toggleGpu(!this.useGpu);
+      }
     },
     toggleComputationFlow: function() {
-      this.model.layerCallPauses = !this.showComputationFlow;
+      // layers run in the worker are only shown once the whole network has run
+      if (this.model instanceof KerasJS.Model) {
+        this.model.layerCallPauses = !this.showComputationFlow;
+      }
     },
     imageURLInputChanged: function(e) {
       this.imageURLSelect = null;
@@ -228,19 +228,21 @@ export const MnistCnn = Vue.extend({
     }, 200, { leading: true, trailing: true }),
     getIntermediateResults: function() {
       let results = [];
+      const activations = this.model.getActivations();
       for (let [ name, layer ] of this.model.modelLayersMap.entries()) {
         if (name === 'input')
           continue;
 
         const layerClass = layer.layerClass || '';
 
+        const result = activations[name];
         let images = [];
-        if (layer.result && layer.result.tensor.shape.length === 3) {
-          images = utils.unroll3Dtensor(layer.result.tensor);
-        } else if (layer.result && layer.result.tensor.shape.length === 2) {
-          images = [ utils.image2Dtensor(layer.result.tensor) ];
-        } else if (layer.result && layer.result.tensor.shape.length === 1) {
-          images = [ utils.image1Dtensor(layer.result.tensor) ];
+        if (result && result.tensor.shape.length === 3) {
+          images = utils.unroll3Dtensor(result.tensor);
+        } else if (result && result.tensor.shape.length === 2) {
+          images = [ utils.image2Dtensor(result.tensor) ];
+        } else if (result && result.tensor.shape.length === 1) {
+          images = [ utils.image1Dtensor(result.tensor) ];
         }
         results.push({ name, layerClass, images });
       }
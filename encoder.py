@@ -1,24 +1,44 @@
-import sys
 import os
+import argparse
+import struct
+import zlib
 import h5py
 import numpy as np
 import json
 
+BUNDLE_MAGIC = b'KJSB'
+BUNDLE_VERSION = 1
+BUNDLE_HEADER_LENGTH = 48
+
+WEIGHTS_TYPES = ['float32', 'float16', 'uint8']
+QUANTIZATION_MODES = ['minmax', 'affine']
+
 
 class Encoder(object):
     """Encoder class.
     Weights are serialized sequentially from the Keras flattened_layers representation
     into:
         - `weights`: a binary string representing the raw data bytes in float32
-            of all weights, sequentially concatenated.
-        - `metadata`: a list containing the byte length and tensor shape,
+            (or float16, or uint8 quantized) of all weights, sequentially concatenated,
+            each aligned to 4 bytes.
+        - `metadata`: a list containing the byte offset, length, tensor shape and type,
             so that the original tensors can be reconstructed
+
+    uint8 quantization is per tensor, either with `minmax`, where 0 and 255 map to the
+    tensor min and max, or with `affine`, where q maps to scale * (q - zero_point), and
+    0 is exactly representable.
     """
 
-    def __init__(self, weights_hdf5_filepath):
+    def __init__(self, weights_hdf5_filepath, weights_type='float32', quantization='minmax'):
         if not weights_hdf5_filepath:
             raise Exception('weights_hdf5_filepath must be defined.')
+        if weights_type not in WEIGHTS_TYPES:
+            raise Exception('weights_type must be one of {}.'.format(', '.join(WEIGHTS_TYPES)))
+        if quantization not in QUANTIZATION_MODES:
+            raise Exception('quantization must be one of {}.'.format(', '.join(QUANTIZATION_MODES)))
         self.weights_hdf5_filepath = weights_hdf5_filepath
+        self.weights_type = weights_type
+        self.quantization = quantization
         self.weights = b''
         self.metadata = []
 
@@ -45,17 +65,42 @@ class Encoder(object):
                     meta['layer_name'] = layer_name
                     meta['weight_name'] = weight_name
                     weight_value = g[weight_name].value
-                    bytearr = weight_value.astype(np.float32).tobytes()
-                    self.weights += bytearr
+                    bytearr, encoding = self.encode_weights(weight_value)
+                    padding = (4 - len(bytearr) % 4) % 4
+                    self.weights += bytearr + b'\x00' * padding
                     meta['offset'] = offset
-                    meta['length'] = len(bytearr) // 4
+                    meta['length'] = int(weight_value.size)
                     meta['shape'] = list(weight_value.shape)
-                    meta['type'] = 'float32'
+                    meta['type'] = self.weights_type
+                    meta.update(encoding)
                     self.metadata.append(meta)
-                    offset += len(bytearr)
+                    offset += len(bytearr) + padding
 
         hdf5_file.close()
 
+    def encode_weights(self, weight_value):
+        """Encodes a weight tensor as raw data bytes of weights_type
+        Returns the bytes, and a dict of any additional metadata required for decoding.
+        """
+        if self.weights_type == 'float16':
+            return weight_value.astype('<f2').tobytes(), {}
+        elif self.weights_type == 'uint8':
+            w = weight_value.astype(np.float64)
+            w_min = float(w.min()) if w.size else 0.0
+            w_max = float(w.max()) if w.size else 0.0
+            if self.quantization == 'affine':
+                w_min, w_max = min(w_min, 0.0), max(w_max, 0.0)
+                scale = (w_max - w_min) / 255 or 1.0
+                zero_point = int(round(-w_min / scale))
+                q = np.round(w / scale) + zero_point
+                encoding = {'scale': scale, 'zero_point': zero_point}
+            else:
+                step = (w_max - w_min) / 255
+                q = np.round((w - w_min) / step) if step else np.zeros_like(w)
+                encoding = {'min': w_min, 'max': w_max}
+            return np.clip(q, 0, 255).astype(np.uint8).tobytes(), encoding
+        return weight_value.astype('<f4').tobytes(), {}
+
     def save(self):
         """Saves weights data (binary) and weights metadata (json)
         """
@@ -66,6 +111,38 @@ class Encoder(object):
         with open(metadata_filepath, mode='w') as f:
             json.dump(self.metadata, f)
 
+    def save_bundle(self, model_filepath):
+        """Saves model architecture config (json), weights metadata (json) and weights
+        data (binary) together in a single bundle file.
+        The header holds a magic number, format version, total byte length, and the byte
+        offset, byte length and CRC-32 of each section (all uint32 little-endian),
+        followed by the model, metadata and weights sections. The weights section is
+        aligned to 4 bytes. See src/utils/bundle.js.
+        """
+        with open(model_filepath, mode='r') as f:
+            model_bytes = json.dumps(json.load(f)).encode('utf8')
+        metadata_bytes = json.dumps(self.metadata).encode('utf8')
+
+        model_offset = BUNDLE_HEADER_LENGTH
+        metadata_offset = model_offset + len(model_bytes)
+        padding = (4 - (metadata_offset + len(metadata_bytes)) % 4) % 4
+        weights_offset = metadata_offset + len(metadata_bytes) + padding
+        total_length = weights_offset + len(self.weights)
+
+        header = struct.pack('<4sII', BUNDLE_MAGIC, BUNDLE_VERSION, total_length)
+        for offset, data in [(model_offset, model_bytes),
+                             (metadata_offset, metadata_bytes),
+                             (weights_offset, self.weights)]:
+            header += struct.pack('<III', offset, len(data), zlib.crc32(data) & 0xffffffff)
+
+        bundle_filepath = '{}_bundle.buf'.format(os.path.splitext(self.weights_hdf5_filepath)[0])
+        with open(bundle_filepath, mode='wb') as f:
+            f.write(header)
+            f.write(model_bytes)
+            f.write(metadata_bytes)
+            f.write(b'\x00' * padding)
+            f.write(self.weights)
+
 
 if __name__ == '__main__':
     """
@@ -75,7 +152,30 @@ if __name__ == '__main__':
     Output:
         - example_weights.buf
         - example_metadata.json
+
+    Single-file bundle, with the model architecture config exported using to_json():
+        python encoder.py --bundle example.json example.hdf5
+
+    Output:
+        - example_bundle.buf
+
+    Smaller weights, in half-precision or quantized to uint8:
+        python encoder.py --type float16 example.hdf5
+        python encoder.py --type uint8 --quantization affine example.hdf5
     """
-    encoder = Encoder(*sys.argv[1:])
+    parser = argparse.ArgumentParser()
+    parser.add_argument('weights_hdf5_filepath')
+    parser.add_argument('--bundle', metavar='MODEL_JSON_FILEPATH',
+                        help='write a single-file bundle including this model architecture config')
+    parser.add_argument('--type', choices=WEIGHTS_TYPES, default='float32',
+                        help='weights data type (default: float32)')
+    parser.add_argument('--quantization', choices=QUANTIZATION_MODES, default='minmax',
+                        help='uint8 quantization, with per-tensor min/max or scale/zero-point (default: minmax)')
+    args = parser.parse_args()
+
+    encoder = Encoder(args.weights_hdf5_filepath, args.type, args.quantization)
     encoder.serialize()
-    encoder.save()
+    if args.bundle:
+        encoder.save_bundle(args.bundle)
+    else:
+        encoder.save()
@@ -1,5 +1,9 @@
 import Tensor from './Tensor';
+import { ShapeMismatchError } from './errors';
+import { profile } from './Profiler';
 import ops from 'ndarray-ops';
+import sum from 'lodash/sum';
+import values from 'lodash/values';
 
 /**
  * Layer class
@@ -23,6 +27,9 @@ export default class Layer {
     // layer flags off by default
     this._useWeblas = false;
     this._pipelineEnabled = false;
+
+    // whether the layer takes masked input, see computeMask()
+    this.supportsMasking = false;
   }
 
   /**
@@ -53,6 +60,104 @@ export default class Layer {
     }
   }
 
+  /**
+   * Number of weight parameters of the layer, i.e. the total size of its weights
+   * @returns {number}
+   */
+  countParams() {
+    return sum(values(this.weights).map(w => w.tensor.size));
+  }
+
+  /**
+   * Method for computing the output shape of the layer for an input shape, without
+   * the batch axis, without running the layer. Throws ShapeMismatchError if the
+   * input shape is not valid for the layer, e.g. does not match its weights.
+   * By default, the output shape is the input shape, as for activation layers.
+   * @param {number[]} inputShape - for Merge layers, array of the input shapes
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    return inputShape.slice();
+  }
+
+  /**
+   * Whether the output of the layer is masked, for whether its input is, without
+   * running the layer. By default, layers which support masking pass the mask of
+   * their input through.
+   * @param {boolean} inputMasked - for Merge layers, array for each input
+   * @returns {boolean}
+   */
+  hasOutputMask(inputMasked) {
+    return inputMasked;
+  }
+
+  /**
+   * Method for computing the mask of the output, from the input before the call and
+   * its mask. Masks are tensors of 1s for the timesteps to use and 0s for those to
+   * skip, of shape [steps], or [batch, steps] for mini-batches. By default, layers
+   * which support masking pass the mask of their input through.
+   * @param {Tensor} x - for Merge layers, array of the inputs
+   * @param {Tensor} mask - null if the input is not masked
+   * @returns {Tensor} mask, or null if the output is not masked
+   */
+  computeMask(x, mask) {
+    return mask;
+  }
+
+  /**
+   * Checks input shape against the expected shape, for computeOutputShape()
+   * @param {number[]} inputShape
+   * @param {number[]} expected - expected shape, with null for dimensions of any size
+   */
+  _checkInputShape(inputShape, expected) {
+    const valid = inputShape.length === expected.length &&
+      expected.every((dim, i) => dim === null || dim === inputShape[i]);
+    if (!valid) {
+      throw new ShapeMismatchError(
+        `${this.name} [${this.layerClass} layer] input shape ${inputShape} does not match expected shape ${expected.map(dim => dim === null ? '?' : dim)}.`,
+        expected,
+        inputShape
+      );
+    }
+  }
+
+  /**
+   * Checks that all dimensions of the output shape are positive, i.e. that the input
+   * is not too small, e.g. for a convolution kernel, for computeOutputShape()
+   * @param {number[]} inputShape
+   * @param {number[]} outputShape
+   */
+  _checkOutputShape(inputShape, outputShape) {
+    if (!outputShape.every(dim => dim > 0)) {
+      throw new ShapeMismatchError(
+        `${this.name} [${this.layerClass} layer] input shape ${inputShape} is too small, with output shape ${outputShape}.`,
+        null,
+        inputShape
+      );
+    }
+  }
+
+  /**
+   * Converts shape to tf dim ordering, with the channel axis last, if the layer
+   * uses th dim ordering, with the channel axis first
+   * @param {number[]} shape
+   * @returns {number[]}
+   */
+  _toTfOrdering(shape) {
+    return this.dimOrdering === 'th' ? [ ...shape.slice(1), shape[0] ] : shape;
+  }
+
+  /**
+   * Converts shape from tf dim ordering back to the dim ordering of the layer
+   * @param {number[]} shape
+   * @returns {number[]}
+   */
+  _fromTfOrdering(shape) {
+    return this.dimOrdering === 'th'
+      ? [ shape[shape.length - 1], ...shape.slice(0, -1) ]
+      : shape;
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -62,6 +167,53 @@ export default class Layer {
     return x;
   }
 
+  /**
+   * Method for layer computational logic over a mini-batch
+   * The batch axis is the first axis of the input tensor(s). By default, call() is
+   * run on each sample and the results are stacked. Layers which can compute the
+   * whole mini-batch at once (e.g., with a single matrix multiply) override this.
+   * Results from pipeline mode are always transferred back into regular tensors.
+   * @param {Tensor|Tensor[]} x - batched tensor, or array of batched tensors for Merge layers
+   * @param {Tensor} [mask] - batched mask of the input, if masked (see computeMask)
+   * @returns {Tensor} y
+   */
+  callBatch(x, mask = null) {
+    const inputs = Array.isArray(x) ? x : [ x ];
+    const batchSize = inputs[0].tensor.shape[0];
+
+    let y;
+    for (let n = 0; n < batchSize; n++) {
+      const samples = inputs.map(input => {
+        const sampleShape = input.tensor.shape.slice(1);
+        let sample = new Tensor([], sampleShape);
+        ops.assign(
+          sample.tensor,
+          input.tensor.pick(n, ...sampleShape.map(s => null))
+        );
+        return sample;
+      });
+
+      let maskStep = null;
+      if (mask) {
+        maskStep = new Tensor([], mask.tensor.shape.slice(1));
+        ops.assign(maskStep.tensor, mask.tensor.pick(n, null));
+      }
+
+      let yStep = this.call(Array.isArray(x) ? samples : samples[0], maskStep);
+      if (yStep._fromPipeline) {
+        yStep = this.transferFromPipeline(yStep);
+      }
+
+      const yStepShape = yStep.tensor.shape.slice();
+      if (!y) {
+        y = new Tensor([], [ batchSize, ...yStepShape ]);
+      }
+      ops.assign(y.tensor.pick(n, ...yStepShape.map(s => null)), yStep.tensor);
+    }
+
+    return y;
+  }
+
   /**
    * Pipeline transfer
    * Typically called at the end of a pipelined layer sequence.
@@ -70,6 +222,16 @@ export default class Layer {
    * @returns {Tensor} x
    */
   transferFromPipeline(x) {
+    return profile('transferFromPipeline', 'transferFromPipeline', () =>
+      this._transferFromPipeline(x));
+  }
+
+  /**
+   * Transfers tensor from weblas pipeline, see transferFromPipeline
+   * @param {Tensor} x
+   * @returns {Tensor} x
+   */
+  _transferFromPipeline(x) {
     if (!x.weblasTensor) {
       throw new Error('Variable passed in does not contain weblas tensor.');
     }
@@ -1,15 +1,163 @@
 import Promise from 'bluebird';
+import fs from 'fs';
 import toPairs from 'lodash/toPairs';
 import mapKeys from 'lodash/mapKeys';
 import camelCase from 'lodash/camelCase';
 import find from 'lodash/find';
+import findIndex from 'lodash/findIndex';
 import keys from 'lodash/keys';
 import values from 'lodash/values';
 import sum from 'lodash/sum';
 import isEqual from 'lodash/isEqual';
 import every from 'lodash/every';
+import range from 'lodash/range';
+import uniq from 'lodash/uniq';
+import pull from 'lodash/pull';
+import flatten from 'lodash/flatten';
+import sortedIndexBy from 'lodash/sortedIndexBy';
+import ops from 'ndarray-ops';
 import * as layers from './layers';
+import Layer from './Layer';
 import Tensor from './Tensor';
+import TensorArena from './TensorArena';
+import Profiler from './Profiler';
+import ModelCache from './ModelCache';
+import { parseBundle } from './utils/bundle';
+import { parseHDF5 } from './utils/hdf5';
+import decodeWeights, { getWeightsByteLength } from './utils/decodeWeights';
+import { summaryToDot } from './utils/summary';
+import { sample } from './utils/sampling';
+import {
+  getKerasVersion,
+  normalizeModelConfig,
+  getKeras2WeightName,
+  convertKeras2Weights
+} from './utils/keras2';
+import {
+  NetworkError,
+  UnsupportedLayerError,
+  MissingWeightError,
+  ShapeMismatchError,
+  AbortError
+} from './errors';
+
+/**
+ * Returns data in an ArrayBuffer or TypedArray (including Node.js Buffers) as a
+ * standalone ArrayBuffer, copying if necessary, since TypedArrays may be views on
+ * a larger or shared ArrayBuffer.
+ * @param {(ArrayBuffer|TypedArray)} data
+ * @returns {ArrayBuffer}
+ */
+function toArrayBuffer(data) {
+  if (data instanceof ArrayBuffer) {
+    return data;
+  } else if (ArrayBuffer.isView(data)) {
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  }
+  throw new Error('[Model] binary data must be ArrayBuffer or TypedArray.');
+}
+
+/**
+ * Key of DAG node for a call of a layer: the layer name for its first node, and
+ * `name:index` for any further nodes of a shared layer (`:` is not allowed in
+ * Keras layer names)
+ * @param {string} layerName
+ * @param {number} nodeIndex
+ * @returns {string}
+ */
+function getNodeKey(layerName, nodeIndex) {
+  return nodeIndex ? `${layerName}:${nodeIndex}` : layerName;
+}
+
+// classes of models which can be nested in a model as a layer
+const NESTED_MODEL_CLASSES = [ 'Model', 'Sequential' ];
+
+/**
+ * Name of layer in model config. Nested Sequential models have their name at the top
+ * level of the layer definition, since their config is an array of layers.
+ * @param {Object} layerDef - layer definition in model config
+ * @returns {string}
+ */
+function getLayerName(layerDef) {
+  return layerDef.name || layerDef.config.name;
+}
+
+/**
+ * Shape of an output tensor of a DAG node, from the output shape of the node, which
+ * for nested models with more than one output is an array of their output shapes
+ * @param {(number[]|number[][])} shape
+ * @param {number} tensorIndex
+ * @returns {number[]}
+ */
+function getTensorShape(shape, tensorIndex) {
+  return shape && Array.isArray(shape[0]) ? shape[tensorIndex] : shape;
+}
+
+/**
+ * Flattened data of tensor, copied if the tensor is a non-contiguous view of its
+ * data array, e.g. after a transpose
+ * @param {Tensor} x
+ * @returns {Float32Array}
+ */
+function getTensorData(x) {
+  const { data, shape, stride, offset, size } = x.tensor;
+  const isContiguous = offset === 0 &&
+    data.length === size &&
+    stride.every(
+      (s, i) => s === shape.slice(i + 1).reduce((a, b) => a * b, 1)
+    );
+  if (isContiguous) {
+    return data;
+  }
+  let copy = new Tensor([], shape);
+  ops.assign(copy.tensor, x.tensor);
+  return copy.tensor.data;
+}
+
+/**
+ * Data arrays of the Tensors in a value: a Tensor, or the Tensors in an array, in a
+ * plain object, or in the properties of a layer, e.g. its weights, or tensors kept
+ * between calls
+ * @param {*} x
+ * @param {number} [depth] - depth of nested arrays, objects, and layers to search
+ * @returns {TypedArray[]}
+ */
+function getTensorBuffers(x, depth = 3) {
+  if (x instanceof Tensor) {
+    return [ x.tensor.data ];
+  }
+  if (depth === 0 || !x || typeof x !== 'object') {
+    return [];
+  }
+  let items = [];
+  if (Array.isArray(x)) {
+    items = x;
+  } else if (x instanceof Layer || x.constructor === Object) {
+    items = values(x);
+  }
+  return flatten(items.map(item => getTensorBuffers(item, depth - 1)));
+}
+
+/**
+ * Input shape of layer, including the batch axis, which for a nested model is that of
+ * its first input layer
+ * @param {Object} layerDef - layer definition in model config
+ * @returns {number[]}
+ */
+function getBatchInputShape(layerDef) {
+  const { class_name: layerClass, config } = layerDef;
+  if (layerClass === 'Sequential') {
+    return getBatchInputShape(config[0]);
+  } else if (layerClass === 'Model') {
+    const [ inputName ] = config.input_layers[0];
+    const inputLayerDef = find(
+      config.layers,
+      def => getLayerName(def) === inputName
+    );
+    return getBatchInputShape(inputLayerDef);
+  }
+  return config.batch_input_shape;
+}
 
 /**
  * Model class
@@ -21,41 +169,149 @@ export default class Model {
    * @param {string} config.filepaths.modelFilepath - path to model architecture configuration (json)
    * @param {string} config.filepaths.weightsFilepath - path to weights data (arraybuffer)
    * @param {string} config.filepaths.metadataFilepath - path to weights metadata (json)
+   * @param {string} [config.filepaths.bundle] - path to single-file model bundle, in place of the 3 files above
+   * @param {string} [config.filepaths.hdf5] - path to Keras HDF5 weights file, in place of weights and metadata,
+   *                                           with the model file optional if the config is embedded
+   * @param {object} [config.data] - model data already in memory, used instead of `filepaths`
+   * @param {(Object|string)} config.data.model - model architecture configuration (object or json string)
+   * @param {(ArrayBuffer|TypedArray)} config.data.weights - weights data
+   * @param {(Object[]|string)} config.data.metadata - weights metadata (array or json string)
+   * @param {(ArrayBuffer|TypedArray)} [config.data.bundle] - single-file model bundle, in place of the 3 above
+   * @param {(ArrayBuffer|TypedArray)} [config.data.hdf5] - Keras HDF5 weights file, in place of weights and metadata
    * @param {object} [config.headers] - any additional HTTP headers required for resource fetching
+   * @param {boolean} [config.filesystem] - read data from the local filesystem instead of XHR (Node.js only),
+   *                                        in which case file paths may also be Buffers
+   * @param {boolean} [config.streaming] - stream weights data, creating layers as soon as their weights arrive
+   * @param {AbortSignal} [config.signal] - aborts loading when signaled, same as `abort()`
+   * @param {object} [config.cache] - cache model data in IndexedDB, with keys `key` (defaults to the
+   *                                  model file or bundle path), `version`, and ModelCache options
+   * @param {Function} [config.onLayerLoad] - called as each layer is created, with an object with keys
+   *                                          `name`, `loaded` (number of layers created), and `total`
    * @param {boolean} [config.gpu] - enable GPU
    * @param {boolean} [config.pipeline] - configure capable layers to run in pipeline mode (gpu must be enabled)
    * @param {boolean} [config.layerCallPauses] - force next tick after each layer call
+   * @param {boolean} [config.retainResults] - keep the results of all layers in `nodeResults`
+   *                                           after each call, rather than releasing results of
+   *                                           intermediate layers once they are no longer needed.
+   *                                           Results consumed by layers operating in place are
+   *                                           only unmodified if requested as outputs or activations.
+   * @param {boolean} [config.arena] - allocate tensors in layer calls from a TensorArena, reusing
+   *                                   buffers across layers and calls
+   * @param {boolean} [config.profile] - record the time and allocations of each layer call in a
+   *                                     Profiler (`profiler`)
+   * @param {Profiler} [config.profiler] - Profiler to record into, e.g. that of an outer model,
+   *                                       in place of `profile`
+   * @param {string} [config.weightsGroup] - for nested models, the layer name under which their
+   *                                         weights are stored in the weights metadata
    */
   constructor(config = {}) {
     const {
       filepaths = {},
+      data = null,
       headers = {},
+      filesystem = false,
+      streaming = false,
+      signal = null,
+      cache = null,
+      onLayerLoad = null,
       gpu = false,
       pipeline = false,
-      layerCallPauses = false
+      layerCallPauses = false,
+      retainResults = true,
+      arena = false,
+      profile = false,
+      profiler = null,
+      weightsGroup = null
     } = config;
 
-    if (!filepaths.model || !filepaths.weights || !filepaths.metadata) {
+    if (data) {
+      if (
+        !data.bundle &&
+          !data.hdf5 &&
+          (!data.model || !data.weights || !data.metadata)
+      ) {
+        throw new Error(
+          'Data must be provided for model, weights, and metadata, or bundle, or hdf5.'
+        );
+      }
+    } else if (
+      !filepaths.bundle &&
+        !filepaths.hdf5 &&
+        (!filepaths.model || !filepaths.weights || !filepaths.metadata)
+    ) {
       throw new Error(
-        'File paths must be declared for model, weights, and metadata.'
+        'File paths must be declared for model, weights, and metadata, or bundle, or hdf5.'
       );
     }
     this.filepaths = filepaths;
     this.filetypes = {
       model: 'json',
       weights: 'arraybuffer',
-      metadata: 'json'
+      metadata: 'json',
+      bundle: 'arraybuffer',
+      hdf5: 'arraybuffer'
     };
 
+    // types of data to fetch: either a single bundle, a Keras HDF5 weights file
+    // (with the model file unless its config is embedded), or the 3 separate files
+    if (filepaths.bundle) {
+      this.dataTypes = [ 'bundle' ];
+    } else if (filepaths.hdf5) {
+      this.dataTypes = filepaths.model ? [ 'model', 'hdf5' ] : [ 'hdf5' ];
+    } else {
+      this.dataTypes = [ 'model', 'weights', 'metadata' ];
+    }
+
     // HTTP(S) headers used during data fetching
     this.headers = headers;
 
+    // flag to read data from the local filesystem (Node.js)
+    this.filesystem = filesystem;
+
+    // flag to stream weights data, only possible with the 3 separate files
+    this.streaming = streaming &&
+      !filepaths.bundle &&
+      !filepaths.hdf5 &&
+      !data;
+    // callback for each layer created
+    this.onLayerLoad = onLayerLoad;
+
+    // persistent cache of fetched model data, stored under a key and version
+    this.cache = null;
+    if (cache && !data) {
+      const {
+        key = filepaths.bundle || filepaths.hdf5 || filepaths.model,
+        version = 1,
+        ...cacheOptions
+      } = cache;
+      if (typeof key !== 'string') {
+        throw new Error('[Model] a cache key must be provided.');
+      }
+      // the cache is only an optimization, so where IndexedDB is not available,
+      // e.g. in private browsing, model data is always requested
+      try {
+        this.cache = new ModelCache(cacheOptions);
+      } catch (err) {
+        this.cache = null;
+      }
+      this.cacheKey = key;
+      this.cacheVersion = version;
+    }
+
     // flag to enable GPU where possible
     this.gpu = gpu;
     // flag to enable GPU pipeline mode where possible
     this.pipeline = pipeline;
     // flag to enable 0 ms pauses after layer computation calls
     this.layerCallPauses = layerCallPauses;
+    // flag to keep results of all layers, rather than only those of the outputs
+    this.retainResults = retainResults;
+    // arena of tensor buffers reused across layers and calls, if enabled
+    this.arena = arena ? new TensorArena() : null;
+    // profiler recording layer calls, if enabled
+    this.profiler = profiler || (profile ? new Profiler() : null);
+    // layer name under which weights of all layers are stored, for nested models
+    this.weightsGroup = weightsGroup;
 
     this.data = {
       // object representing the model architecture configuration,
@@ -63,33 +319,98 @@ export default class Model {
       model: {},
       // ArrayBuffer of all the weights, sequentially concatenated
       // see encoder.py for construction details - essentially the raw flattened
-      // numerical data from the HDF5 file is extracted sequentially and concatenated.
+      // numerical data from the HDF5 file is extracted sequentially and concatenated,
+      // as float32, or as float16 or uint8 to be decoded according to the metadata.
       weights: null,
       // array of weight tensor metadata, used to reconstruct tensors from the raw
       // weights ArrayBuffer above.
       metadata: []
     };
 
+    // model data provided directly in memory, in which case nothing is fetched
+    this.inMemoryData = data;
+
     // keep track of XHR requests
-    this.xhrs = { model: null, weights: null, metadata: null };
+    this.xhrs = {};
+    this.dataTypes.forEach(type => {
+      this.xhrs[type] = null;
+    });
 
     // XHR progress
-    this.xhrProgress = { model: 0, weights: 0, metadata: 0 };
+    this.xhrProgress = {};
+    this.dataTypes.forEach(type => {
+      this.xhrProgress[type] = 0;
+    });
+
+    // major Keras version of model config, determined once loaded, with Keras 2
+    // configs and weights normalized to the Keras 1 format (see utils/keras2.js)
+    this.kerasVersion = null;
 
     // map of model layers
     this.modelLayersMap = new Map();
 
-    // array of model layer names with result
+    // array of names of layers created so far, in model config order
+    this.loadedLayers = [];
+
+    // array of model layer node keys with result (see getNodeKey)
     this.layersWithResults = [];
 
-    // directed acyclic graph of model network
+    // directed acyclic graph of model network, with a node for each call of a
+    // layer, keyed by layer name and node index (see getNodeKey)
     this.modelDAG = {};
 
+    // steps of the DAG nodes in topological order, compiled once all layers are
+    // created (see _compileExecutionPlan)
+    this.executionPlan = [];
+
+    // output shape of each DAG node, without the batch axis, and number of weight
+    // parameters of each layer, inferred once all layers are created, so that
+    // incompatible shapes are found when loading the model (see _inferShapes)
+    this.outputShapes = {};
+    this.paramCounts = {};
+
+    // keys of DAG nodes whose results are masked, e.g. downstream of an Embedding
+    // layer with maskZero, also inferred once all layers are created (see
+    // _inferMasks)
+    this.maskedNodes = [];
+
+    // results of the last predict() or predictBatch() call, keyed by DAG node,
+    // since a shared layer has a different result for each of its nodes
+    this.nodeResults = {};
+    // masks of the results of masked DAG nodes, from the last call
+    this.nodeMasks = {};
+    // buffers from the arena held by the result of each DAG node, and by each
+    // layer between calls
+    this._arenaBuffers = {};
+    this._layerArenaBuffers = {};
+
+    // hooks run around layer calls, in the order they were added (see addHook)
+    this.hooks = [];
+
     // input tensors
     this.inputTensors = {};
 
+    // flag set when loading is aborted, and Promise rejected at the same time,
+    // so that ready() rejects even if a request cannot be cancelled
+    this._aborted = false;
+    this._abortPromise = new Promise((resolve, reject) => {
+      this._rejectAbort = reject;
+    });
+    if (signal) {
+      if (signal.aborted) {
+        this.abort();
+      } else {
+        signal.addEventListener('abort', () => this.abort());
+      }
+    }
+
     // Promise for when Model class is initialized
-    this._ready = this._initialize();
+    this._initialization = this._initialize();
+    this._ready = Promise.race([ this._initialization, this._abortPromise ]);
+
+    // Promise for when the last call of a nested model completes, since calls of a
+    // nested model shared between nodes must not overlap
+    this._nestedCall = Promise.resolve();
 
     // flag while computations are being performed
     this.isRunning = false;
@@ -97,18 +418,44 @@ export default class Model {
 
   /**
    * Promise for when model data is loaded and layers are initialized.
+   * Rejects if loading fails, with a NetworkError, UnsupportedLayerError,
+   * MissingWeightError, or ShapeMismatchError (see `errors.js`), or with an
+   * AbortError if loading is aborted.
    * @returns {Promise}
    */
   ready() {
     return this._ready;
   }
 
+  /**
+   * Aborts loading: cancels any in-flight requests and stops layer creation, in
+   * which case ready() rejects with an AbortError. Has no effect once ready() has
+   * resolved.
+   */
+  abort() {
+    if (this._aborted) {
+      return;
+    }
+    this._aborted = true;
+    this._interrupt();
+    this._rejectAbort(new AbortError('[Model] loading aborted.'));
+  }
+
+  /**
+   * Throws an AbortError if loading has been aborted, so that no further requests
+   * are made or layers created
+   */
+  _throwIfAborted() {
+    if (this._aborted) {
+      throw new AbortError('[Model] loading aborted.');
+    }
+  }
+
   /**
    * Cancels any existing XHR requests
    */
   _interrupt() {
-    const dataTypes = [ 'model', 'weights', 'metdata' ];
-    dataTypes.forEach(type => {
+    this.dataTypes.forEach(type => {
       if (this.xhrs[type]) {
         this.xhrs[type].abort();
         this.xhrs[type] = null;
@@ -121,23 +468,108 @@ export default class Model {
    * @returns {Promise}
    */
   _initialize() {
-    const dataTypes = [ 'model', 'weights', 'metadata' ];
-    return Promise
-      .all(dataTypes.map(type => this._dataRequest(type, this.headers)))
-      .then(() => {
+    if (this._aborted) {
+      return this._abortPromise;
+    }
+
+    if (this.inMemoryData) {
+      return Promise.try(() => {
+        this._loadInMemoryData(this.inMemoryData);
         this._createLayers();
-        return Promise.resolve();
+      });
+    }
+
+    const dataRequest = type =>
+      this.filesystem
+        ? this._dataRequestFS(type)
+        : this._dataRequest(type, this.headers);
+
+    return this._cacheGet()
+      .then(cached => {
+        this._throwIfAborted();
+        if (cached) {
+          this.dataTypes.forEach(type => {
+            this.data[type] = cached[type];
+            this.xhrProgress[type] = 100;
+          });
+          this._loadData();
+          return Promise.resolve();
+        }
+
+        if (this.streaming) {
+          return Promise
+            .all([ 'model', 'metadata' ].map(dataRequest))
+            .then(() => {
+              this._throwIfAborted();
+              return this._streamWeights();
+            })
+            .then(() => this._cacheSet());
+        }
+
+        return Promise
+          .all(this.dataTypes.map(dataRequest))
+          .then(() => this._cacheSet())
+          .then(() => this._loadData());
       })
       .catch(err => {
-        console.log(err);
         this._interrupt();
+        throw err;
       });
   }
 
+  /**
+   * Loads fetched data, from a bundle or HDF5 file if necessary, and creates layers
+   */
+  _loadData() {
+    if (this.filepaths.bundle) {
+      this._loadBundle(this.data.bundle);
+      delete this.data.bundle;
+    } else if (this.filepaths.hdf5) {
+      this._loadHDF5(this.data.hdf5);
+      delete this.data.hdf5;
+    }
+    this._createLayers();
+  }
+
+  /**
+   * Gets model data from the persistent cache, if enabled
+   * Any cache errors are ignored, and the data is then fetched as usual.
+   * @async
+   * @returns {Promise} resolves to model data object, keyed by type, or null if not cached
+   */
+  _cacheGet() {
+    if (!this.cache) {
+      return Promise.resolve(null);
+    }
+    return this.cache
+      .get(this.cacheKey, this.cacheVersion)
+      .catch(err => null);
+  }
+
+  /**
+   * Stores fetched model data in the persistent cache, if enabled
+   * Any cache errors, such as from the storage quota being exceeded even after
+   * evicting all other entries, are ignored.
+   * @async
+   * @returns {Promise}
+   */
+  _cacheSet() {
+    if (!this.cache) {
+      return Promise.resolve();
+    }
+    let modelData = {};
+    this.dataTypes.forEach(type => {
+      modelData[type] = this.data[type];
+    });
+    return this.cache
+      .set(this.cacheKey, this.cacheVersion, modelData)
+      .catch(err => false);
+  }
+
   /**
    * Makes XHR request
    * @async
-   * @param {string} type - type of requested data, one of `model`, `weights`, or `metadata`.
+   * @param {string} type - type of requested data, one of `model`, `weights`, `metadata`, `bundle`, or `hdf5`.
    * @param {Object} [headers] - any XHR headers to be passed along with request
    * @returns {Promise}
    */
@@ -150,8 +582,17 @@ export default class Model {
         xhr.setRequestHeader(h, v);
       }
       xhr.onload = e => {
-        this.data[type] = xhr.response;
         this.xhrs[type] = null;
+        if (xhr.status >= 400) {
+          reject(
+            new NetworkError(
+              `[Model] error fetching ${type} file: ${xhr.status} ${xhr.statusText}`,
+              { type, status: xhr.status }
+            )
+          );
+          return;
+        }
+        this.data[type] = xhr.response;
         this.xhrProgress[type] = 100;
         resolve();
       };
@@ -161,12 +602,255 @@ export default class Model {
           this.xhrProgress[type] = percentComplete;
         }
       };
-      xhr.onerror = e => reject(e);
+      xhr.onerror = e => {
+        this.xhrs[type] = null;
+        reject(
+          new NetworkError(`[Model] error fetching ${type} file.`, { type })
+        );
+      };
+      xhr.onabort = e => {
+        reject(new AbortError(`[Model] request for ${type} file aborted.`));
+      };
       xhr.send(null);
       this.xhrs[type] = xhr;
     });
   }
 
+  /**
+   * Reads data from the local filesystem (Node.js)
+   * If the value in `filepaths` is not a string, it is taken to be a Buffer
+   * already holding the file contents.
+   * @async
+   * @param {string} type - type of requested data, one of `model`, `weights`, `metadata`, `bundle`, or `hdf5`.
+   * @returns {Promise}
+   */
+  _dataRequestFS(type) {
+    const readFile = Promise.promisify(fs.readFile);
+    const source = this.filepaths[type];
+    const request = typeof source === 'string'
+      ? readFile(source).catch(err => {
+        throw new NetworkError(
+          `[Model] error reading ${type} file: ${err.message}`,
+          { type }
+        );
+      })
+      : Promise.resolve(source);
+    return request.then(buffer => {
+      if (this.filetypes[type] === 'json') {
+        this.data[type] = JSON.parse(buffer.toString('utf8'));
+      } else {
+        // small Buffers may be views on a shared pool
+        this.data[type] = toArrayBuffer(buffer);
+      }
+      this.xhrProgress[type] = 100;
+    });
+  }
+
+  /**
+   * Streams weights data, creating layers in model config order as soon as the byte
+   * ranges of all their weights (from offsets in metadata) have arrived.
+   * Uses fetch with a ReadableStream body where available, or a file read stream in
+   * filesystem mode. Otherwise falls back to a single XHR.
+   * Rejects with a MissingWeightError if the stream ends before all weights arrive.
+   * @async
+   * @returns {Promise}
+   */
+  _streamWeights() {
+    if (
+      !this.filesystem &&
+        (typeof fetch === 'undefined' || typeof ReadableStream === 'undefined')
+    ) {
+      return this._dataRequest('weights', this.headers).then(() => {
+        this._createLayers();
+      });
+    }
+
+    const byteLength = Math.max(
+      0,
+      ...this.data.metadata.map(
+        meta => meta.offset + getWeightsByteLength(meta)
+      )
+    );
+    const bytes = new Uint8Array(byteLength);
+    this.data.weights = bytes.buffer;
+
+    let received = 0;
+    const onData = chunk => {
+      const chunkBytes = new Uint8Array(
+        chunk.buffer,
+        chunk.byteOffset,
+        Math.min(chunk.byteLength, byteLength - received)
+      );
+      bytes.set(chunkBytes, received);
+      received += chunkBytes.length;
+      this.xhrProgress.weights = byteLength
+        ? Math.round(100 * received / byteLength)
+        : 100;
+      this._createLayersUpTo(received);
+    };
+
+    const request = this.filesystem
+      ? this._streamRequestFS(onData)
+      : this._streamRequest(onData);
+    return request.then(() => {
+      this.xhrs.weights = null;
+      if (received < byteLength) {
+        // the stream ended early, e.g. from a truncated file: the weights data is
+        // cut to what was received, so that creating the remaining layers throws a
+        // MissingWeightError, rather than leaving their weights as zeros
+        this.data.weights = bytes.buffer.slice(0, received);
+      }
+      this.xhrProgress.weights = 100;
+      this._createLayers();
+    });
+  }
+
+  /**
+   * Streams weights data using fetch
+   * @async
+   * @param {Function} onData - called with each Uint8Array chunk
+   * @returns {Promise}
+   */
+  _streamRequest(onData) {
+    return Promise.resolve(
+      fetch(this.filepaths.weights, { headers: this.headers })
+    )
+      .catch(err => {
+        throw new NetworkError(`[Model] error fetching weights file.`, {
+          type: 'weights'
+        });
+      })
+      .then(response => {
+        if (!response.ok) {
+          throw new NetworkError(
+            `[Model] error fetching weights file: ${response.status} ${response.statusText}`,
+            { type: 'weights', status: response.status }
+          );
+        }
+        const reader = response.body.getReader();
+        this.xhrs.weights = { abort: () => reader.cancel() };
+        const read = () =>
+          Promise.resolve(reader.read())
+            .catch(err => {
+              throw new NetworkError(`[Model] error fetching weights file.`, {
+                type: 'weights'
+              });
+            })
+            .then(({ done, value }) => {
+              if (done) {
+                return;
+              }
+              onData(value);
+              return read();
+            });
+        return read();
+      });
+  }
+
+  /**
+   * Streams weights data from the local filesystem (Node.js)
+   * If the value in `filepaths` is not a string, it is taken to be a Buffer already
+   * holding the file contents.
+   * @async
+   * @param {Function} onData - called with each Buffer chunk
+   * @returns {Promise}
+   */
+  _streamRequestFS(onData) {
+    const source = this.filepaths.weights;
+    if (typeof source !== 'string') {
+      return Promise.try(() => onData(source));
+    }
+    return new Promise((resolve, reject) => {
+      const stream = fs.createReadStream(source);
+      this.xhrs.weights = {
+        abort: () => {
+          stream.destroy();
+          reject(new AbortError('[Model] request for weights file aborted.'));
+        }
+      };
+      stream.on('data', chunk => {
+        try {
+          onData(chunk);
+        } catch (err) {
+          stream.destroy();
+          reject(err);
+        }
+      });
+      stream.on('end', () => resolve());
+      stream.on('error', err => {
+        reject(
+          new NetworkError(
+            `[Model] error reading weights file: ${err.message}`,
+            { type: 'weights' }
+          )
+        );
+      });
+    });
+  }
+
+  /**
+   * Loads model data provided directly in memory, e.g., from IndexedDB, a File, or
+   * an unpacked archive.
+   * JSON strings are parsed, and weights in a TypedArray are copied into a standalone
+   * ArrayBuffer, so that weight tensors can be created at the offsets in metadata.
+   * @param {Object} data - object with keys `model`, `weights`, and `metadata`, or `bundle`, or `hdf5`
+   */
+  _loadInMemoryData(data) {
+    const { model, weights, metadata, bundle, hdf5 } = data;
+    if (bundle) {
+      this._loadBundle(toArrayBuffer(bundle));
+    } else if (hdf5) {
+      if (model) {
+        this.data.model = typeof model === 'string'
+          ? JSON.parse(model)
+          : model;
+      }
+      this._loadHDF5(toArrayBuffer(hdf5));
+    } else {
+      this.data.model = typeof model === 'string' ? JSON.parse(model) : model;
+      this.data.metadata = typeof metadata === 'string'
+        ? JSON.parse(metadata)
+        : metadata;
+      this.data.weights = toArrayBuffer(weights);
+    }
+    this.dataTypes.forEach(type => {
+      this.xhrProgress[type] = 100;
+    });
+  }
+
+  /**
+   * Loads model architecture, weights metadata, and weights from a single-file bundle
+   * The bundle header is validated (version, length, and section checksums) before
+   * any layers are created. See `utils/bundle.js` for the format.
+   * @param {ArrayBuffer} buffer
+   */
+  _loadBundle(buffer) {
+    const { model, metadata, weights } = parseBundle(buffer);
+    this.data.model = model;
+    this.data.metadata = metadata;
+    this.data.weights = weights;
+  }
+
+  /**
+   * Loads weights metadata and weights directly from a Keras HDF5 weights file
+   * The model architecture configuration embedded by `model.save()` is used if no
+   * model file was provided. See `utils/hdf5.js` for the supported subset of HDF5.
+   * @param {ArrayBuffer} buffer
+   */
+  _loadHDF5(buffer) {
+    const { model, metadata, weights } = parseHDF5(buffer);
+    if (!this.data.model.class_name) {
+      if (!model) {
+        throw new Error(
+          '[Model] no model file provided, and no model config embedded in HDF5 file.'
+        );
+      }
+      this.data.model = model;
+    }
+    this.data.metadata = metadata;
+    this.data.weights = weights;
+  }
+
   /**
    * Loading progress calculated from all the XHRs combined.
    * @returns {number} progress
@@ -207,6 +891,25 @@ export default class Model {
    * in snake_case. We convert the variable names to camelCase here.
    */
   _createLayers() {
+    this._createLayersUpTo(Infinity);
+    this.executionPlan = this._compileExecutionPlan();
+    this._inferShapes();
+    this._inferMasks();
+  }
+
+  /**
+   * Creates layers in model config order, up to the first layer with weights extending
+   * past the given number of bytes of weights data received
+   * @param {number} bytesReceived
+   */
+  _createLayersUpTo(bytesReceived) {
+    if (this.kerasVersion === null) {
+      this.kerasVersion = getKerasVersion(this.data.model);
+      if (this.kerasVersion > 1) {
+        this.data.model = normalizeModelConfig(this.data.model);
+      }
+    }
+
     const modelClass = this.data.model.class_name;
 
     let modelConfig = [];
@@ -216,159 +919,357 @@ export default class Model {
       modelConfig = this.data.model.config.layers;
     }
 
-    modelConfig.forEach((layerDef, index) => {
-      const layerClass = layerDef.class_name;
-      const layerConfig = layerDef.config;
-
-      if (!(layerClass in layers)) {
-        throw new Error(
-          `Layer ${layerClass} specified in model configuration is not implemented!`
+    if (!this._layerWeightsByteEnds) {
+      // byte offset in weights data at which all weights of each layer have arrived
+      this._layerWeightsByteEnds = {};
+      this.data.metadata.forEach(meta => {
+        this._layerWeightsByteEnds[meta.layer_name] = Math.max(
+          this._layerWeightsByteEnds[meta.layer_name] || 0,
+          meta.offset + getWeightsByteLength(meta)
         );
+      });
+    }
+
+    while (this.loadedLayers.length < modelConfig.length) {
+      this._throwIfAborted();
+      const index = this.loadedLayers.length;
+      const layerDef = modelConfig[index];
+      const layerName = getLayerName(layerDef);
+      if ((this._layerWeightsByteEnds[layerName] || 0) > bytesReceived) {
+        break;
       }
+      this._createLayer(layerDef, index, modelConfig);
 
-      // create InputLayer node for Sequential class (which is not explicitly defined in config)
-      // create input tensor for InputLayer specified in Model class (layer itself created later)
-      if (modelClass === 'Sequential' && index === 0) {
-        const inputName = 'input';
-        const inputShape = layerConfig.batch_input_shape.slice(1);
-        const layer = new layers.InputLayer({
-          name: inputName,
-          shape: inputShape
+      this.loadedLayers.push(layerName);
+      if (this.onLayerLoad) {
+        this.onLayerLoad({
+          name: layerName,
+          loaded: this.loadedLayers.length,
+          total: modelConfig.length
         });
-        this.modelLayersMap.set(inputName, layer);
-        this.modelDAG[inputName] = {
-          layerClass: 'InputLayer',
-          name: inputName,
-          inbound: [],
-          outbound: []
-        };
-        this.inputTensors[inputName] = new Tensor([], inputShape);
-      } else if (modelClass === 'Model' && layerClass === 'InputLayer') {
-        const inputShape = layerConfig.batch_input_shape.slice(1);
-        this.inputTensors[layerConfig.name] = new Tensor([], inputShape);
-      }
-
-      let layer;
-      if (layerClass === 'Bidirectional' || layerClass === 'TimeDistributed') {
-        // create wrapper layers
-        let attrs = mapKeys(layerConfig, (v, k) => camelCase(k));
-        const wrappedLayerConfig = layerConfig.layer.config;
-        const wrappedLayerClass = layerConfig.layer.class_name;
-        let wrappedLayerAttrs = mapKeys(
-          wrappedLayerConfig,
-          (v, k) => camelCase(k)
-        );
-        if ('activation' in wrappedLayerAttrs) {
-          wrappedLayerAttrs.activation = camelCase(
-            wrappedLayerAttrs.activation
-          );
-        }
-        if ('innerActivation' in wrappedLayerAttrs) {
-          wrappedLayerAttrs.innerActivation = camelCase(
-            wrappedLayerAttrs.innerActivation
-          );
-        }
-        wrappedLayerAttrs.gpu = this.gpu;
+      }
+    }
+  }
 
-        layer = new layers[layerClass](
-          Object.assign(attrs, {
-            layer: new layers[wrappedLayerClass](wrappedLayerAttrs)
-          })
-        );
-      } else {
-        // create regular layers
-        let attrs = mapKeys(layerConfig, (v, k) => camelCase(k));
-        if ('activation' in attrs) {
-          attrs.activation = camelCase(attrs.activation);
-        }
-        if ('innerActivation' in attrs) {
-          attrs.innerActivation = camelCase(attrs.innerActivation);
-        }
-        attrs.gpu = this.gpu;
-        attrs.pipeline = this.pipeline;
+  /**
+   * Creates layer from model config, sets its weights, and adds it to the DAG
+   * @param {Object} layerDef - layer definition in model config
+   * @param {number} index - index of layer in model config
+   * @param {Object[]} modelConfig - all layer definitions in model config
+   */
+  _createLayer(layerDef, index, modelConfig) {
+    const modelClass = this.data.model.class_name;
+    const layerClass = layerDef.class_name;
+    const layerConfig = layerDef.config;
+    const layerName = getLayerName(layerDef);
 
-        layer = new layers[layerClass](attrs);
-      }
+    if (!(layerClass in layers) && !NESTED_MODEL_CLASSES.includes(layerClass)) {
+      throw new UnsupportedLayerError(
+        `Layer ${layerClass} specified in model configuration is not implemented!`,
+        layerClass
+      );
+    }
 
-      // layer weights
-      let weightNames = [];
-      if (layerClass === 'Bidirectional') {
-        const forwardName = layerConfig.layer.config.name;
-        const backwardName = forwardName.replace(/forward/, 'backward');
-        const forwardWeightNames = layer.forwardLayer.params.map(
-          param => `${forwardName}_${param}`
-        );
-        const backwardWeightNames = layer.backwardLayer.params.map(
-          param => `${backwardName}_${param}`
+    // create InputLayer node for Sequential class (which is not explicitly defined in config)
+    // create input tensor for InputLayer specified in Model class (layer itself created later)
+    if (modelClass === 'Sequential' && index === 0) {
+      const inputName = 'input';
+      const inputShape = getBatchInputShape(layerDef).slice(1);
+      const layer = new layers.InputLayer({
+        name: inputName,
+        shape: inputShape
+      });
+      this.modelLayersMap.set(inputName, layer);
+      this._addDAGNode(inputName, 0, 'InputLayer', []);
+      this.inputTensors[inputName] = new Tensor([], inputShape);
+    } else if (modelClass === 'Model' && layerClass === 'InputLayer') {
+      const inputShape = layerConfig.batch_input_shape.slice(1);
+      this.inputTensors[layerConfig.name] = new Tensor([], inputShape);
+    }
+
+    let layer;
+    if (NESTED_MODEL_CLASSES.includes(layerClass)) {
+      // create nested models, with their own layers and weights
+      layer = this._createNestedModel(layerDef);
+    } else if (
+      layerClass === 'Bidirectional' || layerClass === 'TimeDistributed'
+    ) {
+      // create wrapper layers
+      let attrs = mapKeys(layerConfig, (v, k) => camelCase(k));
+      const wrappedLayerConfig = layerConfig.layer.config;
+      const wrappedLayerClass = layerConfig.layer.class_name;
+      let wrappedLayerAttrs = mapKeys(
+        wrappedLayerConfig,
+        (v, k) => camelCase(k)
+      );
+      if ('activation' in wrappedLayerAttrs) {
+        wrappedLayerAttrs.activation = camelCase(
+          wrappedLayerAttrs.activation
         );
-        weightNames = forwardWeightNames.concat(backwardWeightNames);
-      } else if (layerClass === 'TimeDistributed') {
-        weightNames = layer.layer.params.map(
-          param => `${layerConfig.layer.config.name}_${param}`
+      }
+      if ('innerActivation' in wrappedLayerAttrs) {
+        wrappedLayerAttrs.innerActivation = camelCase(
+          wrappedLayerAttrs.innerActivation
         );
-      } else {
-        weightNames = layer.params.map(param => `${layerConfig.name}_${param}`);
-      }
-      if (weightNames && weightNames.length) {
-        const weights = weightNames.map(weightName => {
-          const paramMetadata = find(this.data.metadata, meta => {
-            const weightRE = new RegExp(`^${weightName}`);
-            return meta.layer_name === layerConfig.name &&
-              weightRE.test(meta.weight_name);
-          });
-          if (!paramMetadata) {
-            throw new Error(`[Model] error loading weights.`);
-          }
-
-          const { offset, length, shape } = paramMetadata;
-          return new Tensor(
-            new Float32Array(this.data.weights, offset, length),
-            shape
-          );
-        });
-        layer.setWeights(weights);
       }
+      wrappedLayerAttrs.gpu = this.gpu;
 
-      this.modelLayersMap.set(layerConfig.name, layer);
-      this.modelDAG[layerConfig.name] = {
-        layerClass,
-        name: layerConfig.name,
-        inbound: [],
-        outbound: []
-      };
+      layer = new layers[layerClass](
+        Object.assign(attrs, {
+          layer: new layers[wrappedLayerClass](wrappedLayerAttrs)
+        })
+      );
+    } else {
+      // create regular layers
+      let attrs = mapKeys(layerConfig, (v, k) => camelCase(k));
+      if ('activation' in attrs) {
+        attrs.activation = camelCase(attrs.activation);
+      }
+      if ('innerActivation' in attrs) {
+        attrs.innerActivation = camelCase(attrs.innerActivation);
+      }
+      attrs.gpu = this.gpu;
+      attrs.pipeline = this.pipeline;
 
-      if (modelClass === 'Sequential') {
-        if (index === 0) {
-          const inputName = 'input';
-          this.modelDAG[inputName].outbound.push(layerConfig.name);
-          this.modelDAG[layerConfig.name].inbound.push(inputName);
-        } else {
-          const prevLayerConfig = modelConfig[index - 1].config;
-          this.modelDAG[layerConfig.name].inbound.push(prevLayerConfig.name);
-          this.modelDAG[prevLayerConfig.name].outbound.push(layerConfig.name);
-        }
-      } else if (modelClass === 'Model') {
-        if (layerDef.inbound_nodes && layerDef.inbound_nodes.length) {
-          layerDef.inbound_nodes[0].forEach(node => {
-            const inboundLayerName = node[0];
-            this.modelDAG[layerConfig.name].inbound.push(inboundLayerName);
-            this.modelDAG[inboundLayerName].outbound.push(layerConfig.name);
-          });
-        }
+      layer = new layers[layerClass](attrs);
+    }
+
+    // layer weights
+    if (!(layer instanceof Model)) {
+      const weights = this.kerasVersion > 1
+        ? this._getKeras2LayerWeights(layerClass, layerConfig)
+        : this._getLayerWeights(layer, layerClass, layerConfig);
+      if (weights.length) {
+        layer.setWeights(weights);
       }
-    });
+    }
+
+    this.modelLayersMap.set(layerName, layer);
+
+    if (modelClass === 'Sequential') {
+      const inbound = index === 0
+        ? 'input'
+        : getLayerName(modelConfig[index - 1]);
+      this._addDAGNode(layerName, 0, layerClass, [ inbound ]);
+    } else if (modelClass === 'Model') {
+      // a DAG node for each call of the layer, e.g. two for a layer shared between
+      // two inputs, where inbound nodes are `[layer name, node index, tensor index]`
+      const inboundNodes = layerDef.inbound_nodes &&
+        layerDef.inbound_nodes.length
+        ? layerDef.inbound_nodes
+        : [ [] ];
+      inboundNodes.forEach((node, nodeIndex) => {
+        this._addDAGNode(
+          layerName,
+          nodeIndex,
+          layerClass,
+          node.map(([ inboundLayerName, inboundNodeIndex ]) =>
+            getNodeKey(inboundLayerName, inboundNodeIndex)),
+          node.map(([ , , tensorIndex = 0 ]) => tensorIndex)
+        );
+      });
+    }
   }
 
   /**
-   * Runs .call() on Merge layer
-   * @param {Layer} currentLayer
-   * @param {Layer[]} inboundLayers
-   * @param {boolean} copyBeforeCall
+   * Creates nested model, for a Model or Sequential used as a layer, sharing the
+   * weights data and metadata of this model. Weights of a nested model are stored
+   * under its name in the weights metadata, except for models nested in Keras 1
+   * Sequential models, which are stored under the names of their layers.
+   * @param {Object} layerDef - layer definition in model config
+   * @returns {Model}
+   */
+  _createNestedModel(layerDef) {
+    const layerName = getLayerName(layerDef);
+    const isWeightsGroup = this.data.metadata.some(
+      meta => meta.layer_name === layerName
+    );
+    const model = new Model({
+      data: {
+        model: {
+          class_name: layerDef.class_name,
+          keras_version: String(this.kerasVersion),
+          config: layerDef.config
+        },
+        weights: this.data.weights,
+        metadata: this.data.metadata
+      },
+      // no arena, since results returned to the outer model must outlive later
+      // calls of the nested model, e.g. for a shared nested model
+      gpu: this.gpu,
+      pipeline: this.pipeline,
+      retainResults: this.retainResults,
+      profiler: this.profiler,
+      weightsGroup: this.weightsGroup || (isWeightsGroup ? layerName : null)
+    });
+
+    // layers are created synchronously from in-memory data, so that any error can
+    // be rethrown here, with the rejection of ready() itself ignored
+    if (model._initialization.isRejected()) {
+      model.ready().catch(() => {});
+      throw model._initialization.reason();
+    }
+
+    model.name = layerName;
+    model.layerClass = layerDef.class_name;
+    return model;
+  }
+
+  /**
+   * Adds node to the DAG, and adds it to the outbound nodes of its inbound nodes
+   * Inbound nodes may not have been added yet, since a shared layer can be called
+   * on the output of a layer that comes after it in the model config.
+   * @param {string} layerName
+   * @param {number} nodeIndex
+   * @param {string} layerClass
+   * @param {string[]} inbound - keys of inbound nodes
+   * @param {number[]} [tensorIndices] - index of output tensor of each inbound node,
+   *                                     for nested models with more than one output
+   */
+  _addDAGNode(
+    layerName,
+    nodeIndex,
+    layerClass,
+    inbound,
+    tensorIndices = inbound.map(() => 0)
+  ) {
+    const key = getNodeKey(layerName, nodeIndex);
+    this.modelDAG[key] = Object.assign(this.modelDAG[key] || { outbound: [] }, {
+      layerClass,
+      name: key,
+      layerName,
+      nodeIndex,
+      inbound,
+      tensorIndices
+    });
+    inbound.forEach(inboundKey => {
+      if (!this.modelDAG[inboundKey]) {
+        this.modelDAG[inboundKey] = { outbound: [] };
+      }
+      this.modelDAG[inboundKey].outbound.push(key);
+    });
+  }
+
+  /**
+   * Gets layer weights from weights metadata, where weight names are prefixed by the
+   * layer name and param, e.g. `convolution2d_1_W:0`, and stored under the layer
+   * name, or the weights group of nested models
+   * @param {Layer} layer
+   * @param {string} layerClass
+   * @param {Object} layerConfig
+   * @returns {Tensor[]} weights, in the order of the layer params
+   */
+  _getLayerWeights(layer, layerClass, layerConfig) {
+    let weightNames = [];
+    if (layerClass === 'Bidirectional') {
+      const forwardName = layerConfig.layer.config.name;
+      const backwardName = forwardName.replace(/forward/, 'backward');
+      const forwardWeightNames = layer.forwardLayer.params.map(
+        param => `${forwardName}_${param}`
+      );
+      const backwardWeightNames = layer.backwardLayer.params.map(
+        param => `${backwardName}_${param}`
+      );
+      weightNames = forwardWeightNames.concat(backwardWeightNames);
+    } else if (layerClass === 'TimeDistributed') {
+      weightNames = layer.layer.params.map(
+        param => `${layerConfig.layer.config.name}_${param}`
+      );
+    } else {
+      weightNames = layer.params.map(param => `${layerConfig.name}_${param}`);
+    }
+
+    const weightsGroup = this.weightsGroup || layerConfig.name;
+    return weightNames.map(weightName => {
+      const paramMetadata = find(this.data.metadata, meta => {
+        const weightRE = new RegExp(`^${weightName}`);
+        return meta.layer_name === weightsGroup &&
+          weightRE.test(meta.weight_name);
+      });
+      if (!paramMetadata) {
+        throw new MissingWeightError(
+          `[Model] weights ${weightName} of layer ${layerConfig.name} not found in weights metadata.`,
+          layerConfig.name,
+          weightName
+        );
+      }
+      return this._createWeightTensor(paramMetadata);
+    });
+  }
+
+  /**
+   * Gets layer weights from weights metadata of Keras 2 model, where weight names
+   * are e.g. `conv2d_1/kernel:0`, converted to the Keras 1 weights of the layer.
+   * In nested models, weights of all layers are stored under the weights group, and
+   * are told apart by the layer name scope, e.g. `model_1/conv2d_1/kernel:0`.
+   * @param {string} layerClass - normalized layer class
+   * @param {Object} layerConfig - normalized layer config
+   * @returns {Tensor[]} weights, in the order of the layer params
+   */
+  _getKeras2LayerWeights(layerClass, layerConfig) {
+    const isLayerWeight = meta =>
+      this.weightsGroup
+        ? meta.layer_name === this.weightsGroup &&
+          meta.weight_name.split('/').slice(0, -1).includes(layerConfig.name)
+        : meta.layer_name === layerConfig.name;
+    let weights = {};
+    this.data.metadata
+      .filter(isLayerWeight)
+      .forEach(meta => {
+        const weightName = getKeras2WeightName(meta.weight_name);
+        weights[weightName] = this._createWeightTensor(meta);
+      });
+    return convertKeras2Weights(layerClass, layerConfig, weights);
+  }
+
+  /**
+   * Creates weight tensor from weights data, checking it against its metadata
+   * @param {Object} paramMetadata - weights metadata entry
    * @returns {Tensor}
    */
-  _mergeLayerCall(currentLayer, inboundLayers, copyBeforeCall) {
-    let inputs = inboundLayers.map(layer => layer.result);
-    const canRunInPipeline = inputs.every(x => x._fromPipeline);
+  _createWeightTensor(paramMetadata) {
+    const { layer_name: layerName, weight_name: weightName } = paramMetadata;
+    if (
+      paramMetadata.offset + getWeightsByteLength(paramMetadata) >
+        this.data.weights.byteLength
+    ) {
+      throw new MissingWeightError(
+        `[Model] weights data ends before weights ${weightName} of layer ${layerName}.`,
+        layerName,
+        weightName
+      );
+    }
+    const size = paramMetadata.shape.reduce((a, b) => a * b, 1);
+    if (size !== paramMetadata.length) {
+      throw new ShapeMismatchError(
+        `[Model] shape ${paramMetadata.shape} of weights ${weightName} of layer ${layerName} does not match length ${paramMetadata.length}.`,
+        [ paramMetadata.length ],
+        paramMetadata.shape
+      );
+    }
+
+    return new Tensor(
+      decodeWeights(this.data.weights, paramMetadata),
+      paramMetadata.shape
+    );
+  }
+
+  /**
+   * Runs .call() on Merge layer
+   * @param {Layer} currentLayer
+   * @param {string} node - key of DAG node
+   * @param {boolean} copyBeforeCall
+   * @param {boolean} [batch] - run .callBatch() on mini-batch inputs
+   * @returns {Tensor}
+   */
+  _mergeLayerCall(currentLayer, node, copyBeforeCall, batch = false) {
+    const inboundLayers = this.modelDAG[node].inbound.map(key =>
+      this._getNodeLayer(key));
+    let inputs = this._getInboundResults(node);
+    // hooks are passed regular tensors
+    const beforeHooks = this._getHooks(node, 'before');
+    const canRunInPipeline = inputs.every(x => x._fromPipeline) &&
+      !beforeHooks.length;
     if (!canRunInPipeline || !currentLayer._pipelineEnabled) {
       // If currentLayer is not pipeline enabled, then all inbound results
       // must first be converted from weblas tensors to regular tensors, if
@@ -400,19 +1301,31 @@ export default class Model {
       });
     }
 
-    return currentLayer.call(inputs);
+    inputs = this._applyHooks(beforeHooks, 'before', node, inputs, batch);
+    return batch ? currentLayer.callBatch(inputs) : currentLayer.call(inputs);
   }
 
   /**
    * Runs .call() on regular layer
    * @param {Layer} currentLayer
-   * @param {Layer} inboundLayer
+   * @param {string} node - key of DAG node
    * @param {boolean} copyBeforeCall
+   * @param {boolean} [batch] - run .callBatch() on mini-batch input
    * @returns {Tensor}
    */
-  _regularLayerCall(currentLayer, inboundLayer, copyBeforeCall) {
-    let inboundLayerResult = inboundLayer.result;
-    if (!inboundLayerResult._fromPipeline || !currentLayer._pipelineEnabled) {
+  _regularLayerCall(currentLayer, node, copyBeforeCall, batch = false) {
+    const inboundKey = this.modelDAG[node].inbound[0];
+    const inboundLayer = this._getNodeLayer(inboundKey);
+    // passed to layers which skip masked timesteps, e.g. recurrent layers
+    const inboundMask = this.nodeMasks[inboundKey] || null;
+    let [ inboundLayerResult ] = this._getInboundResults(node);
+    // hooks are passed regular tensors
+    const beforeHooks = this._getHooks(node, 'before');
+    if (
+      !inboundLayerResult._fromPipeline ||
+        !currentLayer._pipelineEnabled ||
+        beforeHooks.length
+    ) {
       // If currentLayer is not pipeline enabled or inbound layer result is not
       // from pipeline mode, then result must first be converted from a weblas
       // tensor to a regular tensor, if necessary.
@@ -440,68 +1353,744 @@ export default class Model {
       inboundLayerResult = xNew;
     }
 
-    return currentLayer.call(inboundLayerResult);
+    inboundLayerResult = this._applyHooks(
+      beforeHooks,
+      'before',
+      node,
+      inboundLayerResult,
+      batch
+    );
+    return batch
+      ? currentLayer.callBatch(inboundLayerResult, inboundMask)
+      : currentLayer.call(inboundLayerResult, inboundMask);
   }
 
   /**
-   * Async function for recursively traversing the DAG
-   * Graph object is stored in `this.modelDAG`, keyed by layer name.
-   * Layers are retrieved from Map object `this.modelLayersMap`.
+   * Layer of DAG node
+   * @param {string} key - key of DAG node
+   * @returns {Layer}
+   */
+  _getNodeLayer(key) {
+    return this.modelLayersMap.get(this.modelDAG[key].layerName);
+  }
+
+  /**
+   * Resets states of all stateful recurrent layers, including those of nested models,
+   * e.g. between independent sequences
+   */
+  resetStates() {
+    this.modelLayersMap.forEach(layer => {
+      if (layer.resetStates) {
+        layer.resetStates();
+      }
+    });
+  }
+
+  /**
+   * Gets states of all stateful layers, including those of nested models, e.g. to
+   * checkpoint them and later restore them with setStates()
+   * @returns {Object} - object where the keys are names of stateful layers, and values
+   *                   their states (see getState() of the layer), or for nested models
+   *                   with stateful layers, their states from getStates()
+   */
+  getStates() {
+    let states = {};
+    this.modelLayersMap.forEach((layer, layerName) => {
+      if (layer instanceof Model) {
+        const nestedStates = layer.getStates();
+        if (keys(nestedStates).length) {
+          states[layerName] = nestedStates;
+        }
+      } else if (layer.stateful) {
+        states[layerName] = layer.getState();
+      }
+    });
+    return states;
+  }
+
+  /**
+   * Sets states of stateful layers, including those of nested models, e.g. to
+   * restore them from getStates()
+   * @param {Object} states - object where the keys are names of stateful layers or
+   *                          nested models, and values their states
+   */
+  setStates(states) {
+    const layerNames = keys(states);
+    const invalidNames = layerNames.filter(layerName => {
+      const layer = this.modelLayersMap.get(layerName);
+      return !layer || !(layer instanceof Model || layer.stateful);
+    });
+    if (invalidNames.length) {
+      throw new Error(
+        `setStates() keys must be names of stateful layers of the model, not: ${invalidNames}.`
+      );
+    }
+    layerNames.forEach(layerName => {
+      const layer = this.modelLayersMap.get(layerName);
+      if (layer instanceof Model) {
+        layer.setStates(states[layerName]);
+      } else {
+        layer.setState(states[layerName]);
+      }
+    });
+  }
+
+  /**
+   * Generates a sequence token by token, e.g. characters from a char-RNN, by feeding
+   * each sampled token back into a model with stateful recurrent layers, so that
+   * each step only runs a single timestep. The model must take a single timestep
+   * of one input, either a token index (input shape [1], e.g. into an Embedding
+   * layer) or a one-hot vector (input shape [1, dim]), and output the probabilities
+   * of the next token, e.g. from a softmax. Generation continues from the current
+   * states (see resetStates). The seed tokens are fed in first, and each token
+   * sampled is fed back in except the last, so to continue generating, pass it as
+   * the seed of the next call.
    * @async
-   * @param {[]string} nodes - array of layer names
-   * @returns {Promise.<boolean>}
-   */
-  async _traverseDAG(nodes) {
-    if (nodes.length === 0) {
-      // Stopping criterion:
-      // an output node will have 0 outbound nodes.
-      return true;
-    } else if (nodes.length === 1) {
-      // Where computational logic lives for a given layer node
-      // - Makes sure results are available from inbound layer nodes
-      // - Keeps generator going until results are available from inbound layer nodes
-      //   (important for Merge layer nodes where multiple inbound nodes may
-      //    complete asynchronously)
-      // - Runs computation for current layer node: .call()
-      // - Starts new generator function for outbound nodes
-      const node = nodes[0];
-      const { layerClass, inbound, outbound } = this.modelDAG[node];
-      if (layerClass !== 'InputLayer') {
-        let currentLayer = this.modelLayersMap.get(node);
-        if (currentLayer.visited) {
-          return false;
+   * @param {number[]} seed - indices of tokens to start from, at least one
+   * @param {Object} options
+   * @param {number} options.length - number of tokens to generate, at least one
+   * @param {number} [options.temperature] - sampling temperature, with 0 always taking
+   *                                         the most likely token (see utils/sampling)
+   * @param {number} [options.topK] - if set, only sample from the k most likely tokens
+   * @param {Function} [options.random] - returns uniform random numbers in [0, 1), e.g.
+   *                                      a seeded generator, by default Math.random
+   * @param {Function} [options.onToken] - called with each token index as it is sampled,
+   *                                       and the probabilities it was sampled from
+   * @returns {Promise.<number[]>} indices of the generated tokens
+   */
+  async generate(seed, options = {}) {
+    const { length, onToken = null, ...sampleOptions } = options;
+    const inputNames = this._getInputNames();
+    if (inputNames.length !== 1 || this._getOutputs().length !== 1) {
+      throw new Error(
+        'generate() requires a model with one input and one output.'
+      );
+    }
+    if (!keys(this.getStates()).length) {
+      throw new Error(
+        'generate() requires a model with stateful recurrent layers.'
+      );
+    }
+    if (!Array.isArray(seed) || !seed.length) {
+      throw new Error('generate() must take a non-empty array of seed tokens.');
+    }
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error(
+        `generate() options.length must be a positive integer, not: ${length}.`
+      );
+    }
+
+    const [ inputName ] = inputNames;
+    const inputShape = this.inputTensors[inputName].tensor.shape;
+    let encode;
+    if (isEqual(inputShape, [ 1 ])) {
+      encode = token => new Float32Array([ token ]);
+    } else if (inputShape.length === 2 && inputShape[0] === 1) {
+      encode = token => {
+        let x = new Float32Array(inputShape[1]);
+        x[token] = 1;
+        return x;
+      };
+    } else {
+      throw new ShapeMismatchError(
+        `generate() requires a model taking a single timestep, of shape [1] for token indices, or [1, dim] for one-hot vectors, not: ${inputShape}.`,
+        null,
+        inputShape
+      );
+    }
+    const predictStep = async token => {
+      const outputData = await this.predict({ [inputName]: encode(token) });
+      return values(outputData)[0];
+    };
+
+    let probs;
+    for (let token of seed) {
+      probs = await predictStep(token);
+    }
+    let tokens = [];
+    for (let i = 0; i < length; i++) {
+      const token = sample(probs, sampleOptions);
+      tokens.push(token);
+      if (onToken) {
+        onToken(token, probs);
+      }
+      if (i < length - 1) {
+        probs = await predictStep(token);
+      }
+    }
+    return tokens;
+  }
+
+  /**
+   * Adds hook run around the calls of layers, e.g. to log, clamp, or replace their
+   * inputs or results. `before` is called with the input of each call, and `after`
+   * with its result, both with an object with keys `name` (DAG node key),
+   * `layerName`, `layerClass`, and `batch` (whether from predictBatch()). Inputs of
+   * Merge layers and nested models are arrays of Tensors. Either can modify the
+   * tensor in place, or return a Tensor to use in its place. Tensors are always
+   * transferred from weblas tensors first, if from pipeline mode. Layers within
+   * nested models are hooked through the nested model, in `modelLayersMap`.
+   * @param {string} layerNameOrClass - name of layer, including all of its nodes if
+   *                                    shared, or DAG node key, or layer class
+   * @param {Object} hook
+   * @param {Function} [hook.before] - called before each call of the layer
+   * @param {Function} [hook.after] - called after each call of the layer
+   * @returns {Function} removes the hook
+   */
+  addHook(layerNameOrClass, hook) {
+    const { before = null, after = null } = hook || {};
+    if (!before && !after) {
+      throw new Error('addHook() must take a before or after function.');
+    }
+    const isHooked = this.executionPlan.some(
+      ({ node, layerName, layerClass }) =>
+        layerClass !== 'InputLayer' &&
+          [ node, layerName, layerClass ].includes(layerNameOrClass)
+    );
+    if (!isHooked) {
+      throw new Error(
+        `addHook() must take the name or class of a layer of the model, not: ${layerNameOrClass}.`
+      );
+    }
+    const entry = { target: layerNameOrClass, before, after };
+    this.hooks.push(entry);
+    return () => {
+      pull(this.hooks, entry);
+    };
+  }
+
+  /**
+   * Hooks of DAG node with a function for the given stage
+   * @param {string} node - key of DAG node
+   * @param {string} stage - `before` or `after`
+   * @returns {Object[]}
+   */
+  _getHooks(node, stage) {
+    const { layerName, layerClass } = this.modelDAG[node];
+    return this.hooks.filter(
+      hook =>
+        hook[stage] && [ node, layerName, layerClass ].includes(hook.target)
+    );
+  }
+
+  /**
+   * Runs hooks on the input or result of a call of DAG node, each passed the tensor
+   * returned by the previous one, if any
+   * @param {Object[]} hooks
+   * @param {string} stage - `before` or `after`
+   * @param {string} node - key of DAG node
+   * @param {(Tensor|Tensor[])} x
+   * @param {boolean} batch
+   * @returns {(Tensor|Tensor[])}
+   */
+  _applyHooks(hooks, stage, node, x, batch) {
+    const { layerName, layerClass } = this.modelDAG[node];
+    const info = { name: node, layerName, layerClass, batch };
+    return hooks.reduce(
+      (x, hook) => {
+        const y = hook[stage](x, info);
+        if (y === undefined) {
+          return x;
+        }
+        const isValid = y instanceof Tensor ||
+          Array.isArray(y) && y.every(t => t instanceof Tensor);
+        if (!isValid) {
+          throw new Error(
+            `[Model] ${stage} hook of ${node} must return a Tensor, or nothing.`
+          );
         }
+        return y;
+      },
+      x
+    );
+  }
+
+  /**
+   * Runs after hooks on the result of DAG node, replacing it if they return a
+   * Tensor. Results from pipeline mode are first transferred from weblas tensors.
+   * @param {Layer} currentLayer
+   * @param {string} node - key of DAG node
+   * @param {boolean} batch
+   */
+  _runAfterHooks(currentLayer, node, batch) {
+    const hooks = this._getHooks(node, 'after');
+    if (!hooks.length) {
+      return;
+    }
+    let result = this.nodeResults[node];
+    if (result._fromPipeline) {
+      result = currentLayer.transferFromPipeline(result);
+    }
+    this.nodeResults[node] = this._applyHooks(
+      hooks,
+      'after',
+      node,
+      result,
+      batch
+    );
+  }
+
+  /**
+   * Results of inbound nodes of DAG node. The result of a nested model with more
+   * than one output is an array, indexed by tensor index.
+   * @param {string} node - key of DAG node
+   * @returns {Tensor[]}
+   */
+  _getInboundResults(node) {
+    const { inbound, tensorIndices } = this.modelDAG[node];
+    return inbound.map((key, i) => {
+      const result = this.nodeResults[key];
+      return Array.isArray(result) ? result[tensorIndices[i]] : result;
+    });
+  }
 
-        const inboundLayers = inbound.map(n => this.modelLayersMap.get(n));
-        if (!every(inboundLayers.map(layer => layer.hasResult))) {
-          return false;
+  /**
+   * Runs nested model on the results of the inbound nodes of its DAG node in the
+   * outer model
+   * @async
+   * @param {Model} currentModel - nested model
+   * @param {string} node - key of DAG node
+   * @param {boolean} [batch] - run on mini-batch inputs
+   * @returns {Promise.<(Tensor|Tensor[])>}
+   */
+  _nestedModelCall(currentModel, node, batch = false) {
+    const inboundLayers = this.modelDAG[node].inbound.map(key =>
+      this._getNodeLayer(key));
+    const inputs = this._getInboundResults(node).map(
+      (x, i) => x._fromPipeline ? inboundLayers[i].transferFromPipeline(x) : x
+    );
+    return currentModel._callNested(
+      this._applyHooks(
+        this._getHooks(node, 'before'),
+        'before',
+        node,
+        inputs,
+        batch
+      ),
+      batch
+    );
+  }
+
+  /**
+   * Compiles the DAG into an execution plan, with a step for each DAG node in
+   * topological order, i.e. after all of its inbound nodes. Of the nodes whose
+   * inbound nodes have all been scheduled, the one first added to the DAG, i.e.
+   * in model config order, is scheduled next, so that the order is deterministic.
+   * The `refCount` of each step is the number of times its result is consumed by
+   * other nodes.
+   * @returns {Object[]}
+   */
+  _compileExecutionPlan() {
+    const nodes = keys(this.modelDAG);
+
+    // stub nodes, only added as inbound nodes of other nodes
+    const undefinedNodes = nodes.filter(
+      node => !this.modelDAG[node].layerClass
+    );
+    if (undefinedNodes.length) {
+      throw new Error(
+        `[Model] inbound nodes not found in model config: ${undefinedNodes}.`
+      );
+    }
+
+    const order = {};
+    let inDegrees = {};
+    nodes.forEach((node, i) => {
+      order[node] = i;
+      inDegrees[node] = this.modelDAG[node].inbound.length;
+    });
+
+    let plan = [];
+    let ready = nodes.filter(node => inDegrees[node] === 0);
+    while (ready.length) {
+      const node = ready.shift();
+      const {
+        layerName,
+        layerClass,
+        inbound,
+        tensorIndices,
+        outbound
+      } = this.modelDAG[node];
+      plan.push({
+        node,
+        layerName,
+        layerClass,
+        inbound,
+        tensorIndices,
+        refCount: outbound.length
+      });
+      outbound.forEach(key => {
+        inDegrees[key] -= 1;
+        if (inDegrees[key] === 0) {
+          ready.splice(sortedIndexBy(ready, key, k => order[k]), 0, key);
         }
+      });
+    }
 
-        const numSiblingNodes = inbound
-          .map(n => this.modelDAG[n].outbound)
-          .reduce((num, outbound) => num + outbound.length, 0);
-        const copyBeforeCall = numSiblingNodes >= 1;
-        currentLayer.result = layerClass === 'Merge'
-          ? this._mergeLayerCall(currentLayer, inboundLayers, copyBeforeCall)
-          : this._regularLayerCall(
-            currentLayer,
-            inboundLayers[0],
-            copyBeforeCall
-          );
+    if (plan.length < nodes.length) {
+      const cycleNodes = nodes.filter(node => inDegrees[node] > 0);
+      throw new Error(`[Model] model graph has a cycle: ${cycleNodes}.`);
+    }
+    return plan;
+  }
+
+  /**
+   * Infers the output shape of each DAG node, following the execution plan from the
+   * shapes of the input layers, with `computeOutputShape()` of each layer throwing a
+   * ShapeMismatchError if its input shape is invalid. Output shapes are null where
+   * they depend on input dimensions of unspecified size. Also counts the weight
+   * parameters of each layer.
+   */
+  _inferShapes() {
+    let outputShapes = {};
+    this.executionPlan.forEach(step => {
+      const { node, layerClass, inbound, tensorIndices } = step;
+      const layer = this._getNodeLayer(node);
+      if (layerClass === 'InputLayer') {
+        outputShapes[node] = layer.shape.includes(null)
+          ? null
+          : layer.shape.slice();
+        return;
+      }
 
-        currentLayer.hasResult = true;
-        currentLayer.visited = true;
-        this.layersWithResults.push(currentLayer.name);
-        if (this.layerCallPauses) {
-          // temporarily pause 0 ms
-          // useful for allowing DOM operations and other simultaneously running functions on the main thread
-          await Promise.delay(0);
+      const inputShapes = inbound.map((key, i) =>
+        getTensorShape(outputShapes[key], tensorIndices[i]));
+      if (inputShapes.includes(null)) {
+        outputShapes[node] = null;
+      } else if (
+        layerClass === 'Merge' || NESTED_MODEL_CLASSES.includes(layerClass)
+      ) {
+        outputShapes[node] = layer.computeOutputShape(inputShapes);
+      } else {
+        outputShapes[node] = layer.computeOutputShape(inputShapes[0]);
+      }
+    });
+    this.outputShapes = outputShapes;
+
+    let paramCounts = {};
+    this.modelLayersMap.forEach((layer, layerName) => {
+      paramCounts[layerName] = layer.countParams();
+    });
+    this.paramCounts = paramCounts;
+  }
+
+  /**
+   * Infers which DAG nodes have masked results, following the execution plan, so
+   * that masks are only computed for those. As in Keras, layers which do not support
+   * masking throw if their input is masked. Masks are not passed into or out of
+   * nested models.
+   */
+  _inferMasks() {
+    let maskedNodes = [];
+    this.executionPlan.forEach(({ node, layerClass, inbound }) => {
+      if (layerClass === 'InputLayer') {
+        return;
+      }
+
+      const layer = this._getNodeLayer(node);
+      const inputMasked = inbound.map(key => maskedNodes.includes(key));
+      const isNested = NESTED_MODEL_CLASSES.includes(layerClass);
+      if (inputMasked.some(masked => masked)) {
+        if (isNested) {
+          throw new Error(
+            `[Model] nested model ${node} does not support masking, but its input is masked.`
+          );
+        } else if (!layer.supportsMasking) {
+          throw new Error(
+            `${layer.name} [${layerClass} layer] does not support masking, but its input is masked.`
+          );
         }
       }
-      await this._traverseDAG(outbound);
-    } else {
-      await Promise.all(nodes.map(node => this._traverseDAG([ node ])));
+
+      if (isNested) {
+        return;
+      }
+      const outputMasked = layerClass === 'Merge'
+        ? layer.hasOutputMask(inputMasked)
+        : layer.hasOutputMask(inputMasked[0]);
+      if (outputMasked) {
+        maskedNodes.push(node);
+      }
+    });
+    this.maskedNodes = maskedNodes;
+  }
+
+  /**
+   * Computes the mask of the result of DAG node, from the results of its inbound
+   * nodes and their masks. Since layers modify their input tensors in place, this is
+   * run before the layer call.
+   * @param {Layer} currentLayer
+   * @param {string} node - key of DAG node
+   * @returns {Tensor}
+   */
+  _computeNodeMask(currentLayer, node) {
+    const { inbound, layerClass } = this.modelDAG[node];
+    const masks = inbound.map(key => this.nodeMasks[key] || null);
+    const inputs = this._getInboundResults(node);
+    if (layerClass === 'Merge') {
+      // only needs the shapes of the inputs, which may be from pipeline mode
+      return currentLayer.computeMask(inputs, masks);
+    }
+
+    let [ x ] = inputs;
+    if (x._fromPipeline) {
+      x = this._getNodeLayer(inbound[0]).transferFromPipeline(x);
+    }
+    return currentLayer.computeMask(x, masks[0]);
+  }
+
+  /**
+   * Runs the steps of the execution plan for DAG nodes without results yet, with
+   * results stored in `this.nodeResults`, and masks of masked nodes in
+   * `this.nodeMasks`.
+   * Layers modify their input tensors in place, so inbound results are copied
+   * before each call if they are kept (see `keep`) or have other consumers still
+   * to run, and otherwise reused. Results which are not retained (see
+   * `retainResults`) are released as soon as their last consumer has run.
+   * Results of input layers are never reused or released, since they are the input
+   * tensors of the model, or for nested models, results of the outer model.
+   * @async
+   * @param {Object} [options]
+   * @param {boolean} [options.batch] - inputs are mini-batches, with the batch axis first
+   * @param {Object} [options.subgraph] - if set, only the DAG nodes which are keys of this
+   *                                      object are run (see _getSubgraph)
+   * @param {string[]} [options.keep] - keys of DAG nodes whose results are never released,
+   *                                    e.g. outputs
+   * @param {Function} [options.onResult] - called with the key of each DAG node as soon as
+   *                                        its result is computed
+   * @returns {Promise}
+   */
+  async _runPlan(options = {}) {
+    const {
+      batch = false,
+      subgraph = null,
+      keep = [],
+      onResult = null
+    } = options;
+    const steps = this.executionPlan.filter(
+      ({ node, layerClass }) =>
+        layerClass !== 'InputLayer' &&
+          !(node in this.nodeResults) &&
+          (!subgraph || subgraph[node])
+    );
+
+    // number of remaining steps consuming the result of each node
+    let refCounts = {};
+    steps.forEach(({ inbound }) => {
+      inbound.forEach(key => {
+        refCounts[key] = (refCounts[key] || 0) + 1;
+      });
+    });
+    const isKept = key =>
+      keep.includes(key) || this.modelDAG[key].layerClass === 'InputLayer';
+
+    for (let { node, layerName, layerClass, inbound } of steps) {
+      const currentLayer = this._getNodeLayer(node);
+      const copyBeforeCall = inbound.some(
+        key => isKept(key) || refCounts[key] > 1
+      );
+      // layers of nested models are recorded under the name of the nested model
+      const eventName = this.name ? `${this.name}/${node}` : node;
+      const eventArgs = { layerName, layerClass };
+      if (this.maskedNodes.includes(node)) {
+        this.nodeMasks[node] = this._computeNodeMask(currentLayer, node);
+      }
+      if (NESTED_MODEL_CLASSES.includes(layerClass)) {
+        this.nodeResults[node] = await this._measureAsync(
+          eventName,
+          'layer',
+          () => this._nestedModelCall(currentLayer, node, batch),
+          eventArgs
+        );
+      } else {
+        this.nodeResults[node] = this._measure(
+          eventName,
+          'layer',
+          () =>
+            this._callWithArena(
+              currentLayer,
+              node,
+              () =>
+                layerClass === 'Merge'
+                  ? this._mergeLayerCall(
+                    currentLayer,
+                    node,
+                    copyBeforeCall,
+                    batch
+                  )
+                  : this._regularLayerCall(
+                    currentLayer,
+                    node,
+                    copyBeforeCall,
+                    batch
+                  )
+            ),
+          eventArgs
+        );
+      }
+      this._runAfterHooks(currentLayer, node, batch);
+      this.layersWithResults.push(node);
+      if (onResult) {
+        onResult(node);
+      }
+
+      inbound.forEach(key => {
+        refCounts[key] -= 1;
+      });
+      const releasedNodes = uniq([ ...inbound, node ]).filter(
+        key =>
+          !this.retainResults &&
+            !isKept(key) &&
+            !refCounts[key] &&
+            key in this.nodeResults
+      );
+      releasedNodes.forEach(key => {
+        delete this.nodeResults[key];
+        delete this.nodeMasks[key];
+        pull(this.layersWithResults, key);
+      });
+      this._freeArenaBuffers(releasedNodes);
+
+      if (this.layerCallPauses) {
+        // temporarily pause 0 ms
+        // useful for allowing DOM operations and other simultaneously running functions on the main thread
+        await Promise.delay(0);
+      }
+    }
+  }
+
+  /**
+   * Runs function, recorded as an event by the profiler, if enabled
+   * @param {string} name
+   * @param {string} category
+   * @param {Function} fn
+   * @param {Object} [args] - any other info to record with the event
+   * @returns {*} return value of fn
+   */
+  _measure(name, category, fn, args) {
+    return this.profiler
+      ? this.profiler.measure(name, category, fn, args)
+      : fn();
+  }
+
+  /**
+   * Runs async function, recorded as an event by the profiler, if enabled
+   * @async
+   * @param {string} name
+   * @param {string} category
+   * @param {Function} fn - returns a Promise
+   * @param {Object} [args] - any other info to record with the event
+   * @returns {Promise} resolves to the result of fn
+   */
+  _measureAsync(name, category, fn, args) {
+    return this.profiler
+      ? this.profiler.measureAsync(name, category, fn, args)
+      : fn();
+  }
+
+  /**
+   * Runs layer call with the tensor arena active, if enabled. Buffers allocated
+   * during the call are then held by the layer if it refers to them, e.g. for the
+   * states of stateful RNNs, until a later call in which it no longer does, or by
+   * the result of the DAG node, and any others are freed for reuse.
+   * @param {Layer} currentLayer
+   * @param {string} node - key of DAG node
+   * @param {Function} call - runs the layer call, returning its result
+   * @returns {Tensor}
+   */
+  _callWithArena(currentLayer, node, call) {
+    if (!this.arena) {
+      return call();
+    }
+
+    let result;
+    let allocated;
+    this.arena.begin();
+    try {
+      result = call();
+    } finally {
+      allocated = this.arena.end();
+    }
+
+    const resultBuffers = getTensorBuffers(result);
+    const layerBuffers = getTensorBuffers(currentLayer);
+    const isHeld = buffer =>
+      layerBuffers.includes(buffer) || resultBuffers.includes(buffer);
+    const previousLayerBuffers = this._layerArenaBuffers[currentLayer.name] ||
+      [];
+    const buffers = [ ...previousLayerBuffers, ...allocated ];
+    this._layerArenaBuffers[currentLayer.name] = buffers.filter(buffer =>
+      layerBuffers.includes(buffer));
+    this._arenaBuffers[node] = buffers.filter(
+      buffer =>
+        !layerBuffers.includes(buffer) && resultBuffers.includes(buffer)
+    );
+    // buffers allocated during the call cannot be held by other results yet
+    this.arena.free(allocated.filter(buffer => !isHeld(buffer)));
+    this._freeBuffers(previousLayerBuffers.filter(buffer => !isHeld(buffer)));
+    return result;
+  }
+
+  /**
+   * Frees buffers from the arena held by the results of DAG nodes, once their
+   * results are released
+   * @param {string[]} nodes - keys of DAG nodes
+   */
+  _freeArenaBuffers(nodes) {
+    if (!this.arena) {
+      return;
+    }
+    const buffers = flatten(nodes.map(node => this._arenaBuffers[node] || []));
+    nodes.forEach(node => {
+      delete this._arenaBuffers[node];
+    });
+    this._freeBuffers(buffers);
+  }
+
+  /**
+   * Frees buffers back to the arena. Buffers still referred to by other results,
+   * e.g. of a Reshape layer which keeps the data of its input, are held by those
+   * instead.
+   * @param {Float32Array[]} buffers
+   */
+  _freeBuffers(buffers) {
+    if (!buffers.length) {
+      return;
     }
+    keys(this.nodeResults).forEach(node => {
+      const resultBuffers = getTensorBuffers(this.nodeResults[node]);
+      const heldBuffers = buffers.filter(buffer =>
+        resultBuffers.includes(buffer));
+      if (heldBuffers.length) {
+        this._arenaBuffers[node] = [
+          ...this._arenaBuffers[node] || [],
+          ...heldBuffers
+        ];
+        buffers = buffers.filter(buffer => !heldBuffers.includes(buffer));
+      }
+    });
+    this.arena.free(buffers);
+  }
+
+  /**
+   * Resets results of all DAG nodes before a call
+   */
+  _resetResults() {
+    this.layersWithResults = [];
+    this.nodeResults = {};
+    this.nodeMasks = {};
+    this._freeArenaBuffers(keys(this._arenaBuffers));
+  }
+
+  /**
+   * Flattened data of result tensor, copied if the arena is enabled, since its
+   * buffer is reused by later calls
+   * @param {Tensor} x
+   * @returns {Float32Array}
+   */
+  _getResultData(x) {
+    const data = getTensorData(x);
+    return this.arena ? data.slice() : data;
   }
 
   /**
@@ -509,72 +2098,568 @@ export default class Model {
    * @async
    * @param {Object} inputData - object where the keys are the named inputs of the model,
    *                             and values the TypedArray numeric data
+   * @param {Object} [options]
+   * @param {string[]} [options.outputs] - names of any other layers to include in outputData,
+   *                                       e.g. intermediate layers
+   * @param {string[]} [options.activations] - names of layers whose results are kept for
+   *                                           getActivations(), and passed to onActivation
+   * @param {Function} [options.onActivation] - called with the name and result Tensor of each
+   *                                            layer in `activations`, or of every layer if not
+   *                                            set, as soon as it is computed
    * @returns {Promise.<Object>} - outputData object where the keys are the named outputs
-   *                             of the model, and values the TypedArray numeric data
+   *                             of the model, in the order of the output layers, and
+   *                             values the TypedArray numeric data
    */
-  async predict(inputData) {
+  async predict(inputData, options = {}) {
+    const { outputs = [], activations = null, onActivation = null } = options;
     this.isRunning = true;
+    try {
+      const inputNames = this._getInputNames();
+      if (!isEqual(keys(inputData).sort(), inputNames.slice().sort())) {
+        throw new Error(
+          `predict() must take an object where the keys are the named inputs of the model: ${inputNames}.`
+        );
+      }
+      if (
+        !every(
+          inputNames,
+          inputName => inputData[inputName] instanceof Float32Array
+        )
+      ) {
+        throw new Error(
+          'predict() must take an object where the values are the flattened data as Float32Array.'
+        );
+      }
+      this._checkNodeNames('predict', 'outputs', outputs);
+      this._checkNodeNames('predict', 'activations', activations || []);
 
-    const inputNames = keys(this.inputTensors).sort();
-    if (!isEqual(keys(inputData).sort(), inputNames)) {
+      this._resetResults();
+
+      // load data to input tensors
+      inputNames.forEach(inputName => {
+        let inputLayer = this.modelLayersMap.get(inputName);
+        this.inputTensors[inputName].replaceTensorData(inputData[inputName]);
+        this.nodeResults[inputName] = inputLayer.call(
+          this.inputTensors[inputName]
+        );
+      });
+
+      await this._measureAsync('predict', 'model', () =>
+        this._runPlan({
+          keep: [ ...this._getOutputNodes(), ...outputs, ...activations || [] ],
+          onResult: this._getActivationCallback(activations, onActivation)
+        }));
+
+      const outputData = this._getOutputData(outputs, x =>
+        this._getResultData(x));
+      return outputData;
+    } finally {
       this.isRunning = false;
+    }
+  }
+
+  /**
+   * Predict on a mini-batch of samples
+   * Each layer is run once on the whole mini-batch through .callBatch(), so that
+   * layers such as Dense and Convolution2D compute all samples with a single matrix
+   * multiply.
+   * @async
+   * @param {Object} inputData - object where the keys are the named inputs of the model,
+   *                             and values arrays of TypedArray numeric data, one per sample
+   * @param {Object} [options]
+   * @param {string[]} [options.outputs] - names of any other layers to include in outputData,
+   *                                       e.g. intermediate layers
+   * @param {string[]} [options.activations] - names of layers whose results are kept for
+   *                                           getActivations(), and passed to onActivation
+   * @param {Function} [options.onActivation] - called with the name and result Tensor of each
+   *                                            layer in `activations`, or of every layer if not
+   *                                            set, as soon as it is computed
+   * @returns {Promise.<Object>} - outputData object where the keys are the named outputs
+   *                             of the model, in the order of the output layers, and
+   *                             values arrays of TypedArray numeric data, one per sample
+   */
+  async predictBatch(inputData, options = {}) {
+    const { outputs = [], activations = null, onActivation = null } = options;
+    this.isRunning = true;
+    try {
+      const inputNames = this._getInputNames();
+      if (!isEqual(keys(inputData).sort(), inputNames.slice().sort())) {
+        throw new Error(
+          `predictBatch() must take an object where the keys are the named inputs of the model: ${inputNames}.`
+        );
+      }
+      if (
+        !every(
+          inputNames,
+          inputName =>
+            Array.isArray(inputData[inputName]) &&
+              every(inputData[inputName], x => x instanceof Float32Array)
+        )
+      ) {
+        throw new Error(
+          'predictBatch() must take an object where the values are arrays of the flattened data of each sample as Float32Array.'
+        );
+      }
+      const batchSize = inputData[inputNames[0]].length;
+      if (
+        batchSize === 0 ||
+          !every(
+            inputNames,
+            inputName => inputData[inputName].length === batchSize
+          )
+      ) {
+        throw new Error(
+          'predictBatch() must take the same non-zero number of samples for every input.'
+        );
+      }
+      inputNames.forEach(inputName => {
+        const sampleShape = this.inputTensors[inputName].tensor.shape;
+        const sampleSize = sampleShape.reduce((a, b) => a * b, 1);
+        const n = findIndex(
+          inputData[inputName],
+          sampleData => sampleData.length !== sampleSize
+        );
+        if (n !== -1) {
+          throw new ShapeMismatchError(
+            `predictBatch() sample ${n} of input ${inputName} has length ${inputData[inputName][n].length}, which does not match input shape ${sampleShape}.`,
+            sampleShape,
+            [ inputData[inputName][n].length ]
+          );
+        }
+      });
+      this._checkNodeNames('predictBatch', 'outputs', outputs);
+      this._checkNodeNames('predictBatch', 'activations', activations || []);
+
+      this._resetResults();
+
+      // load data to batched input tensors
+      inputNames.forEach(inputName => {
+        let inputLayer = this.modelLayersMap.get(inputName);
+        const sampleShape = this.inputTensors[inputName].tensor.shape;
+        let x = new Tensor([], [ batchSize, ...sampleShape ]);
+        const sampleSize = x.tensor.size / batchSize;
+        inputData[inputName].forEach((sampleData, n) => {
+          x.tensor.data.set(sampleData, n * sampleSize);
+        });
+        this.nodeResults[inputName] = inputLayer.callBatch(x);
+      });
+
+      await this._measureAsync('predictBatch', 'model', () =>
+        this._runPlan({
+          batch: true,
+          keep: [ ...this._getOutputNodes(), ...outputs, ...activations || [] ],
+          onResult: this._getActivationCallback(activations, onActivation)
+        }));
+
+      // split batched results of output layers into samples
+      const outputData = this._getOutputData(outputs, result => {
+        const sampleShape = result.tensor.shape.slice(1);
+        return range(batchSize).map(n => {
+          let sample = new Tensor([], sampleShape);
+          ops.assign(
+            sample.tensor,
+            result.tensor.pick(n, ...sampleShape.map(s => null))
+          );
+          return sample.tensor.data;
+        });
+      });
+      return outputData;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Predict, running only the part of the model needed to compute the targets from
+   * the start tensors
+   * Start tensors can be given for any layer, not just input layers, e.g. to run
+   * the decoder of an autoencoder from its latent input. Other layers are not run,
+   * and so have no results in `nodeResults`.
+   * @async
+   * @param {Object} startData - object where the keys are names of layers of the model,
+   *                             and values the TypedArray numeric data for input
+   *                             layers, or Tensors for any layer
+   * @param {string[]} [targets] - names of layers to compute, by default the outputs
+   *                               of the model
+   * @param {Object} [options]
+   * @param {string[]} [options.activations] - names of layers whose results are kept for
+   *                                           getActivations(), and passed to onActivation
+   * @param {Function} [options.onActivation] - called with the name and result Tensor of each
+   *                                            layer in `activations`, or of every layer if not
+   *                                            set, as soon as it is computed
+   * @returns {Promise.<Object>} - outputData object where the keys are the targets, or
+   *                             the named outputs of the model as for predict(), and
+   *                             values the TypedArray numeric data
+   */
+  async predictSubgraph(startData, targets = null, options = {}) {
+    const { activations = null, onActivation = null } = options;
+    this.isRunning = true;
+    try {
+      const startNodes = keys(startData);
+      const targetNodes = targets || this._getOutputNodes();
+      this._checkNodeNames('predictSubgraph', 'start tensors', startNodes);
+      this._checkNodeNames('predictSubgraph', 'targets', targetNodes);
+      this._checkNodeNames('predictSubgraph', 'activations', activations || []);
+      const invalidStartNodes = startNodes.filter(node => {
+        const x = startData[node];
+        return !(x instanceof Tensor) &&
+          !(x instanceof Float32Array && node in this.inputTensors);
+      });
+      if (invalidStartNodes.length) {
+        throw new Error(
+          `predictSubgraph() start tensors must be Tensors, or Float32Array for input layers: ${invalidStartNodes}.`
+        );
+      }
+      const subgraph = this._getSubgraph(startNodes, targetNodes);
+
+      this._resetResults();
+
+      // load data to start tensors, copying Tensors so that they are not
+      // modified by layers which operate in place
+      startNodes.forEach(node => {
+        let x = startData[node];
+        if (x instanceof Tensor) {
+          x = new Tensor(getTensorData(x), x.tensor.shape);
+        } else {
+          this.inputTensors[node].replaceTensorData(x);
+          x = this.inputTensors[node];
+        }
+        this.nodeResults[node] = node in this.inputTensors
+          ? this.modelLayersMap.get(node).call(x)
+          : x;
+      });
+
+      await this._measureAsync('predictSubgraph', 'model', () =>
+        this._runPlan({
+          subgraph,
+          keep: [ ...targetNodes, ...activations || [] ],
+          onResult: this._getActivationCallback(activations, onActivation)
+        }));
+
+      let outputData = {};
+      if (targets) {
+        targets.forEach(node => {
+          outputData[node] = this._getResultData(this._getNodeResult(node));
+        });
+      } else {
+        outputData = this._getOutputData([], x => this._getResultData(x));
+      }
+      return outputData;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * DAG nodes which need to be run to compute the targets from the start nodes,
+   * found by walking back along the inbound nodes of the targets
+   * @param {string[]} startNodes - keys of DAG nodes whose results are given
+   * @param {string[]} targets - keys of DAG nodes to compute
+   * @returns {Object} - object where the keys are the DAG nodes to run
+   */
+  _getSubgraph(startNodes, targets) {
+    let subgraph = {};
+    let missingNodes = [];
+    let stack = targets.filter(node => !startNodes.includes(node));
+    while (stack.length) {
+      const node = stack.pop();
+      if (subgraph[node]) {
+        continue;
+      }
+      const { inbound } = this.modelDAG[node];
+      if (!inbound.length) {
+        // input layer with no start tensor
+        missingNodes.push(node);
+        continue;
+      }
+      subgraph[node] = true;
+      inbound.forEach(n => {
+        if (!startNodes.includes(n) && !subgraph[n]) {
+          stack.push(n);
+        }
+      });
+    }
+    if (missingNodes.length) {
       throw new Error(
-        `predict() must take an object where the keys are the named inputs of the model: ${inputNames}.`
+        `predictSubgraph() targets depend on layers with no start tensor: ${uniq(missingNodes)}.`
       );
     }
-    if (
-      !every(
-        inputNames,
-        inputName => inputData[inputName] instanceof Float32Array
-      )
-    ) {
-      this.isRunning = false;
+    return subgraph;
+  }
+
+  /**
+   * Results of layers from the last call, e.g. to visualize intermediate activations,
+   * as plain Tensors which are copies of the results, transferred from weblas tensors
+   * if from pipeline mode. Results of layers which are not retained (see
+   * `retainResults`) are only available if they were passed as the `activations`
+   * option of the call. Results of predictBatch() have the batch axis first.
+   * @param {string[]} [names] - names of layers, by default all layers with results
+   * @returns {Object} - object where the keys are the names of the layers, and values
+   *                   their result Tensors, or arrays of Tensors for nested models
+   *                   with more than one output
+   */
+  getActivations(names = this.layersWithResults) {
+    this._checkNodeNames('getActivations', 'names', names);
+    const missingNodes = names.filter(node => !(node in this.nodeResults));
+    if (missingNodes.length) {
       throw new Error(
-        'predict() must take an object where the values are the flattened data as Float32Array.'
+        `getActivations() layers have no results from the last call: ${missingNodes}.`
       );
     }
+    let activations = {};
+    names.forEach(node => {
+      activations[node] = this._getActivation(node);
+    });
+    return activations;
+  }
 
-    // reset hasResult and visited flags in all layers
-    this.layersWithResults = [];
-    for (let layer of this.modelLayersMap.values()) {
-      layer.hasResult = false;
-      layer.visited = false;
+  /**
+   * Copy of the result of DAG node, as a plain Tensor (see getActivations)
+   * @param {string} node - key of DAG node
+   * @returns {(Tensor|Tensor[])}
+   */
+  _getActivation(node) {
+    const copy = x => new Tensor(getTensorData(x), x.tensor.shape);
+    const result = this.nodeResults[node];
+    if (Array.isArray(result)) {
+      return result.map((x, i) => copy(this._getNodeResult(node, i)));
     }
+    return copy(this._getNodeResult(node));
+  }
 
-    // load data to input tensors
-    inputNames.forEach(inputName => {
-      let inputLayer = this.modelLayersMap.get(inputName);
-      this.inputTensors[inputName].replaceTensorData(inputData[inputName]);
-      inputLayer.result = inputLayer.call(this.inputTensors[inputName]);
-      inputLayer.hasResult = true;
-      inputLayer.visited = true;
+  /**
+   * Callback for the results of DAG nodes as they are computed (see _runPlan),
+   * passing those of the `activations` option to onActivation
+   * @param {string[]} activations - keys of DAG nodes, or null for all
+   * @param {Function} onActivation
+   * @returns {Function}
+   */
+  _getActivationCallback(activations, onActivation) {
+    if (!onActivation) {
+      return null;
+    }
+    return node => {
+      if (!activations || activations.includes(node)) {
+        onActivation(node, this._getActivation(node));
+      }
+    };
+  }
+
+  /**
+   * Runs model nested in an outer model as a layer, with the given tensors as the
+   * results of its input layers. Calls are queued, since a nested model shared
+   * between nodes of the outer model holds the results of one call at a time.
+   * @async
+   * @param {Tensor[]} inputs - in the order of the input layers in the model config
+   * @param {boolean} [batch] - inputs are mini-batches, with the batch axis first
+   * @returns {Promise.<(Tensor|Tensor[])>} output, or array of outputs in the order of
+   *                                        the output layers if there is more than one
+   */
+  _callNested(inputs, batch = false) {
+    const inputNames = this._getInputNames();
+    const call = async () => {
+      this._resetResults();
+      inputNames.forEach((inputName, i) => {
+        const inputLayer = this.modelLayersMap.get(inputName);
+        this.nodeResults[inputName] = batch
+          ? inputLayer.callBatch(inputs[i])
+          : inputLayer.call(inputs[i]);
+      });
+
+      await this._runPlan({ batch, keep: this._getOutputNodes() });
+
+      const results = this._getOutputs().map(([ node, tensorIndex ]) =>
+        this._getNodeResult(node, tensorIndex));
+      return results.length === 1 ? results[0] : results;
+    };
+    this._nestedCall = this._nestedCall.then(call, call);
+    return this._nestedCall;
+  }
+
+  /**
+   * Output shape of model nested in an outer model as a layer, for the shapes of its
+   * inbound tensors, which must match the shapes of its input layers
+   * @param {number[][]} inputShapes - in the order of the input layers in the model config
+   * @returns {(number[]|number[][])} output shape, or array of output shapes in the
+   *                                  order of the output layers if there is more than one,
+   *                                  or null if they depend on input dimensions of
+   *                                  unspecified size
+   */
+  computeOutputShape(inputShapes) {
+    this._getInputNames().forEach((inputName, i) => {
+      this.modelLayersMap.get(inputName).computeOutputShape(inputShapes[i]);
     });
+    const shapes = this._getOutputs().map(([ node, tensorIndex ]) =>
+      getTensorShape(this.outputShapes[node], tensorIndex));
+    if (shapes.includes(null)) {
+      return null;
+    }
+    return shapes.length === 1 ? shapes[0] : shapes;
+  }
 
-    // start traversing DAG at input
-    await this._traverseDAG(inputNames);
+  /**
+   * Number of weight parameters of the model, i.e. of all of its layers
+   * @returns {number}
+   */
+  countParams() {
+    return sum(values(this.paramCounts));
+  }
 
-    // outputs are layers with no outbound nodes
-    const modelClass = this.data.model.class_name;
+  /**
+   * Structured summary of the model architecture, with an entry for each DAG node in
+   * the order they are run, e.g. to derive architecture diagrams from. Each entry has
+   * the node key (`name`), layer name and class, keys of inbound nodes, output shape
+   * (see `outputShapes`), number of weight parameters, and whether the layer runs on
+   * GPU, and in pipeline mode. Params of shared layers are only counted for their
+   * first node, so that they add up to `totalParams`.
+   * @returns {Object} with keys `name`, `modelClass`, `layers`, and `totalParams`
+   */
+  summary() {
+    const { class_name: modelClass, config } = this.data.model;
+    let counted = new Set();
+    const layers = this.executionPlan.map(step => {
+      const { node, layerName, layerClass, inbound } = step;
+      const layer = this.modelLayersMap.get(layerName);
+      const params = counted.has(layerName) ? 0 : this.paramCounts[layerName];
+      counted.add(layerName);
+      return {
+        name: node,
+        layerName,
+        className: layerClass,
+        inbound: inbound.slice(),
+        outputShape: this.outputShapes[node],
+        params,
+        gpu: !!layer.gpu,
+        pipeline: !!layer._pipelineEnabled
+      };
+    });
+    return {
+      name: this.name || config.name || null,
+      modelClass,
+      layers,
+      totalParams: this.countParams()
+    };
+  }
+
+  /**
+   * Exports the model summary (see summary), as JSON, or as a Graphviz DOT graph
+   * @param {string} [format] - `json` or `dot`
+   * @returns {string}
+   */
+  exportArchitecture(format = 'json') {
+    if (format === 'json') {
+      return JSON.stringify(this.summary(), null, 2);
+    } else if (format === 'dot') {
+      return summaryToDot(this.summary());
+    }
+    throw new Error(
+      `[Model] architecture export format must be json or dot, not: ${format}.`
+    );
+  }
+
+  /**
+   * Names of the input layers of the model, in the order of the input layers in
+   * the model config: for Sequential models the single input is always named `input`.
+   * @returns {string[]}
+   */
+  _getInputNames() {
+    const { class_name: modelClass, config } = this.data.model;
     if (modelClass === 'Sequential') {
-      const outputLayer = find(
-        values(this.modelDAG),
-        node => !node.outbound.length
-      );
-      const { result } = this.modelLayersMap.get(outputLayer.name);
-      const outputData = { output: result.tensor.data };
-      this.isRunning = false;
-      return outputData;
-    } else if (modelClass === 'Model') {
-      const outputLayers = values(this.modelDAG).filter(
-        node => !node.outbound.length
+      return [ 'input' ];
+    }
+    return config.input_layers.map(([ layerName ]) => layerName);
+  }
+
+  /**
+   * Outputs of the model, as `[DAG node key, tensor index]` arrays, in the order of
+   * the output layers in the model config. For Sequential models, the single output
+   * is the last layer.
+   * @returns {Array[]}
+   */
+  _getOutputs() {
+    const { class_name: modelClass, config } = this.data.model;
+    if (modelClass === 'Sequential') {
+      return [ [ getLayerName(config[config.length - 1]), 0 ] ];
+    }
+    return config.output_layers.map(
+      ([ layerName, nodeIndex, tensorIndex = 0 ]) => [
+        getNodeKey(layerName, nodeIndex),
+        tensorIndex
+      ]
+    );
+  }
+
+  /**
+   * Keys of the output DAG nodes of the model
+   * @returns {string[]}
+   */
+  _getOutputNodes() {
+    return this._getOutputs().map(([ node ]) => node);
+  }
+
+  /**
+   * Result of DAG node from the last call, transferred from a weblas tensor if from
+   * pipeline mode
+   * @param {string} node - key of DAG node
+   * @param {number} [tensorIndex] - index of output tensor, for nested models with
+   *                                 more than one output
+   * @returns {Tensor}
+   */
+  _getNodeResult(node, tensorIndex = 0) {
+    let result = this.nodeResults[node];
+    if (Array.isArray(result)) {
+      result = result[tensorIndex];
+    }
+    return result._fromPipeline
+      ? this._getNodeLayer(node).transferFromPipeline(result)
+      : result;
+  }
+
+  /**
+   * Checks names of DAG nodes passed to predict(), predictBatch(), or
+   * predictSubgraph(), which can be any layer name or DAG node key (see getNodeKey)
+   * @param {string} method - name of method, for the error message
+   * @param {string} argName - name of argument, for the error message
+   * @param {string[]} nodes
+   */
+  _checkNodeNames(method, argName, nodes) {
+    const unknownNodes = nodes.filter(node => !(node in this.modelDAG));
+    if (unknownNodes.length) {
+      throw new Error(
+        `${method}() ${argName} must be names of layers of the model, not: ${unknownNodes}.`
       );
-      let outputData = {};
-      outputLayers.forEach(layer => {
-        const { result } = this.modelLayersMap.get(layer.name);
-        outputData[layer.name] = result.tensor.data;
-      });
-      this.isRunning = false;
-      return outputData;
     }
   }
+
+  /**
+   * Builds outputData from the results of the model outputs, followed by any extra
+   * outputs requested
+   * @param {string[]} outputs - names of extra outputs
+   * @param {Function} getData - returns output data of result tensor
+   * @returns {Object}
+   */
+  _getOutputData(outputs, getData) {
+    let outputData = {};
+    this._getOutputs().forEach(([ node, tensorIndex ]) => {
+      outputData[this._getOutputName(node)] = getData(
+        this._getNodeResult(node, tensorIndex)
+      );
+    });
+    outputs.forEach(node => {
+      outputData[node] = getData(this._getNodeResult(node));
+    });
+    return outputData;
+  }
+
+  /**
+   * Key of an output node in outputData: for Sequential models the single output
+   * is always named `output`, and otherwise it is the node key, which is the layer
+   * name unless the layer is shared (see getNodeKey).
+   * @param {string} node - key of DAG node
+   * @returns {string}
+   */
+  _getOutputName(node) {
+    const modelClass = this.data.model.class_name;
+    return modelClass === 'Sequential' ? 'output' : node;
+  }
 }
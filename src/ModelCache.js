@@ -0,0 +1,290 @@
+import Promise from 'bluebird';
+import sum from 'lodash/sum';
+import values from 'lodash/values';
+import sortBy from 'lodash/sortBy';
+
+const DB_VERSION = 1;
+// entry info (key, version, byte length, last accessed time) is stored separately
+// from the model data, so that entries can be listed without reading the data
+const ENTRIES_STORE = 'entries';
+const DATA_STORE = 'data';
+
+/**
+ * Wraps an IDBRequest in a Promise
+ * @param {IDBRequest} request
+ * @returns {Promise}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wraps an IDBTransaction in a Promise, which resolves when it completes
+ * @param {IDBTransaction} transaction
+ * @returns {Promise}
+ */
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(
+        transaction.error || new Error('[ModelCache] transaction aborted.')
+      );
+  });
+}
+
+/**
+ * Whether an error is from exceeding the storage quota, by its name in browsers
+ * other than Firefox, or in Firefox
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isQuotaExceededError(err) {
+  return !!err &&
+    (err.name === 'QuotaExceededError' ||
+      err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Byte length of model data: ArrayBuffers by their byte length, and json objects
+ * by the length of their serialization.
+ * @param {Object} data - model data object, keyed by type
+ * @returns {number}
+ */
+function getByteLength(data) {
+  return sum(
+    values(data).map(
+      value =>
+        value instanceof ArrayBuffer
+          ? value.byteLength
+          : JSON.stringify(value).length
+    )
+  );
+}
+
+/**
+ * ModelCache class
+ * Persistent cache of model data (model architecture config, weights, and weights
+ * metadata, or bundle, or HDF5 file) in IndexedDB, stored under a key and version.
+ * Entries are evicted least recently used first, when over `maxBytes` or when the
+ * storage quota is exceeded.
+ */
+export default class ModelCache {
+  /**
+   * Creates a model cache
+   * @param {Object} [options]
+   * @param {string} [options.name] - IndexedDB database name
+   * @param {number} [options.maxBytes] - maximum total byte length of cached model data
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation, e.g., an in-memory shim
+   *                                           where IndexedDB is not available
+   */
+  constructor(options = {}) {
+    const {
+      name = 'keras-js',
+      maxBytes = Infinity,
+      // global in both windows and Web Workers
+      indexedDB = typeof self !== 'undefined' ? self.indexedDB : null
+    } = options;
+
+    if (!indexedDB) {
+      throw new Error('[ModelCache] IndexedDB is not available.');
+    }
+
+    this.name = name;
+    this.maxBytes = maxBytes;
+    this.indexedDB = indexedDB;
+
+    this._db = null;
+  }
+
+  /**
+   * Opens database, creating object stores if necessary
+   * @returns {Promise} resolves to IDBDatabase
+   */
+  _open() {
+    if (!this._db) {
+      const request = this.indexedDB.open(this.name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(ENTRIES_STORE, { keyPath: 'key' });
+        db.createObjectStore(DATA_STORE);
+      };
+      this._db = requestToPromise(request);
+    }
+    return this._db;
+  }
+
+  /**
+   * Lists cached entries
+   * @returns {Promise} resolves to array of objects with keys `key`, `version`,
+   *                    `byteLength`, and `lastAccessed`
+   */
+  entries() {
+    return this._open().then(db => {
+      const transaction = db.transaction(ENTRIES_STORE, 'readonly');
+      return requestToPromise(transaction.objectStore(ENTRIES_STORE).getAll());
+    });
+  }
+
+  /**
+   * Gets cached model data
+   * Entries stored under a different version are stale, and are deleted.
+   * @param {string} key
+   * @param {(string|number)} version
+   * @returns {Promise} resolves to model data object, keyed by type, or null if not cached
+   */
+  get(key, version) {
+    return this._open().then(db => {
+      const transaction = db.transaction(
+        [ ENTRIES_STORE, DATA_STORE ],
+        'readwrite'
+      );
+      const entries = transaction.objectStore(ENTRIES_STORE);
+      const data = transaction.objectStore(DATA_STORE);
+      // requests are chained with callbacks rather than Promises, since the
+      // transaction commits as soon as it has no pending requests
+      let result = null;
+      entries.get(key).onsuccess = e => {
+        const entry = e.target.result;
+        if (!entry) {
+          return;
+        }
+        if (entry.version !== version) {
+          entries.delete(key);
+          data.delete(key);
+          return;
+        }
+        entry.lastAccessed = Date.now();
+        entries.put(entry);
+        data.get(key).onsuccess = e => {
+          result = e.target.result || null;
+        };
+      };
+      return transactionToPromise(transaction).then(() => result);
+    });
+  }
+
+  /**
+   * Stores model data
+   * Least recently used entries are evicted to stay within `maxBytes`, and when the
+   * storage quota is exceeded, in which case the write is retried until there are no
+   * more entries to evict.
+   * @param {string} key
+   * @param {(string|number)} version
+   * @param {Object} modelData - model data object, keyed by type
+   * @returns {Promise} resolves to true if stored, false if it could not fit
+   */
+  set(key, version, modelData) {
+    const byteLength = getByteLength(modelData);
+    if (byteLength > this.maxBytes) {
+      return Promise.resolve(false);
+    }
+
+    const write = () =>
+      this._open().then(db => {
+        const transaction = db.transaction(
+          [ ENTRIES_STORE, DATA_STORE ],
+          'readwrite'
+        );
+        transaction
+          .objectStore(ENTRIES_STORE)
+          .put({ key, version, byteLength, lastAccessed: Date.now() });
+        transaction.objectStore(DATA_STORE).put(modelData, key);
+        return transactionToPromise(transaction);
+      });
+
+    const writeWithEviction = () =>
+      write().then(() => true).catch(err => {
+        if (!isQuotaExceededError(err)) {
+          throw err;
+        }
+        return this._evictLeastRecentlyUsed(key).then(
+          evicted => evicted ? writeWithEviction() : false
+        );
+      });
+
+    return this._evictToFit(key, byteLength).then(writeWithEviction);
+  }
+
+  /**
+   * Evicts least recently used entries until there is room for `byteLength` bytes
+   * within `maxBytes`
+   * @param {string} key - key being written, which is not evicted
+   * @param {number} byteLength
+   * @returns {Promise}
+   */
+  _evictToFit(key, byteLength) {
+    if (this.maxBytes === Infinity) {
+      return Promise.resolve();
+    }
+    return this.entries().then(entries => {
+      const others = sortBy(
+        entries.filter(entry => entry.key !== key),
+        'lastAccessed'
+      );
+      let total = sum(others.map(entry => entry.byteLength)) + byteLength;
+      let evictions = [];
+      while (total > this.maxBytes && others.length) {
+        const entry = others.shift();
+        total -= entry.byteLength;
+        evictions.push(this.delete(entry.key));
+      }
+      return Promise.all(evictions);
+    });
+  }
+
+  /**
+   * Evicts the least recently used entry
+   * @param {string} key - key being written, which is not evicted
+   * @returns {Promise} resolves to true if an entry was evicted
+   */
+  _evictLeastRecentlyUsed(key) {
+    return this.entries().then(entries => {
+      const others = sortBy(
+        entries.filter(entry => entry.key !== key),
+        'lastAccessed'
+      );
+      if (!others.length) {
+        return false;
+      }
+      return this.delete(others[0].key).then(() => true);
+    });
+  }
+
+  /**
+   * Deletes cached model data
+   * @param {string} key
+   * @returns {Promise}
+   */
+  delete(key) {
+    return this._open().then(db => {
+      const transaction = db.transaction(
+        [ ENTRIES_STORE, DATA_STORE ],
+        'readwrite'
+      );
+      transaction.objectStore(ENTRIES_STORE).delete(key);
+      transaction.objectStore(DATA_STORE).delete(key);
+      return transactionToPromise(transaction);
+    });
+  }
+
+  /**
+   * Deletes all cached model data
+   * @returns {Promise}
+   */
+  clear() {
+    return this._open().then(db => {
+      const transaction = db.transaction(
+        [ ENTRIES_STORE, DATA_STORE ],
+        'readwrite'
+      );
+      transaction.objectStore(ENTRIES_STORE).clear();
+      transaction.objectStore(DATA_STORE).clear();
+      return transactionToPromise(transaction);
+    });
+  }
+}
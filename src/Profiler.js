@@ -0,0 +1,206 @@
+import sortBy from 'lodash/sortBy';
+
+// profiler recording into the event of the current layer call, if any: like the
+// tensor arena, it is only active during layer calls, which are synchronous, so it
+// is never left active for another model
+let activeProfiler = null;
+
+/**
+ * Current time in milliseconds, with sub-millisecond resolution where available
+ * @returns {number}
+ */
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Profiler recording the current layer call, if any
+ * @returns {Profiler}
+ */
+export function getActiveProfiler() {
+  return activeProfiler;
+}
+
+/**
+ * Runs function, timed as an event of the active profiler if there is one, e.g.
+ * transfers from weblas tensors during a layer call
+ * @param {string} name
+ * @param {string} category
+ * @param {Function} fn
+ * @returns {*} return value of fn
+ */
+export function profile(name, category, fn) {
+  return activeProfiler ? activeProfiler.measure(name, category, fn) : fn();
+}
+
+/**
+ * Records bytes of tensor data allocated, for the active profiler if there is one
+ * @param {number} bytes
+ */
+export function recordAllocation(bytes) {
+  if (activeProfiler) {
+    activeProfiler._stack[activeProfiler._stack.length - 1].bytes += bytes;
+  }
+}
+
+/**
+ * Profiler class
+ * Records the wall time of layer calls, and within them, of transfers from weblas
+ * tensors (`transferFromPipeline`) and creation of weblas tensors
+ * (`createWeblasTensor`), along with the bytes of tensor data allocated by each.
+ * Events are kept across calls until clear(), and can be summarized per layer with
+ * report(), or exported in the Chrome trace event format with exportTrace().
+ */
+export default class Profiler {
+  /**
+   * Creates a profiler
+   */
+  constructor() {
+    // time origin of event timestamps
+    this._origin = now();
+    // frames of events being measured, innermost last
+    this._stack = [];
+    this.events = [];
+  }
+
+  /**
+   * Runs function synchronously, with the profiler active, and records it as an
+   * event. Times of the events within it are also added to its `childTimes`, by
+   * category.
+   * @param {string} name
+   * @param {string} category
+   * @param {Function} fn
+   * @param {Object} [args] - any other info to record with the event
+   * @returns {*} return value of fn
+   */
+  measure(name, category, fn, args = {}) {
+    const previousProfiler = activeProfiler;
+    activeProfiler = this;
+    const frame = { start: now(), bytes: 0, childTimes: {} };
+    this._stack.push(frame);
+    try {
+      return fn();
+    } finally {
+      this._stack.pop();
+      activeProfiler = previousProfiler;
+      this._record(name, category, frame, args);
+    }
+  }
+
+  /**
+   * Runs async function and records it as an event, e.g. a call of a nested model.
+   * The profiler is not active while waiting, so events of any layer calls within
+   * it are recorded separately.
+   * @async
+   * @param {string} name
+   * @param {string} category
+   * @param {Function} fn - returns a Promise
+   * @param {Object} [args] - any other info to record with the event
+   * @returns {Promise} resolves to the result of fn
+   */
+  async measureAsync(name, category, fn, args = {}) {
+    const frame = { start: now(), bytes: 0, childTimes: {} };
+    try {
+      return await fn();
+    } finally {
+      this._record(name, category, frame, args);
+    }
+  }
+
+  /**
+   * Adds event of a measured frame, and its time and bytes allocated to the parent
+   * frame if any
+   * @param {string} name
+   * @param {string} category
+   * @param {Object} frame
+   * @param {Object} args
+   */
+  _record(name, category, frame, args) {
+    const duration = now() - frame.start;
+    const parent = this._stack[this._stack.length - 1];
+    if (parent) {
+      parent.childTimes[category] = (parent.childTimes[category] || 0) +
+        duration;
+      parent.bytes += frame.bytes;
+    }
+    this.events.push({
+      name,
+      category,
+      start: frame.start - this._origin,
+      duration,
+      bytes: frame.bytes,
+      childTimes: frame.childTimes,
+      args
+    });
+  }
+
+  /**
+   * Removes all events
+   */
+  clear() {
+    this.events = [];
+  }
+
+  /**
+   * Summary of events, with the totals of each layer (DAG node) over all calls:
+   * number of calls, time (ms), time in `transferFromPipeline` and
+   * `createWeblasTensor`, and bytes of tensor data allocated. The time of a nested
+   * model includes that of its layers, which are listed separately. Layers are in
+   * the order they were first called.
+   * @returns {Object} with keys `totalTime` and `calls` of predict calls, and `layers`
+   */
+  report() {
+    let layers = [];
+    let layersByName = {};
+    let totalTime = 0;
+    let calls = 0;
+    // events are added as they end, so nested models come after their layers
+    sortBy(this.events, 'start').forEach(event => {
+      if (event.category === 'model') {
+        totalTime += event.duration;
+        calls += 1;
+      } else if (event.category === 'layer') {
+        if (!layersByName[event.name]) {
+          layersByName[event.name] = {
+            name: event.name,
+            layerName: event.args.layerName,
+            layerClass: event.args.layerClass,
+            calls: 0,
+            time: 0,
+            transferTime: 0,
+            weblasTime: 0,
+            bytes: 0
+          };
+          layers.push(layersByName[event.name]);
+        }
+        let layer = layersByName[event.name];
+        layer.calls += 1;
+        layer.time += event.duration;
+        layer.transferTime += event.childTimes.transferFromPipeline || 0;
+        layer.weblasTime += event.childTimes.createWeblasTensor || 0;
+        layer.bytes += event.bytes;
+      }
+    });
+    return { totalTime, calls, layers };
+  }
+
+  /**
+   * Exports events in the Chrome trace event format, for chrome://tracing or the
+   * Performance panel of DevTools, as complete events with timestamps in
+   * microseconds
+   * @returns {string} JSON
+   */
+  exportTrace() {
+    const traceEvents = this.events.map(event => ({
+      name: event.name,
+      cat: event.category,
+      ph: 'X',
+      ts: event.start * 1000,
+      dur: event.duration * 1000,
+      pid: 1,
+      tid: 1,
+      args: Object.assign({ bytes: event.bytes }, event.args)
+    }));
+    return JSON.stringify({ traceEvents, displayTimeUnit: 'ms' });
+  }
+}
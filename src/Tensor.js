@@ -1,6 +1,8 @@
 import ndarray from 'ndarray';
 import squeeze from 'ndarray-squeeze';
 import { MAX_TEXTURE_SIZE } from './constants';
+import { getActiveArena } from './TensorArena';
+import { profile, recordAllocation } from './Profiler';
 
 const checkShape = (data, shape) => {
   if (
@@ -11,6 +13,22 @@ const checkShape = (data, shape) => {
   }
 };
 
+/**
+ * Allocates zero-filled array, from the active tensor arena if there is one (see
+ * TensorArena), recording new allocations for the active profiler (see Profiler)
+ * @param {Function} type - TypedArray constructor
+ * @param {number} length
+ * @returns {TypedArray}
+ */
+const allocate = (type, length) => {
+  const arena = getActiveArena();
+  if (arena && type === Float32Array) {
+    return arena.allocate(length);
+  }
+  recordAllocation(length * type.BYTES_PER_ELEMENT);
+  return new type(length);
+};
+
 /**
  * Tensor class
  */
@@ -29,12 +47,13 @@ export default class Tensor {
         (data instanceof this._type || data instanceof Array)
     ) {
       checkShape(data, shape);
-      this.tensor = ndarray(data, shape);
-      this.tensor = ndarray(new this._type(data), shape);
+      let copy = allocate(this._type, data.length);
+      copy.set(data);
+      this.tensor = ndarray(copy, shape);
     } else if (!data.length && shape.length) {
       // if shape present but data not provided, initialize with 0s
       this.tensor = ndarray(
-        new this._type(shape.reduce((a, b) => a * b, 1)),
+        allocate(this._type, shape.reduce((a, b) => a * b, 1)),
         shape
       );
     } else {
@@ -64,6 +83,14 @@ export default class Tensor {
    * Where this is exceeded, falls back to CPU.
    */
   createWeblasTensor() {
+    profile('createWeblasTensor', 'createWeblasTensor', () =>
+      this._createWeblasTensor());
+  }
+
+  /**
+   * Creates weblas pipeline tensor, see createWeblasTensor
+   */
+  _createWeblasTensor() {
     if (this.weblasTensor) {
       this.weblasTensor.delete();
     }
@@ -0,0 +1,105 @@
+import { recordAllocation } from './Profiler';
+
+// arena from which Tensors are allocated, if any: it is only active during
+// layer calls, which are synchronous, so it is never left active for another
+// model
+let activeArena = null;
+
+/**
+ * Arena from which new Tensors are allocated, if any
+ * @returns {TensorArena}
+ */
+export function getActiveArena() {
+  return activeArena;
+}
+
+/**
+ * TensorArena class
+ * Pools of Float32Array buffers, by length, from which the data of new Tensors
+ * are allocated while the arena is active, instead of creating new arrays on
+ * every layer call. Buffers freed back to the arena are reused by any later
+ * allocation of the same length, in the same or another layer, so that once a
+ * model has run for a given input shape, later calls allocate no new buffers.
+ */
+export default class TensorArena {
+  /**
+   * Creates a tensor arena
+   */
+  constructor() {
+    // free buffers, keyed by length
+    this._pools = {};
+    // buffers allocated since begin(), while active
+    this._allocated = null;
+    this._previousArena = null;
+
+    // number of buffers created, and reused from the pools
+    this.created = 0;
+    this.reused = 0;
+  }
+
+  /**
+   * Activates the arena, recording allocations until end()
+   */
+  begin() {
+    this._previousArena = activeArena;
+    this._allocated = [];
+    activeArena = this;
+  }
+
+  /**
+   * Deactivates the arena
+   * @returns {Float32Array[]} buffers allocated since begin()
+   */
+  end() {
+    const allocated = this._allocated;
+    activeArena = this._previousArena;
+    this._previousArena = null;
+    this._allocated = null;
+    return allocated;
+  }
+
+  /**
+   * Allocates a zero-filled buffer, reused from the pool of its length if
+   * possible
+   * @param {number} length
+   * @returns {Float32Array}
+   */
+  allocate(length) {
+    const pool = this._pools[length];
+    let buffer;
+    if (pool && pool.length) {
+      buffer = pool.pop();
+      buffer.fill(0);
+      this.reused += 1;
+    } else {
+      buffer = new Float32Array(length);
+      recordAllocation(buffer.byteLength);
+      this.created += 1;
+    }
+    this._allocated.push(buffer);
+    return buffer;
+  }
+
+  /**
+   * Frees buffers back to the arena, once nothing refers to them anymore
+   * @param {Float32Array[]} buffers
+   */
+  free(buffers) {
+    buffers.forEach(buffer => {
+      if (!this._pools[buffer.length]) {
+        this._pools[buffer.length] = [];
+      }
+      const pool = this._pools[buffer.length];
+      if (!pool.includes(buffer)) {
+        pool.push(buffer);
+      }
+    });
+  }
+
+  /**
+   * Drops all free buffers, e.g. after the input shape has changed
+   */
+  clear() {
+    this._pools = {};
+  }
+}
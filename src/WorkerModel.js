@@ -0,0 +1,237 @@
+import Promise from 'bluebird';
+import mapValues from 'lodash/mapValues';
+import * as errors from './errors';
+
+/**
+ * Returns TypedArray whose whole buffer can be transferred to the worker, copying
+ * only if it is a view on part of a larger buffer
+ * @param {TypedArray} data
+ * @returns {TypedArray}
+ */
+function toTransferable(data) {
+  if (data.byteOffset === 0 && data.byteLength === data.buffer.byteLength) {
+    return data;
+  }
+  return data.slice();
+}
+
+/**
+ * Recreates error posted from the worker as an instance of its error class (see
+ * `errors.js`), with its properties
+ * @param {Object} error - serialized error, with `name`, `message`, and properties
+ * @returns {Error}
+ */
+function deserializeError(error) {
+  const ErrorClass = errors[error.name] || Error;
+  return Object.assign(new ErrorClass(error.message), error);
+}
+
+/**
+ * WorkerModel class
+ * Runs a Model in a Web Worker, so that the main thread is not blocked during
+ * loading or computation, with the same `ready()`, `predict()`, and `predictBatch()`
+ * API. Input data buffers are transferred to the worker rather than copied, and so
+ * are no longer usable after the call, and output data buffers are likewise
+ * transferred back. Layers run in CPU mode, since WebGL is not available in workers.
+ */
+export default class WorkerModel {
+  /**
+   * Creates new WorkerModel
+   * @param {string} config.workerPath - path to worker script (dist/keras.worker.js)
+   * @param {Object} config - all other Model config options, which must be
+   *                          structured-clonable, except `onLayerLoad` and `signal`
+   */
+  constructor(config = {}) {
+    const {
+      workerPath,
+      onLayerLoad = null,
+      signal = null,
+      ...modelConfig
+    } = config;
+
+    if (!workerPath) {
+      throw new Error('[WorkerModel] workerPath must be declared.');
+    }
+
+    this.worker = new Worker(workerPath);
+    this.worker.onmessage = e => this._onMessage(e.data);
+
+    // callback for each layer created
+    this.onLayerLoad = onLayerLoad;
+
+    // mirrors of Model state, updated from worker messages
+    this.loadingProgress = 0;
+    this.loadedLayers = [];
+    this.layersWithResults = [];
+    this.inputNames = [];
+
+    // pending predict() and predictBatch() calls, keyed by request id
+    this._requests = {};
+    this._requestId = 0;
+
+    // Promise for when model is initialized in the worker
+    this._ready = new Promise((resolve, reject) => {
+      this._resolveReady = resolve;
+      this._rejectReady = reject;
+    });
+
+    this.worker.postMessage({ type: 'init', config: modelConfig });
+
+    if (signal) {
+      if (signal.aborted) {
+        this.abort();
+      } else {
+        signal.addEventListener('abort', () => this.abort());
+      }
+    }
+
+    // flag while computations are being performed
+    this.isRunning = false;
+  }
+
+  /**
+   * Handles messages from the worker
+   * @param {Object} message
+   */
+  _onMessage(message) {
+    const { type, id } = message;
+    if (type === 'progress') {
+      this.loadingProgress = message.progress;
+    } else if (type === 'layerLoad') {
+      this.loadedLayers.push(message.event.name);
+      if (this.onLayerLoad) {
+        this.onLayerLoad(message.event);
+      }
+    } else if (type === 'ready') {
+      this.inputNames = message.inputNames;
+      this._resolveReady();
+    } else if (type === 'result') {
+      this.layersWithResults = message.layersWithResults;
+      this._settle(id, request => request.resolve(message.outputData));
+    } else if (type === 'error') {
+      const err = deserializeError(message.error);
+      if (typeof id === 'undefined') {
+        this._rejectReady(err);
+      } else {
+        this._settle(id, request => request.reject(err));
+      }
+    }
+  }
+
+  /**
+   * Settles pending request
+   * @param {number} id - request id
+   * @param {Function} settle - called with the request's `resolve` and `reject`
+   */
+  _settle(id, settle) {
+    const request = this._requests[id];
+    delete this._requests[id];
+    this.isRunning = Object.keys(this._requests).length > 0;
+    if (request) {
+      settle(request);
+    }
+  }
+
+  /**
+   * Posts predict() or predictBatch() call to the worker, transferring input buffers
+   * @param {string} method - `predict` or `predictBatch`
+   * @param {Object} inputData
+   * @param {Object} options - predict() or predictBatch() options
+   * @returns {Promise}
+   */
+  _run(method, inputData, options) {
+    // anything other than TypedArrays is posted as is, to be rejected by the Model
+    let transfer = [];
+    const transferable = x => {
+      if (!ArrayBuffer.isView(x)) {
+        return x;
+      }
+      const data = toTransferable(x);
+      if (!transfer.includes(data.buffer)) {
+        transfer.push(data.buffer);
+      }
+      return data;
+    };
+    const data = mapValues(
+      inputData,
+      x => Array.isArray(x) ? x.map(transferable) : transferable(x)
+    );
+
+    const id = this._requestId++;
+    this.isRunning = true;
+    return new Promise((resolve, reject) => {
+      this._requests[id] = { resolve, reject };
+      this.worker.postMessage(
+        { type: 'run', id, method, inputData: data, options },
+        transfer
+      );
+    });
+  }
+
+  /**
+   * Promise for when model data is loaded and layers are initialized in the worker.
+   * Rejects with the same errors as Model.ready().
+   * @returns {Promise}
+   */
+  ready() {
+    return this._ready;
+  }
+
+  /**
+   * Aborts loading in the worker, in which case ready() rejects with an AbortError
+   */
+  abort() {
+    this.worker.postMessage({ type: 'abort' });
+  }
+
+  /**
+   * Terminates the worker, rejecting any pending calls
+   */
+  terminate() {
+    this.worker.terminate();
+    const err = new errors.AbortError('[WorkerModel] worker terminated.');
+    this._rejectReady(err);
+    Object.keys(this._requests).forEach(id => {
+      this._settle(id, request => request.reject(err));
+    });
+  }
+
+  /**
+   * Loading progress, as last posted from the worker
+   * @returns {number} progress
+   */
+  getLoadingProgress() {
+    return this.loadingProgress;
+  }
+
+  /**
+   * Predict, in the worker
+   * Buffers of the input Float32Arrays are transferred to the worker, and are no
+   * longer usable after the call.
+   * @async
+   * @param {Object} inputData - object where the keys are the named inputs of the model,
+   *                             and values the TypedArray numeric data
+   * @param {Object} [options] - same as for Model.predict()
+   * @returns {Promise.<Object>} - outputData object where the keys are the named outputs
+   *                             of the model, and values the TypedArray numeric data
+   */
+  predict(inputData, options = {}) {
+    return this._run('predict', inputData, options);
+  }
+
+  /**
+   * Predict on a mini-batch of samples, in the worker
+   * Buffers of the input Float32Arrays are transferred to the worker, and are no
+   * longer usable after the call.
+   * @async
+   * @param {Object} inputData - object where the keys are the named inputs of the model,
+   *                             and values arrays of TypedArray numeric data, one per sample
+   * @param {Object} [options] - same as for Model.predictBatch()
+   * @returns {Promise.<Object>} - outputData object where the keys are the named outputs
+   *                             of the model, and values arrays of TypedArray numeric data,
+   *                             one per sample
+   */
+  predictBatch(inputData, options = {}) {
+    return this._run('predictBatch', inputData, options);
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Error classes
+ *
+ * Babel does not support subclassing built-in classes such as Error: the
+ * constructor returns a plain Error instance. The prototype of each instance is
+ * therefore set explicitly, so that `instanceof` checks and `name` work as expected.
+ */
+
+/**
+ * Base class of all errors thrown by Keras.js
+ */
+export class KerasJSError extends Error {
+  constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, KerasJSError.prototype);
+    this.name = 'KerasJSError';
+  }
+}
+
+/**
+ * Model data could not be fetched or read, e.g., from a network failure, a
+ * non-2xx HTTP status, or a missing file.
+ */
+export class NetworkError extends KerasJSError {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.type] - type of requested data, e.g., `model` or `weights`
+   * @param {number} [details.status] - HTTP status, if a response was received
+   */
+  constructor(message, details = {}) {
+    super(message);
+    Object.setPrototypeOf(this, NetworkError.prototype);
+    this.name = 'NetworkError';
+
+    const { type = null, status = null } = details;
+    this.type = type;
+    this.status = status;
+  }
+}
+
+/**
+ * Layer class specified in model configuration is not implemented
+ */
+export class UnsupportedLayerError extends KerasJSError {
+  /**
+   * @param {string} message
+   * @param {string} layerClass
+   */
+  constructor(message, layerClass) {
+    super(message);
+    Object.setPrototypeOf(this, UnsupportedLayerError.prototype);
+    this.name = 'UnsupportedLayerError';
+    this.layerClass = layerClass;
+  }
+}
+
+/**
+ * Weights required by a layer are not in the weights metadata or weights data
+ */
+export class MissingWeightError extends KerasJSError {
+  /**
+   * @param {string} message
+   * @param {string} layerName
+   * @param {string} weightName
+   */
+  constructor(message, layerName, weightName) {
+    super(message);
+    Object.setPrototypeOf(this, MissingWeightError.prototype);
+    this.name = 'MissingWeightError';
+    this.layerName = layerName;
+    this.weightName = weightName;
+  }
+}
+
+/**
+ * Tensor shape does not match the expected shape
+ */
+export class ShapeMismatchError extends KerasJSError {
+  /**
+   * @param {string} message
+   * @param {number[]} expected - expected shape, with null for dimensions of any
+   *                              size, or null if there is no single expected shape
+   * @param {number[]} actual - actual shape
+   */
+  constructor(message, expected, actual) {
+    super(message);
+    Object.setPrototypeOf(this, ShapeMismatchError.prototype);
+    this.name = 'ShapeMismatchError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Model loading was aborted, through `model.abort()` or an AbortSignal
+ */
+export class AbortError extends KerasJSError {
+  constructor(message) {
+    super(message);
+    Object.setPrototypeOf(this, AbortError.prototype);
+    this.name = 'AbortError';
+  }
+}
@@ -1,10 +1,22 @@
 import weblas from 'weblas/dist/weblas';
 import Model from './Model';
+import ModelCache from './ModelCache';
 import Tensor from './Tensor';
+import WorkerModel from './WorkerModel';
 import * as activations from './activations';
+import * as errors from './errors';
 import * as layers from './layers';
 import * as testUtils from './utils/testUtils';
 
 window.weblas = weblas;
 
-export { Model, Tensor, activations, layers, testUtils };
+export {
+  Model,
+  ModelCache,
+  Tensor,
+  WorkerModel,
+  activations,
+  errors,
+  layers,
+  testUtils
+};
@@ -1,4 +1,5 @@
 import Layer from '../Layer';
+import { ShapeMismatchError } from '../errors';
 import isEqual from 'lodash/isEqual';
 
 /**
@@ -19,10 +20,42 @@ export default class InputLayer extends Layer {
       : shape;
   }
 
+  /**
+   * Method for computing the output shape, which is the specified shape. Inbound
+   * shapes are only given for input layers of models nested in an outer model.
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const valid = inputShape.length === this.shape.length &&
+      this.shape.every((dim, i) => dim === null || dim === inputShape[i]);
+    if (!valid) {
+      throw new ShapeMismatchError(
+        `[InputLayer] ${this.name} input shape ${inputShape} does not match specified shape ${this.shape}.`,
+        this.shape,
+        inputShape
+      );
+    }
+    return this.shape.slice();
+  }
+
   call(x) {
     if (!isEqual(x.tensor.shape, this.shape)) {
-      throw new Error(
-        `[InputLayer] input tensor shape ${x.tensor.shape} does not match specified shape ${this.shape}.`
+      throw new ShapeMismatchError(
+        `[InputLayer] input tensor shape ${x.tensor.shape} does not match specified shape ${this.shape}.`,
+        this.shape,
+        x.tensor.shape
+      );
+    }
+    return x;
+  }
+
+  callBatch(x) {
+    if (!isEqual(x.tensor.shape.slice(1), this.shape)) {
+      throw new ShapeMismatchError(
+        `[InputLayer] input tensor sample shape ${x.tensor.shape.slice(1)} does not match specified shape ${this.shape}.`,
+        this.shape,
+        x.tensor.shape.slice(1)
       );
     }
     return x;
@@ -12,6 +12,7 @@ export default class ELU extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'ELU';
+    this.supportsMasking = true;
 
     const { alpha = 1 } = attrs;
 
@@ -12,6 +12,7 @@ export default class LeakyReLU extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'LeakyReLU';
+    this.supportsMasking = true;
 
     const { alpha = 0.3 } = attrs;
 
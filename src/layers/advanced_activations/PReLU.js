@@ -17,6 +17,7 @@ export default class PReLU extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'PReLU';
+    this.supportsMasking = true;
 
     // Layer weights specification
     this.params = [ 'alphas' ];
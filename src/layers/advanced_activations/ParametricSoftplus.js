@@ -12,6 +12,7 @@ export default class ParametricSoftplus extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'ParametricSoftplus';
+    this.supportsMasking = true;
 
     // Layer weights specification
     this.params = [ 'alphas', 'betas' ];
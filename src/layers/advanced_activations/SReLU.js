@@ -12,6 +12,7 @@ export default class SReLU extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'SReLU';
+    this.supportsMasking = true;
 
     // Layer weights specification
     this.params = [ 't_left', 'a_left', 't_right', 'a_right' ];
@@ -12,6 +12,7 @@ export default class ThresholdedReLU extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'ThresholdedReLU';
+    this.supportsMasking = true;
 
     const { theta = 1 } = attrs;
 
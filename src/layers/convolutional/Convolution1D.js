@@ -81,15 +81,43 @@ export default class Convolution1D extends Layer {
     this._conv2d.setWeights(weightsArr);
   }
 
+  /**
+   * Number of weight parameters of the layer, in its Convolution2D layer
+   * @returns {number}
+   */
+  countParams() {
+    return this._conv2d.countParams();
+  }
+
+  /**
+   * Method for computing the output shape, validating the input dimension against
+   * the weights
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const weights = this._conv2d.weights.W;
+    const inputDim = weights ? weights.tensor.shape[2] : null;
+    this._checkInputShape(inputShape, [ null, inputDim ]);
+    // the Convolution2D layer computes on [steps, 1, inputDim] tensors, in
+    // `tf` dim ordering
+    this._conv2d._calcOutputShape([ inputShape[0], 1, inputShape[1] ]);
+    const [ steps, , nbFilter ] = this._conv2d.outputShape;
+    this._checkOutputShape(inputShape, [ steps, nbFilter ]);
+    return [ steps, nbFilter ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
    * @returns {Tensor} x
    */
   call(x) {
-    x.tensor = unsqueeze(x.tensor).transpose(0, 2, 1);
+    // [steps, inputDim] to [inputDim, steps, 1], in `th` dim ordering
+    x.tensor = unsqueeze(x.tensor).transpose(1, 0, 2);
     const conv2dOutput = this._conv2d.call(x);
-    x.tensor = squeeze(conv2dOutput.tensor).transpose(1, 0, 2);
+    // [nbFilter, steps, 1] to [steps, nbFilter]
+    x.tensor = squeeze(conv2dOutput.tensor).transpose(1, 0);
     return x;
   }
 }
@@ -150,6 +150,25 @@ export default class Convolution2D extends Layer {
     ];
   }
 
+  /**
+   * Method for computing the output shape, validating the number of input channels
+   * against the weights
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputChannels = this.weights.W
+      ? this.weights.W.tensor.shape[2]
+      : null;
+    this._checkInputShape(
+      inputShape,
+      this._fromTfOrdering([ null, null, inputChannels ])
+    );
+    this._calcOutputShape(this._toTfOrdering(inputShape));
+    this._checkOutputShape(inputShape, this.outputShape);
+    return this._fromTfOrdering(this.outputShape);
+  }
+
   /**
    * Pad input tensor if necessary, for borderMode='same'.
    * See above for notes on calculating padding.
@@ -242,6 +261,54 @@ export default class Convolution2D extends Layer {
     return this._imColsMat;
   }
 
+  /**
+   * Convert batched input tensor to a single column matrix, with the patches of
+   * each sample stacked sequentially. Each sample is padded first if necessary.
+   * @param {Tensor} x - batched input tensor
+   * @returns {Tensor} imColsMatBatch
+   */
+  _im2colBatch(x) {
+    const [ batchSize, ...sampleShape ] = x.tensor.shape;
+    const nbRow = this.kernelShape[1];
+    const nbCol = this.kernelShape[2];
+    const outputRows = this.outputShape[0];
+    const outputCols = this.outputShape[1];
+    const nbPatches = outputRows * outputCols;
+    const inputChannels = sampleShape[2];
+    const patchLen = nbRow * nbCol * inputChannels;
+
+    let imColsMatBatch = new Tensor([], [ batchSize * nbPatches, patchLen ]);
+
+    let patch = new Tensor([], [ nbRow, nbCol, inputChannels ]);
+    let offset = 0;
+    for (let n = 0; n < batchSize; n++) {
+      let sample = new Tensor([], sampleShape);
+      ops.assign(sample.tensor, x.tensor.pick(n, null, null, null));
+      this._padInput(sample);
+      const [ inputRows, inputCols ] = sample.tensor.shape;
+      for (
+        let i = 0, limit = inputRows - nbRow;
+        i <= limit;
+        i += this.subsample[0]
+      ) {
+        for (
+          let j = 0, limit = inputCols - nbCol;
+          j <= limit;
+          j += this.subsample[1]
+        ) {
+          ops.assign(
+            patch.tensor,
+            sample.tensor.hi(i + nbRow, j + nbCol, inputChannels).lo(i, j, 0)
+          );
+          imColsMatBatch.tensor.data.set(patch.tensor.data, offset);
+          offset += patchLen;
+        }
+      }
+    }
+
+    return imColsMatBatch;
+  }
+
   /**
    * Convert filter weights to row matrix
    * @returns {Tensor|weblas.pipeline.Tensor} wRowsMat
@@ -380,6 +447,20 @@ export default class Convolution2D extends Layer {
     return x;
   }
 
+  /**
+   * Converts input tensor in `th` dim ordering to `tf` dim ordering, copying it
+   * into a contiguous tensor, since its data may be used directly as the column
+   * matrix (see `_im2col`)
+   * @param {Tensor} x
+   * @param {number[]} axes - transpose axes
+   */
+  _toTfOrderingInput(x, axes) {
+    const transposed = x.tensor.transpose(...axes);
+    let xTf = new Tensor([], transposed.shape);
+    ops.assign(xTf.tensor, transposed);
+    x.tensor = xTf.tensor;
+  }
+
   /**
    * Runs layer computational logic in regular mode
    * @param {Tensor} x
@@ -390,11 +471,6 @@ export default class Convolution2D extends Layer {
       throw new Error('Variable passed in does not contain tensor.');
     }
 
-    // convert to tf ordering
-    if (this.dimOrdering === 'th') {
-      x.tensor = x.tensor.transpose(1, 2, 0);
-    }
-
     const nbFilter = this.kernelShape[0];
     const outputRows = this.outputShape[0];
     const outputCols = this.outputShape[1];
@@ -461,6 +537,11 @@ export default class Convolution2D extends Layer {
     if (x._fromPipeline) {
       this.inputShape = x._actualShape;
     } else {
+      // convert to tf ordering, before the input shape is taken and the input
+      // padded and converted to a column matrix
+      if (this.dimOrdering === 'th') {
+        this._toTfOrderingInput(x, [ 1, 2, 0 ]);
+      }
       this.inputShape = x.tensor.shape;
     }
     this._calcOutputShape(this.inputShape);
@@ -482,4 +563,81 @@ export default class Convolution2D extends Layer {
       return this._callRegularMode(x);
     }
   }
+
+  /**
+   * Method for layer computational logic over a mini-batch
+   * The patches of all samples are stacked into one column matrix, so the whole
+   * mini-batch is computed with a single matrix multiply. Pipeline mode is not used.
+   * @param {Tensor} x
+   * @returns {Tensor} x
+   */
+  callBatch(x) {
+    // convert to tf ordering
+    if (this.dimOrdering === 'th') {
+      this._toTfOrderingInput(x, [ 0, 2, 3, 1 ]);
+    }
+
+    const batchSize = x.tensor.shape[0];
+    this.inputShape = x.tensor.shape.slice(1);
+    this._calcOutputShape(this.inputShape);
+
+    const imColsMatBatch = this._im2colBatch(x);
+
+    const nbFilter = this.kernelShape[0];
+    const outputRows = this.outputShape[0];
+    const outputCols = this.outputShape[1];
+    const nbPatches = outputRows * outputCols;
+    const matMul = new Tensor([], [ batchSize * nbPatches, nbFilter ]);
+
+    if (this._useWeblas) {
+      imColsMatBatch.createWeblasTensor();
+    }
+
+    if (
+      this._useWeblas &&
+        !(imColsMatBatch._gpuMaxSizeExceeded ||
+          this._wRowsMat._gpuMaxSizeExceeded)
+    ) {
+      // GPU
+      const bias = this.bias
+        ? this.weights.b.weblasTensor
+        : this._zerosVec.weblasTensor;
+      matMul.tensor.data = weblas.pipeline
+        .sgemm(
+          1,
+          imColsMatBatch.weblasTensor,
+          this._wRowsMat.weblasTensor,
+          1,
+          bias
+        )
+        .transfer();
+      imColsMatBatch.deleteWeblasTensor();
+    } else {
+      // CPU
+      if (this.bias) {
+        for (let n = 0; n < nbFilter; n++) {
+          ops.assigns(
+            matMul.tensor.pick(null, n),
+            this.weights.b.tensor.get(n)
+          );
+        }
+      }
+      gemm(matMul.tensor, imColsMatBatch.tensor, this._wRowsMat.tensor, 1, 1);
+    }
+
+    // rows of the matrix product are ordered by sample, output row, output column,
+    // so its data is already laid out as the batched output in tf ordering
+    let output = new Tensor([], [ batchSize, ...this.outputShape ]);
+    output.replaceTensorData(matMul.tensor.data);
+    x.tensor = output.tensor;
+
+    this.activationFunc(x);
+
+    // convert back to th ordering if necessary
+    if (this.dimOrdering === 'th') {
+      x.tensor = x.tensor.transpose(0, 3, 1, 2);
+    }
+
+    return x;
+  }
 }
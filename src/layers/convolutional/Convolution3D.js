@@ -99,12 +99,10 @@ export default class Convolution3D extends Layer {
    * dimensions, kernel size, and padding mode.
    * For tensorflow implementation of padding, see:
    * https://github.com/tensorflow/tensorflow/blob/master/tensorflow/core/framework/common_shape_fns.cc
-   * @param {Tensor} x
+   * @param {number[]} inputShape
    */
-  _calcOutputShape(x) {
-    const inputDim1 = x.tensor.shape[0];
-    const inputDim2 = x.tensor.shape[1];
-    const inputDim3 = x.tensor.shape[2];
+  _calcOutputShape(inputShape) {
+    const [ inputDim1, inputDim2, inputDim3 ] = inputShape;
     const [ nbFilter, kernelDim1, kernelDim2, kernelDim3 ] = this.kernelShape;
 
     const outputDim1 = this.borderMode === 'same'
@@ -166,6 +164,25 @@ export default class Convolution3D extends Layer {
     ];
   }
 
+  /**
+   * Method for computing the output shape, validating the number of input channels
+   * against the weights
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputChannels = this.weights.W
+      ? this.weights.W.tensor.shape[3]
+      : null;
+    this._checkInputShape(
+      inputShape,
+      this._fromTfOrdering([ null, null, null, inputChannels ])
+    );
+    this._calcOutputShape(this._toTfOrdering(inputShape));
+    this._checkOutputShape(inputShape, this.outputShape);
+    return this._fromTfOrdering(this.outputShape);
+  }
+
   /**
    * Pad input tensor if necessary, for borderMode='same'
    * @param {Tensor} x
@@ -315,7 +332,7 @@ export default class Convolution3D extends Layer {
       x.tensor = x.tensor.transpose(1, 2, 3, 0);
     }
 
-    this._calcOutputShape(x);
+    this._calcOutputShape(x.tensor.shape);
     this._padInput(x);
 
     this._vol2col(x);
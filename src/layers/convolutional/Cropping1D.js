@@ -20,6 +20,21 @@ export default class Cropping1D extends Layer {
     this.dimOrdering = dimOrdering;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null ]);
+    const outputShape = [
+      inputShape[0] - this.cropping[0] - this.cropping[1],
+      inputShape[1]
+    ];
+    this._checkOutputShape(inputShape, outputShape);
+    return outputShape;
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
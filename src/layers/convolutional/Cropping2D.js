@@ -20,6 +20,25 @@ export default class Cropping2D extends Layer {
     this.dimOrdering = dimOrdering;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null ]);
+    const [ inputRows, inputCols, inputChannels ] = this._toTfOrdering(
+      inputShape
+    );
+    const outputShape = [
+      inputRows - this.cropping[0][0] - this.cropping[0][1],
+      inputCols - this.cropping[1][0] - this.cropping[1][1],
+      inputChannels
+    ];
+    this._checkOutputShape(inputShape, outputShape);
+    return this._fromTfOrdering(outputShape);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
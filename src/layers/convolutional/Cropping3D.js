@@ -23,6 +23,29 @@ export default class Cropping3D extends Layer {
     this.dimOrdering = dimOrdering;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null, null ]);
+    const [
+      inputDim1,
+      inputDim2,
+      inputDim3,
+      inputChannels
+    ] = this._toTfOrdering(inputShape);
+    const outputShape = [
+      inputDim1 - this.cropping[0][0] - this.cropping[0][1],
+      inputDim2 - this.cropping[1][0] - this.cropping[1][1],
+      inputDim3 - this.cropping[2][0] - this.cropping[2][1],
+      inputChannels
+    ];
+    this._checkOutputShape(inputShape, outputShape);
+    return this._fromTfOrdering(outputShape);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -147,6 +147,23 @@ export default class Deconvolution2D extends Layer {
     ];
   }
 
+  /**
+   * Method for computing the output shape, which is given by the `outputShape`
+   * attribute, validating the number of input channels against the weights
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputChannels = this.weights.W
+      ? this.weights.W.tensor.shape[2]
+      : null;
+    this._checkInputShape(
+      inputShape,
+      this._fromTfOrdering([ null, null, inputChannels ])
+    );
+    return this._fromTfOrdering(this.outputShape);
+  }
+
   /**
    * Convert input image to column matrix, along channels axis
    * shape: [inputRows, inputCols, inputChannels] -> [inputRows * inputCols, inputChannels]
@@ -251,6 +251,49 @@ export default class SeparableConvolution2D extends Layer {
     this._pointwiseConv.setWeights(weightsArr.slice(1, 3));
   }
 
+  /**
+   * Number of weight parameters of the layer, in its component layers
+   * @returns {number}
+   */
+  countParams() {
+    if (!this._depthwiseConv) {
+      return 0;
+    }
+    return this._depthwiseConv.countParams() +
+      this._pointwiseConv.countParams();
+  }
+
+  /**
+   * Method for computing the output shape, validating the number of input channels
+   * against the weights
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputChannels = this._depthwiseConv
+      ? this._depthwiseConv.weights.W.tensor.shape[2]
+      : null;
+    this._checkInputShape(
+      inputShape,
+      this._fromTfOrdering([ null, null, inputChannels ])
+    );
+
+    // output rows and cols are those of the depthwise convolution, since the
+    // pointwise convolution is 1x1 with no subsampling
+    const depthwiseConv = new Convolution2D(
+      Object.assign({}, this.depthwiseConvAttrs, { dimOrdering: 'tf' })
+    );
+    depthwiseConv._calcOutputShape(this._toTfOrdering(inputShape));
+    const [ outputRows, outputCols ] = depthwiseConv.outputShape;
+    const outputShape = [
+      outputRows,
+      outputCols,
+      this.pointwiseConvAttrs.nbFilter
+    ];
+    this._checkOutputShape(inputShape, outputShape);
+    return this._fromTfOrdering(outputShape);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
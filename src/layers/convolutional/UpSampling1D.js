@@ -18,6 +18,16 @@ export default class UpSampling1D extends Layer {
     this.length = length;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null ]);
+    return [ inputShape[0] * this.length, inputShape[1] ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -20,6 +20,23 @@ export default class UpSampling2D extends Layer {
     this.dimOrdering = dimOrdering;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null ]);
+    const [ inputRows, inputCols, inputChannels ] = this._toTfOrdering(
+      inputShape
+    );
+    return this._fromTfOrdering([
+      inputRows * this.size[0],
+      inputCols * this.size[1],
+      inputChannels
+    ]);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
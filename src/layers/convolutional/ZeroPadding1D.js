@@ -18,6 +18,16 @@ export default class ZeroPadding1D extends Layer {
     this.padding = padding;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null ]);
+    return [ inputShape[0] + this.padding * 2, inputShape[1] ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -20,6 +20,23 @@ export default class ZeroPadding2D extends Layer {
     this.dimOrdering = dimOrdering;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null ]);
+    const [ inputRows, inputCols, inputChannels ] = this._toTfOrdering(
+      inputShape
+    );
+    return this._fromTfOrdering([
+      inputRows + this.padding[0] * 2,
+      inputCols + this.padding[1] * 2,
+      inputChannels
+    ]);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -20,6 +20,27 @@ export default class ZeroPadding3D extends Layer {
     this.dimOrdering = dimOrdering;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null, null ]);
+    const [
+      inputDim1,
+      inputDim2,
+      inputDim3,
+      inputChannels
+    ] = this._toTfOrdering(inputShape);
+    return this._fromTfOrdering([
+      inputDim1 + this.padding[0] * 2,
+      inputDim2 + this.padding[1] * 2,
+      inputDim3 + this.padding[2] * 2,
+      inputChannels
+    ]);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -12,6 +12,7 @@ export default class Activation extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'Activation';
+    this.supportsMasking = true;
 
     const { activation = 'linear' } = attrs;
 
@@ -2,6 +2,7 @@ import * as activations from '../../activations';
 import Tensor from '../../Tensor';
 import Layer from '../../Layer';
 import { gemv } from 'ndarray-blas-level2';
+import gemm from 'ndarray-gemm';
 import ops from 'ndarray-ops';
 
 /**
@@ -66,6 +67,19 @@ export default class Dense extends Layer {
     }
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputDim = this.weights.W
+      ? this.weights.W.tensor.shape[0]
+      : this.inputDim;
+    this._checkInputShape(inputShape, [ inputDim ]);
+    return [ this.outputDim ];
+  }
+
   /**
    * Method for layer computational logic
    *
@@ -110,4 +124,52 @@ export default class Dense extends Layer {
 
     return x;
   }
+
+  /**
+   * Method for layer computational logic over a mini-batch
+   *
+   * X = X * W + b, where X has shape [batchSize, inputDim]
+   *
+   * The whole mini-batch is computed with a single matrix multiply.
+   *
+   * @param {Tensor} x
+   * @returns {Tensor} x
+   */
+  callBatch(x) {
+    if (x.tensor.shape.length !== 2) {
+      return super.callBatch(x);
+    }
+
+    const batchSize = x.tensor.shape[0];
+    let y = new Tensor([], [ batchSize, this.outputDim ]);
+
+    if (this._useWeblas) {
+      x.createWeblasTensor();
+    }
+
+    if (
+      this._useWeblas &&
+        !(x._gpuMaxSizeExceeded || this.weights.W._gpuMaxSizeExceeded)
+    ) {
+      const bias = this.bias
+        ? this.weights.b.weblasTensor
+        : this._zerosVec.weblasTensor;
+      y.tensor.data = weblas.pipeline
+        .sgemm(1, x.weblasTensor, this.weights.W.weblasTensor, 1, bias)
+        .transfer();
+      x.deleteWeblasTensor();
+    } else {
+      if (this.bias) {
+        for (let n = 0; n < batchSize; n++) {
+          ops.assign(y.tensor.pick(n, null), this.weights.b.tensor);
+        }
+      }
+      gemm(y.tensor, x.tensor, this.weights.W.tensor, 1, 1);
+    }
+    x.tensor = y.tensor;
+
+    this.activationFunc(x);
+
+    return x;
+  }
 }
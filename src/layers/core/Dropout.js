@@ -13,6 +13,7 @@ export default class Dropout extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'Dropout';
+    this.supportsMasking = true;
 
     const { p = 0.5 } = attrs;
 
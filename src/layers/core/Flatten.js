@@ -14,6 +14,15 @@ export default class Flatten extends Layer {
     this.layerClass = 'Flatten';
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    return [ inputShape.reduce((a, b) => a * b, 1) ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -43,6 +43,17 @@ export default class Highway extends Layer {
     }
   });
 
+  /**
+   * Method for computing the output shape, which is the input shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputDim = this.weights.W ? this.weights.W.tensor.shape[0] : null;
+    this._checkInputShape(inputShape, [ inputDim ]);
+    return inputShape.slice();
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -0,0 +1,80 @@
+import Layer from '../../Layer';
+import Tensor from '../../Tensor';
+import ops from 'ndarray-ops';
+
+/**
+ * Masking layer class
+ * Masks timesteps of which all features equal maskValue, e.g. padding, so that they
+ * are skipped by subsequent layers which support masking, such as recurrent layers.
+ * Masked timesteps are also zeroed.
+ */
+export default class Masking extends Layer {
+  /**
+   * Creates a Masking layer
+   * @param {number} [attrs.maskValue] - value of the features of masked timesteps
+   */
+  constructor(attrs = {}) {
+    super(attrs);
+    this.layerClass = 'Masking';
+    this.supportsMasking = true;
+
+    const { maskValue = 0 } = attrs;
+    this.maskValue = maskValue;
+  }
+
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null ]);
+    return inputShape.slice();
+  }
+
+  /**
+   * Output is always masked
+   * @returns {boolean}
+   */
+  hasOutputMask() {
+    return true;
+  }
+
+  /**
+   * Method for computing the mask of the output, masking timesteps of which all
+   * features equal maskValue
+   * @param {Tensor} x
+   * @returns {Tensor} mask
+   */
+  computeMask(x) {
+    const shape = x.tensor.shape;
+    const features = shape[shape.length - 1];
+    let notMaskValue = new Tensor([], shape);
+    ops.neqs(notMaskValue.tensor, x.tensor, this.maskValue);
+
+    let mask = new Tensor([], shape.slice(0, -1));
+    for (let i = 0, len = mask.tensor.size; i < len; i++) {
+      const row = notMaskValue.tensor.data.subarray(
+        i * features,
+        (i + 1) * features
+      );
+      mask.tensor.data[i] = row.some(v => v) ? 1 : 0;
+    }
+    return mask;
+  }
+
+  /**
+   * Method for layer computational logic
+   * @param {Tensor} x
+   * @returns {Tensor} x
+   */
+  call(x) {
+    const mask = this.computeMask(x);
+    for (let i = 0, len = x.tensor.shape[0]; i < len; i++) {
+      if (!mask.tensor.get(i)) {
+        ops.assigns(x.tensor.pick(i, null), 0);
+      }
+    }
+    return x;
+  }
+}
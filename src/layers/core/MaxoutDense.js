@@ -29,6 +29,19 @@ export default class MaxoutDense extends Layer {
     this.params = this.bias ? [ 'W', 'b' ] : [ 'W' ];
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputDim = this.weights.W
+      ? this.weights.W.tensor.shape[1]
+      : this.inputDim;
+    this._checkInputShape(inputShape, [ inputDim ]);
+    return [ this.outputDim ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
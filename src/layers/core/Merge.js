@@ -21,6 +21,7 @@ export default class Merge extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'Merge';
+    this.supportsMasking = true;
 
     const {
       mode = 'sum',
@@ -81,12 +82,12 @@ export default class Merge extends Layer {
   }
 
   /**
-   * Internal method for validating inputs
-   * @param {Tensor[]} inputs
+   * Internal method for validating input shapes
+   * @param {number[][]} shapes
    * @returns {boolean} valid
    */
-  _validateInputs(inputs) {
-    const shapes = inputs.map(x => x.tensor.shape.slice());
+  _validateInputShapes(shapes) {
+    shapes = shapes.map(shape => shape.slice());
     if ([ 'sum', 'mul', 'ave', 'cos', 'max' ].indexOf(this.mode) > -1) {
       if (!shapes.every(shape => isEqual(shape, shapes[0]))) {
         throw new Error(
@@ -95,7 +96,7 @@ export default class Merge extends Layer {
       }
     }
     if ([ 'cos', 'dot' ].indexOf(this.mode) > -1) {
-      if (inputs.length !== 2) {
+      if (shapes.length !== 2) {
         throw new Error(
           `${this.name} [Merge layer] Exactly 2 inputs required for mode ${this.mode}.`
         );
@@ -130,6 +131,106 @@ export default class Merge extends Layer {
     return true;
   }
 
+  /**
+   * Method for computing the output shape
+   * dot and cos modes are only implemented for 2D inputs, with the result of cos mode
+   * having an extra leading axis.
+   * @param {number[][]} inputShape - array of the input shapes
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._validateInputShapes(inputShape);
+
+    let outputShape = inputShape[0].slice();
+    if (this.mode === 'concat') {
+      let _concatAxis = this.concatAxis < 0
+        ? outputShape.length + this.concatAxis
+        : this.concatAxis;
+      if (this.concatAxis === 0)
+        _concatAxis = 0;
+      inputShape.slice(1, inputShape.length).forEach(shape => {
+        outputShape[_concatAxis] += shape[_concatAxis];
+      });
+    } else if ([ 'cos', 'dot' ].indexOf(this.mode) > -1) {
+      if (!inputShape.every(shape => shape.length === 2)) {
+        throw new Error(
+          `${this.name} [Merge layer] ${this.mode} mode for 3+ dim tensors not yet implemented.`
+        );
+      }
+      let shape1 = inputShape[0].slice();
+      let shape2 = inputShape[1].slice();
+      shape1.splice(this.dotAxes[0], 1);
+      shape2.splice(this.dotAxes[1], 1);
+      outputShape = shape1.concat(shape2);
+      if (this.mode === 'cos') {
+        outputShape.unshift(1);
+      }
+    }
+    return outputShape;
+  }
+
+  /**
+   * Whether the output is masked, i.e. if any input is, except in cos and dot modes
+   * @param {boolean[]} inputMasked
+   * @returns {boolean}
+   */
+  hasOutputMask(inputMasked) {
+    return [ 'cos', 'dot' ].indexOf(this.mode) === -1 &&
+      inputMasked.some(masked => masked);
+  }
+
+  /**
+   * Method for computing the mask of the output, as in Keras. When concatenating
+   * along the timestep axis, the masks are concatenated, with the timesteps of inputs
+   * which are not masked unmasked. Otherwise, timesteps are masked if they are in
+   * any input.
+   * @param {Tensor[]} inputs
+   * @param {Tensor[]} masks - null for inputs which are not masked
+   * @returns {Tensor} mask, or null if the output is not masked
+   */
+  computeMask(inputs, masks) {
+    if (!this.hasOutputMask(masks.map(mask => !!mask))) {
+      return null;
+    }
+
+    // masks of mini-batches have the batch axis first
+    const firstMask = masks.find(mask => mask);
+    const batchShape = firstMask.tensor.shape.slice(0, -1);
+    const shapes = inputs.map(x =>
+      (x._fromPipeline ? x._actualShape : x.tensor.shape).slice(
+        batchShape.length
+      ));
+    const _concatAxis = this.concatAxis < 0
+      ? shapes[0].length + this.concatAxis
+      : this.concatAxis;
+
+    if (this.mode === 'concat' && _concatAxis === 0) {
+      const steps = sum(shapes.map(shape => shape[0]));
+      let mask = new Tensor([], [ ...batchShape, steps ]);
+      let offset = 0;
+      masks.forEach((inputMask, i) => {
+        const view = mask.tensor
+          .hi(...batchShape, offset + shapes[i][0])
+          .lo(...batchShape.map(() => 0), offset);
+        if (inputMask) {
+          ops.assign(view, inputMask.tensor);
+        } else {
+          ops.assigns(view, 1);
+        }
+        offset += shapes[i][0];
+      });
+      return mask;
+    }
+
+    let mask = new Tensor(firstMask.tensor.data, firstMask.tensor.shape);
+    masks.forEach(inputMask => {
+      if (inputMask) {
+        ops.andeq(mask.tensor, inputMask.tensor);
+      }
+    });
+    return mask;
+  }
+
   /**
    * Runs layer computational logic in pipeline mode
    * Only works with inputs containing weblas pipeline tensors which are 2-D tiled
@@ -165,41 +266,14 @@ export default class Merge extends Layer {
    * @returns {Tensor} output
    */
   _callRegularMode(inputs) {
-    const valid = this._validateInputs(inputs);
-    if (!valid) {
-      throw new Error(
-        `${this.name} [Merge layer] Invalid inputs to call method.`
-      );
-    }
-
-    let output;
-    let outputShape;
-    if ([ 'sum', 'mul', 'ave', 'max' ].indexOf(this.mode) > -1) {
-      outputShape = inputs[0].tensor.shape.slice();
-      output = new Tensor([], outputShape);
-    } else if (this.mode === 'concat') {
-      outputShape = inputs[0].tensor.shape.slice();
-      let _concatAxis = this.concatAxis < 0
-        ? outputShape.length + this.concatAxis
-        : this.concatAxis;
-      if (this.concatAxis === 0)
-        _concatAxis = 0;
-      inputs.slice(1, inputs.length).forEach(x => {
-        const d = x.tensor.shape.slice()[_concatAxis];
-        outputShape[_concatAxis] += d;
-      });
-      output = new Tensor([], outputShape);
-    } else if ([ 'cos', 'dot' ].indexOf(this.mode) > -1) {
-      let shape1 = inputs[0].tensor.shape.slice();
-      let shape2 = inputs[1].tensor.shape.slice();
-      shape1.splice(this.dotAxes[0], 1);
-      shape2.splice(this.dotAxes[1], 1);
-      outputShape = shape1.concat(shape2);
-      if (outputShape.length === 1) {
-        outputShape.push(1);
-      }
-      output = new Tensor([], outputShape);
+    let outputShape = this.computeOutputShape(
+      inputs.map(x => x.tensor.shape)
+    );
+    // leading axis of cos mode result is added after computing it
+    if (this.mode === 'cos') {
+      outputShape = outputShape.slice(1);
     }
+    let output = new Tensor([], outputShape);
 
     if (this.mode === 'sum') {
       for (let i = 0; i < inputs.length; i++) {
@@ -18,6 +18,16 @@ export default class Permute extends Layer {
     this.dims = dims.map(dim => dim - 1);
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, this.dims.map(dim => null));
+    return this.dims.map(dim => inputShape[dim]);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -20,6 +20,16 @@ export default class RepeatVector extends Layer {
     this.n = n;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null ]);
+    return [ this.n, inputShape[0] ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
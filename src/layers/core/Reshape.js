@@ -1,5 +1,6 @@
 import Tensor from '../../Tensor';
 import Layer from '../../Layer';
+import { ShapeMismatchError } from '../../errors';
 
 /**
  * Reshape layer class
@@ -18,6 +19,23 @@ export default class Reshape extends Layer {
     this.targetShape = targetShape;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const size = inputShape.reduce((a, b) => a * b, 1);
+    if (this.targetShape.reduce((a, b) => a * b, 1) !== size) {
+      throw new ShapeMismatchError(
+        `${this.name} [Reshape layer] input shape ${inputShape} cannot be reshaped to target shape ${this.targetShape}.`,
+        null,
+        inputShape
+      );
+    }
+    return this.targetShape.slice();
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
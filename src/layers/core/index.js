@@ -1,6 +1,7 @@
 import Dense from './Dense';
 import Activation from './Activation';
 import Dropout from './Dropout';
+import Masking from './Masking';
 import SpatialDropout2D from './SpatialDropout2D';
 import SpatialDropout3D from './SpatialDropout3D';
 import Flatten from './Flatten';
@@ -15,6 +16,7 @@ export {
   Dense,
   Activation,
   Dropout,
+  Masking,
   SpatialDropout2D,
   SpatialDropout3D,
   Flatten,
@@ -25,7 +25,7 @@ export default class Embedding extends Layer {
     this.outputDim = outputDim;
     this.inputLength = inputLength;
 
-    // maskZero will be important for subsequence layers
+    // index 0 is padding, masked for subsequent layers (see computeMask)
     this.maskZero = maskZero;
 
     // relevant only during training phase
@@ -35,6 +35,42 @@ export default class Embedding extends Layer {
     this.params = [ 'W' ];
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ this.inputLength || null ]);
+    const outputDim = this.weights.W
+      ? this.weights.W.tensor.shape[1]
+      : this.outputDim;
+    return [ inputShape[0], outputDim ];
+  }
+
+  /**
+   * Whether the output is masked, i.e. if maskZero is set
+   * @returns {boolean}
+   */
+  hasOutputMask() {
+    return this.maskZero;
+  }
+
+  /**
+   * Method for computing the mask of the output, masking timesteps of index 0 if
+   * maskZero is set
+   * @param {Tensor} x
+   * @returns {Tensor} mask, or null if maskZero is not set
+   */
+  computeMask(x) {
+    if (!this.maskZero) {
+      return null;
+    }
+    let mask = new Tensor([], x.tensor.shape);
+    ops.neqs(mask.tensor, x.tensor, 0);
+    return mask;
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
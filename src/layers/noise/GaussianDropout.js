@@ -13,6 +13,7 @@ export default class GaussianDropout extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'GaussianDropout';
+    this.supportsMasking = true;
 
     const { p = 0.5 } = attrs;
 
@@ -13,6 +13,7 @@ export default class GaussianNoise extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'GaussianNoise';
+    this.supportsMasking = true;
 
     const { sigma = 0 } = attrs;
   }
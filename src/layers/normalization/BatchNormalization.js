@@ -16,6 +16,7 @@ export default class BatchNormalization extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'BatchNormalization';
+    this.supportsMasking = true;
 
     const { epsilon = 0.001, mode = 0, axis = -1 } = attrs;
 
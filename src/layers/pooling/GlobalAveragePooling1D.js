@@ -12,18 +12,59 @@ export default class GlobalAveragePooling1D extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'GlobalAveragePooling1D';
+    this.supportsMasking = true;
+  }
+
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null ]);
+    return [ inputShape[1] ];
+  }
+
+  /**
+   * Output is not masked, since the timesteps are pooled
+   * @returns {boolean}
+   */
+  hasOutputMask() {
+    return false;
+  }
+
+  /**
+   * Method for computing the mask of the output
+   * @returns {Tensor} null
+   */
+  computeMask() {
+    return null;
   }
 
   /**
    * Method for layer computational logic
+   * If the input is masked, only unmasked timesteps are averaged.
    * @param {Tensor} x
+   * @param {Tensor} [mask] - mask of the input timesteps, if masked
    * @returns {Tensor} x
    */
-  call(x) {
+  call(x, mask = null) {
     const [ steps, features ] = x.tensor.shape;
     let y = new Tensor([], [ features ]);
-    for (let i = 0, len = features; i < len; i++) {
-      y.tensor.set(i, ops.sum(x.tensor.pick(null, i)) / steps);
+    if (mask) {
+      for (let i = 0; i < steps; i++) {
+        if (mask.tensor.get(i)) {
+          ops.addeq(y.tensor, x.tensor.pick(i, null));
+        }
+      }
+      const unmaskedSteps = ops.sum(mask.tensor);
+      if (unmaskedSteps) {
+        ops.divseq(y.tensor, unmaskedSteps);
+      }
+    } else {
+      for (let i = 0, len = features; i < len; i++) {
+        y.tensor.set(i, ops.sum(x.tensor.pick(null, i)) / steps);
+      }
     }
     x.tensor = y.tensor;
     return x;
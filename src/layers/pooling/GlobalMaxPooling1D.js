@@ -14,6 +14,16 @@ export default class GlobalMaxPooling1D extends Layer {
     this.layerClass = 'GlobalMaxPooling1D';
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null ]);
+    return [ inputShape[1] ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -17,6 +17,16 @@ export default class GlobalMaxPooling2D extends Layer {
     this.dimOrdering = dimOrdering;
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null ]);
+    return [ this._toTfOrdering(inputShape)[2] ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
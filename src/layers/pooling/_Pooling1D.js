@@ -24,6 +24,22 @@ export default class _Pooling1D extends Layer {
     this.poolingFunc = 'max';
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null ]);
+    const steps = inputShape[0];
+    const stepsNew = this.borderMode === 'valid'
+      ? Math.floor((steps - this.poolLength + this.stride) / this.stride)
+      : Math.floor((steps + this.stride - 1) / this.stride);
+    const outputShape = [ stepsNew, inputShape[1] ];
+    this._checkOutputShape(inputShape, outputShape);
+    return outputShape;
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
@@ -74,6 +74,18 @@ export default class _Pooling2D extends Layer {
     ];
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null ]);
+    this._calcOutputShape(this._toTfOrdering(inputShape));
+    this._checkOutputShape(inputShape, this.outputShape);
+    return this._fromTfOrdering(this.outputShape);
+  }
+
   /**
    * Pad input tensor if necessary, for borderMode='same'.
    * See above for notes on calculating padding.
@@ -35,10 +35,10 @@ export default class _Pooling3D extends Layer {
    * dimensions, kernel size, and padding mode.
    * For tensorflow implementation of padding, see:
    * https://github.com/tensorflow/tensorflow/blob/master/tensorflow/core/framework/common_shape_fns.cc
-   * @param {Tensor} x
+   * @param {number[]} inputShape
    */
-  _calcOutputShape(x) {
-    const [ inputDim1, inputDim2, inputDim3, inputChannels ] = x.tensor.shape;
+  _calcOutputShape(inputShape) {
+    const [ inputDim1, inputDim2, inputDim3, inputChannels ] = inputShape;
     const [ poolDim1, poolDim2, poolDim3 ] = this.poolSize;
 
     const outputDim1 = this.borderMode === 'same'
@@ -87,6 +87,18 @@ export default class _Pooling3D extends Layer {
     ];
   }
 
+  /**
+   * Method for computing the output shape
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    this._checkInputShape(inputShape, [ null, null, null, null ]);
+    this._calcOutputShape(this._toTfOrdering(inputShape));
+    this._checkOutputShape(inputShape, this.outputShape);
+    return this._fromTfOrdering(this.outputShape);
+  }
+
   /**
    * Pad input tensor if necessary, for borderMode='same'.
    * See above for notes on calculating padding.
@@ -148,7 +160,7 @@ export default class _Pooling3D extends Layer {
       x.tensor = x.tensor.transpose(1, 2, 3, 0);
     }
 
-    this._calcOutputShape(x);
+    this._calcOutputShape(x.tensor.shape);
     this._padInput(x);
 
     const [ inputDim1, inputDim2, inputDim3, inputChannels ] = x.tensor.shape;
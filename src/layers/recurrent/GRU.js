@@ -1,6 +1,6 @@
 import * as activations from '../../activations';
 import Tensor from '../../Tensor';
-import Layer from '../../Layer';
+import _Recurrent from './_Recurrent';
 import { gemv } from 'ndarray-blas-level2';
 import ops from 'ndarray-ops';
 import cwise from 'cwise';
@@ -8,7 +8,7 @@ import cwise from 'cwise';
 /**
  * GRU layer class
  */
-export default class GRU extends Layer {
+export default class GRU extends _Recurrent {
   /**
    * Creates a GRU layer
    * @param {number} attrs.outputDim - output dimensionality
@@ -72,12 +72,29 @@ export default class GRU extends Layer {
     }
   });
 
+  /**
+   * Method for computing the output shape, the last output or the full output
+   * sequence, validating the input dimension against the weights
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputDim = this.weights.W_z
+      ? this.weights.W_z.tensor.shape[0]
+      : null;
+    this._checkInputShape(inputShape, [ null, inputDim ]);
+    return this.returnSequences
+      ? [ inputShape[0], this.outputDim ]
+      : [ this.outputDim ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
+   * @param {Tensor} [mask] - mask of the input timesteps, masked ones being skipped
    * @returns {Tensor} x
    */
-  call(x) {
+  call(x, mask = null) {
     let currentX = new Tensor([], [ x.tensor.shape[1] ]);
 
     const dimUpdateGate = this.weights['b_z'].tensor.shape[0];
@@ -188,9 +205,11 @@ export default class GRU extends Layer {
 
     for (let i = 0, len = x.tensor.shape[0]; i < len; i++) {
       const inputIndex = this.goBackwards ? len - i - 1 : i;
-      ops.assign(currentX.tensor, x.tensor.pick(inputIndex, null));
-      _clearTemp();
-      _step();
+      if (!mask || mask.tensor.get(inputIndex)) {
+        ops.assign(currentX.tensor, x.tensor.pick(inputIndex, null));
+        _clearTemp();
+        _step();
+      }
 
       if (this.returnSequences) {
         ops.assign(
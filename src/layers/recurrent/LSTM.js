@@ -1,6 +1,6 @@
 import * as activations from '../../activations';
 import Tensor from '../../Tensor';
-import Layer from '../../Layer';
+import _Recurrent from './_Recurrent';
 import { gemv } from 'ndarray-blas-level2';
 import ops from 'ndarray-ops';
 import cwise from 'cwise';
@@ -8,7 +8,7 @@ import cwise from 'cwise';
 /**
  * LSTM layer class
  */
-export default class LSTM extends Layer {
+export default class LSTM extends _Recurrent {
   /**
    * Creates a LSTM layer
    * @param {number} attrs.outputDim - output dimensionality
@@ -43,6 +43,10 @@ export default class LSTM extends Layer {
     this.returnSequences = returnSequences;
     this.goBackwards = goBackwards;
     this.stateful = stateful;
+    this.states = {
+      hiddenState: 'currentHiddenState',
+      cellState: 'previousCandidate'
+    };
 
     // Layer weights specification
     this.params = [
@@ -75,12 +79,29 @@ export default class LSTM extends Layer {
     }
   });
 
+  /**
+   * Method for computing the output shape, the last output or the full output
+   * sequence, validating the input dimension against the weights
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    const inputDim = this.weights.W_i
+      ? this.weights.W_i.tensor.shape[0]
+      : null;
+    this._checkInputShape(inputShape, [ null, inputDim ]);
+    return this.returnSequences
+      ? [ inputShape[0], this.outputDim ]
+      : [ this.outputDim ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
+   * @param {Tensor} [mask] - mask of the input timesteps, masked ones being skipped
    * @returns {Tensor} x
    */
-  call(x) {
+  call(x, mask = null) {
     let currentX = new Tensor([], [ x.tensor.shape[1] ]);
 
     const dimInputGate = this.weights['b_i'].tensor.shape[0];
@@ -241,9 +262,11 @@ export default class LSTM extends Layer {
 
     for (let i = 0, len = x.tensor.shape[0]; i < len; i++) {
       const inputIndex = this.goBackwards ? len - i - 1 : i;
-      ops.assign(currentX.tensor, x.tensor.pick(inputIndex, null));
-      _clearTemp();
-      _step();
+      if (!mask || mask.tensor.get(inputIndex)) {
+        ops.assign(currentX.tensor, x.tensor.pick(inputIndex, null));
+        _clearTemp();
+        _step();
+      }
 
       ops.assign(
         this.hiddenStateSequence.tensor.pick(i, null),
@@ -0,0 +1,145 @@
+import Layer from '../../Layer';
+import Tensor from '../../Tensor';
+import { ShapeMismatchError } from '../../errors';
+
+/**
+ * _Recurrent layer class
+ * Base class of recurrent layers, with the states kept between calls by stateful
+ * layers, and between steps of step(). Masked timesteps of the input, e.g. padding,
+ * are skipped, carrying the states forward, as in Keras, so that the output of the
+ * previous timestep is repeated in the output sequence.
+ */
+export default class _Recurrent extends Layer {
+  /**
+   * Creates a _Recurrent layer
+   */
+  constructor(attrs = {}) {
+    super(attrs);
+    this.layerClass = '_Recurrent';
+    this.supportsMasking = true;
+
+    // names of states, mapped to the attributes holding them between calls when
+    // stateful
+    this.states = { hiddenState: 'currentHiddenState' };
+  }
+
+  /**
+   * Whether the output is masked, i.e. if the input is and the output is a sequence
+   * @param {boolean} inputMasked
+   * @returns {boolean}
+   */
+  hasOutputMask(inputMasked) {
+    return inputMasked && this.returnSequences;
+  }
+
+  /**
+   * Method for computing the mask of the output, which is that of the input if the
+   * output is a sequence
+   * @param {Tensor} x
+   * @param {Tensor} mask
+   * @returns {Tensor} mask, or null if the output is not a sequence
+   */
+  computeMask(x, mask) {
+    return this.returnSequences ? mask : null;
+  }
+
+  /**
+   * Resets states, so that the next call starts from zero states, e.g. between
+   * independent sequences
+   */
+  resetStates() {
+    Object.keys(this.states).forEach(name => {
+      delete this[this.states[name]];
+    });
+  }
+
+  /**
+   * Gets states of stateful layer, e.g. to checkpoint them
+   * States of a layer which has not been called since it was created or reset are
+   * zeros.
+   * @returns {Object} copies of the state Tensors, keyed by state name, e.g. `hiddenState`
+   */
+  getState() {
+    this._checkStateful('getState');
+    let state = {};
+    Object.keys(this.states).forEach(name => {
+      const x = this[this.states[name]];
+      state[name] = x
+        ? new Tensor(x.tensor.data, x.tensor.shape)
+        : new Tensor([], [ this.outputDim ]);
+    });
+    return state;
+  }
+
+  /**
+   * Sets states of stateful layer, e.g. to restore them from getState()
+   * @param {Object} state - state Tensors, keyed by state name
+   */
+  setState(state) {
+    this._checkStateful('setState');
+    Object.keys(this.states).forEach(name => {
+      const x = state[name];
+      if (!(x instanceof Tensor)) {
+        throw new Error(
+          `${this.name} [${this.layerClass} layer] setState() must take a Tensor for state ${name}.`
+        );
+      }
+      if (x.tensor.shape.length !== 1 || x.tensor.shape[0] !== this.outputDim) {
+        throw new ShapeMismatchError(
+          `${this.name} [${this.layerClass} layer] shape ${x.tensor.shape} of state ${name} does not match expected shape ${this.outputDim}.`,
+          [ this.outputDim ],
+          x.tensor.shape
+        );
+      }
+    });
+    Object.keys(this.states).forEach(name => {
+      const x = state[name];
+      this[this.states[name]] = new Tensor(x.tensor.data, x.tensor.shape);
+    });
+  }
+
+  /**
+   * Runs a single timestep, e.g. for token by token generation, continuing from the
+   * states of the previous step, which are kept between steps whether or not the
+   * layer is stateful. Call resetStates() to start a new sequence.
+   * @param {Tensor} x - input of the timestep, of shape [inputDim]
+   * @returns {Tensor} output of the timestep, of shape [outputDim]
+   */
+  step(x) {
+    if (x.tensor.shape.length !== 1) {
+      throw new ShapeMismatchError(
+        `${this.name} [${this.layerClass} layer] step() input shape ${x.tensor.shape} must be 1D.`,
+        null,
+        x.tensor.shape
+      );
+    }
+    // validates the input dimension
+    this.computeOutputShape([ 1, x.tensor.shape[0] ]);
+
+    const { stateful, returnSequences } = this;
+    this.stateful = true;
+    this.returnSequences = false;
+    let y;
+    try {
+      y = this.call(new Tensor(x.tensor.data, [ 1, x.tensor.shape[0] ]));
+    } finally {
+      this.stateful = stateful;
+      this.returnSequences = returnSequences;
+    }
+    // the output of the last timestep is the hidden state itself
+    return new Tensor(y.tensor.data, y.tensor.shape);
+  }
+
+  /**
+   * Throws if the layer is not stateful, since only stateful layers keep states
+   * between calls
+   * @param {string} method - name of method, for the error message
+   */
+  _checkStateful(method) {
+    if (!this.stateful) {
+      throw new Error(
+        `${this.name} [${this.layerClass} layer] ${method}() is only supported for stateful layers.`
+      );
+    }
+  }
+}
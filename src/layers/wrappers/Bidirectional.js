@@ -16,6 +16,7 @@ export default class Bidirectional extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'Bidirectional';
+    this.supportsMasking = true;
 
     const { layer, mergeMode = 'concat' } = attrs;
 
@@ -33,11 +34,18 @@ export default class Bidirectional extends Layer {
       'stateful'
     ]);
     backwardLayerAttrs.goBackwards = !backwardLayerAttrs.goBackwards;
+    // named as in Keras, where the wrapped layer is named `forward_<name>`, for error
+    // messages
+    backwardLayerAttrs.name = String(layer.name).replace(
+      /^(forward_)?/,
+      'backward_'
+    );
     this.backwardLayer = new recurrentLayers[layer.layerClass](
       backwardLayerAttrs
     );
 
     this.mergeMode = mergeMode;
+    this.stateful = !!layer.stateful;
   }
 
   /**
@@ -52,16 +60,90 @@ export default class Bidirectional extends Layer {
     this.backwardLayer.setWeights(weightsArr.slice(weightsArr.length / 2));
   }
 
+  /**
+   * Number of weight parameters of the layer, in its forward and backward layers
+   * @returns {number}
+   */
+  countParams() {
+    return this.forwardLayer.countParams() + this.backwardLayer.countParams();
+  }
+
+  /**
+   * Method for computing the output shape, from that of the wrapped layer
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    let outputShape = this.forwardLayer.computeOutputShape(inputShape);
+    if (this.mergeMode === 'concat') {
+      outputShape[outputShape.length - 1] *= 2;
+    }
+    return outputShape;
+  }
+
+  /**
+   * Whether the output is masked, i.e. if the input is and the output is a sequence
+   * @param {boolean} inputMasked
+   * @returns {boolean}
+   */
+  hasOutputMask(inputMasked) {
+    return this.forwardLayer.hasOutputMask(inputMasked);
+  }
+
+  /**
+   * Method for computing the mask of the output, from that of the wrapped layer
+   * @param {Tensor} x
+   * @param {Tensor} mask
+   * @returns {Tensor} mask, or null if the output is not a sequence
+   */
+  computeMask(x, mask) {
+    return this.forwardLayer.computeMask(x, mask);
+  }
+
+  /**
+   * Resets states of the forward and backward layers
+   */
+  resetStates() {
+    this.forwardLayer.resetStates();
+    this.backwardLayer.resetStates();
+  }
+
+  /**
+   * Gets states of the forward and backward layers, if stateful
+   * @returns {Object} with keys `forward` and `backward`, each the state of the layer
+   */
+  getState() {
+    return {
+      forward: this.forwardLayer.getState(),
+      backward: this.backwardLayer.getState()
+    };
+  }
+
+  /**
+   * Sets states of the forward and backward layers, if stateful
+   * @param {Object} state - with keys `forward` and `backward`, as from getState()
+   */
+  setState(state) {
+    if (!state || !state.forward || !state.backward) {
+      throw new Error(
+        `${this.name} [Bidirectional layer] setState() must take an object with keys forward and backward.`
+      );
+    }
+    this.forwardLayer.setState(state.forward);
+    this.backwardLayer.setState(state.backward);
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
+   * @param {Tensor} [mask] - mask of the input timesteps, skipped in both directions
    * @returns {Tensor} x
    */
-  call(x) {
+  call(x, mask = null) {
     let xForward = new Tensor(x.tensor.data, x.tensor.shape);
     let xBackward = new Tensor(x.tensor.data, x.tensor.shape);
-    let yForward = this.forwardLayer.call(xForward);
-    let yBackward = this.backwardLayer.call(xBackward);
+    let yForward = this.forwardLayer.call(xForward, mask);
+    let yBackward = this.backwardLayer.call(xBackward, mask);
 
     if (this.mergeMode === 'concat') {
       let outShape = yForward.tensor.shape.slice();
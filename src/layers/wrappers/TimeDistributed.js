@@ -13,6 +13,7 @@ export default class TimeDistributed extends Layer {
   constructor(attrs = {}) {
     super(attrs);
     this.layerClass = 'TimeDistributed';
+    this.supportsMasking = true;
 
     const { layer } = attrs;
 
@@ -31,6 +32,27 @@ export default class TimeDistributed extends Layer {
     this.layer.setWeights(weightsArr);
   }
 
+  /**
+   * Number of weight parameters of the layer, in the wrapped layer
+   * @returns {number}
+   */
+  countParams() {
+    return this.layer.countParams();
+  }
+
+  /**
+   * Method for computing the output shape, from that of the wrapped layer applied to
+   * each step
+   * @param {number[]} inputShape
+   * @returns {number[]} outputShape
+   */
+  computeOutputShape(inputShape) {
+    return [
+      inputShape[0],
+      ...this.layer.computeOutputShape(inputShape.slice(1))
+    ];
+  }
+
   /**
    * Method for layer computational logic
    * @param {Tensor} x
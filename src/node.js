@@ -0,0 +1,21 @@
+import Model from './Model';
+import ModelCache from './ModelCache';
+import Tensor from './Tensor';
+import * as activations from './activations';
+import * as errors from './errors';
+import * as layers from './layers';
+import * as testUtils from './utils/testUtils';
+
+// Node.js entry point: weblas requires WebGL, which is not available here,
+// so all layers run in CPU mode.
+global.weblas = null;
+
+export {
+  Model,
+  ModelCache,
+  Tensor,
+  activations,
+  errors,
+  layers,
+  testUtils
+};
@@ -0,0 +1,95 @@
+import crc32 from './crc32';
+import decodeUTF8 from './decodeUTF8';
+
+/**
+ * Single-file model bundle format, see `encoder.py` for construction details.
+ *
+ * Header (48 bytes, all integers uint32 little-endian):
+ *   0   magic number, ASCII `KJSB`
+ *   4   format version
+ *   8   total byte length of the bundle
+ *   12  model section: byte offset, byte length, CRC-32
+ *   24  metadata section: byte offset, byte length, CRC-32
+ *   36  weights section: byte offset, byte length, CRC-32
+ *
+ * The model section is the model architecture configuration (json), the metadata
+ * section the weights metadata (json), and the weights section the raw weights data,
+ * aligned to 4 bytes. Offsets in the weights metadata are relative to the start of
+ * the weights section.
+ */
+export const BUNDLE_MAGIC = 'KJSB';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_HEADER_LENGTH = 48;
+
+const SECTIONS = [ 'model', 'metadata', 'weights' ];
+
+/**
+ * Checks whether an ArrayBuffer starts with the bundle magic number
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export function isBundle(buffer) {
+  if (buffer.byteLength < BUNDLE_MAGIC.length) {
+    return false;
+  }
+  const magic = String.fromCharCode(
+    ...new Uint8Array(buffer, 0, BUNDLE_MAGIC.length)
+  );
+  return magic === BUNDLE_MAGIC;
+}
+
+/**
+ * Parses a model bundle, validating its header, length, and section checksums.
+ * @param {ArrayBuffer} buffer
+ * @returns {Object} object with keys `model`, `metadata`, and `weights` (ArrayBuffer)
+ */
+export function parseBundle(buffer) {
+  if (!isBundle(buffer) || buffer.byteLength < BUNDLE_HEADER_LENGTH) {
+    throw new Error('[bundle] not a valid model bundle.');
+  }
+
+  const header = new DataView(buffer, 0, BUNDLE_HEADER_LENGTH);
+  const version = header.getUint32(4, true);
+  if (version !== BUNDLE_VERSION) {
+    throw new Error(
+      `[bundle] unsupported bundle version ${version}, expected ${BUNDLE_VERSION}.`
+    );
+  }
+  const totalLength = header.getUint32(8, true);
+  if (buffer.byteLength !== totalLength) {
+    throw new Error(
+      `[bundle] bundle length ${buffer.byteLength} does not match length ${totalLength} in header, file may be truncated.`
+    );
+  }
+
+  let sections = {};
+  SECTIONS.forEach((name, i) => {
+    const offset = header.getUint32(12 + i * 12, true);
+    const length = header.getUint32(16 + i * 12, true);
+    const checksum = header.getUint32(20 + i * 12, true);
+    if (offset < BUNDLE_HEADER_LENGTH || offset + length > totalLength) {
+      throw new Error(`[bundle] ${name} section out of bounds.`);
+    }
+    const bytes = new Uint8Array(buffer, offset, length);
+    if (crc32(bytes) !== checksum) {
+      throw new Error(`[bundle] checksum mismatch in ${name} section.`);
+    }
+    sections[name] = bytes;
+  });
+
+  const weightsBytes = sections.weights;
+  if (weightsBytes.byteOffset % 4 !== 0) {
+    throw new Error('[bundle] weights section must be aligned to 4 bytes.');
+  }
+
+  // weight tensors are created directly on the bundle ArrayBuffer without copying,
+  // so metadata offsets are shifted to be relative to the start of the bundle
+  const metadata = JSON.parse(decodeUTF8(sections.metadata)).map(meta =>
+    Object.assign({}, meta, { offset: meta.offset + weightsBytes.byteOffset }));
+
+  return {
+    model: JSON.parse(decodeUTF8(sections.model)),
+    metadata,
+    weights: buffer
+  };
+}
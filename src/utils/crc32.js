@@ -0,0 +1,25 @@
+// lookup table for the standard CRC-32 polynomial (as used by zlib)
+const CRC32_TABLE = (() => {
+  let table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ c >>> 1 : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Computes CRC-32 checksum, matching zlib.crc32 in python.
+ * @param {Uint8Array} bytes
+ * @returns {number} unsigned 32-bit checksum
+ */
+export default function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ crc >>> 8;
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
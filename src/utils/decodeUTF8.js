@@ -0,0 +1,44 @@
+/**
+ * Decodes UTF-8 encoded bytes into a string.
+ * Uses TextDecoder where available, otherwise decodes manually.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export default function decodeUTF8(bytes) {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+
+  let codePoints = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const b = bytes[i];
+    if (b < 0x80) {
+      codePoints.push(b);
+      i += 1;
+    } else if (b < 0xe0) {
+      codePoints.push((b & 0x1f) << 6 | bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (b < 0xf0) {
+      codePoints.push(
+        (b & 0x0f) << 12 | (bytes[i + 1] & 0x3f) << 6 | bytes[i + 2] & 0x3f
+      );
+      i += 3;
+    } else {
+      codePoints.push(
+        (b & 0x07) << 18 | (bytes[i + 1] & 0x3f) << 12 |
+          (bytes[i + 2] & 0x3f) << 6 |
+          bytes[i + 3] & 0x3f
+      );
+      i += 4;
+    }
+  }
+
+  // String.fromCodePoint has a limit on the number of arguments, so decode in chunks
+  const chunkSize = 8192;
+  let str = '';
+  for (let j = 0; j < codePoints.length; j += chunkSize) {
+    str += String.fromCodePoint(...codePoints.slice(j, j + chunkSize));
+  }
+  return str;
+}
@@ -0,0 +1,109 @@
+/**
+ * Bytes per element of each weights type
+ */
+const WEIGHTS_TYPE_BYTES = { float32: 4, float16: 2, uint8: 1 };
+
+/**
+ * Returns the number of bytes taken up by a weight tensor in the weights data
+ * @param {Object} meta - weights metadata entry, with `length` and `type`
+ * @returns {number}
+ */
+export function getWeightsByteLength(meta) {
+  const { length, type = 'float32' } = meta;
+  if (!(type in WEIGHTS_TYPE_BYTES)) {
+    throw new Error(`[decodeWeights] unsupported weights type ${type}.`);
+  }
+  return length * WEIGHTS_TYPE_BYTES[type];
+}
+
+/**
+ * Lookup table of all float16 values, created on first use
+ */
+let float16Table = null;
+
+function getFloat16Table() {
+  if (float16Table) {
+    return float16Table;
+  }
+  float16Table = new Float32Array(65536);
+  for (let h = 0; h < 65536; h++) {
+    const sign = h & 0x8000 ? -1 : 1;
+    const exponent = h >> 10 & 0x1f;
+    const fraction = h & 0x03ff;
+    if (exponent === 0) {
+      // subnormal
+      float16Table[h] = sign * Math.pow(2, -14) * (fraction / 1024);
+    } else if (exponent === 0x1f) {
+      float16Table[h] = fraction ? NaN : sign * Infinity;
+    } else {
+      float16Table[h] = sign * Math.pow(2, exponent - 15) *
+        (1 + fraction / 1024);
+    }
+  }
+  return float16Table;
+}
+
+/**
+ * Returns a typed array view on the weights data, copying if the byte offset is not a
+ * multiple of the element size
+ */
+function getView(TypedArray, buffer, offset, length) {
+  if (offset % TypedArray.BYTES_PER_ELEMENT === 0) {
+    return new TypedArray(buffer, offset, length);
+  }
+  return new TypedArray(
+    buffer.slice(offset, offset + length * TypedArray.BYTES_PER_ELEMENT)
+  );
+}
+
+/**
+ * Decodes a weight tensor from the weights data, according to its `type` in the
+ * weights metadata (see `encoder.py`):
+ *
+ *   - `float32` (default): returned as a view on the weights data without copying
+ *   - `float16`: IEEE 754 half-precision
+ *   - `uint8`: quantized per tensor, either with `min` and `max`, where 0 and 255 map
+ *     to min and max, or with `scale` and `zero_point`, where q maps to
+ *     scale * (q - zero_point)
+ *
+ * @param {ArrayBuffer} buffer - weights data
+ * @param {Object} meta - weights metadata entry, with `offset` (bytes), `length`, and `type`
+ * @returns {Float32Array}
+ */
+export default function decodeWeights(buffer, meta) {
+  const { offset, length, type = 'float32' } = meta;
+
+  if (type === 'float32') {
+    return getView(Float32Array, buffer, offset, length);
+  } else if (type === 'float16') {
+    const table = getFloat16Table();
+    const data = getView(Uint16Array, buffer, offset, length);
+    let decoded = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      decoded[i] = table[data[i]];
+    }
+    return decoded;
+  } else if (type === 'uint8') {
+    const data = new Uint8Array(buffer, offset, length);
+    let decoded = new Float32Array(length);
+    if ('scale' in meta && 'zero_point' in meta) {
+      const { scale, zero_point: zeroPoint } = meta;
+      for (let i = 0; i < length; i++) {
+        decoded[i] = scale * (data[i] - zeroPoint);
+      }
+    } else if ('min' in meta && 'max' in meta) {
+      const { min, max } = meta;
+      const step = (max - min) / 255;
+      for (let i = 0; i < length; i++) {
+        decoded[i] = min + step * data[i];
+      }
+    } else {
+      throw new Error(
+        `[decodeWeights] uint8 weights ${meta.weight_name} require min and max, or scale and zero_point.`
+      );
+    }
+    return decoded;
+  }
+
+  throw new Error(`[decodeWeights] unsupported weights type ${type}.`);
+}
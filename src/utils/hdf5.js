@@ -0,0 +1,937 @@
+import range from 'lodash/range';
+import decodeUTF8 from './decodeUTF8';
+
+/**
+ * Minimal HDF5 reader, for the subset of the format written by h5py when saving
+ * Keras model weights (`model.save_weights()` or `model.save()`):
+ *
+ *   - superblock versions 0-3
+ *   - version 1 and 2 object headers, including continuation blocks
+ *   - groups, as symbol tables (B-tree and local heap) or compact link messages
+ *   - attributes of fixed-length or variable-length strings, and numbers
+ *   - compact, contiguous, or chunked (without filters) floating-point datasets
+ *
+ * Compressed datasets, dense link or attribute storage, and other parts of the
+ * format are not supported.
+ * See https://support.hdfgroup.org/HDF5/doc/H5.format.html for the specification.
+ */
+
+const SIGNATURE = [ 0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a ];
+
+// object header message types
+const MSG_DATASPACE = 0x0001;
+const MSG_LINK_INFO = 0x0002;
+const MSG_DATATYPE = 0x0003;
+const MSG_LINK = 0x0006;
+const MSG_LAYOUT = 0x0008;
+const MSG_FILTER_PIPELINE = 0x000b;
+const MSG_ATTRIBUTE = 0x000c;
+const MSG_CONTINUATION = 0x0010;
+const MSG_SYMBOL_TABLE = 0x0011;
+const MSG_ATTRIBUTE_INFO = 0x0015;
+
+// datatype classes
+const CLASS_FIXED_POINT = 0;
+const CLASS_FLOATING_POINT = 1;
+const CLASS_STRING = 3;
+const CLASS_VARIABLE_LENGTH = 9;
+
+// data layout classes
+const LAYOUT_COMPACT = 0;
+const LAYOUT_CONTIGUOUS = 1;
+const LAYOUT_CHUNKED = 2;
+
+// chunk index types (version 4 data layout, or B-tree for earlier versions)
+const CHUNK_INDEX_BTREE = 0;
+const CHUNK_INDEX_SINGLE = 1;
+const CHUNK_INDEX_IMPLICIT = 2;
+const CHUNK_INDEX_FIXED_ARRAY = 3;
+
+/**
+ * Checks whether an ArrayBuffer is an HDF5 file
+ * The superblock may be at byte 0, 512, 1024, 2048, etc., following a user block.
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export function isHDF5(buffer) {
+  return findSuperblock(new Uint8Array(buffer)) !== -1;
+}
+
+function findSuperblock(bytes) {
+  let offset = 0;
+  while (offset + SIGNATURE.length <= bytes.length) {
+    if (SIGNATURE.every((b, i) => bytes[offset + i] === b)) {
+      return offset;
+    }
+    offset = offset ? offset * 2 : 512;
+  }
+  return -1;
+}
+
+/**
+ * HDF5 file reader class
+ * Objects (groups and datasets) are referred to by the address of their object header.
+ */
+export class HDF5File {
+  /**
+   * Creates an HDF5 file reader
+   * @param {ArrayBuffer} buffer - contents of the HDF5 file
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.bytes = new Uint8Array(buffer);
+    this.view = new DataView(buffer);
+
+    // parsed object header messages and global heap collections, keyed by address
+    this._objectHeaders = new Map();
+    this._globalHeaps = new Map();
+
+    this._readSuperblock();
+  }
+
+  _readSuperblock() {
+    const start = findSuperblock(this.bytes);
+    if (start === -1) {
+      throw new Error('[hdf5] not a valid HDF5 file.');
+    }
+
+    this.baseAddress = 0;
+    const version = this.bytes[start + 8];
+    if (version === 0 || version === 1) {
+      this.offsetSize = this.bytes[start + 13];
+      this.lengthSize = this.bytes[start + 14];
+      let pos = start + (version === 0 ? 24 : 28);
+      this.baseAddress = this._readUint(pos, this.offsetSize);
+      // skip free-space info, end of file, and driver info addresses, then the
+      // link name offset in the root group symbol table entry
+      pos += 5 * this.offsetSize;
+      this.rootAddress = this._readAddress(pos);
+    } else if (version === 2 || version === 3) {
+      this.offsetSize = this.bytes[start + 9];
+      this.lengthSize = this.bytes[start + 10];
+      let pos = start + 12;
+      this.baseAddress = this._readUint(pos, this.offsetSize);
+      // skip superblock extension and end of file addresses
+      pos += 3 * this.offsetSize;
+      this.rootAddress = this._readAddress(pos);
+    } else {
+      throw new Error(`[hdf5] unsupported superblock version ${version}.`);
+    }
+  }
+
+  /**
+   * Reads an unsigned little-endian integer of up to 8 bytes
+   * 8-byte integers are exact up to 2^53.
+   */
+  _readUint(pos, size) {
+    switch (size) {
+      case 1:
+        return this.view.getUint8(pos);
+      case 2:
+        return this.view.getUint16(pos, true);
+      case 4:
+        return this.view.getUint32(pos, true);
+      case 8:
+        return this.view.getUint32(pos, true) +
+          this.view.getUint32(pos + 4, true) * 4294967296;
+      default: {
+        let value = 0;
+        for (let i = size - 1; i >= 0; i--) {
+          value = value * 256 + this.bytes[pos + i];
+        }
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Reads an address, relative to the base address
+   * @returns {number|null} absolute byte offset, or null for the undefined address
+   */
+  _readAddress(pos) {
+    let undefinedAddress = true;
+    for (let i = 0; i < this.offsetSize; i++) {
+      if (this.bytes[pos + i] !== 0xff) {
+        undefinedAddress = false;
+        break;
+      }
+    }
+    if (undefinedAddress) {
+      return null;
+    }
+    return this.baseAddress + this._readUint(pos, this.offsetSize);
+  }
+
+  _readString(pos, length) {
+    let end = pos;
+    while (end < pos + length && this.bytes[end] !== 0) {
+      end++;
+    }
+    return decodeUTF8(this.bytes.subarray(pos, end));
+  }
+
+  _checkSignature(pos, signature) {
+    const found = String.fromCharCode(...this.bytes.subarray(pos, pos + 4));
+    if (found !== signature) {
+      throw new Error(
+        `[hdf5] expected ${signature} signature at byte ${pos}, file may be corrupt.`
+      );
+    }
+  }
+
+  /**
+   * Reads all messages of an object header, following continuation blocks
+   * @param {number} address - object header address
+   * @returns {Object[]} messages, with `type`, `flags`, and `pos` (start of message data)
+   */
+  _readObjectHeader(address) {
+    if (this._objectHeaders.has(address)) {
+      return this._objectHeaders.get(address);
+    }
+
+    let messages = [];
+    if (this.bytes[address] === 1) {
+      // version 1: messages aligned to 8 bytes, starting after the 16-byte prefix
+      const nbMessages = this.view.getUint16(address + 2, true);
+      let blocks = [ [ address + 16, this.view.getUint32(address + 8, true) ] ];
+      while (blocks.length && messages.length < nbMessages) {
+        const [ blockStart, blockLength ] = blocks.shift();
+        let pos = blockStart;
+        while (pos + 8 <= blockStart + blockLength &&
+          messages.length < nbMessages) {
+          const type = this.view.getUint16(pos, true);
+          const size = this.view.getUint16(pos + 2, true);
+          const flags = this.bytes[pos + 4];
+          messages.push({ type, flags, pos: pos + 8 });
+          if (type === MSG_CONTINUATION) {
+            blocks.push(this._readContinuation(pos + 8));
+          }
+          pos += 8 + size;
+        }
+      }
+    } else {
+      // version 2
+      this._checkSignature(address, 'OHDR');
+      const flags = this.bytes[address + 5];
+      let pos = address + 6;
+      if (flags & 0x20) {
+        pos += 16;
+      }
+      if (flags & 0x10) {
+        pos += 4;
+      }
+      const chunkSizeLength = 1 << (flags & 0x03);
+      const chunkSize = this._readUint(pos, chunkSizeLength);
+      pos += chunkSizeLength;
+      const messageHeaderLength = flags & 0x04 ? 6 : 4;
+
+      let blocks = [ [ pos, chunkSize ] ];
+      while (blocks.length) {
+        const [ blockStart, blockLength ] = blocks.shift();
+        pos = blockStart;
+        // the remainder of a block smaller than a message header is a gap
+        while (pos + messageHeaderLength <= blockStart + blockLength) {
+          const type = this.bytes[pos];
+          const size = this.view.getUint16(pos + 1, true);
+          const messageFlags = this.bytes[pos + 3];
+          const dataPos = pos + messageHeaderLength;
+          messages.push({ type, flags: messageFlags, pos: dataPos });
+          if (type === MSG_CONTINUATION) {
+            const [
+              continuationStart,
+              continuationLength
+            ] = this._readContinuation(dataPos);
+            this._checkSignature(continuationStart, 'OCHK');
+            // skip signature, and exclude checksum
+            blocks.push([ continuationStart + 4, continuationLength - 8 ]);
+          }
+          pos = dataPos + size;
+        }
+      }
+    }
+
+    messages.forEach(message => {
+      // shared messages are only stored by reference
+      if (message.flags & 0x02) {
+        throw new Error(
+          '[hdf5] shared object header messages are not supported.'
+        );
+      }
+    });
+
+    this._objectHeaders.set(address, messages);
+    return messages;
+  }
+
+  _readContinuation(pos) {
+    return [
+      this._readAddress(pos),
+      this._readUint(pos + this.offsetSize, this.lengthSize)
+    ];
+  }
+
+  _findMessage(messages, type) {
+    return messages.find(message => message.type === type);
+  }
+
+  /**
+   * Reads dataspace message
+   * @returns {number[]} dimensions, empty for scalars
+   */
+  _readDataspace(pos) {
+    const version = this.bytes[pos];
+    const rank = this.bytes[pos + 1];
+    const start = version === 1 ? pos + 8 : pos + 4;
+    let dims = [];
+    for (let i = 0; i < rank; i++) {
+      dims.push(this._readUint(start + i * this.lengthSize, this.lengthSize));
+    }
+    return dims;
+  }
+
+  /**
+   * Reads datatype message
+   * @returns {Object} datatype, with `typeClass`, `size`, and class-specific properties
+   */
+  _readDatatype(pos) {
+    const typeClass = this.bytes[pos] & 0x0f;
+    const bits = this.bytes[pos + 1];
+    const size = this.view.getUint32(pos + 4, true);
+    const datatype = { typeClass, size };
+    if (
+      typeClass === CLASS_FIXED_POINT || typeClass === CLASS_FLOATING_POINT
+    ) {
+      datatype.littleEndian = (bits & 0x01) === 0;
+      datatype.signed = (bits & 0x08) !== 0;
+    } else if (typeClass === CLASS_VARIABLE_LENGTH) {
+      datatype.isString = (bits & 0x0f) === 1;
+      datatype.base = this._readDatatype(pos + 8);
+    }
+    return datatype;
+  }
+
+  /**
+   * Reads data layout message
+   * @param {number} pos
+   * @param {number} rank - dataset rank
+   * @returns {Object} layout, with `layoutClass`, `address`, and `chunkDims` and `chunkIndex`
+   *                    for chunked datasets
+   */
+  _readLayout(pos, rank) {
+    const version = this.bytes[pos];
+    if (version === 1 || version === 2) {
+      const dimensionality = this.bytes[pos + 1];
+      const layoutClass = this.bytes[pos + 2];
+      let p = pos + 8;
+      let address = null;
+      if (layoutClass !== LAYOUT_COMPACT) {
+        address = this._readAddress(p);
+        p += this.offsetSize;
+      }
+      let dims = [];
+      for (let i = 0; i < dimensionality; i++) {
+        dims.push(this.view.getUint32(p + i * 4, true));
+      }
+      p += 4 * dimensionality;
+      if (layoutClass === LAYOUT_COMPACT) {
+        return { layoutClass, address: p + 4 };
+      } else if (layoutClass === LAYOUT_CHUNKED) {
+        return {
+          layoutClass,
+          address,
+          dimensionality,
+          chunkDims: dims.slice(0, rank),
+          chunkIndex: CHUNK_INDEX_BTREE
+        };
+      }
+      return { layoutClass, address };
+    } else if (version === 3 || version === 4) {
+      const layoutClass = this.bytes[pos + 1];
+      const p = pos + 2;
+      if (layoutClass === LAYOUT_COMPACT) {
+        return { layoutClass, address: p + 2 };
+      } else if (layoutClass === LAYOUT_CONTIGUOUS) {
+        return { layoutClass, address: this._readAddress(p) };
+      } else if (layoutClass === LAYOUT_CHUNKED && version === 3) {
+        const dimensionality = this.bytes[p];
+        const address = this._readAddress(p + 1);
+        let chunkDims = [];
+        for (let i = 0; i < rank; i++) {
+          chunkDims.push(
+            this.view.getUint32(p + 1 + this.offsetSize + i * 4, true)
+          );
+        }
+        return {
+          layoutClass,
+          address,
+          dimensionality,
+          chunkDims,
+          chunkIndex: CHUNK_INDEX_BTREE
+        };
+      } else if (layoutClass === LAYOUT_CHUNKED) {
+        // version 4, with the chunk dimensions encoded in a variable number of bytes
+        const dimensionality = this.bytes[p + 1];
+        const encodedLength = this.bytes[p + 2];
+        let q = p + 3;
+        let chunkDims = [];
+        for (let i = 0; i < dimensionality; i++) {
+          if (i < rank) {
+            chunkDims.push(this._readUint(q, encodedLength));
+          }
+          q += encodedLength;
+        }
+        const chunkIndex = this.bytes[q];
+        q += 1;
+        if (chunkIndex === CHUNK_INDEX_FIXED_ARRAY) {
+          // skip page bits
+          q += 1;
+        } else if (
+          chunkIndex !== CHUNK_INDEX_SINGLE &&
+            chunkIndex !== CHUNK_INDEX_IMPLICIT
+        ) {
+          // extensible array and version 2 B-tree indexes are only used for
+          // datasets with unlimited dimensions
+          throw new Error(`[hdf5] unsupported chunk index type ${chunkIndex}.`);
+        }
+        return {
+          layoutClass,
+          address: this._readAddress(q),
+          dimensionality,
+          chunkDims,
+          chunkIndex
+        };
+      }
+    }
+    throw new Error(
+      `[hdf5] unsupported data layout (version ${version}).`
+    );
+  }
+
+  /**
+   * Gets the child objects of a group
+   * @param {number} address - group object header address
+   * @returns {Map} map of link names to object header addresses
+   */
+  getChildren(address) {
+    const messages = this._readObjectHeader(address);
+    let children = new Map();
+
+    const symbolTable = this._findMessage(messages, MSG_SYMBOL_TABLE);
+    if (symbolTable) {
+      const btreeAddress = this._readAddress(symbolTable.pos);
+      const heapAddress = this._readAddress(
+        symbolTable.pos + this.offsetSize
+      );
+      this._checkSignature(heapAddress, 'HEAP');
+      const heapDataAddress = this._readAddress(
+        heapAddress + 8 + 2 * this.lengthSize
+      );
+      this._readGroupBTree(btreeAddress, heapDataAddress, children);
+      return children;
+    }
+
+    messages.filter(message => message.type === MSG_LINK).forEach(message => {
+      const { name, address } = this._readLink(message.pos);
+      if (address !== null) {
+        children.set(name, address);
+      }
+    });
+
+    const linkInfo = this._findMessage(messages, MSG_LINK_INFO);
+    if (linkInfo) {
+      const fractalHeapPos = linkInfo.pos + 2 +
+        (this.bytes[linkInfo.pos + 1] & 0x01 ? 8 : 0);
+      if (this._readAddress(fractalHeapPos) !== null) {
+        throw new Error('[hdf5] dense link storage is not supported.');
+      }
+    }
+
+    return children;
+  }
+
+  _readGroupBTree(address, heapDataAddress, children) {
+    this._checkSignature(address, 'TREE');
+    const level = this.bytes[address + 5];
+    const nbEntries = this.view.getUint16(address + 6, true);
+    // keys (heap offsets) and children are interleaved, starting with a key
+    let pos = address + 8 + 2 * this.offsetSize + this.lengthSize;
+    for (let i = 0; i < nbEntries; i++) {
+      const child = this._readAddress(pos);
+      if (level > 0) {
+        this._readGroupBTree(child, heapDataAddress, children);
+      } else {
+        this._readSymbolTableNode(child, heapDataAddress, children);
+      }
+      pos += this.offsetSize + this.lengthSize;
+    }
+  }
+
+  _readSymbolTableNode(address, heapDataAddress, children) {
+    this._checkSignature(address, 'SNOD');
+    const nbSymbols = this.view.getUint16(address + 6, true);
+    const entryLength = 2 * this.offsetSize + 24;
+    for (let i = 0; i < nbSymbols; i++) {
+      const pos = address + 8 + i * entryLength;
+      const nameOffset = this._readUint(pos, this.offsetSize);
+      const name = this._readString(
+        heapDataAddress + nameOffset,
+        this.bytes.length
+      );
+      children.set(name, this._readAddress(pos + this.offsetSize));
+    }
+  }
+
+  _readLink(pos) {
+    const flags = this.bytes[pos + 1];
+    let p = pos + 2;
+    let linkType = 0;
+    if (flags & 0x08) {
+      linkType = this.bytes[p];
+      p += 1;
+    }
+    if (flags & 0x04) {
+      p += 8;
+    }
+    if (flags & 0x10) {
+      p += 1;
+    }
+    const nameLengthSize = 1 << (flags & 0x03);
+    const nameLength = this._readUint(p, nameLengthSize);
+    p += nameLengthSize;
+    const name = decodeUTF8(this.bytes.subarray(p, p + nameLength));
+    p += nameLength;
+    // only hard links are followed
+    return { name, address: linkType === 0 ? this._readAddress(p) : null };
+  }
+
+  /**
+   * Gets object header address by path
+   * @param {string} path - path of group or dataset, relative to the root group
+   * @returns {number} address
+   */
+  get(path) {
+    let address = this.rootAddress;
+    path.split('/').filter(name => name.length).forEach(name => {
+      const children = this.getChildren(address);
+      if (!children.has(name)) {
+        throw new Error(`[hdf5] object ${path} not found.`);
+      }
+      address = children.get(name);
+    });
+    return address;
+  }
+
+  /**
+   * Gets the attributes of an object
+   * Scalar attributes are returned as values, others as arrays of values.
+   * @param {number} address - object header address
+   * @returns {Object} attributes keyed by name
+   */
+  getAttributes(address) {
+    const messages = this._readObjectHeader(address);
+    let attributes = {};
+
+    messages
+      .filter(message => message.type === MSG_ATTRIBUTE)
+      .forEach(message => {
+        const pos = message.pos;
+        const version = this.bytes[pos];
+        const nameSize = this.view.getUint16(pos + 2, true);
+        const datatypeSize = this.view.getUint16(pos + 4, true);
+        const dataspaceSize = this.view.getUint16(pos + 6, true);
+        // fields are padded to 8 bytes in version 1 only
+        const padded = size => version === 1 ? Math.ceil(size / 8) * 8 : size;
+
+        let p = pos + (version === 3 ? 9 : 8);
+        const name = this._readString(p, nameSize);
+        p += padded(nameSize);
+        const datatype = this._readDatatype(p);
+        p += padded(datatypeSize);
+        const dims = this._readDataspace(p);
+        p += padded(dataspaceSize);
+
+        const count = dims.reduce((a, b) => a * b, 1);
+        const values = this._readValues(p, datatype, count);
+        attributes[name] = dims.length ? values : values[0];
+      });
+
+    const attributeInfo = this._findMessage(messages, MSG_ATTRIBUTE_INFO);
+    if (attributeInfo) {
+      const fractalHeapPos = attributeInfo.pos + 2 +
+        (this.bytes[attributeInfo.pos + 1] & 0x01 ? 2 : 0);
+      if (this._readAddress(fractalHeapPos) !== null) {
+        throw new Error('[hdf5] dense attribute storage is not supported.');
+      }
+    }
+
+    return attributes;
+  }
+
+  _readValues(pos, datatype, count) {
+    const { typeClass, size } = datatype;
+    let values = [];
+    for (let i = 0; i < count; i++) {
+      const p = pos + i * size;
+      if (typeClass === CLASS_STRING) {
+        values.push(this._readString(p, size).replace(/ +$/, ''));
+      } else if (typeClass === CLASS_VARIABLE_LENGTH && datatype.isString) {
+        values.push(this._readVariableLengthString(p));
+      } else if (
+        typeClass === CLASS_FIXED_POINT || typeClass === CLASS_FLOATING_POINT
+      ) {
+        values.push(this._readNumber(p, datatype));
+      } else {
+        throw new Error(`[hdf5] unsupported datatype class ${typeClass}.`);
+      }
+    }
+    return values;
+  }
+
+  _readNumber(pos, datatype) {
+    const { typeClass, size, littleEndian, signed } = datatype;
+    if (typeClass === CLASS_FLOATING_POINT) {
+      if (size === 4) {
+        return this.view.getFloat32(pos, littleEndian);
+      } else if (size === 8) {
+        return this.view.getFloat64(pos, littleEndian);
+      }
+    } else if (size === 1) {
+      return signed ? this.view.getInt8(pos) : this.view.getUint8(pos);
+    } else if (size === 2) {
+      return signed
+        ? this.view.getInt16(pos, littleEndian)
+        : this.view.getUint16(pos, littleEndian);
+    } else if (size === 4) {
+      return signed
+        ? this.view.getInt32(pos, littleEndian)
+        : this.view.getUint32(pos, littleEndian);
+    }
+    throw new Error(`[hdf5] unsupported ${size}-byte numeric datatype.`);
+  }
+
+  /**
+   * Variable-length strings are stored in a global heap collection, referenced by
+   * length, collection address, and object index.
+   */
+  _readVariableLengthString(pos) {
+    const length = this.view.getUint32(pos, true);
+    const collectionAddress = this._readAddress(pos + 4);
+    const index = this.view.getUint32(pos + 4 + this.offsetSize, true);
+    if (length === 0 || collectionAddress === null) {
+      return '';
+    }
+    const objects = this._readGlobalHeap(collectionAddress);
+    if (!objects.has(index)) {
+      throw new Error(`[hdf5] global heap object ${index} not found.`);
+    }
+    return decodeUTF8(
+      this.bytes.subarray(objects.get(index), objects.get(index) + length)
+    );
+  }
+
+  _readGlobalHeap(address) {
+    if (this._globalHeaps.has(address)) {
+      return this._globalHeaps.get(address);
+    }
+    this._checkSignature(address, 'GCOL');
+    const collectionSize = this._readUint(address + 8, this.lengthSize);
+    const end = address + collectionSize;
+    let objects = new Map();
+    let pos = address + 8 + this.lengthSize;
+    while (pos + 8 + this.lengthSize <= end) {
+      const index = this.view.getUint16(pos, true);
+      // index 0 is free space at the end of the collection
+      if (index === 0) {
+        break;
+      }
+      const objectSize = this._readUint(pos + 8, this.lengthSize);
+      const dataPos = pos + 8 + this.lengthSize;
+      objects.set(index, dataPos);
+      pos = dataPos + Math.ceil(objectSize / 8) * 8;
+    }
+    this._globalHeaps.set(address, objects);
+    return objects;
+  }
+
+  /**
+   * Gets dataset shape, datatype, and layout
+   * @param {number} address - dataset object header address
+   * @returns {Object} dataset info, with `shape`, `datatype`, and `layout`
+   */
+  getDataset(address) {
+    const messages = this._readObjectHeader(address);
+    const dataspace = this._findMessage(messages, MSG_DATASPACE);
+    const datatype = this._findMessage(messages, MSG_DATATYPE);
+    const layout = this._findMessage(messages, MSG_LAYOUT);
+    if (!dataspace || !datatype || !layout) {
+      throw new Error(`[hdf5] object at byte ${address} is not a dataset.`);
+    }
+
+    const filterPipeline = this._findMessage(messages, MSG_FILTER_PIPELINE);
+    if (filterPipeline && this.bytes[filterPipeline.pos + 1] > 0) {
+      throw new Error(
+        '[hdf5] compressed or filtered datasets are not supported.'
+      );
+    }
+
+    const shape = this._readDataspace(dataspace.pos);
+    return {
+      shape,
+      datatype: this._readDatatype(datatype.pos),
+      layout: this._readLayout(layout.pos, shape.length)
+    };
+  }
+
+  /**
+   * Reads floating-point dataset values into a Float32Array, converting from other
+   * precisions or byte orders if necessary. Unallocated storage is left as zeros.
+   * @param {Object} dataset - dataset info from getDataset()
+   * @param {Float32Array} out - output array
+   * @param {number} [outOffset] - element offset into output array
+   */
+  readDataset(dataset, out, outOffset = 0) {
+    const { shape, datatype, layout } = dataset;
+    if (datatype.typeClass !== CLASS_FLOATING_POINT) {
+      throw new Error('[hdf5] only floating-point datasets are supported.');
+    }
+    const count = shape.reduce((a, b) => a * b, 1);
+
+    if (layout.layoutClass === LAYOUT_CHUNKED) {
+      if (layout.address !== null) {
+        this._getChunks(dataset).forEach(({ address, chunkOffsets }) => {
+          this._readChunk(address, chunkOffsets, dataset, out, outOffset);
+        });
+      }
+    } else if (layout.address !== null) {
+      this._readFloats(layout.address, datatype, count, out, outOffset);
+    }
+  }
+
+  _readFloats(pos, datatype, count, out, outOffset) {
+    const { size, littleEndian } = datatype;
+    if (size === 4 && littleEndian && pos % 4 === 0) {
+      out.set(new Float32Array(this.buffer, pos, count), outOffset);
+      return;
+    }
+    for (let i = 0; i < count; i++) {
+      out[outOffset + i] = this._readNumber(pos + i * size, datatype);
+    }
+  }
+
+  /**
+   * Gets the addresses and offsets (in elements along each dimension) of all
+   * allocated chunks of a chunked dataset
+   * @param {Object} dataset - dataset info from getDataset()
+   * @returns {Object[]} chunks, with `address` and `chunkOffsets`
+   */
+  _getChunks(dataset) {
+    const { shape, datatype, layout } = dataset;
+    const { address, chunkDims, chunkIndex } = layout;
+
+    let chunks = [];
+    if (chunkIndex === CHUNK_INDEX_BTREE) {
+      this._readChunkBTree(address, dataset, chunks);
+    } else if (chunkIndex === CHUNK_INDEX_SINGLE) {
+      chunks.push({ address, chunkOffsets: shape.map(() => 0) });
+    } else {
+      // implicit and fixed array indexes hold chunks in row-major order of the chunk grid
+      const gridDims = shape.map((dim, d) => Math.ceil(dim / chunkDims[d]));
+      const nbChunks = gridDims.reduce((a, b) => a * b, 1);
+      const chunkAddresses = chunkIndex === CHUNK_INDEX_IMPLICIT
+        ? range(nbChunks).map(
+          i => address + i * chunkDims.reduce((a, b) => a * b, datatype.size)
+        )
+        : this._readFixedArray(address, nbChunks);
+      chunkAddresses.forEach((chunkAddress, i) => {
+        if (chunkAddress === null) {
+          return;
+        }
+        let chunkOffsets = Array(shape.length);
+        let remainder = i;
+        for (let d = shape.length - 1; d >= 0; d--) {
+          chunkOffsets[d] = remainder % gridDims[d] * chunkDims[d];
+          remainder = Math.floor(remainder / gridDims[d]);
+        }
+        chunks.push({ address: chunkAddress, chunkOffsets });
+      });
+    }
+    return chunks;
+  }
+
+  _readChunkBTree(address, dataset, chunks) {
+    this._checkSignature(address, 'TREE');
+    const { shape, layout } = dataset;
+    const level = this.bytes[address + 5];
+    const nbEntries = this.view.getUint16(address + 6, true);
+    // keys hold chunk size, filter mask, and chunk offsets (8 bytes per dimension,
+    // with an extra dimension for the datatype)
+    const keyLength = 8 + 8 * layout.dimensionality;
+    let pos = address + 8 + 2 * this.offsetSize;
+    for (let i = 0; i < nbEntries; i++) {
+      let chunkOffsets = [];
+      for (let d = 0; d < shape.length; d++) {
+        chunkOffsets.push(this._readUint(pos + 8 + d * 8, 8));
+      }
+      const child = this._readAddress(pos + keyLength);
+      if (level > 0) {
+        this._readChunkBTree(child, dataset, chunks);
+      } else {
+        chunks.push({ address: child, chunkOffsets });
+      }
+      pos += keyLength + this.offsetSize;
+    }
+  }
+
+  /**
+   * Reads chunk addresses from a fixed array index
+   * Large arrays are split into pages, which follow the data block, each with its own
+   * checksum. Pages not marked as initialized in the page bitmap are unallocated.
+   */
+  _readFixedArray(address, nbChunks) {
+    this._checkSignature(address, 'FAHD');
+    const entryLength = this.bytes[address + 6];
+    const pageLength = 1 << this.bytes[address + 7];
+    const nbEntries = this._readUint(address + 8, this.lengthSize);
+    const dataBlockAddress = this._readAddress(
+      address + 8 + this.lengthSize
+    );
+    this._checkSignature(dataBlockAddress, 'FADB');
+
+    const paged = nbEntries > pageLength;
+    const bitmapPos = dataBlockAddress + 6 + this.offsetSize;
+    let pos = bitmapPos;
+    if (paged) {
+      // skip page bitmap and data block checksum
+      pos += Math.ceil(Math.ceil(nbEntries / pageLength) / 8) + 4;
+    }
+
+    let addresses = [];
+    for (let i = 0; i < Math.min(nbEntries, nbChunks); i++) {
+      let initialized = true;
+      if (paged) {
+        const page = Math.floor(i / pageLength);
+        if (i > 0 && i % pageLength === 0) {
+          // skip checksum of previous page
+          pos += 4;
+        }
+        initialized = (this.bytes[bitmapPos + (page >> 3)] &
+          0x80 >> page % 8) !== 0;
+      }
+      addresses.push(initialized ? this._readAddress(pos) : null);
+      pos += entryLength;
+    }
+    return addresses;
+  }
+
+  /**
+   * Copies a chunk into the output array row by row, along the last dimension.
+   * Edge chunks are stored at full size, so parts outside the dataset are skipped.
+   */
+  _readChunk(pos, chunkOffsets, dataset, out, outOffset) {
+    const { shape, datatype, layout: { chunkDims } } = dataset;
+    const rank = shape.length;
+    if (rank === 0) {
+      this._readFloats(pos, datatype, 1, out, outOffset);
+      return;
+    }
+
+    let strides = Array(rank).fill(1);
+    for (let d = rank - 2; d >= 0; d--) {
+      strides[d] = strides[d + 1] * shape[d + 1];
+    }
+
+    const rowLength = chunkDims[rank - 1];
+    const copyLength = Math.min(
+      rowLength,
+      shape[rank - 1] - chunkOffsets[rank - 1]
+    );
+    const nbRows = chunkDims.slice(0, -1).reduce((a, b) => a * b, 1);
+    for (let row = 0; row < nbRows; row++) {
+      let index = chunkOffsets[rank - 1];
+      let inBounds = true;
+      let remainder = row;
+      for (let d = rank - 2; d >= 0; d--) {
+        const i = chunkOffsets[d] + remainder % chunkDims[d];
+        remainder = Math.floor(remainder / chunkDims[d]);
+        if (i >= shape[d]) {
+          inBounds = false;
+          break;
+        }
+        index += i * strides[d];
+      }
+      if (inBounds) {
+        this._readFloats(
+          pos + row * rowLength * datatype.size,
+          datatype,
+          copyLength,
+          out,
+          outOffset + index
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Parses a Keras HDF5 weights file into the same weights metadata and weights data
+ * produced by `encoder.py`, with the model architecture configuration if embedded
+ * (from `model.save()`).
+ * Weights are stored in groups for each layer, listed in order by the `layer_names`
+ * attribute, with datasets listed by the `weight_names` attribute of each group.
+ * @param {ArrayBuffer} buffer - contents of the HDF5 file
+ * @returns {Object} object with keys `model` (null if not embedded), `metadata`, and `weights` (ArrayBuffer)
+ */
+export function parseHDF5(buffer) {
+  const file = new HDF5File(buffer);
+  const rootAttributes = file.getAttributes(file.rootAddress);
+
+  let weightsGroup = '';
+  if (
+    !('layer_names' in rootAttributes) &&
+      file.getChildren(file.rootAddress).has('model_weights')
+  ) {
+    weightsGroup = 'model_weights';
+  }
+  const layerNames = file.getAttributes(file.get(weightsGroup)).layer_names;
+  if (!layerNames) {
+    throw new Error(
+      '[hdf5] layer_names attribute not found, not a Keras weights file.'
+    );
+  }
+
+  let datasets = [];
+  let length = 0;
+  layerNames.forEach(layerName => {
+    const groupPath = `${weightsGroup}/${layerName}`;
+    const weightNames = file.getAttributes(file.get(groupPath)).weight_names ||
+      [];
+    weightNames.forEach(weightName => {
+      const dataset = file.getDataset(file.get(`${groupPath}/${weightName}`));
+      const count = dataset.shape.reduce((a, b) => a * b, 1);
+      datasets.push({ layerName, weightName, dataset, offset: length, count });
+      length += count;
+    });
+  });
+
+  let weights = new Float32Array(length);
+  const metadata = datasets.map(
+    ({ layerName, weightName, dataset, offset, count }) => {
+      file.readDataset(dataset, weights, offset);
+      return {
+        layer_name: layerName,
+        weight_name: weightName,
+        offset: offset * 4,
+        length: count,
+        shape: dataset.shape,
+        type: 'float32'
+      };
+    }
+  );
+
+  const modelConfig = rootAttributes.model_config;
+  return {
+    model: modelConfig ? JSON.parse(modelConfig) : null,
+    metadata,
+    weights: weights.buffer
+  };
+}
@@ -0,0 +1,550 @@
+import Tensor from '../Tensor';
+import ops from 'ndarray-ops';
+import mapKeys from 'lodash/mapKeys';
+import range from 'lodash/range';
+import { MissingWeightError, UnsupportedLayerError } from '../errors';
+
+/**
+ * Keras 2 model configs and weights are normalized here to the Keras 1 format that
+ * the layer classes are written against:
+ *
+ *   - layer classes renamed in Keras 2 (e.g. `Conv2D`) are mapped onto the Keras 1
+ *     classes, and the merge layers (`Add`, `Concatenate`, etc.) onto `Merge`
+ *   - config keys renamed in Keras 2 (e.g. `units`, `filters`, `padding`) are mapped
+ *     onto the Keras 1 keys (e.g. `output_dim`, `nb_filter`, `border_mode`)
+ *   - Sequential configs with a `layers` key, or with an explicit InputLayer, and
+ *     `Functional` model configs are mapped onto Keras 1 Sequential and Model configs
+ *   - inbound nodes are mapped onto `[layer name, node index, tensor index]` arrays
+ *   - weights named e.g. `kernel`, `recurrent_kernel`, and `bias` are mapped onto
+ *     the Keras 1 weights (`W`, `U`, and `b`), with the fused gate weights of
+ *     recurrent layers split per gate, and convolution kernels transposed where
+ *     the Keras 1 layout differs
+ *
+ * Normalization is idempotent, since config keys are only renamed if present.
+ */
+
+// Keras 2 layer classes with a different name in Keras 1
+const LAYER_CLASSES = {
+  Conv1D: 'Convolution1D',
+  Conv2D: 'Convolution2D',
+  Conv3D: 'Convolution3D',
+  SeparableConv2D: 'SeparableConvolution2D'
+};
+
+// Keras 2 merge layer classes, and corresponding Keras 1 Merge layer modes
+const MERGE_MODES = {
+  Add: 'sum',
+  Multiply: 'mul',
+  Average: 'ave',
+  Maximum: 'max',
+  Concatenate: 'concat',
+  Dot: 'dot'
+};
+
+// Keras 2 config keys with a different name in Keras 1, for all layers
+const CONFIG_KEYS = {
+  units: 'output_dim',
+  filters: 'nb_filter',
+  use_bias: 'bias',
+  data_format: 'dim_ordering',
+  recurrent_activation: 'inner_activation',
+  rate: 'p',
+  stddev: 'sigma',
+  batch_shape: 'batch_input_shape'
+};
+
+const DIM_ORDERINGS = { channels_last: 'tf', channels_first: 'th' };
+
+// classes of models which can be nested in a model as a layer
+const NESTED_MODEL_CLASSES = [ 'Sequential', 'Model', 'Functional' ];
+
+const first = x => Array.isArray(x) ? x[0] : x;
+const isSymmetric = x => !Array.isArray(x) || x[0] === x[1];
+
+/**
+ * Layer config conversions specific to each Keras 2 layer class, applied after the
+ * config keys in `CONFIG_KEYS` are renamed
+ */
+const CONFIG_CONVERSIONS = {
+  Conv1D: config => {
+    const {
+      kernel_size: kernelSize,
+      strides = 1,
+      padding = 'valid',
+      dilation_rate: dilationRate = 1,
+      ...rest
+    } = config;
+    if (first(dilationRate) !== 1) {
+      throw new UnsupportedLayerError(
+        `[keras2] dilated Conv1D layer ${config.name} is not implemented.`,
+        'Conv1D'
+      );
+    }
+    return Object.assign(rest, {
+      filter_length: first(kernelSize),
+      subsample_length: first(strides),
+      border_mode: padding
+    });
+  },
+  Conv2D: config => {
+    const {
+      kernel_size: kernelSize,
+      strides = [ 1, 1 ],
+      padding = 'valid',
+      dilation_rate: dilationRate = [ 1, 1 ],
+      ...rest
+    } = config;
+    const [ nbRow, nbCol ] = Array.isArray(kernelSize)
+      ? kernelSize
+      : [ kernelSize, kernelSize ];
+    return Object.assign(rest, {
+      nb_row: nbRow,
+      nb_col: nbCol,
+      subsample: strides,
+      border_mode: padding,
+      atrous_rate: Array.isArray(dilationRate)
+        ? dilationRate
+        : [ dilationRate, dilationRate ]
+    });
+  },
+  Conv3D: config => {
+    const {
+      kernel_size: kernelSize,
+      strides = [ 1, 1, 1 ],
+      padding = 'valid',
+      ...rest
+    } = config;
+    return Object.assign(rest, {
+      kernel_dim1: kernelSize[0],
+      kernel_dim2: kernelSize[1],
+      kernel_dim3: kernelSize[2],
+      subsample: strides,
+      border_mode: padding
+    });
+  },
+  SeparableConv2D: config => {
+    const {
+      kernel_size: kernelSize,
+      strides = [ 1, 1 ],
+      padding = 'valid',
+      ...rest
+    } = config;
+    return Object.assign(rest, {
+      nb_row: kernelSize[0],
+      nb_col: kernelSize[1],
+      subsample: strides,
+      border_mode: padding
+    });
+  },
+  MaxPooling1D: config => convertPooling1DConfig(config),
+  AveragePooling1D: config => convertPooling1DConfig(config),
+  MaxPooling2D: config => convertPoolingConfig(config),
+  AveragePooling2D: config => convertPoolingConfig(config),
+  MaxPooling3D: config => convertPoolingConfig(config),
+  AveragePooling3D: config => convertPoolingConfig(config),
+  UpSampling1D: config => {
+    if (!('size' in config)) {
+      return config;
+    }
+    const { size, ...rest } = config;
+    return Object.assign(rest, { length: first(size) });
+  },
+  ZeroPadding1D: config => {
+    if (!isSymmetric(config.padding)) {
+      throw new UnsupportedLayerError(
+        `[keras2] asymmetric padding of ZeroPadding1D layer ${config.name} is not implemented.`,
+        'ZeroPadding1D'
+      );
+    }
+    return Object.assign(config, { padding: first(config.padding) });
+  },
+  ZeroPadding2D: config => convertZeroPaddingConfig(config),
+  ZeroPadding3D: config => convertZeroPaddingConfig(config),
+  BatchNormalization: config =>
+    Object.assign(config, { axis: first(config.axis), mode: 0 }),
+  GRU: config => {
+    if (config.reset_after) {
+      throw new UnsupportedLayerError(
+        `[keras2] GRU layer ${config.name} with reset_after is not implemented.`,
+        'GRU'
+      );
+    }
+    return config;
+  },
+  Bidirectional: config =>
+    Object.assign(config, { layer: normalizeLayerDef(config.layer) }),
+  TimeDistributed: config =>
+    Object.assign(config, { layer: normalizeLayerDef(config.layer) })
+};
+
+function convertPooling1DConfig(config) {
+  if (!('pool_size' in config)) {
+    return config;
+  }
+  const { pool_size: poolSize, strides = null, padding, ...rest } = config;
+  return Object.assign(rest, {
+    pool_length: first(poolSize),
+    stride: strides === null ? null : first(strides),
+    border_mode: padding
+  });
+}
+
+function convertPoolingConfig(config) {
+  if (!('padding' in config)) {
+    return config;
+  }
+  const { padding, ...rest } = config;
+  return Object.assign(rest, { border_mode: padding });
+}
+
+function convertZeroPaddingConfig(config) {
+  // Keras 2: ((top, bottom), (left, right)) or (rows, cols)
+  const padding = config.padding.map(p => {
+    if (!isSymmetric(p)) {
+      throw new UnsupportedLayerError(
+        `[keras2] asymmetric padding of ${config.name} layer is not implemented.`,
+        'ZeroPadding'
+      );
+    }
+    return first(p);
+  });
+  return Object.assign(config, { padding });
+}
+
+/**
+ * Collects `[layer name, node index, tensor index]` of inbound tensors from the
+ * call arguments of Keras 3 inbound nodes
+ * @param {*} args
+ * @returns {Array[]}
+ */
+function collectKerasHistory(args) {
+  if (Array.isArray(args)) {
+    return [].concat(...args.map(collectKerasHistory));
+  } else if (args && args.class_name === '__keras_tensor__') {
+    return [ args.config.keras_history.slice(0, 3) ];
+  }
+  return [];
+}
+
+/**
+ * Normalizes inbound nodes, which are arrays of `[layer name, node index, tensor
+ * index, kwargs]` in Keras 2, or objects with `args` and `kwargs` in Keras 3
+ * @param {Array} inboundNodes
+ * @returns {Array[]}
+ */
+function normalizeInboundNodes(inboundNodes) {
+  return inboundNodes.map(node => {
+    if (Array.isArray(node)) {
+      return node.map(inbound => inbound.slice(0, 3));
+    }
+    return collectKerasHistory(node.args);
+  });
+}
+
+/**
+ * Normalizes Keras 2 layer definition (class name, config, and inbound nodes)
+ * @param {Object} layerDef
+ * @returns {Object}
+ */
+function normalizeLayerDef(layerDef) {
+  const { class_name: className, inbound_nodes: inboundNodes } = layerDef;
+
+  if (NESTED_MODEL_CLASSES.includes(className)) {
+    // nested models keep their name at the top level, since the config of
+    // Sequential models is normalized to an array of layers
+    const { class_name: modelClass, config } = normalizeModelConfig(layerDef);
+    let normalized = {
+      class_name: modelClass,
+      name: layerDef.name || layerDef.config.name,
+      config
+    };
+    if (inboundNodes) {
+      normalized.inbound_nodes = normalizeInboundNodes(inboundNodes);
+    }
+    return normalized;
+  }
+
+  let config = mapKeys(layerDef.config, (v, k) => CONFIG_KEYS[k] || k);
+  if (config.dim_ordering in DIM_ORDERINGS) {
+    config.dim_ordering = DIM_ORDERINGS[config.dim_ordering];
+  }
+  if (className in CONFIG_CONVERSIONS) {
+    config = CONFIG_CONVERSIONS[className](config);
+  }
+
+  let normalizedClassName = LAYER_CLASSES[className] || className;
+  if (className in MERGE_MODES) {
+    normalizedClassName = 'Merge';
+    config.mode = className === 'Dot' && config.normalize
+      ? 'cos'
+      : MERGE_MODES[className];
+    if (className === 'Concatenate') {
+      config.concat_axis = config.axis;
+    } else if (className === 'Dot') {
+      config.dot_axes = config.axes;
+    }
+  } else if (className === 'Conv2D') {
+    const [ rowRate, colRate ] = config.atrous_rate;
+    if (rowRate !== 1 || colRate !== 1) {
+      normalizedClassName = 'AtrousConvolution2D';
+    } else {
+      delete config.atrous_rate;
+    }
+  }
+
+  let normalized = { class_name: normalizedClassName, config };
+  if (inboundNodes) {
+    normalized.inbound_nodes = normalizeInboundNodes(inboundNodes);
+  }
+  return normalized;
+}
+
+/**
+ * Returns the major Keras version of a model config, from `keras_version` if
+ * present, otherwise from the layer classes and config keys used
+ * @param {Object} model - model architecture config, from to_json()
+ * @returns {number}
+ */
+export function getKerasVersion(model) {
+  if (model.keras_version) {
+    return parseInt(model.keras_version, 10);
+  }
+  const layerDefs = Array.isArray(model.config)
+    ? model.config
+    : model.config.layers;
+  const isKeras2 = model.class_name === 'Functional' ||
+    layerDefs.some(
+      ({ class_name: className, config }) =>
+        className in LAYER_CLASSES ||
+          className in MERGE_MODES ||
+          'units' in config ||
+          'filters' in config
+    );
+  return isKeras2 ? 2 : 1;
+}
+
+/**
+ * Normalizes Keras 2 model config to the Keras 1 format
+ * @param {Object} model - model architecture config, from to_json()
+ * @returns {Object}
+ */
+export function normalizeModelConfig(model) {
+  const { class_name: className, config } = model;
+  const kerasVersion = model.keras_version || '2';
+
+  if (className === 'Sequential') {
+    let layerDefs = Array.isArray(config) ? config : config.layers;
+    // an explicit InputLayer is left out, with its input shape moved to the next layer
+    if (layerDefs.length && layerDefs[0].class_name === 'InputLayer') {
+      const [ inputLayerDef, nextLayerDef, ...restLayerDefs ] = layerDefs;
+      const batchInputShape = inputLayerDef.config.batch_input_shape ||
+        inputLayerDef.config.batch_shape;
+      layerDefs = [
+        Object.assign({}, nextLayerDef, {
+          config: Object.assign({}, nextLayerDef.config, {
+            batch_input_shape: batchInputShape
+          })
+        }),
+        ...restLayerDefs
+      ];
+    }
+    return {
+      class_name: 'Sequential',
+      keras_version: kerasVersion,
+      config: layerDefs.map(normalizeLayerDef)
+    };
+  }
+
+  return {
+    class_name: 'Model',
+    keras_version: kerasVersion,
+    config: Object.assign({}, config, {
+      layers: config.layers.map(normalizeLayerDef)
+    })
+  };
+}
+
+/**
+ * Returns weight name without layer name scopes and variable suffix, e.g.
+ * `conv2d_1/kernel:0` => `kernel`. Weights of the forward and backward layers of
+ * Bidirectional layers are prefixed, e.g. `forward/kernel`.
+ * @param {string} weightName - weight name in the weights metadata
+ * @returns {string}
+ */
+export function getKeras2WeightName(weightName) {
+  const scopes = weightName.replace(/:\d+$/, '').split('/');
+  const name = scopes[scopes.length - 1];
+  if (scopes.some(scope => /^forward_/.test(scope))) {
+    return `forward/${name}`;
+  } else if (scopes.some(scope => /^backward_/.test(scope))) {
+    return `backward/${name}`;
+  }
+  return name;
+}
+
+/**
+ * Copy of weight tensor, transposed
+ * @param {Tensor} x
+ * @param {number[]} axes
+ * @returns {Tensor}
+ */
+function transposeWeights(x, axes) {
+  const transposed = x.tensor.transpose(...axes);
+  let y = new Tensor([], transposed.shape);
+  ops.assign(y.tensor, transposed);
+  return y;
+}
+
+/**
+ * Splits fused gate weights along the last axis into equal parts
+ * @param {Tensor} x
+ * @param {number} n - number of parts
+ * @returns {Tensor[]}
+ */
+function splitWeights(x, n) {
+  const shape = x.tensor.shape;
+  const size = shape[shape.length - 1] / n;
+  return range(n).map(i => {
+    const lo = shape.map((d, axis) => axis === shape.length - 1 ? i * size : 0);
+    const hi = shape.map((d, axis) => axis === shape.length - 1 ? size : d);
+    let y = new Tensor([], hi);
+    ops.assign(y.tensor, x.tensor.lo(...lo).hi(...hi));
+    return y;
+  });
+}
+
+/**
+ * Converts Keras 2 weights of a layer to Keras 1 weights, in the order of the
+ * `params` of the layer class
+ * @param {string} layerClass - normalized layer class
+ * @param {Object} layerConfig - normalized layer config
+ * @param {Object} weights - weight tensors keyed by weight name (see getKeras2WeightName)
+ * @param {string} [layerName] - name of layer the weights belong to, for errors
+ * @returns {Tensor[]}
+ */
+export function convertKeras2Weights(
+  layerClass,
+  layerConfig,
+  weights,
+  layerName = layerConfig.name
+) {
+  const get = name => {
+    if (!weights[name]) {
+      throw new MissingWeightError(
+        `[keras2] weights ${name} of layer ${layerName} not found in weights metadata.`,
+        layerName,
+        name
+      );
+    }
+    return weights[name];
+  };
+  const getBias = (name, size) =>
+    layerConfig.bias === false ? new Tensor([], [ size ]) : get(name);
+  const thKernel = (kernel, axes) =>
+    layerConfig.dim_ordering === 'th' ? transposeWeights(kernel, axes) : kernel;
+
+  switch (layerClass) {
+    case 'Dense':
+    case 'Convolution2D':
+    case 'AtrousConvolution2D':
+    case 'Convolution3D': {
+      // kernel layout is (..., input channels, filters) regardless of data format,
+      // whereas in Keras 1 it was (filters, input channels, ...) in `th` ordering
+      const kernel = layerClass === 'Convolution3D'
+        ? thKernel(get('kernel'), [ 4, 3, 0, 1, 2 ])
+        : thKernel(get('kernel'), [ 3, 2, 0, 1 ]);
+      return layerConfig.bias === false ? [ kernel ] : [ kernel, get('bias') ];
+    }
+    case 'Convolution1D': {
+      // (filter length, input dim, filters) => (filter length, 1, input dim, filters)
+      const kernel = get('kernel');
+      const [ length, inputDim, nbFilter ] = kernel.tensor.shape;
+      const W = new Tensor(kernel.tensor.data, [
+        length,
+        1,
+        inputDim,
+        nbFilter
+      ]);
+      return layerConfig.bias === false ? [ W ] : [ W, get('bias') ];
+    }
+    case 'SeparableConvolution2D': {
+      const depthwise = thKernel(get('depthwise_kernel'), [ 3, 2, 0, 1 ]);
+      const pointwise = thKernel(get('pointwise_kernel'), [ 3, 2, 0, 1 ]);
+      return layerConfig.bias === false
+        ? [ depthwise, pointwise ]
+        : [ depthwise, pointwise, get('bias') ];
+    }
+    case 'BatchNormalization': {
+      const mean = get('moving_mean');
+      const size = mean.tensor.shape[0];
+      let ones = new Tensor([], [ size ]);
+      ops.assigns(ones.tensor, 1);
+      const gamma = layerConfig.scale === false ? ones : get('gamma');
+      const beta = layerConfig.center === false
+        ? new Tensor([], [ size ])
+        : get('beta');
+      return [ gamma, beta, mean, get('moving_variance') ];
+    }
+    case 'Embedding':
+      return [ get('embeddings') ];
+    case 'PReLU':
+      return [ get('alpha') ];
+    case 'SimpleRNN': {
+      const units = get('recurrent_kernel').tensor.shape[0];
+      return [
+        get('kernel'),
+        get('recurrent_kernel'),
+        getBias('bias', units)
+      ];
+    }
+    case 'GRU': {
+      // gates fused in order z, r, h
+      const units = get('recurrent_kernel').tensor.shape[0];
+      const W = splitWeights(get('kernel'), 3);
+      const U = splitWeights(get('recurrent_kernel'), 3);
+      const b = splitWeights(getBias('bias', 3 * units), 3);
+      return [ 0, 1, 2 ].reduce((arr, i) => arr.concat(W[i], U[i], b[i]), []);
+    }
+    case 'LSTM': {
+      // gates fused in order i, f, c, o, whereas the params are ordered i, c, f, o
+      const units = get('recurrent_kernel').tensor.shape[0];
+      const W = splitWeights(get('kernel'), 4);
+      const U = splitWeights(get('recurrent_kernel'), 4);
+      const b = splitWeights(getBias('bias', 4 * units), 4);
+      return [ 0, 2, 1, 3 ].reduce(
+        (arr, i) => arr.concat(W[i], U[i], b[i]),
+        []
+      );
+    }
+    case 'Bidirectional': {
+      const {
+        class_name: wrappedClass,
+        config: wrappedConfig
+      } = layerConfig.layer;
+      const wrappedWeights = direction => {
+        let directionWeights = {};
+        Object.keys(weights).forEach(name => {
+          if (name.startsWith(`${direction}/`)) {
+            directionWeights[name.slice(direction.length + 1)] = weights[name];
+          }
+        });
+        return convertKeras2Weights(
+          wrappedClass,
+          wrappedConfig,
+          directionWeights,
+          layerName
+        );
+      };
+      return wrappedWeights('forward').concat(wrappedWeights('backward'));
+    }
+    case 'TimeDistributed':
+      return convertKeras2Weights(
+        layerConfig.layer.class_name,
+        layerConfig.layer.config,
+        weights,
+        layerName
+      );
+    default:
+      return [];
+  }
+}
@@ -0,0 +1,54 @@
+import range from 'lodash/range';
+import sortBy from 'lodash/sortBy';
+import maxBy from 'lodash/maxBy';
+import sum from 'lodash/sum';
+import findLastIndex from 'lodash/findLastIndex';
+
+/**
+ * Samples an index from a probability distribution, e.g. the softmax output of a
+ * language model, rescaled by temperature and restricted to the top k indices
+ * @param {(Float32Array|number[])} probs - probabilities, not necessarily normalized
+ * @param {Object} [options]
+ * @param {number} [options.temperature] - below 1 makes likely indices more likely, and
+ *                                         above 1 less so, with 0 always taking the
+ *                                         most likely index
+ * @param {number} [options.topK] - if set, only the k most likely indices are sampled
+ * @param {Function} [options.random] - returns uniform random numbers in [0, 1)
+ * @returns {number} index, never of zero probability
+ */
+export function sample(probs, options = {}) {
+  const { temperature = 1, topK = null, random = Math.random } = options;
+
+  let indices = range(probs.length);
+  if (topK) {
+    indices = sortBy(indices, i => -probs[i]).slice(0, topK);
+  }
+  if (!indices.some(i => probs[i] > 0)) {
+    throw new Error(
+      'sample() must take probabilities of which at least one is positive.'
+    );
+  }
+  if (temperature === 0) {
+    return maxBy(indices, i => probs[i]);
+  }
+
+  // p^(1/T), rescaled by the largest in log space to avoid underflow, and 0 for
+  // zero probabilities, which would otherwise be sampled if random() returns 0
+  const logits = indices.map(
+    i => Math.log(Math.max(probs[i], Number.MIN_VALUE)) / temperature
+  );
+  const maxLogit = logits.reduce((a, b) => Math.max(a, b), -Infinity);
+  const weights = indices.map(
+    (i, j) => probs[i] > 0 ? Math.exp(logits[j] - maxLogit) : 0
+  );
+
+  let r = random() * sum(weights);
+  for (let j = 0; j < indices.length; j++) {
+    r -= weights[j];
+    if (r < 0) {
+      return indices[j];
+    }
+  }
+  // round-off in the subtractions can leave r >= 0 for random numbers near 1
+  return indices[findLastIndex(weights, weight => weight > 0)];
+}
@@ -0,0 +1,70 @@
+/**
+ * Formats an output shape from a model summary, without the batch axis, e.g.
+ * `(26, 26, 32)`. Shapes of nested models with more than one output are separated by
+ * commas, and unknown shapes are shown as `?`.
+ * @param {(number[]|number[][])} shape
+ * @returns {string}
+ */
+export function formatShape(shape) {
+  if (!shape) {
+    return '?';
+  }
+  if (Array.isArray(shape[0])) {
+    return shape.map(formatShape).join(', ');
+  }
+  return `(${shape.join(', ')})`;
+}
+
+/**
+ * Double-quoted Graphviz id, in which only quotes are escaped
+ * @param {string} str
+ * @returns {string}
+ */
+function quote(str) {
+  return `"${String(str).replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Escapes a field of a Graphviz record label, including quotes, since labels are
+ * double-quoted
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeField(str) {
+  return String(str).replace(/[\\{}|<>"]/g, '\\$&');
+}
+
+/**
+ * Graphviz DOT graph of a model summary (see Model.summary), with a record node for
+ * each DAG node, listing its name, layer class, output shape, number of params, and
+ * whether it runs on GPU, and an edge from each of its inbound nodes
+ * @param {Object} summary
+ * @returns {string}
+ */
+export function summaryToDot(summary) {
+  let lines = [
+    `digraph ${quote(summary.name || summary.modelClass)} {`,
+    '  rankdir=TB;',
+    '  node [shape=record];'
+  ];
+  summary.layers.forEach(layer => {
+    let fields = [
+      layer.name,
+      layer.className,
+      formatShape(layer.outputShape),
+      `${layer.params} params`
+    ];
+    if (layer.gpu) {
+      fields.push(layer.pipeline ? 'GPU pipeline' : 'GPU');
+    }
+    const label = `{${fields.map(escapeField).join('|')}}`;
+    lines.push(`  ${quote(layer.name)} [label="${label}"];`);
+  });
+  summary.layers.forEach(layer => {
+    layer.inbound.forEach(inbound => {
+      lines.push(`  ${quote(inbound)} -> ${quote(layer.name)};`);
+    });
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
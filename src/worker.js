@@ -0,0 +1,136 @@
+import Model from './Model';
+
+// Web Worker entry point, used by WorkerModel: weblas requires WebGL, which is
+// not available here, so all layers run in CPU mode.
+self.weblas = null;
+
+let model = null;
+let progressInterval = null;
+
+/**
+ * Serializes error for posting to the main thread, where it is recreated from its
+ * name and properties
+ * @param {Error} err
+ * @returns {Object}
+ */
+function serializeError(err) {
+  return Object.assign({}, err, { name: err.name, message: err.message });
+}
+
+/**
+ * Posts error to the main thread, with the request id of the call it is from, or
+ * without for errors in loading, which reject WorkerModel.ready()
+ * @param {Error} err
+ * @param {number} [id] - request id
+ */
+function postError(err, id) {
+  self.postMessage({ type: 'error', id, error: serializeError(err) });
+}
+
+/**
+ * Posts loading progress to the main thread
+ */
+function postProgress() {
+  self.postMessage({
+    type: 'progress',
+    progress: model.getLoadingProgress()
+  });
+}
+
+/**
+ * Creates model, with functions and AbortSignals in the config handled on the main
+ * thread and forwarded as messages
+ * @param {Object} config
+ */
+function init(config) {
+  try {
+    model = new Model(
+      Object.assign({}, config, {
+        gpu: false,
+        pipeline: false,
+        onLayerLoad: event => self.postMessage({ type: 'layerLoad', event })
+      })
+    );
+  } catch (err) {
+    // e.g. invalid options, such as a cache key which is not a string
+    model = null;
+    postError(err);
+    return;
+  }
+  progressInterval = setInterval(postProgress, 100);
+  model
+    .ready()
+    .then(() => {
+      clearInterval(progressInterval);
+      postProgress();
+      self.postMessage({
+        type: 'ready',
+        inputNames: Object.keys(model.inputTensors)
+      });
+    })
+    .catch(err => {
+      clearInterval(progressInterval);
+      model = null;
+      postError(err);
+    });
+}
+
+/**
+ * Runs predict() or predictBatch(), and posts output data back with its buffers
+ * transferred. Output data is first copied, since it belongs to the output layers.
+ * @param {number} id - request id
+ * @param {string} method - `predict` or `predictBatch`
+ * @param {Object} inputData
+ * @param {Object} options - predict() or predictBatch() options
+ */
+function run(id, method, inputData, options) {
+  if (!model) {
+    postError(
+      new Error('[worker] model failed to load, or has not been created.'),
+      id
+    );
+    return;
+  }
+  let outputDataPromise;
+  try {
+    outputDataPromise = model[method](inputData, options);
+  } catch (err) {
+    postError(err, id);
+    return;
+  }
+  outputDataPromise
+    .then(outputData => {
+      let transfer = [];
+      Object.keys(outputData).forEach(name => {
+        const copy = x => {
+          const data = new Float32Array(x);
+          transfer.push(data.buffer);
+          return data;
+        };
+        outputData[name] = method === 'predictBatch'
+          ? outputData[name].map(copy)
+          : copy(outputData[name]);
+      });
+      self.postMessage(
+        {
+          type: 'result',
+          id,
+          outputData,
+          layersWithResults: model.layersWithResults
+        },
+        transfer
+      );
+    })
+    .catch(err => postError(err, id));
+}
+
+self.onmessage = e => {
+  const { type, id, config, method, inputData, options } = e.data;
+  if (type === 'init') {
+    init(config);
+  } else if (type === 'run') {
+    run(id, method, inputData, options);
+  } else if (type === 'abort' && model) {
+    model.abort();
+  }
+};
@@ -88,6 +88,10 @@ describe('convolutional layer: Convolution1D', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+          shapeExpected
+        );
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       });
     });
@@ -119,6 +123,10 @@ describe('convolutional layer: Convolution1D', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+          shapeExpected
+        );
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       });
     });
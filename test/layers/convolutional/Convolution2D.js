@@ -125,6 +125,52 @@ describe('convolutional layer: Convolution2D', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+          shapeExpected
+        );
+        assert.isTrue(approxEquals(t.tensor, dataExpected));
+      });
+    });
+  });
+
+  /*********************************************************
+  * CPU mini-batch
+  *********************************************************/
+  describe('CPU mini-batch', function() {
+    before(function() {
+      console.log('\n%cCPU mini-batch', styles.h2);
+    });
+
+    testParams.forEach(({ inputShape, kernelShape, attrs }, i) => {
+      const key = `convolutional.Convolution2D.${i}`;
+      const [ inputRows, inputCols, inputChannels ] = inputShape;
+      const [ nbFilter, nbRow, nbCol ] = kernelShape;
+      const title = `[${key}] [CPU mini-batch] test: ${nbFilter} ${nbRow}x${nbCol} filters on 2 samples of ${inputRows}x${inputCols}x${inputChannels} input, activation='${attrs.activation}', border_mode='${attrs.borderMode}', subsample=${attrs.subsample}, dim_ordering='${attrs.dimOrdering}', bias=${attrs.bias}`;
+
+      it(title, function() {
+        console.log(`\n%c${title}`, styles.h3);
+        let testLayer = new layers.Convolution2D(
+          Object.assign({ nbFilter, nbRow, nbCol }, attrs)
+        );
+        testLayer.setWeights(
+          TEST_DATA[key].weights.map(w => new KerasJS.Tensor(w.data, w.shape))
+        );
+        let t = new KerasJS.Tensor(
+          TEST_DATA[key].input.data.concat(TEST_DATA[key].input.data),
+          [ 2, ...TEST_DATA[key].input.shape ]
+        );
+        console.log('%cin', styles.h4, stringifyCondensed(t.tensor));
+        const startTime = performance.now();
+        t = testLayer.callBatch(t);
+        const endTime = performance.now();
+        console.log('%cout', styles.h4, stringifyCondensed(t.tensor));
+        logTime(startTime, endTime);
+        const dataExpected = new Float32Array(
+          TEST_DATA[key].expected.data.concat(TEST_DATA[key].expected.data)
+        );
+        const shapeExpected = [ 2, ...TEST_DATA[key].expected.shape ];
+        assert.deepEqual(t.tensor.shape, shapeExpected);
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       });
     });
@@ -132,6 +132,10 @@ describe('convolutional layer: SeparableConvolution2D', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+          shapeExpected
+        );
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       });
     });
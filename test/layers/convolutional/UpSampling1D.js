@@ -29,6 +29,10 @@ describe('convolutional layer: UpSampling1D', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     }
   );
@@ -52,6 +56,10 @@ describe('convolutional layer: UpSampling1D', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     }
   );
@@ -35,6 +35,10 @@ describe('convolutional layer: UpSampling2D', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     }
   );
@@ -64,6 +68,10 @@ describe('convolutional layer: UpSampling2D', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     }
   );
@@ -93,6 +101,10 @@ describe('convolutional layer: UpSampling2D', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     }
   );
@@ -122,6 +134,10 @@ describe('convolutional layer: UpSampling2D', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     }
   );
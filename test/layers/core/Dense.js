@@ -38,6 +38,10 @@ describe('core layer: Dense', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     });
 
@@ -69,6 +73,10 @@ describe('core layer: Dense', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+          shapeExpected
+        );
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       }
     );
@@ -102,6 +110,44 @@ describe('core layer: Dense', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+          shapeExpected
+        );
+        assert.isTrue(approxEquals(t.tensor, dataExpected));
+      }
+    );
+
+    it(
+      '[core.Dense.1] [CPU] should produce expected values on a mini-batch, with sigmoid activation function',
+      function() {
+        const key = 'core.Dense.1';
+        console.log(
+          `\n%c[${key}] [CPU] test 4 (mini-batch, with sigmoid activation)`,
+          styles.h3
+        );
+        let testLayer = new layers.Dense({
+          outputDim: 2,
+          activation: 'sigmoid'
+        });
+        testLayer.setWeights(
+          TEST_DATA[key].weights.map(w => new KerasJS.Tensor(w.data, w.shape))
+        );
+        let t = new KerasJS.Tensor(
+          TEST_DATA[key].input.data.concat(TEST_DATA[key].input.data),
+          [ 2, ...TEST_DATA[key].input.shape ]
+        );
+        console.log('%cin', styles.h4, stringifyCondensed(t.tensor));
+        const startTime = performance.now();
+        t = testLayer.callBatch(t);
+        const endTime = performance.now();
+        console.log('%cout', styles.h4, stringifyCondensed(t.tensor));
+        logTime(startTime, endTime);
+        const dataExpected = new Float32Array(
+          TEST_DATA[key].expected.data.concat(TEST_DATA[key].expected.data)
+        );
+        const shapeExpected = [ 2, ...TEST_DATA[key].expected.shape ];
+        assert.deepEqual(t.tensor.shape, shapeExpected);
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       }
     );
@@ -27,6 +27,10 @@ describe('core layer: Flatten', function() {
     const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
     const shapeExpected = TEST_DATA[key].expected.shape;
     assert.deepEqual(t.tensor.shape, shapeExpected);
+    assert.deepEqual(
+      testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+      shapeExpected
+    );
     assert.isTrue(approxEquals(t.tensor, dataExpected));
   });
 
@@ -47,6 +51,10 @@ describe('core layer: Flatten', function() {
     const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
     const shapeExpected = TEST_DATA[key].expected.shape;
     assert.deepEqual(t.tensor.shape, shapeExpected);
+    assert.deepEqual(
+      testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+      shapeExpected
+    );
     assert.isTrue(approxEquals(t.tensor, dataExpected));
   });
 
@@ -67,6 +75,10 @@ describe('core layer: Flatten', function() {
     const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
     const shapeExpected = TEST_DATA[key].expected.shape;
     assert.deepEqual(t.tensor.shape, shapeExpected);
+    assert.deepEqual(
+      testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+      shapeExpected
+    );
     assert.isTrue(approxEquals(t.tensor, dataExpected));
   });
 });
@@ -0,0 +1,45 @@
+describe('core layer: Masking', function() {
+  const assert = chai.assert;
+  const styles = testGlobals.styles;
+  const logTime = testGlobals.logTime;
+  const stringifyCondensed = testGlobals.stringifyCondensed;
+  const approxEquals = KerasJS.testUtils.approxEquals;
+  const layers = KerasJS.layers;
+
+  const testParams = [ { maskValue: 0 }, { maskValue: -1 } ];
+
+  before(function() {
+    console.log('\n%ccore layer: Masking', styles.h1);
+  });
+
+  testParams.forEach((attrs, i) => {
+    const key = `core.Masking.${i}`;
+    const title = `[${key}] test: maskValue=${attrs.maskValue}`;
+
+    it(title, function() {
+      console.log(`\n%c${title}`, styles.h3);
+      let testLayer = new layers.Masking(attrs);
+      let t = new KerasJS.Tensor(
+        TEST_DATA[key].input.data,
+        TEST_DATA[key].input.shape
+      );
+      console.log('%cin', styles.h4, stringifyCondensed(t.tensor));
+      const mask = testLayer.computeMask(t);
+      const startTime = performance.now();
+      t = testLayer.call(t);
+      const endTime = performance.now();
+      console.log('%cout', styles.h4, stringifyCondensed(t.tensor));
+      logTime(startTime, endTime);
+      const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
+      const shapeExpected = TEST_DATA[key].expected.shape;
+      assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
+      assert.isTrue(approxEquals(t.tensor, dataExpected));
+      assert.deepEqual(mask.tensor.shape, TEST_DATA[key].mask.shape);
+      assert.deepEqual(Array.from(mask.tensor.data), TEST_DATA[key].mask.data);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+// TEST DATA
+// Keyed by mocha test ID
+// Python code for generating test data can be found in the matching jupyter notebook in folder `notebooks/`.
+
+(function() {
+  var DATA = {
+    'core.Masking.0': {
+      input: {
+        data: [ 0, 0, 0, 0.2, -0.5, 0, 0, 0, 0, 1, 0, -2 ],
+        shape: [ 4, 3 ]
+      },
+      expected: {
+        data: [ 0, 0, 0, 0.2, -0.5, 0, 0, 0, 0, 1, 0, -2 ],
+        shape: [ 4, 3 ]
+      },
+      mask: { data: [ 0, 1, 0, 1 ], shape: [ 4 ] }
+    },
+    'core.Masking.1': {
+      input: {
+        data: [ -1, -1, 0.5, -1, -1, -1, 2, 3, -1, -1 ],
+        shape: [ 5, 2 ]
+      },
+      expected: { data: [ 0, 0, 0.5, -1, 0, 0, 2, 3, 0, 0 ], shape: [ 5, 2 ] },
+      mask: { data: [ 0, 1, 0, 1, 0 ], shape: [ 5 ] }
+    }
+  };
+
+  window.TEST_DATA = Object.assign({}, window.TEST_DATA, DATA);
+})();
@@ -54,6 +54,10 @@ describe('core layer: Merge', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t2.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer2.computeOutputShape([ t1a.tensor.shape, t1b.tensor.shape ]),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t2.tensor, dataExpected));
     });
   });
@@ -102,6 +106,10 @@ describe('core layer: Merge', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t2.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer2.computeOutputShape([ t1a.tensor.shape, t1b.tensor.shape ]),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t2.tensor, dataExpected));
     });
   });
@@ -150,6 +158,10 @@ describe('core layer: Merge', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t2.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer2.computeOutputShape([ t1a.tensor.shape, t1b.tensor.shape ]),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t2.tensor, dataExpected));
     });
   });
@@ -198,6 +210,10 @@ describe('core layer: Merge', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t2.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer2.computeOutputShape([ t1a.tensor.shape, t1b.tensor.shape ]),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t2.tensor, dataExpected));
     });
   });
@@ -248,6 +264,10 @@ describe('core layer: Merge', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer2.computeOutputShape([ ta.tensor.shape, tb.tensor.shape ]),
+          shapeExpected
+        );
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       }
     );
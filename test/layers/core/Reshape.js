@@ -29,6 +29,10 @@ describe('core layer: Reshape', function() {
     const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
     const shapeExpected = TEST_DATA[key].expected.shape;
     assert.deepEqual(t.tensor.shape, shapeExpected);
+    assert.deepEqual(
+      testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+      shapeExpected
+    );
     assert.isTrue(approxEquals(t.tensor, dataExpected));
   });
 
@@ -51,6 +55,10 @@ describe('core layer: Reshape', function() {
     const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
     const shapeExpected = TEST_DATA[key].expected.shape;
     assert.deepEqual(t.tensor.shape, shapeExpected);
+    assert.deepEqual(
+      testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+      shapeExpected
+    );
     assert.isTrue(approxEquals(t.tensor, dataExpected));
   });
 
@@ -73,6 +81,10 @@ describe('core layer: Reshape', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
     }
   );
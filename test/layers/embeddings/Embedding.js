@@ -58,6 +58,7 @@ describe('embeddings layer: Embedding', function() {
         TEST_DATA[key].input.shape
       );
       console.log('%cin', styles.h4, stringifyCondensed(t.tensor));
+      const mask = testLayer.computeMask(t);
       const startTime = performance.now();
       t = testLayer.call(t);
       const endTime = performance.now();
@@ -66,7 +67,19 @@ describe('embeddings layer: Embedding', function() {
       const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
       const shapeExpected = TEST_DATA[key].expected.shape;
       assert.deepEqual(t.tensor.shape, shapeExpected);
+      assert.deepEqual(
+        testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+        shapeExpected
+      );
       assert.isTrue(approxEquals(t.tensor, dataExpected));
+      if (attrs.maskZero) {
+        assert.deepEqual(
+          Array.from(mask.tensor.data),
+          TEST_DATA[key].input.data.map(index => index === 0 ? 0 : 1)
+        );
+      } else {
+        assert.isNull(mask);
+      }
     });
   });
 });
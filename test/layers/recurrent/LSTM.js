@@ -153,9 +153,39 @@ describe('recurrent layer: LSTM', function() {
         const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
         const shapeExpected = TEST_DATA[key].expected.shape;
         assert.deepEqual(t.tensor.shape, shapeExpected);
+        assert.deepEqual(
+          testLayer.computeOutputShape(TEST_DATA[key].input.shape),
+          shapeExpected
+        );
         assert.isTrue(approxEquals(t.tensor, dataExpected));
       });
     });
+
+    const maskedKey = 'recurrent.LSTM.0';
+    const maskedTitle = `[${maskedKey}] [CPU] test: masked timesteps skipped, with input padded by 2 timesteps before and 1 after`;
+
+    it(maskedTitle, function() {
+      const key = maskedKey;
+      console.log(`\n%c${maskedTitle}`, styles.h3);
+      let testLayer = new layers.LSTM(testParams[0].attrs);
+      testLayer.setWeights(
+        TEST_DATA[key].weights.map(w => new KerasJS.Tensor(w.data, w.shape))
+      );
+      const [ steps, inputDim ] = TEST_DATA[key].input.shape;
+      let t = new KerasJS.Tensor([], [ steps + 3, inputDim ]);
+      t.tensor.data.set(TEST_DATA[key].input.data, 2 * inputDim);
+      let mask = new KerasJS.Tensor([], [ steps + 3 ]);
+      mask.tensor.data.fill(1, 2, steps + 2);
+      console.log('%cin', styles.h4, stringifyCondensed(t.tensor));
+      const startTime = performance.now();
+      t = testLayer.call(t, mask);
+      const endTime = performance.now();
+      console.log('%cout', styles.h4, stringifyCondensed(t.tensor));
+      logTime(startTime, endTime);
+      const dataExpected = new Float32Array(TEST_DATA[key].expected.data);
+      assert.deepEqual(t.tensor.shape, TEST_DATA[key].expected.shape);
+      assert.isTrue(approxEquals(t.tensor, dataExpected));
+    });
   });
 
   /*********************************************************
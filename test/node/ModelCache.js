@@ -0,0 +1,307 @@
+import { assert } from 'chai';
+import { IDBFactory } from 'fake-indexeddb';
+import { Model, ModelCache } from '../../src/node';
+import {
+  createMLP,
+  installFakeXMLHttpRequest,
+  uninstallFakeXMLHttpRequest,
+  FakeXMLHttpRequest,
+  modelDataFiles,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+/**
+ * Proxy of an IndexedDB object, with properties in `overrides`, and methods
+ * bound to the object
+ * @param {Object} target
+ * @param {Object} overrides
+ * @returns {Proxy}
+ */
+function override(target, overrides) {
+  return new Proxy(target, {
+    get(obj, prop) {
+      if (prop in overrides) {
+        return overrides[prop];
+      }
+      const value = obj[prop];
+      return typeof value === 'function' ? value.bind(obj) : value;
+    },
+    set(obj, prop, value) {
+      obj[prop] = value;
+      return true;
+    }
+  });
+}
+
+/**
+ * In-memory IndexedDB with a storage quota on the byte length of model data,
+ * over which transactions abort with a QuotaExceededError, as in browsers
+ * @param {number} quota - in bytes
+ * @returns {IDBFactory}
+ */
+function createQuotaIndexedDB(quota) {
+  const factory = new IDBFactory();
+  // byte length of stored model data, keyed by cache key
+  let stored = {};
+  const used = () =>
+    Object.keys(stored).reduce((total, key) => total + stored[key], 0);
+
+  const wrapTransaction = transaction => {
+    let error = null;
+    const wrapped = override(transaction, {
+      get error() {
+        return error || transaction.error;
+      },
+      objectStore(name) {
+        const store = transaction.objectStore(name);
+        if (name !== 'data') {
+          return store;
+        }
+        return override(store, {
+          put(value, key) {
+            const byteLength = value.weights.byteLength;
+            if (used() - (stored[key] || 0) + byteLength > quota) {
+              error = new DOMException('Quota exceeded.', 'QuotaExceededError');
+              transaction.abort();
+              return null;
+            }
+            transaction.addEventListener('complete', () => {
+              stored[key] = byteLength;
+            });
+            return store.put(value, key);
+          },
+          delete(key) {
+            transaction.addEventListener('complete', () => {
+              delete stored[key];
+            });
+            return store.delete(key);
+          }
+        });
+      }
+    });
+    return wrapped;
+  };
+
+  return override(factory, {
+    open(name, version) {
+      const request = factory.open(name, version);
+      return override(request, {
+        get result() {
+          const db = request.result;
+          return override(db, {
+            transaction: (...args) => wrapTransaction(db.transaction(...args))
+          });
+        }
+      });
+    }
+  });
+}
+
+describe('ModelCache', function() {
+  const originalNow = Date.now;
+  let now;
+
+  // model data of a given byte length
+  const modelData = (byteLength, fill = 0) => ({
+    weights: new Uint8Array(byteLength).fill(fill).buffer
+  });
+
+  // cached keys, least recently used first
+  const cachedKeys = cache =>
+    cache
+      .entries()
+      .then(entries =>
+        entries
+          .sort((a, b) => a.lastAccessed - b.lastAccessed)
+          .map(entry => entry.key));
+
+  beforeEach(function() {
+    // each call a millisecond later, so that access order is unambiguous
+    now = 0;
+    Date.now = () => ++now;
+  });
+
+  afterEach(function() {
+    Date.now = originalNow;
+  });
+
+  it('throws when IndexedDB is not available', function() {
+    assert.throws(() => new ModelCache(), /IndexedDB is not available/);
+  });
+
+  describe('get and set', function() {
+    let cache;
+
+    beforeEach(function() {
+      cache = new ModelCache({ indexedDB: new IDBFactory() });
+    });
+
+    it('returns null for entry not cached', async function() {
+      assert.isNull(await cache.get('model.json', 1));
+    });
+
+    it('returns cached model data', async function() {
+      const data = {
+        model: { class_name: 'Sequential', config: [] },
+        weights: modelData(8, 7).weights
+      };
+      assert.isTrue(await cache.set('model.json', 1, data));
+      const cached = await cache.get('model.json', 1);
+      assert.deepEqual(cached.model, data.model);
+      assert.instanceOf(cached.weights, ArrayBuffer);
+      assert.deepEqual(
+        Array.from(new Uint8Array(cached.weights)),
+        [ 7, 7, 7, 7, 7, 7, 7, 7 ]
+      );
+
+      const [ entry ] = await cache.entries();
+      assert.strictEqual(entry.key, 'model.json');
+      assert.strictEqual(entry.version, 1);
+      assert.strictEqual(
+        entry.byteLength,
+        8 + JSON.stringify(data.model).length
+      );
+    });
+
+    it('deletes entry stored under a different version', async function() {
+      await cache.set('model.json', 1, modelData(8));
+      assert.isNull(await cache.get('model.json', 2));
+      assert.lengthOf(await cache.entries(), 0);
+      assert.isNull(await cache.get('model.json', 1));
+    });
+
+    it('updates last accessed time on get', async function() {
+      await cache.set('a', 1, modelData(8));
+      await cache.set('b', 1, modelData(8));
+      assert.deepEqual(await cachedKeys(cache), [ 'a', 'b' ]);
+      await cache.get('a', 1);
+      assert.deepEqual(await cachedKeys(cache), [ 'b', 'a' ]);
+    });
+
+    it('deletes and clears entries', async function() {
+      await cache.set('a', 1, modelData(8));
+      await cache.set('b', 1, modelData(8));
+      await cache.delete('a');
+      assert.isNull(await cache.get('a', 1));
+      assert.deepEqual(await cachedKeys(cache), [ 'b' ]);
+      await cache.clear();
+      assert.lengthOf(await cache.entries(), 0);
+    });
+  });
+
+  describe('maxBytes', function() {
+    let cache;
+
+    beforeEach(function() {
+      cache = new ModelCache({ indexedDB: new IDBFactory(), maxBytes: 250 });
+    });
+
+    it('evicts least recently used entries to stay within maxBytes', async function() {
+      await cache.set('a', 1, modelData(100));
+      await cache.set('b', 1, modelData(100));
+      await cache.get('a', 1);
+      assert.isTrue(await cache.set('c', 1, modelData(100)));
+      assert.deepEqual(await cachedKeys(cache), [ 'a', 'c' ]);
+      assert.isNull(await cache.get('b', 1));
+
+      // evicts as many entries as needed
+      assert.isTrue(await cache.set('d', 1, modelData(200)));
+      assert.deepEqual(await cachedKeys(cache), [ 'd' ]);
+    });
+
+    it('does not count an entry being replaced', async function() {
+      await cache.set('a', 1, modelData(100));
+      await cache.set('b', 1, modelData(100));
+      assert.isTrue(await cache.set('b', 2, modelData(150)));
+      assert.deepEqual(await cachedKeys(cache), [ 'a', 'b' ]);
+    });
+
+    it('does not store data larger than maxBytes, or evict other entries', async function() {
+      await cache.set('a', 1, modelData(100));
+      assert.isFalse(await cache.set('b', 1, modelData(251)));
+      assert.deepEqual(await cachedKeys(cache), [ 'a' ]);
+    });
+  });
+
+  describe('storage quota', function() {
+    let cache;
+
+    beforeEach(function() {
+      cache = new ModelCache({ indexedDB: createQuotaIndexedDB(250) });
+    });
+
+    it('evicts least recently used entries and retries when quota is exceeded', async function() {
+      await cache.set('a', 1, modelData(100));
+      await cache.set('b', 1, modelData(100));
+      await cache.set('c', 1, modelData(50));
+      await cache.get('a', 1);
+      // b is evicted, after which the write still exceeds the quota, then c
+      assert.isTrue(await cache.set('d', 1, modelData(150, 4)));
+      assert.deepEqual(await cachedKeys(cache), [ 'a', 'd' ]);
+      const cached = await cache.get('d', 1);
+      assert.strictEqual(new Uint8Array(cached.weights)[149], 4);
+    });
+
+    it('resolves to false once there are no more entries to evict', async function() {
+      await cache.set('a', 1, modelData(100));
+      assert.isFalse(await cache.set('b', 1, modelData(300)));
+      assert.lengthOf(await cache.entries(), 0);
+    });
+
+    it('rejects on other errors', async function() {
+      let failing = new IDBFactory();
+      failing.open = () => {
+        throw new Error('open failed');
+      };
+      const failingCache = new ModelCache({ indexedDB: failing });
+      const err = await getRejection(failingCache.set('a', 1, modelData(10)));
+      assert.match(err.message, /open failed/);
+    });
+  });
+
+  describe('Model', function() {
+    const mlp = createMLP();
+    const input = new Float32Array([ 0.5, -1.2, 2 ]);
+    const { files, filepaths } = modelDataFiles(mlp.data);
+
+    before(function() {
+      installFakeXMLHttpRequest(files);
+    });
+
+    after(function() {
+      uninstallFakeXMLHttpRequest();
+    });
+
+    it('loads model data from the cache without requesting it again', async function() {
+      const indexedDB = new IDBFactory();
+      const first = new Model({ filepaths, cache: { indexedDB } });
+      await first.ready();
+      assert.lengthOf(FakeXMLHttpRequest.requests, 3);
+      const [ entry ] = await new ModelCache({ indexedDB }).entries();
+      assert.strictEqual(entry.key, filepaths.model);
+
+      FakeXMLHttpRequest.requests = [];
+      const second = new Model({ filepaths, cache: { indexedDB } });
+      await second.ready();
+      assert.lengthOf(FakeXMLHttpRequest.requests, 0);
+      const outputData = await second.predict({ input });
+      assertArraysClose(outputData.output, mlp.predict(input));
+
+      // a new version is fetched again
+      const third = new Model({ filepaths, cache: { indexedDB, version: 2 } });
+      await third.ready();
+      assert.lengthOf(FakeXMLHttpRequest.requests, 3);
+    });
+
+    it('requests model data without a cache where IndexedDB is not available', async function() {
+      FakeXMLHttpRequest.requests = [];
+      const model = new Model({ filepaths, cache: { indexedDB: null } });
+      assert.isNull(model.cache);
+      await model.ready();
+      assert.lengthOf(FakeXMLHttpRequest.requests, 3);
+      const outputData = await model.predict({ input });
+      assertArraysClose(outputData.output, mlp.predict(input));
+    });
+  });
+});
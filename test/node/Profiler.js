@@ -0,0 +1,291 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import Profiler, { profile, recordAllocation } from '../../src/Profiler';
+import {
+  createMLP,
+  createModelData,
+  denseLayerDef,
+  denseWeights
+} from './helpers';
+
+describe('Profiler', function() {
+  // clock advanced by the tests, in ms
+  let time;
+
+  beforeEach(function() {
+    time = 100;
+    performance.now = () => time;
+  });
+
+  afterEach(function() {
+    delete performance.now;
+  });
+
+  describe('events', function() {
+    let profiler;
+
+    beforeEach(function() {
+      profiler = new Profiler();
+    });
+
+    it('records time and bytes allocated of measured functions', function() {
+      time = 102;
+      const result = profiler.measure(
+        'dense_1',
+        'layer',
+        () => {
+          recordAllocation(64);
+          time = 105.5;
+          return 'result';
+        },
+        { layerName: 'dense_1', layerClass: 'Dense' }
+      );
+      assert.strictEqual(result, 'result');
+      assert.deepEqual(profiler.events, [
+        {
+          name: 'dense_1',
+          category: 'layer',
+          start: 2,
+          duration: 3.5,
+          bytes: 64,
+          childTimes: {},
+          args: { layerName: 'dense_1', layerClass: 'Dense' }
+        }
+      ]);
+    });
+
+    it('adds times of events within an event to its child times, by category', function() {
+      profiler.measure('dense_1', 'layer', () => {
+        profile('transfer', 'transferFromPipeline', () => {
+          recordAllocation(16);
+          time += 2;
+        });
+        profile('transfer', 'transferFromPipeline', () => {
+          time += 1;
+        });
+        profile('weblas', 'createWeblasTensor', () => {
+          time += 4;
+        });
+        recordAllocation(8);
+      });
+      const event = profiler.events[profiler.events.length - 1];
+      assert.strictEqual(event.name, 'dense_1');
+      assert.strictEqual(event.duration, 7);
+      assert.strictEqual(event.bytes, 24);
+      assert.deepEqual(event.childTimes, {
+        transferFromPipeline: 3,
+        createWeblasTensor: 4
+      });
+      assert.lengthOf(profiler.events, 4);
+    });
+
+    it('records nothing outside of measured functions', function() {
+      const result = profile('transfer', 'transferFromPipeline', () => 1);
+      assert.strictEqual(result, 1);
+      recordAllocation(16);
+      assert.lengthOf(profiler.events, 0);
+    });
+
+    it('records events of async functions, and errors thrown', async function() {
+      await profiler.measureAsync('predict', 'model', async () => {
+        time += 10;
+      });
+      assert.throws(
+        () =>
+          profiler.measure('dense_1', 'layer', () => {
+            time += 1;
+            throw new Error('failed');
+          }),
+        'failed'
+      );
+      assert.deepEqual(
+        profiler.events.map(({ name, duration }) => [ name, duration ]),
+        [ [ 'predict', 10 ], [ 'dense_1', 1 ] ]
+      );
+      profiler.clear();
+      assert.lengthOf(profiler.events, 0);
+    });
+  });
+
+  describe('report and trace', function() {
+    let profiler;
+
+    beforeEach(async function() {
+      profiler = new Profiler();
+      const args = layerName => ({ layerName, layerClass: 'Dense' });
+      // two predict calls, each of dense_1 (2 ms) then dense_2 (4 ms, of which
+      // 1 ms in a transfer)
+      for (let i = 0; i < 2; i++) {
+        await profiler.measureAsync('predict', 'model', async () => {
+          profiler.measure(
+            'dense_1',
+            'layer',
+            () => {
+              recordAllocation(16);
+              time += 2;
+            },
+            args('dense_1')
+          );
+          profiler.measure(
+            'dense_2',
+            'layer',
+            () => {
+              profile('transfer', 'transferFromPipeline', () => {
+                time += 1;
+              });
+              recordAllocation(8);
+              time += 3;
+            },
+            args('dense_2')
+          );
+        });
+      }
+    });
+
+    it('reports totals of each layer over all calls, in order of first call', function() {
+      const report = profiler.report();
+      assert.strictEqual(report.calls, 2);
+      assert.strictEqual(report.totalTime, 12);
+      assert.deepEqual(report.layers, [
+        {
+          name: 'dense_1',
+          layerName: 'dense_1',
+          layerClass: 'Dense',
+          calls: 2,
+          time: 4,
+          transferTime: 0,
+          weblasTime: 0,
+          bytes: 32
+        },
+        {
+          name: 'dense_2',
+          layerName: 'dense_2',
+          layerClass: 'Dense',
+          calls: 2,
+          time: 8,
+          transferTime: 2,
+          weblasTime: 0,
+          bytes: 16
+        }
+      ]);
+    });
+
+    it('exports events in the Chrome trace event format, in microseconds', function() {
+      const trace = JSON.parse(profiler.exportTrace());
+      assert.strictEqual(trace.displayTimeUnit, 'ms');
+      assert.deepEqual(
+        trace.traceEvents.map(({ cat, name, ts, dur }) => [
+          `${cat}:${name}`,
+          ts,
+          dur
+        ]),
+        [
+          [ 'layer:dense_1', 0, 2000 ],
+          [ 'transferFromPipeline:transfer', 2000, 1000 ],
+          [ 'layer:dense_2', 2000, 4000 ],
+          [ 'model:predict', 0, 6000 ],
+          [ 'layer:dense_1', 6000, 2000 ],
+          [ 'transferFromPipeline:transfer', 8000, 1000 ],
+          [ 'layer:dense_2', 8000, 4000 ],
+          [ 'model:predict', 6000, 6000 ]
+        ]
+      );
+      assert.deepEqual(trace.traceEvents[2], {
+        name: 'dense_2',
+        cat: 'layer',
+        ph: 'X',
+        ts: 2000,
+        dur: 4000,
+        pid: 1,
+        tid: 1,
+        args: { bytes: 8, layerName: 'dense_2', layerClass: 'Dense' }
+      });
+      trace.traceEvents.forEach(event => {
+        assert.strictEqual(event.ph, 'X');
+        assert.strictEqual(event.pid, 1);
+        assert.strictEqual(event.tid, 1);
+      });
+    });
+  });
+
+  describe('Model', function() {
+    const input = new Float32Array([ 0.5, -1.2, 2 ]);
+
+    beforeEach(function() {
+      // each reading 1 ms later, so that events are ordered by their start
+      performance.now = () => ++time;
+    });
+
+    it('records each predict call and layer call, with its layer name and class', async function() {
+      const model = new Model({ data: createMLP().data, profile: true });
+      await model.ready();
+      assert.instanceOf(model.profiler, Profiler);
+      await model.predict({ input: new Float32Array(input) });
+      await model.predictBatch({ input: [ new Float32Array(input) ] });
+
+      const { calls, layers } = model.profiler.report();
+      assert.strictEqual(calls, 2);
+      assert.deepEqual(
+        layers.map(layer => [
+          layer.name,
+          layer.layerName,
+          layer.layerClass,
+          layer.calls
+        ]),
+        [
+          [ 'dense_1', 'dense_1', 'Dense', 2 ],
+          [ 'dense_2', 'dense_2', 'Dense', 2 ]
+        ]
+      );
+      // outputs of 4 and 2 float32 values are allocated in each call
+      assert.isAtLeast(layers[0].bytes, 2 * 16);
+      assert.isAtLeast(layers[1].bytes, 2 * 8);
+      const trace = JSON.parse(model.profiler.exportTrace());
+      assert.sameMembers(
+        trace.traceEvents.filter(({ cat }) => cat === 'model').map(
+          ({ name }) => name
+        ),
+        [ 'predict', 'predictBatch' ]
+      );
+    });
+
+    it('records layers of nested models under the name of the nested model', async function() {
+      let nestedInputLayerDef = denseLayerDef('dense_1', 3, 2);
+      nestedInputLayerDef.config.batch_input_shape = [ null, 3 ];
+      const modelConfig = {
+        class_name: 'Sequential',
+        config: [
+          {
+            name: 'seq',
+            class_name: 'Sequential',
+            config: [ nestedInputLayerDef ]
+          },
+          denseLayerDef('dense_2', 2, 1)
+        ]
+      };
+      const weights = [
+        ...denseWeights('dense_1', 3, 2, 1),
+        ...denseWeights('dense_2', 2, 1, 2)
+      ];
+      const model = new Model({
+        data: createModelData(modelConfig, weights),
+        profile: true
+      });
+      await model.ready();
+      const seq = model.modelLayersMap.get('seq');
+      assert.strictEqual(seq.profiler, model.profiler);
+      await model.predict({ input: new Float32Array(input) });
+      assert.deepEqual(
+        model.profiler.report().layers.map(({ name, layerClass }) => [
+          name,
+          layerClass
+        ]),
+        [
+          [ 'seq', 'Sequential' ],
+          [ 'seq/dense_1', 'Dense' ],
+          [ 'dense_2', 'Dense' ]
+        ]
+      );
+    });
+  });
+});
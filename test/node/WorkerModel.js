@@ -0,0 +1,339 @@
+import { assert } from 'chai';
+import WorkerModel from '../../src/WorkerModel';
+import { errors } from '../../src/node';
+import {
+  createMLP,
+  writeModelFiles,
+  removeModelFiles,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+/**
+ * Mock of Worker, in place of the global Worker
+ * Messages are structured-cloned with their transfer lists, as between
+ * threads, so that transferred buffers are detached on the posting side.
+ * Messages posted to the worker are recorded in `messages`, and delivered
+ * asynchronously to the worker scope in `FakeWorker.scope`, if set (see
+ * `connectWorkerScript()`). Messages from the worker are posted with
+ * `receive()`.
+ */
+class FakeWorker {
+  /**
+   * @param {string} path
+   */
+  constructor(path) {
+    this.path = path;
+    this.messages = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  /**
+   * Posts message to the worker
+   * @param {Object} message
+   * @param {ArrayBuffer[]} [transfer]
+   */
+  postMessage(message, transfer = []) {
+    const data = structuredClone(message, { transfer });
+    this.messages.push(data);
+    const scope = FakeWorker.scope;
+    if (scope && !this.terminated) {
+      setImmediate(() => scope.onmessage({ data }));
+    }
+  }
+
+  /**
+   * Posts message from the worker
+   * @param {Object} message
+   * @param {ArrayBuffer[]} [transfer]
+   */
+  receive(message, transfer = []) {
+    const data = structuredClone(message, { transfer });
+    if (!this.terminated) {
+      this.onmessage({ data });
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+FakeWorker.instances = [];
+FakeWorker.scope = null;
+
+/**
+ * Runs the worker script (src/worker.js) in this thread, as the worker of the
+ * last FakeWorker created
+ */
+function connectWorkerScript() {
+  global.self = {
+    postMessage: (message, transfer) => {
+      const worker = FakeWorker.instances[FakeWorker.instances.length - 1];
+      worker.receive(message, transfer);
+    }
+  };
+  require('../../src/worker');
+  FakeWorker.scope = global.self;
+}
+
+describe('WorkerModel', function() {
+  const originalWorker = global.Worker;
+
+  beforeEach(function() {
+    global.Worker = FakeWorker;
+    FakeWorker.instances = [];
+  });
+
+  afterEach(function() {
+    global.Worker = originalWorker;
+  });
+
+  describe('message protocol', function() {
+    let model;
+    let worker;
+
+    beforeEach(function() {
+      model = new WorkerModel({
+        workerPath: 'dist/keras.worker.js',
+        filepaths: { bundle: '/models/model.buf' },
+        onLayerLoad: () => {}
+      });
+      worker = FakeWorker.instances[0];
+    });
+
+    it('throws without workerPath', function() {
+      assert.throws(() => new WorkerModel({}), /workerPath must be declared/);
+    });
+
+    it('posts init message with Model config', function() {
+      assert.strictEqual(worker.path, 'dist/keras.worker.js');
+      assert.deepEqual(worker.messages, [
+        { type: 'init', config: { filepaths: { bundle: '/models/model.buf' } } }
+      ]);
+    });
+
+    it('mirrors loading progress, loaded layers, and input names', async function() {
+      let events = [];
+      model.onLayerLoad = event => events.push(event);
+      worker.receive({ type: 'progress', progress: 40 });
+      assert.strictEqual(model.getLoadingProgress(), 40);
+      const event = { name: 'dense_1', loaded: 1, total: 2 };
+      worker.receive({ type: 'layerLoad', event });
+      assert.deepEqual(model.loadedLayers, [ 'dense_1' ]);
+      assert.deepEqual(events, [ event ]);
+      worker.receive({ type: 'ready', inputNames: [ 'input' ] });
+      await model.ready();
+      assert.deepEqual(model.inputNames, [ 'input' ]);
+    });
+
+    it('rejects ready() with typed error posted without request id', async function() {
+      worker.receive({
+        type: 'error',
+        error: {
+          name: 'MissingWeightError',
+          message: 'weights missing',
+          layerName: 'dense_2',
+          weightName: 'dense_2_W'
+        }
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, errors.MissingWeightError);
+      assert.strictEqual(err.message, 'weights missing');
+      assert.strictEqual(err.layerName, 'dense_2');
+      assert.strictEqual(err.weightName, 'dense_2_W');
+    });
+
+    it('posts run messages, transferring whole input buffers', function() {
+      const input = new Float32Array([ 1, 2, 3 ]);
+      // view on part of a larger buffer, copied rather than transferred
+      const shared = new Float32Array([ 0, 1, 2, 3, 4 ]);
+      const view = shared.subarray(1, 4);
+      model.predict({ input, view }, { outputs: [ 'dense_1' ] });
+      model.predictBatch({ input: [ new Float32Array([ 4, 5, 6 ]) ] });
+      assert.isTrue(model.isRunning);
+
+      const [ , predict, predictBatch ] = worker.messages;
+      assert.deepEqual(
+        Object.assign({}, predict, { inputData: null }),
+        {
+          type: 'run',
+          id: 0,
+          method: 'predict',
+          inputData: null,
+          options: { outputs: [ 'dense_1' ] }
+        }
+      );
+      assertArraysClose(predict.inputData.input, [ 1, 2, 3 ], 0);
+      assertArraysClose(predict.inputData.view, [ 1, 2, 3 ], 0);
+      // transferred buffer is detached
+      assert.strictEqual(input.buffer.byteLength, 0);
+      assert.strictEqual(shared.length, 5);
+
+      assert.strictEqual(predictBatch.id, 1);
+      assert.strictEqual(predictBatch.method, 'predictBatch');
+      assertArraysClose(predictBatch.inputData.input[0], [ 4, 5, 6 ], 0);
+    });
+
+    it('settles calls by request id, in any order', async function() {
+      const first = model.predict({ input: new Float32Array(3) });
+      const second = model.predict({ input: new Float32Array(3) });
+      const third = getRejection(
+        model.predict({ input: new Float32Array(3) })
+      );
+      const output = new Float32Array([ 0.5, 0.25 ]);
+      worker.receive(
+        {
+          type: 'result',
+          id: 1,
+          outputData: { output },
+          layersWithResults: [ 'dense_1', 'dense_2' ]
+        },
+        [ output.buffer ]
+      );
+      worker.receive({
+        type: 'error',
+        id: 2,
+        error: {
+          name: 'ShapeMismatchError',
+          message: 'bad input',
+          expected: [ 3 ],
+          actual: [ 4 ]
+        }
+      });
+      assert.isTrue(model.isRunning);
+
+      const outputData = await second;
+      assert.instanceOf(outputData.output, Float32Array);
+      assertArraysClose(outputData.output, [ 0.5, 0.25 ], 0);
+      assert.deepEqual(model.layersWithResults, [ 'dense_1', 'dense_2' ]);
+      const err = await third;
+      assert.instanceOf(err, errors.ShapeMismatchError);
+      assert.deepEqual(err.actual, [ 4 ]);
+
+      worker.receive({
+        type: 'error',
+        id: 0,
+        error: { name: 'Error', message: 'failed' }
+      });
+      assert.match((await getRejection(first)).message, /failed/);
+      assert.isFalse(model.isRunning);
+    });
+
+    it('posts abort message, on abort() or when AbortSignal is signaled', function() {
+      model.abort();
+      assert.deepEqual(worker.messages[1], { type: 'abort' });
+
+      const controller = new AbortController();
+      new WorkerModel({ workerPath: 'worker.js', signal: controller.signal });
+      const signaledWorker = FakeWorker.instances[1];
+      assert.lengthOf(signaledWorker.messages, 1);
+      controller.abort();
+      assert.deepEqual(signaledWorker.messages[1], { type: 'abort' });
+    });
+
+    it('rejects ready() and pending calls on terminate()', async function() {
+      const call = model.predict({ input: new Float32Array(3) });
+      model.terminate();
+      assert.isTrue(worker.terminated);
+      const [ readyErr, callErr ] = await Promise.all([
+        getRejection(model.ready()),
+        getRejection(call)
+      ]);
+      assert.instanceOf(readyErr, errors.AbortError);
+      assert.instanceOf(callErr, errors.AbortError);
+      assert.isFalse(model.isRunning);
+    });
+  });
+
+  describe('with worker script', function() {
+    const mlp = createMLP();
+    let filepaths;
+
+    before(function() {
+      filepaths = writeModelFiles(mlp.data);
+      connectWorkerScript();
+    });
+
+    after(function() {
+      removeModelFiles(filepaths.dir);
+      FakeWorker.scope = null;
+      delete global.self;
+    });
+
+    it('loads model and predicts in the worker, in CPU mode', async function() {
+      let loaded = [];
+      const model = new WorkerModel({
+        workerPath: 'dist/keras.worker.js',
+        filepaths,
+        filesystem: true,
+        gpu: true,
+        onLayerLoad: ({ name }) => loaded.push(name)
+      });
+      await model.ready();
+      assert.deepEqual(loaded, [ 'dense_1', 'dense_2' ]);
+      assert.deepEqual(model.inputNames, [ 'input' ]);
+      assert.strictEqual(model.getLoadingProgress(), 100);
+
+      const input = new Float32Array([ 0.5, -1.2, 2 ]);
+      const expected = mlp.predict(input);
+      const outputData = await model.predict({ input });
+      assert.strictEqual(input.length, 0);
+      assertArraysClose(outputData.output, expected);
+      assert.deepEqual(model.layersWithResults, [ 'dense_1', 'dense_2' ]);
+
+      const batchOutputData = await model.predictBatch({
+        input: [ new Float32Array([ 0.5, -1.2, 2 ]), new Float32Array(3) ]
+      });
+      assert.lengthOf(batchOutputData.output, 2);
+      assertArraysClose(batchOutputData.output[0], expected);
+      assertArraysClose(batchOutputData.output[1], mlp.predict([ 0, 0, 0 ]));
+      model.terminate();
+    });
+
+    it('posts loading and call errors back as typed errors', async function() {
+      const model = new WorkerModel({
+        workerPath: 'dist/keras.worker.js',
+        filepaths: Object.assign({}, filepaths, {
+          weights: `${filepaths.weights}.missing`
+        }),
+        filesystem: true
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, errors.NetworkError);
+      assert.strictEqual(err.type, 'weights');
+
+      const loadedModel = new WorkerModel({
+        workerPath: 'dist/keras.worker.js',
+        filepaths,
+        filesystem: true
+      });
+      await loadedModel.ready();
+      const callErr = await getRejection(
+        loadedModel.predictBatch({ input: [ new Float32Array(4) ] })
+      );
+      assert.instanceOf(callErr, errors.ShapeMismatchError);
+      assert.isFalse(loadedModel.isRunning);
+    });
+
+    it('posts errors thrown creating the model, and rejects calls after', async function() {
+      const model = new WorkerModel({
+        workerPath: 'dist/keras.worker.js',
+        filepaths,
+        filesystem: true,
+        cache: { key: 1 }
+      });
+      const err = await getRejection(model.ready());
+      assert.strictEqual(err.message, '[Model] a cache key must be provided.');
+
+      const callErr = await getRejection(
+        model.predict({ input: new Float32Array(3) })
+      );
+      assert.strictEqual(
+        callErr.message,
+        '[worker] model failed to load, or has not been created.'
+      );
+      assert.isFalse(model.isRunning);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { assert } from 'chai';
+import { Model, Tensor } from '../../src/node';
+import {
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  withNodes,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: activations', function() {
+  // input_1 => dense_b and dense_a (in plan order, since dense_b comes first in
+  // the model config), concatenated by merge => dense_out
+  const denseA = denseWeights('dense_a', 3, 2, 1);
+  const denseB = denseWeights('dense_b', 3, 2, 2);
+  const denseOut = denseWeights('dense_out', 4, 1, 3);
+  const modelConfig = {
+    class_name: 'Model',
+    config: {
+      name: 'model_1',
+      layers: [
+        inputLayerDef('input_1', [ 3 ]),
+        withNodes(denseLayerDef('dense_b', 3, 2), [ 'input_1' ]),
+        withNodes(denseLayerDef('dense_a', 3, 2, 'relu'), [ 'input_1' ]),
+        withNodes(
+          {
+            class_name: 'Merge',
+            config: { name: 'merge', mode: 'concat', concat_axis: -1 }
+          },
+          [ 'dense_a', 'dense_b' ]
+        ),
+        withNodes(denseLayerDef('dense_out', 4, 1), [ 'merge' ])
+      ],
+      input_layers: [ [ 'input_1', 0, 0 ] ],
+      output_layers: [ [ 'dense_out', 0, 0 ] ]
+    }
+  };
+  const data = createModelData(modelConfig, [
+    ...denseA,
+    ...denseB,
+    ...denseOut
+  ]);
+  const input = [ 0.5, -1.2, 2 ];
+  const resultA = denseReference(input, denseA, 'relu');
+  const resultB = denseReference(input, denseB);
+  let model;
+
+  before(function() {
+    model = new Model({ data, retainResults: false });
+    return model.ready();
+  });
+
+  it('calls onActivation once for each layer, in plan order', async function() {
+    let calls = [];
+    await model.predict(
+      { input_1: new Float32Array(input) },
+      { onActivation: (name, x) => calls.push([ name, x ]) }
+    );
+    assert.deepEqual(calls.map(([ name ]) => name), [
+      'dense_b',
+      'dense_a',
+      'merge',
+      'dense_out'
+    ]);
+    calls.forEach(([ , x ]) => assert.instanceOf(x, Tensor));
+    assertArraysClose(calls[0][1].tensor.data, resultB);
+    assertArraysClose(calls[1][1].tensor.data, resultA);
+    assertArraysClose(calls[2][1].tensor.data, resultA.concat(resultB));
+    assert.deepEqual(calls[2][1].tensor.shape, [ 4 ]);
+  });
+
+  it('passes copies of results, available as soon as each layer is computed', async function() {
+    let copies = {};
+    const outputData = await model.predict(
+      { input_1: new Float32Array(input) },
+      {
+        onActivation: (name, x) => {
+          copies[name] = x;
+          // modifying the copy does not affect later layers
+          x.tensor.data.fill(0);
+        }
+      }
+    );
+    assertArraysClose(
+      outputData.dense_out,
+      denseReference(resultA.concat(resultB), denseOut)
+    );
+    assertArraysClose(copies.dense_a.tensor.data, [ 0, 0 ]);
+  });
+
+  it('only calls onActivation for layers in activations, in plan order', async function() {
+    let names = [];
+    await model.predict(
+      { input_1: new Float32Array(input) },
+      {
+        activations: [ 'merge', 'dense_b' ],
+        onActivation: name => names.push(name)
+      }
+    );
+    assert.deepEqual(names, [ 'dense_b', 'merge' ]);
+    // layers in activations are kept for getActivations()
+    const activations = model.getActivations([ 'merge', 'dense_b' ]);
+    assert.deepEqual(Object.keys(activations), [ 'merge', 'dense_b' ]);
+    assertArraysClose(activations.dense_b.tensor.data, resultB);
+  });
+
+  it('passes results of predictBatch() with the batch axis first', async function() {
+    let shapes = {};
+    await model.predictBatch(
+      { input_1: [ new Float32Array(input), new Float32Array(3) ] },
+      {
+        activations: [ 'dense_a' ],
+        onActivation: (name, x) => {
+          shapes[name] = x.tensor.shape;
+        }
+      }
+    );
+    assert.deepEqual(shapes, { dense_a: [ 2, 2 ] });
+  });
+
+  it('calls onActivation for the layers run by predictSubgraph()', async function() {
+    let names = [];
+    await model.predictSubgraph(
+      { input_1: new Float32Array(input) },
+      [ 'dense_a' ],
+      { onActivation: name => names.push(name) }
+    );
+    assert.deepEqual(names, [ 'dense_a' ]);
+  });
+
+  it('throws for layers with no results from the last call', async function() {
+    await model.predict({ input_1: new Float32Array(input) });
+    // with retainResults: false, only the results of outputs are kept
+    assert.sameMembers(Object.keys(model.getActivations()), [ 'dense_out' ]);
+    assert.throws(
+      () => model.getActivations([ 'dense_out', 'dense_a', 'merge' ]),
+      'getActivations() layers have no results from the last call: dense_a,merge.'
+    );
+    assert.throws(
+      () => model.getActivations([ 'dense_c' ]),
+      'getActivations() names must be names of layers of the model, not: dense_c.'
+    );
+  });
+
+  it('rejects for unknown layers in activations, without calling onActivation', async function() {
+    let names = [];
+    const err = await getRejection(
+      model.predict(
+        { input_1: new Float32Array(input) },
+        { activations: [ 'dense_c' ], onActivation: name => names.push(name) }
+      )
+    );
+    assert.strictEqual(
+      err.message,
+      'predict() activations must be names of layers of the model, not: dense_c.'
+    );
+    assert.deepEqual(names, []);
+  });
+});
@@ -0,0 +1,148 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createMLP,
+  createModelData,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  assertArraysClose
+} from './helpers';
+
+describe('Model: tensor arena', function() {
+  const samples = [
+    [ 0.5, -1.2, 2 ],
+    [ -0.3, 0.8, 0.1 ],
+    [ 1.5, 0.2, -0.7 ]
+  ];
+
+  describe('Sequential model', function() {
+    const mlp = createMLP();
+    const hidden = denseWeights('dense_1', 3, 4, 1);
+    let model;
+
+    before(function() {
+      model = new Model({ data: mlp.data, arena: true });
+      return model.ready();
+    });
+
+    it('reuses buffers of the first call in later calls', async function() {
+      await model.predict({ input: new Float32Array(samples[0]) });
+      const { created, reused } = model.arena;
+      await model.predict({ input: new Float32Array(samples[1]) });
+      assert.strictEqual(model.arena.created, created);
+      assert.isAbove(model.arena.reused, reused);
+    });
+
+    it('does not overwrite the output data or activations of earlier calls', async function() {
+      const first = await model.predict(
+        { input: new Float32Array(samples[0]) },
+        { outputs: [ 'dense_1' ] }
+      );
+      const firstActivations = model.getActivations();
+      const second = await model.predict(
+        { input: new Float32Array(samples[1]) },
+        { outputs: [ 'dense_1' ] }
+      );
+
+      assertArraysClose(first.output, mlp.predict(samples[0]));
+      assertArraysClose(
+        first.dense_1,
+        denseReference(samples[0], hidden, 'relu')
+      );
+      assertArraysClose(
+        firstActivations.dense_2.tensor.data,
+        mlp.predict(samples[0])
+      );
+      assertArraysClose(
+        firstActivations.dense_1.tensor.data,
+        denseReference(samples[0], hidden, 'relu')
+      );
+      assertArraysClose(second.output, mlp.predict(samples[1]));
+      assert.notStrictEqual(first.output.buffer, second.output.buffer);
+    });
+
+    it('does not overwrite the output data of earlier batches', async function() {
+      const first = await model.predictBatch({
+        input: samples.slice(0, 2).map(x => new Float32Array(x))
+      });
+      await model.predictBatch({
+        input: samples.slice(1, 3).map(x => new Float32Array(x))
+      });
+      assertArraysClose(first.output[0], mlp.predict(samples[0]));
+      assertArraysClose(first.output[1], mlp.predict(samples[1]));
+    });
+  });
+
+  describe('stateful SimpleRNN', function() {
+    // sequences of 2 timesteps of dimension 3 => simplernn_1 (4 units) =>
+    // dense_1
+    const [ W, b ] = denseWeights('simplernn_1', 3, 4, 1);
+    const U = Object.assign({}, denseWeights('simplernn_1', 4, 4, 2)[0], {
+      weightName: 'simplernn_1_U'
+    });
+    const dense = denseWeights('dense_1', 4, 2, 3);
+    const modelConfig = {
+      class_name: 'Sequential',
+      config: [
+        {
+          class_name: 'SimpleRNN',
+          config: {
+            name: 'simplernn_1',
+            batch_input_shape: [ 1, 2, 3 ],
+            output_dim: 4,
+            activation: 'tanh',
+            return_sequences: false,
+            go_backwards: false,
+            stateful: true
+          }
+        },
+        denseLayerDef('dense_1', 4, 2)
+      ]
+    };
+    // weights in the order of the layer params W, U, b
+    const data = createModelData(modelConfig, [ W, U, b, ...dense ]);
+
+    /**
+     * Reference SimpleRNN, on arrays
+     * @param {number[]} x - flattened sequence
+     * @param {number[]} h - initial hidden state
+     * @returns {number[]} last hidden state
+     */
+    const simpleRNNReference = (x, h) => {
+      for (let t = 0; t < x.length / 3; t++) {
+        const xW = denseReference(x.slice(t * 3, t * 3 + 3), [ W, b ]);
+        const hU = denseReference(h, [ U, { data: [ 0, 0, 0, 0 ] } ]);
+        h = xW.map((v, j) => Math.tanh(v + hU[j]));
+      }
+      return h;
+    };
+    const sequences = [
+      samples[0].concat(samples[1]),
+      samples[1].concat(samples[2]),
+      samples[2].concat(samples[0])
+    ];
+
+    it('keeps the states of stateful layers across calls', async function() {
+      const model = new Model({ data, arena: true });
+      const regularModel = new Model({ data });
+      await Promise.all([ model.ready(), regularModel.ready() ]);
+
+      let h = [ 0, 0, 0, 0 ];
+      for (let sequence of sequences) {
+        const outputData = await model.predict(
+          { input: new Float32Array(sequence) },
+          { outputs: [ 'simplernn_1' ] }
+        );
+        const regularOutputData = await regularModel.predict({
+          input: new Float32Array(sequence)
+        });
+        h = simpleRNNReference(sequence, h);
+        assertArraysClose(outputData.simplernn_1, h);
+        assertArraysClose(outputData.output, denseReference(h, dense));
+        assertArraysClose(outputData.output, regularOutputData.output);
+      }
+      assert.isAbove(model.arena.reused, 0);
+    });
+  });
+});
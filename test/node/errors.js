@@ -0,0 +1,424 @@
+import { assert } from 'chai';
+import { Model, errors } from '../../src/node';
+import {
+  createMLP,
+  createBundle,
+  createModelData,
+  denseLayerDef,
+  denseWeights,
+  writeModelFiles,
+  removeModelFiles,
+  installFakeXMLHttpRequest,
+  uninstallFakeXMLHttpRequest,
+  FakeXMLHttpRequest,
+  modelDataFiles,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+const {
+  KerasJSError,
+  NetworkError,
+  UnsupportedLayerError,
+  MissingWeightError,
+  ShapeMismatchError,
+  AbortError
+} = errors;
+
+/**
+ * Waits for the next turn of the event loop, after any pending I/O callbacks
+ * @returns {Promise}
+ */
+function nextTick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('errors', function() {
+  it('are instances of KerasJSError and Error, with their name and details', function() {
+    const checkError = (err, ErrorClass, name) => {
+      assert.instanceOf(err, ErrorClass);
+      assert.instanceOf(err, KerasJSError);
+      assert.instanceOf(err, Error);
+      assert.strictEqual(err.name, name);
+      assert.strictEqual(err.message, 'message');
+      assert.isString(err.stack);
+    };
+
+    const networkError = new NetworkError('message', {
+      type: 'weights',
+      status: 404
+    });
+    checkError(networkError, NetworkError, 'NetworkError');
+    assert.strictEqual(networkError.type, 'weights');
+    assert.strictEqual(networkError.status, 404);
+    assert.isNull(new NetworkError('message').status);
+
+    const unsupportedLayerError = new UnsupportedLayerError('message', 'Foo');
+    checkError(
+      unsupportedLayerError,
+      UnsupportedLayerError,
+      'UnsupportedLayerError'
+    );
+    assert.strictEqual(unsupportedLayerError.layerClass, 'Foo');
+
+    const missingWeightError = new MissingWeightError(
+      'message',
+      'dense_1',
+      'dense_1_W'
+    );
+    checkError(missingWeightError, MissingWeightError, 'MissingWeightError');
+    assert.strictEqual(missingWeightError.layerName, 'dense_1');
+    assert.strictEqual(missingWeightError.weightName, 'dense_1_W');
+
+    const shapeMismatchError = new ShapeMismatchError(
+      'message',
+      [ null, 3 ],
+      [ 2, 4 ]
+    );
+    checkError(shapeMismatchError, ShapeMismatchError, 'ShapeMismatchError');
+    assert.deepEqual(shapeMismatchError.expected, [ null, 3 ]);
+    assert.deepEqual(shapeMismatchError.actual, [ 2, 4 ]);
+
+    checkError(new AbortError('message'), AbortError, 'AbortError');
+    assert.notInstanceOf(new AbortError('message'), NetworkError);
+  });
+});
+
+describe('Model: loading errors', function() {
+  const mlp = createMLP();
+
+  /**
+   * Model data of MLP with its weights metadata modified
+   * @param {Function} modify - called with each metadata entry, returning the
+   *                            modified entry, or null to remove it
+   * @returns {Object}
+   */
+  const withMetadata = modify =>
+    Object.assign({}, mlp.data, {
+      metadata: mlp.data.metadata
+        .map(meta => modify(Object.assign({}, meta)))
+        .filter(meta => meta)
+    });
+
+  describe('NetworkError', function() {
+    const { files, filepaths } = modelDataFiles(mlp.data);
+
+    beforeEach(function() {
+      installFakeXMLHttpRequest(files);
+    });
+
+    afterEach(function() {
+      uninstallFakeXMLHttpRequest();
+    });
+
+    it('rejects with NetworkError on HTTP error status', async function() {
+      const model = new Model({
+        filepaths: Object.assign({}, filepaths, {
+          weights: '/models/missing_weights.buf'
+        })
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, NetworkError);
+      assert.strictEqual(err.type, 'weights');
+      assert.strictEqual(err.status, 404);
+      assert.match(err.message, /error fetching weights file: 404 Not Found/);
+      assert.lengthOf(model.loadedLayers, 0);
+    });
+
+    it('rejects with NetworkError on request error', async function() {
+      FakeXMLHttpRequest.pending = true;
+      const model = new Model({ filepaths });
+      await nextTick();
+      FakeXMLHttpRequest.requests
+        .find(xhr => xhr.url === filepaths.metadata)
+        .onerror({});
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, NetworkError);
+      assert.strictEqual(err.type, 'metadata');
+      assert.isNull(err.status);
+    });
+
+    it('rejects with NetworkError on missing file', async function() {
+      const model = new Model({
+        filepaths: {
+          model: '/nonexistent/model.json',
+          weights: '/nonexistent/model_weights.buf',
+          metadata: '/nonexistent/model_metadata.json'
+        },
+        filesystem: true
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, NetworkError);
+      assert.match(err.message, /error reading \w+ file: ENOENT/);
+    });
+  });
+
+  describe('bad signature', function() {
+    it('rejects model bundle with bad magic number', async function() {
+      let bundle = new Uint8Array(createBundle(mlp.data));
+      bundle[0] = 0;
+      const model = new Model({ data: { bundle } });
+      const err = await getRejection(model.ready());
+      assert.match(err.message, /not a valid model bundle/);
+      assert.lengthOf(model.loadedLayers, 0);
+    });
+
+    it('rejects HDF5 file with bad signature', async function() {
+      const model = new Model({
+        data: { model: mlp.data.model, hdf5: new ArrayBuffer(1024) }
+      });
+      const err = await getRejection(model.ready());
+      assert.match(err.message, /not a valid HDF5 file/);
+      assert.lengthOf(model.loadedLayers, 0);
+    });
+  });
+
+  it('rejects with UnsupportedLayerError on layer class not implemented', async function() {
+    let model = createMLP().data.model;
+    model.config[1].class_name = 'FancyDense';
+    const err = await getRejection(
+      new Model({ data: Object.assign({}, mlp.data, { model }) }).ready()
+    );
+    assert.instanceOf(err, UnsupportedLayerError);
+    assert.strictEqual(err.layerClass, 'FancyDense');
+    assert.match(err.message, /Layer FancyDense .* is not implemented/);
+  });
+
+  it('rejects with MissingWeightError on weights not in metadata', async function() {
+    const data = withMetadata(
+      meta => meta.weight_name === 'dense_2_b' ? null : meta
+    );
+    let loaded = [];
+    const model = new Model({
+      data,
+      onLayerLoad: ({ name }) => loaded.push(name)
+    });
+    const err = await getRejection(model.ready());
+    assert.instanceOf(err, MissingWeightError);
+    assert.strictEqual(err.layerName, 'dense_2');
+    assert.strictEqual(err.weightName, 'dense_2_b');
+    assert.match(err.message, /not found in weights metadata/);
+    assert.deepEqual(loaded, [ 'dense_1' ]);
+  });
+
+  it('rejects with MissingWeightError on weights beyond end of weights data', async function() {
+    const data = Object.assign({}, mlp.data, {
+      weights: mlp.data.weights.slice(0, 100)
+    });
+    const err = await getRejection(new Model({ data }).ready());
+    assert.instanceOf(err, MissingWeightError);
+    assert.strictEqual(err.layerName, 'dense_2');
+    assert.strictEqual(err.weightName, 'dense_2_b');
+  });
+
+  describe('ShapeMismatchError', function() {
+    it('rejects on weights shape not matching length in metadata', async function() {
+      const data = withMetadata(meta => {
+        if (meta.weight_name === 'dense_1_W') {
+          meta.shape = [ 4, 4 ];
+        }
+        return meta;
+      });
+      const err = await getRejection(new Model({ data }).ready());
+      assert.instanceOf(err, ShapeMismatchError);
+      assert.deepEqual(err.expected, [ 12 ]);
+      assert.deepEqual(err.actual, [ 4, 4 ]);
+    });
+
+    it('rejects on weights shape not matching layer input', async function() {
+      // dense_2 takes the 4 outputs of dense_1, but has weights for 5 inputs
+      let inputLayerDef = denseLayerDef('dense_1', 3, 4);
+      inputLayerDef.config.batch_input_shape = [ null, 3 ];
+      const data = createModelData(
+        {
+          class_name: 'Sequential',
+          config: [ inputLayerDef, denseLayerDef('dense_2', 5, 2) ]
+        },
+        denseWeights('dense_1', 3, 4).concat(denseWeights('dense_2', 5, 2))
+      );
+      const err = await getRejection(new Model({ data }).ready());
+      assert.instanceOf(err, ShapeMismatchError);
+      assert.deepEqual(err.expected, [ 5 ]);
+      assert.deepEqual(err.actual, [ 4 ]);
+    });
+  });
+});
+
+describe('Model: aborting loading', function() {
+  const mlp = createMLP();
+  const input = new Float32Array([ 0.5, -1.2, 2 ]);
+
+  /**
+   * Checks model rejects with an AbortError, without creating any layers
+   * @param {Model} model
+   */
+  const checkAborted = async model => {
+    const err = await getRejection(model.ready());
+    assert.instanceOf(err, AbortError);
+    assert.match(err.message, /loading aborted/);
+    assert.lengthOf(model.loadedLayers, 0);
+  };
+
+  describe('using XHR', function() {
+    const { files, filepaths } = modelDataFiles(mlp.data);
+
+    beforeEach(function() {
+      installFakeXMLHttpRequest(files);
+      // requests are held back until responded to in each test
+      FakeXMLHttpRequest.pending = true;
+    });
+
+    afterEach(function() {
+      uninstallFakeXMLHttpRequest();
+    });
+
+    it('cancels all in-flight requests on abort()', async function() {
+      const model = new Model({ filepaths });
+      await nextTick();
+      const requests = FakeXMLHttpRequest.requests.slice();
+      assert.sameMembers(requests.map(xhr => xhr.url), [
+        filepaths.model,
+        filepaths.weights,
+        filepaths.metadata
+      ]);
+      model.abort();
+      await checkAborted(model);
+      assert.isTrue(requests.every(xhr => xhr.aborted));
+    });
+
+    it('cancels remaining requests on abort() once some have completed', async function() {
+      const model = new Model({ filepaths });
+      await nextTick();
+      const requests = FakeXMLHttpRequest.requests.slice();
+      const weightsRequest = requests.find(
+        xhr => xhr.url === filepaths.weights
+      );
+      requests
+        .filter(xhr => xhr !== weightsRequest)
+        .forEach(xhr => xhr.respond());
+      await nextTick();
+      model.abort();
+      await checkAborted(model);
+      assert.isTrue(weightsRequest.aborted);
+    });
+
+    it('cancels requests when AbortSignal is signaled', async function() {
+      const controller = new AbortController();
+      const model = new Model({ filepaths, signal: controller.signal });
+      await nextTick();
+      controller.abort();
+      await checkAborted(model);
+      assert.isTrue(FakeXMLHttpRequest.requests.every(xhr => xhr.aborted));
+    });
+
+    it('makes no requests when AbortSignal is already signaled', async function() {
+      const controller = new AbortController();
+      controller.abort();
+      const model = new Model({ filepaths, signal: controller.signal });
+      await checkAborted(model);
+      assert.lengthOf(FakeXMLHttpRequest.requests, 0);
+    });
+
+    it('has no effect once loaded', async function() {
+      FakeXMLHttpRequest.pending = false;
+      const model = new Model({ filepaths });
+      await model.ready();
+      model.abort();
+      await model.ready();
+      const outputData = await model.predict({ input });
+      assertArraysClose(outputData.output, mlp.predict(input));
+    });
+  });
+
+  describe('streaming using fetch', function() {
+    const originalFetch = global.fetch;
+    const { files, filepaths } = modelDataFiles(mlp.data);
+    let cancelled;
+
+    before(function() {
+      installFakeXMLHttpRequest(files);
+      // only the weights of dense_1, in the first 64 bytes, arrive, after which
+      // the stream stays open
+      global.fetch = url => {
+        let chunks = [ new Uint8Array(mlp.data.weights.slice(0, 64)) ];
+        const body = new ReadableStream({
+          pull(controller) {
+            if (chunks.length) {
+              controller.enqueue(chunks.shift());
+            }
+          },
+          cancel() {
+            cancelled = true;
+          }
+        });
+        return Promise.resolve(new Response(body));
+      };
+    });
+
+    after(function() {
+      uninstallFakeXMLHttpRequest();
+      global.fetch = originalFetch;
+    });
+
+    beforeEach(function() {
+      cancelled = false;
+    });
+
+    it('cancels stream on abort(), once some layers have been created', async function() {
+      const model = new Model({
+        filepaths,
+        streaming: true,
+        onLayerLoad: () => model.abort()
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, AbortError);
+      assert.deepEqual(model.loadedLayers, [ 'dense_1' ]);
+      assert.isTrue(cancelled);
+    });
+
+    it('cancels stream when AbortSignal is signaled', async function() {
+      const controller = new AbortController();
+      const model = new Model({
+        filepaths,
+        streaming: true,
+        signal: controller.signal,
+        onLayerLoad: () => setImmediate(() => controller.abort())
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, AbortError);
+      assert.deepEqual(model.loadedLayers, [ 'dense_1' ]);
+      assert.isTrue(cancelled);
+    });
+  });
+
+  describe('from the local filesystem', function() {
+    let filepaths;
+
+    before(function() {
+      filepaths = writeModelFiles(mlp.data);
+    });
+
+    after(function() {
+      removeModelFiles(filepaths.dir);
+    });
+
+    it('stops reading files on abort()', async function() {
+      const model = new Model({ filepaths, filesystem: true });
+      model.abort();
+      await checkAborted(model);
+    });
+
+    it('stops streaming weights and creating layers on abort()', async function() {
+      const model = new Model({
+        filepaths,
+        filesystem: true,
+        streaming: true,
+        onLayerLoad: () => model.abort()
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, AbortError);
+      // all weights arrive in a single chunk, but no more layers are created
+      assert.deepEqual(model.loadedLayers, [ 'dense_1' ]);
+    });
+  });
+});
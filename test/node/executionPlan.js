@@ -0,0 +1,243 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  withNodes,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+/**
+ * Activation layer definition in Keras 1 model config, with its inbound layer
+ * Activation layers operate in place on their input tensor.
+ * @param {string} name
+ * @param {string} activation
+ * @param {string} inbound - name of inbound layer
+ * @returns {Object}
+ */
+function activationLayerDef(name, activation, inbound) {
+  return withNodes(
+    { class_name: 'Activation', config: { name, activation } },
+    [ inbound ]
+  );
+}
+
+describe('Model: execution plan', function() {
+  // input_1 => dense_a, consumed by relu_a and dense_b, which are concatenated
+  // by merge => dense_out; input_1 is also consumed by relu_in. relu_a comes
+  // before dense_a in the model config.
+  const denseA = denseWeights('dense_a', 3, 3, 1);
+  const denseB = denseWeights('dense_b', 3, 2, 2);
+  const denseOut = denseWeights('dense_out', 5, 1, 3);
+  const modelConfig = {
+    class_name: 'Model',
+    config: {
+      name: 'model_1',
+      layers: [
+        inputLayerDef('input_1', [ 3 ]),
+        activationLayerDef('relu_a', 'relu', 'dense_a'),
+        withNodes(denseLayerDef('dense_a', 3, 3), [ 'input_1' ]),
+        withNodes(denseLayerDef('dense_b', 3, 2), [ 'dense_a' ]),
+        withNodes(
+          {
+            class_name: 'Merge',
+            config: { name: 'merge', mode: 'concat', concat_axis: -1 }
+          },
+          [ 'relu_a', 'dense_b' ]
+        ),
+        withNodes(denseLayerDef('dense_out', 5, 1), [ 'merge' ]),
+        activationLayerDef('relu_in', 'relu', 'input_1')
+      ],
+      input_layers: [ [ 'input_1', 0, 0 ] ],
+      output_layers: [ [ 'dense_out', 0, 0 ], [ 'relu_in', 0, 0 ] ]
+    }
+  };
+  const data = createModelData(modelConfig, [
+    ...denseA,
+    ...denseB,
+    ...denseOut
+  ]);
+  const input = [ 0.5, -1.2, 2 ];
+  const resultA = denseReference(input, denseA);
+  const reluA = resultA.map(v => Math.max(v, 0));
+  const expected = denseReference(
+    reluA.concat(denseReference(resultA, denseB)),
+    denseOut
+  );
+  const reluIn = input.map(v => Math.max(v, 0));
+
+  it('compiles the plan in topological order, then model config order', async function() {
+    const model = new Model({ data });
+    await model.ready();
+    assert.deepEqual(model.executionPlan.map(({ node }) => node), [
+      'input_1',
+      'dense_a',
+      'relu_a',
+      'dense_b',
+      'merge',
+      'dense_out',
+      'relu_in'
+    ]);
+    const refCounts = {};
+    model.executionPlan.forEach(({ node, refCount }) => {
+      refCounts[node] = refCount;
+    });
+    assert.deepEqual(refCounts, {
+      input_1: 2,
+      dense_a: 2,
+      relu_a: 1,
+      dense_b: 1,
+      merge: 1,
+      dense_out: 0,
+      relu_in: 0
+    });
+  });
+
+  it('copies a result consumed twice before layers operating in place', async function() {
+    // relu_a would otherwise modify the result of dense_a consumed by dense_b
+    assert.isTrue(resultA.some(v => v < 0));
+    const model = new Model({ data });
+    await model.ready();
+    const outputData = await model.predict(
+      { input_1: new Float32Array(input) },
+      { outputs: [ 'dense_a' ] }
+    );
+    assertArraysClose(outputData.dense_out, expected);
+    assertArraysClose(outputData.dense_a, resultA);
+    assertArraysClose(outputData.relu_in, reluIn);
+  });
+
+  it('only copies results which are consumed twice, or requested', async function() {
+    const model = new Model({ data });
+    await model.ready();
+    let copied = null;
+    model.addHook('merge', {
+      before: x => {
+        copied = x[0] !== model.nodeResults.relu_a;
+      }
+    });
+    await model.predict({ input_1: new Float32Array(input) });
+    assert.isFalse(copied);
+    const outputData = await model.predict(
+      { input_1: new Float32Array(input) },
+      { outputs: [ 'relu_a' ] }
+    );
+    assert.isTrue(copied);
+    assertArraysClose(outputData.relu_a, reluA);
+  });
+
+  it('does not modify input data, or the results of input layers', async function() {
+    const model = new Model({ data });
+    await model.ready();
+    let inputData = new Float32Array(input);
+    const outputData = await model.predict(
+      { input_1: inputData },
+      { outputs: [ 'input_1' ] }
+    );
+    assertArraysClose(inputData, input);
+    assertArraysClose(outputData.input_1, input);
+    assertArraysClose(outputData.relu_in, reluIn);
+
+    const batchInputData = [ new Float32Array(input) ];
+    await model.predictBatch({ input_1: batchInputData });
+    assertArraysClose(batchInputData[0], input);
+  });
+
+  it('keeps the results of all layers by default', async function() {
+    const model = new Model({ data });
+    await model.ready();
+    await model.predict({ input_1: new Float32Array(input) });
+    assert.sameMembers(Object.keys(model.nodeResults), [
+      'input_1',
+      'dense_a',
+      'relu_a',
+      'dense_b',
+      'merge',
+      'dense_out',
+      'relu_in'
+    ]);
+    const activations = model.getActivations([ 'relu_a' ]);
+    assertArraysClose(activations.relu_a.tensor.data, reluA);
+  });
+
+  describe('retainResults: false', function() {
+    let model;
+
+    before(function() {
+      model = new Model({ data, retainResults: false });
+      return model.ready();
+    });
+
+    it('releases results of intermediate layers once they are consumed', async function() {
+      let resultsOnCall = [];
+      const denseOutLayer = model.modelLayersMap.get('dense_out');
+      denseOutLayer.call = x => {
+        resultsOnCall = Object.keys(model.nodeResults);
+        const { call } = Object.getPrototypeOf(denseOutLayer);
+        return call.call(denseOutLayer, x);
+      };
+      try {
+        const outputData = await model.predict({
+          input_1: new Float32Array(input)
+        });
+        assertArraysClose(outputData.dense_out, expected);
+        assertArraysClose(outputData.relu_in, reluIn);
+      } finally {
+        delete denseOutLayer.call;
+      }
+      // only the result of merge is left for dense_out, along with input_1,
+      // which is consumed by relu_in later
+      assert.sameMembers(resultsOnCall, [ 'input_1', 'merge' ]);
+      assert.sameMembers(Object.keys(model.nodeResults), [
+        'input_1',
+        'dense_out',
+        'relu_in'
+      ]);
+      assert.sameMembers(model.layersWithResults, [ 'dense_out', 'relu_in' ]);
+      assert.throws(
+        () => model.getActivations([ 'dense_a' ]),
+        'getActivations() layers have no results from the last call: dense_a.'
+      );
+    });
+
+    it('keeps the results of extra outputs and activations', async function() {
+      const outputData = await model.predict(
+        { input_1: new Float32Array(input) },
+        { outputs: [ 'dense_a' ], activations: [ 'relu_a' ] }
+      );
+      assertArraysClose(outputData.dense_a, resultA);
+      assertArraysClose(outputData.dense_out, expected);
+      assert.sameMembers(model.layersWithResults, [
+        'dense_a',
+        'relu_a',
+        'dense_out',
+        'relu_in'
+      ]);
+      const activations = model.getActivations([ 'relu_a' ]);
+      assertArraysClose(activations.relu_a.tensor.data, reluA);
+    });
+
+    it('computes batches as predict() does', async function() {
+      const batchOutputData = await model.predictBatch({
+        input_1: [ new Float32Array(input), new Float32Array(3) ]
+      });
+      assertArraysClose(batchOutputData.dense_out[0], expected);
+      assertArraysClose(batchOutputData.relu_in[0], reluIn);
+      assert.sameMembers(model.layersWithResults, [ 'dense_out', 'relu_in' ]);
+    });
+
+    it('rejects for an unknown layer in activations', async function() {
+      const err = await getRejection(
+        model.predict(
+          { input_1: new Float32Array(input) },
+          { activations: [ 'dense_c' ] }
+        )
+      );
+      assert.match(err.message, /activations must be names of layers/);
+    });
+  });
+});
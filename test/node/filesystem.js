@@ -0,0 +1,61 @@
+import fs from 'fs';
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createMLP,
+  writeModelFiles,
+  removeModelFiles,
+  assertArraysClose
+} from './helpers';
+
+describe('Model: loading from the local filesystem (Node.js)', function() {
+  const mlp = createMLP();
+  const input = new Float32Array([ 0.5, -1.2, 2 ]);
+  let filepaths;
+
+  before(function() {
+    filepaths = writeModelFiles(mlp.data);
+  });
+
+  after(function() {
+    removeModelFiles(filepaths.dir);
+  });
+
+  it('loads model from file paths and runs prediction', async function() {
+    const model = new Model({ filepaths, filesystem: true });
+    await model.ready();
+    assert.deepEqual(model.loadedLayers, [ 'dense_1', 'dense_2' ]);
+
+    const outputData = await model.predict({ input });
+    assert.deepEqual(Object.keys(outputData), [ 'output' ]);
+    assertArraysClose(outputData.output, mlp.predict(input));
+  });
+
+  it('loads model from Buffers in place of file paths', async function() {
+    const model = new Model({
+      filepaths: {
+        model: fs.readFileSync(filepaths.model),
+        weights: fs.readFileSync(filepaths.weights),
+        metadata: fs.readFileSync(filepaths.metadata)
+      },
+      filesystem: true
+    });
+    await model.ready();
+    const outputData = await model.predict({ input });
+    assertArraysClose(outputData.output, mlp.predict(input));
+  });
+
+  it('streams weights from file', async function() {
+    let loaded = [];
+    const model = new Model({
+      filepaths,
+      filesystem: true,
+      streaming: true,
+      onLayerLoad: ({ name }) => loaded.push(name)
+    });
+    await model.ready();
+    assert.deepEqual(loaded, [ 'dense_1', 'dense_2' ]);
+    const outputData = await model.predict({ input });
+    assertArraysClose(outputData.output, mlp.predict(input));
+  });
+});
@@ -0,0 +1,153 @@
+"""Generates the HDF5 test fixtures in this folder, with h5py.
+
+Usage:
+    python generate.py
+
+Each file is laid out like a Keras weights file, with the `layer_names` attribute
+listing the layer groups, and the `weight_names` attribute of each group listing its
+datasets, and each is written with different parts of the HDF5 format:
+
+    - superblock_v0.h5: superblock version 0, version 1 object headers, symbol table
+        groups, and contiguous, compact, and chunked datasets indexed by a B-tree (of
+        several levels for `big_W`)
+    - superblock_v1.h5: superblock version 1 (non-default indexed storage B-tree K),
+        after a 512-byte user block
+    - superblock_v2.h5: superblock version 2, version 2 object headers, compact link
+        groups, and a continuation block in the header of the `dense_1` group, saved
+        like `model.save()`, with an embedded model config and weights under the
+        `model_weights` group
+    - superblock_v3.h5: superblock version 3, and chunked datasets with single chunk,
+        implicit, and fixed array (unpaged, paged, and partially allocated) indexes
+
+Dataset values are given by `value(i) = (i % 97) / 4 - 12` at flat index i, which is
+exact in float32, except for unallocated chunks of `sparse_W`, which are 0.
+"""
+import ctypes
+import glob
+import json
+import os
+import h5py
+import numpy as np
+
+DIRNAME = os.path.dirname(os.path.abspath(__file__))
+
+
+def values(shape, dtype='<f4'):
+    i = np.arange(int(np.prod(shape)))
+    return ((i % 97) / 4 - 12).reshape(shape).astype(dtype)
+
+
+def create_file(filename, libver='earliest', istore_k=None, userblock=0):
+    fcpl = h5py.h5p.create(h5py.h5p.FILE_CREATE)
+    if istore_k:
+        # not exposed by h5py
+        libdir = os.path.join(os.path.dirname(h5py.__file__), '..', 'h5py.libs')
+        libhdf5 = ctypes.CDLL(glob.glob(os.path.join(libdir, 'libhdf5-*'))[0])
+        libhdf5.H5Pset_istore_k(ctypes.c_int64(fcpl.id), ctypes.c_uint(istore_k))
+    if userblock:
+        fcpl.set_userblock(userblock)
+    fapl = h5py.h5p.create(h5py.h5p.FILE_ACCESS)
+    low = {'earliest': h5py.h5f.LIBVER_EARLIEST, 'v108': h5py.h5f.LIBVER_V18,
+           'latest': h5py.h5f.LIBVER_LATEST}[libver]
+    fapl.set_libver_bounds(low, h5py.h5f.LIBVER_LATEST)
+    filepath = os.path.join(DIRNAME, filename).encode('utf8')
+    return h5py.File(h5py.h5f.create(filepath, h5py.h5f.ACC_TRUNC, fcpl=fcpl, fapl=fapl))
+
+
+def create_dataset(group, name, shape, dtype='<f4', chunks=None, layout=None, alloc_early=False):
+    dcpl = h5py.h5p.create(h5py.h5p.DATASET_CREATE)
+    if chunks:
+        dcpl.set_chunk(chunks)
+    if layout is not None:
+        dcpl.set_layout(layout)
+    if alloc_early:
+        dcpl.set_alloc_time(h5py.h5d.ALLOC_TIME_EARLY)
+    dataset_id = h5py.h5d.create(group.id, name.encode('utf8'), h5py.h5t.py_create(np.dtype(dtype)),
+                                 h5py.h5s.create_simple(shape), dcpl=dcpl)
+    dataset = h5py.Dataset(dataset_id)
+    dataset[...] = values(shape, dtype)
+    return dataset
+
+
+def superblock_v0():
+    f = create_file('superblock_v0.h5', libver='earliest')
+    f.attrs['layer_names'] = np.array([b'dense_1', b'conv_1', b'big', b'other', b'dropout_1'])
+    g = f.create_group('dense_1')
+    g.attrs['weight_names'] = np.array([b'dense_1_W', b'dense_1_b'])
+    create_dataset(g, 'dense_1_W', (3, 4))
+    create_dataset(g, 'dense_1_b', (4,), dtype='<f8')
+    g = f.create_group('conv_1')
+    g.attrs['weight_names'] = np.array([b'conv_1_W'])
+    create_dataset(g, 'conv_1_W', (3, 3, 2, 4), chunks=(2, 2, 1, 4))
+    g = f.create_group('big')
+    g.attrs['weight_names'] = np.array([b'big_W'])
+    create_dataset(g, 'big_W', (20, 20), chunks=(2, 2))
+    g = f.create_group('other')
+    g.attrs['weight_names'] = np.array([b'other_compact', b'other_bigendian'])
+    create_dataset(g, 'other_compact', (5,), layout=h5py.h5d.COMPACT)
+    create_dataset(g, 'other_bigendian', (2, 3), dtype='>f4')
+    g = f.create_group('dropout_1')
+    g.attrs['weight_names'] = np.array([], dtype='S')
+    f.close()
+
+
+def superblock_v1():
+    f = create_file('superblock_v1.h5', libver='earliest', istore_k=64, userblock=512)
+    f.attrs['layer_names'] = np.array([b'dense_1', b'big'])
+    g = f.create_group('dense_1')
+    g.attrs['weight_names'] = np.array([b'dense_1_W', b'dense_1_b'])
+    create_dataset(g, 'dense_1_W', (3, 4))
+    create_dataset(g, 'dense_1_b', (4,))
+    g = f.create_group('big')
+    g.attrs['weight_names'] = np.array([b'big_W'])
+    create_dataset(g, 'big_W', (20, 20), chunks=(2, 2))
+    f.close()
+
+
+def superblock_v2():
+    f = create_file('superblock_v2.h5', libver='v108')
+    model_config = {
+        'class_name': 'Sequential',
+        'config': [
+            {'class_name': 'Dense', 'config': {
+                'name': 'dense_1', 'input_dim': 3, 'output_dim': 4, 'activation': 'relu',
+                'bias': True, 'batch_input_shape': [None, 3]}},
+            {'class_name': 'Dense', 'config': {
+                'name': 'dense_2', 'input_dim': 4, 'output_dim': 2, 'activation': 'linear',
+                'bias': True}}
+        ]
+    }
+    f.attrs['model_config'] = json.dumps(model_config).encode('utf8')
+    g0 = f.create_group('model_weights')
+    g0.attrs['layer_names'] = ['dense_1', 'dense_2']
+    g = g0.create_group('dense_1')
+    create_dataset(g, 'dense_1_W', (3, 4), chunks=(2, 2))
+    create_dataset(g, 'dense_1_b', (4,))
+    # added once the header is full, so that it is stored in a continuation block
+    g.attrs['weight_names'] = ['dense_1_W', 'dense_1_b']
+    g = g0.create_group('dense_2')
+    g.attrs['weight_names'] = ['dense_2_W', 'dense_2_b']
+    create_dataset(g, 'dense_2_W', (4, 2))
+    create_dataset(g, 'dense_2_b', (2,))
+    f.close()
+
+
+def superblock_v3():
+    f = create_file('superblock_v3.h5', libver='latest')
+    f.attrs['layer_names'] = ['chunked']
+    g = f.create_group('chunked')
+    g.attrs['weight_names'] = ['single_W', 'implicit_W', 'fixed_W', 'paged_W', 'sparse_W']
+    create_dataset(g, 'single_W', (2, 3), chunks=(2, 3))
+    create_dataset(g, 'implicit_W', (4, 5), chunks=(2, 2), alloc_early=True)
+    create_dataset(g, 'fixed_W', (10, 10), chunks=(3, 3))
+    create_dataset(g, 'paged_W', (40, 40), chunks=(1, 1))
+    d = g.create_dataset('sparse_W', shape=(40, 40), dtype='<f4', chunks=(1, 1))
+    d[:2, :] = values((40, 40))[:2, :]
+    f.close()
+
+
+if __name__ == '__main__':
+    superblock_v0()
+    superblock_v1()
+    superblock_v2()
+    superblock_v3()
@@ -0,0 +1,246 @@
+import { assert } from 'chai';
+import range from 'lodash/range';
+import { Model, errors } from '../../src/node';
+import { sample } from '../../src/utils/sampling';
+import {
+  createMLP,
+  createModelData,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  simpleRNNLayerDef,
+  simpleRNNWeights,
+  simpleRNNReference,
+  seededRandom,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: generate', function() {
+  // tokens of a vocabulary of 5 => simplernn_1 => dense_1 (softmax), with token
+  // indices into embedding_1, or one-hot vectors
+  const vocabSize = 5;
+  const embedding = denseWeights('embedding_1', vocabSize, 3, 4).slice(0, 1);
+  const softmax = x => {
+    const exps = x.map(v => Math.exp(v));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return exps.map(v => v / sum);
+  };
+  const argmax = x => x.indexOf(Math.max(...x));
+
+  // generates like the model, but from reference implementations of its layers
+  const generateReference = (embed, rnn, dense, seed, length, options) => {
+    let h = null;
+    let probs;
+    const step = token => {
+      h = simpleRNNReference(embed(token), rnn, h);
+      probs = softmax(denseReference(h, dense));
+    };
+    seed.forEach(step);
+    return range(length).map(() => {
+      const token = sample(probs, options);
+      step(token);
+      return token;
+    });
+  };
+
+  describe('token indices', function() {
+    const rnn = simpleRNNWeights('simplernn_1', 3, 4, 1);
+    const dense = denseWeights('dense_1', 4, vocabSize, 3);
+    const modelConfig = {
+      class_name: 'Sequential',
+      config: [
+        {
+          class_name: 'Embedding',
+          config: {
+            name: 'embedding_1',
+            input_dim: vocabSize,
+            output_dim: 3,
+            input_length: 1,
+            batch_input_shape: [ 1, 1 ],
+            mask_zero: false,
+            dropout: 0
+          }
+        },
+        simpleRNNLayerDef('simplernn_1', 4),
+        denseLayerDef('dense_1', 4, vocabSize, 'softmax')
+      ]
+    };
+    const embed = token =>
+      embedding[0].data.slice(token * 3, (token + 1) * 3);
+    const reference = (seed, length, options) =>
+      generateReference(embed, rnn, dense, seed, length, options);
+    let model;
+
+    before(function() {
+      model = new Model({
+        data: createModelData(modelConfig, [ ...embedding, ...rnn, ...dense ])
+      });
+      return model.ready();
+    });
+
+    beforeEach(function() {
+      model.resetStates();
+    });
+
+    it('takes the most likely token at temperature 0', async function() {
+      let calls = [];
+      const tokens = await model.generate([ 1, 3 ], {
+        length: 6,
+        temperature: 0,
+        onToken: (token, probs) => calls.push([ token, Array.from(probs) ])
+      });
+      assert.deepEqual(tokens, reference([ 1, 3 ], 6, { temperature: 0 }));
+      assert.deepEqual(calls.map(([ token ]) => token), tokens);
+      calls.forEach(([ token, probs ]) => {
+        assert.strictEqual(token, argmax(probs));
+        assert.closeTo(probs.reduce((a, b) => a + b, 0), 1, 1e-5);
+      });
+    });
+
+    it('samples with the random numbers of options.random', async function() {
+      const tokens = await model.generate([ 2 ], {
+        length: 8,
+        temperature: 1.5,
+        random: seededRandom(3)
+      });
+      assert.deepEqual(
+        tokens,
+        reference([ 2 ], 8, { temperature: 1.5, random: seededRandom(3) })
+      );
+
+      // the same seed, from reset states, generates the same tokens
+      model.resetStates();
+      assert.deepEqual(
+        await model.generate([ 2 ], {
+          length: 8,
+          temperature: 1.5,
+          random: seededRandom(3)
+        }),
+        tokens
+      );
+    });
+
+    it('only samples the most likely tokens with topK', async function() {
+      const tokens = await model.generate([ 0 ], {
+        length: 6,
+        topK: 1,
+        random: seededRandom(5)
+      });
+      assert.deepEqual(tokens, reference([ 0 ], 6, { temperature: 0 }));
+
+      model.resetStates();
+      let ranks = [];
+      await model.generate([ 0 ], {
+        length: 10,
+        topK: 2,
+        random: seededRandom(5),
+        onToken: (token, probs) => {
+          ranks.push(Array.from(probs).filter(p => p > probs[token]).length);
+        }
+      });
+      ranks.forEach(rank => assert.isBelow(rank, 2));
+    });
+
+    it('continues from the current states, with the last token as the seed', async function() {
+      const options = { length: 4, temperature: 0 };
+      const first = await model.generate([ 1 ], options);
+      const second = await model.generate(first.slice(-1), options);
+      assert.deepEqual(
+        [ ...first, ...second ],
+        reference([ 1 ], 8, { temperature: 0 })
+      );
+    });
+  });
+
+  describe('one-hot vectors', function() {
+    const rnn = simpleRNNWeights('simplernn_1', vocabSize, 4, 2);
+    const dense = denseWeights('dense_1', 4, vocabSize, 3);
+    let rnnLayerDef = simpleRNNLayerDef('simplernn_1', 4);
+    rnnLayerDef.config.batch_input_shape = [ 1, 1, vocabSize ];
+    const modelConfig = {
+      class_name: 'Sequential',
+      config: [ rnnLayerDef, denseLayerDef('dense_1', 4, vocabSize, 'softmax') ]
+    };
+    const oneHot = token => range(vocabSize).map(i => i === token ? 1 : 0);
+    let model;
+
+    before(function() {
+      model = new Model({
+        data: createModelData(modelConfig, [ ...rnn, ...dense ])
+      });
+      return model.ready();
+    });
+
+    it('feeds tokens as one-hot vectors for inputs of shape [1, dim]', async function() {
+      let calls = [];
+      model.resetStates();
+      const tokens = await model.generate([ 4, 0 ], {
+        length: 5,
+        random: seededRandom(9),
+        onToken: (token, probs) => calls.push(Array.from(probs))
+      });
+      assert.deepEqual(
+        tokens,
+        generateReference(oneHot, rnn, dense, [ 4, 0 ], 5, {
+          random: seededRandom(9)
+        })
+      );
+      const h = simpleRNNReference(
+        oneHot(0),
+        rnn,
+        simpleRNNReference(oneHot(4), rnn)
+      );
+      assertArraysClose(calls[0], softmax(denseReference(h, dense)));
+    });
+  });
+
+  describe('errors', function() {
+    const rnn = simpleRNNWeights('simplernn_1', vocabSize, 4, 2);
+    let model;
+
+    before(function() {
+      let rnnLayerDef = simpleRNNLayerDef('simplernn_1', 4);
+      rnnLayerDef.config.batch_input_shape = [ 1, 2, vocabSize ];
+      const modelConfig = { class_name: 'Sequential', config: [ rnnLayerDef ] };
+      model = new Model({ data: createModelData(modelConfig, rnn) });
+      return model.ready();
+    });
+
+    it('rejects for seeds which are not non-empty arrays', async function() {
+      for (let seed of [ [], 1, null ]) {
+        const err = await getRejection(model.generate(seed, { length: 1 }));
+        assert.strictEqual(
+          err.message,
+          'generate() must take a non-empty array of seed tokens.'
+        );
+      }
+    });
+
+    it('rejects for lengths which are not positive integers', async function() {
+      for (let length of [ undefined, 0, -1, 1.5, '2' ]) {
+        const err = await getRejection(model.generate([ 0 ], { length }));
+        assert.strictEqual(
+          err.message,
+          `generate() options.length must be a positive integer, not: ${length}.`
+        );
+      }
+      const err = await getRejection(model.generate([ 0 ]));
+      assert.match(err.message, /options\.length must be a positive integer/);
+    });
+
+    it('rejects for models without stateful layers, or taking several timesteps', async function() {
+      const mlp = new Model({ data: createMLP().data });
+      await mlp.ready();
+      let err = await getRejection(mlp.generate([ 0 ], { length: 1 }));
+      assert.strictEqual(
+        err.message,
+        'generate() requires a model with stateful recurrent layers.'
+      );
+
+      err = await getRejection(model.generate([ 0 ], { length: 1 }));
+      assert.instanceOf(err, errors.ShapeMismatchError);
+      assert.match(err.message, /not: 2,5\.$/);
+    });
+  });
+});
@@ -0,0 +1,431 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { assert } from 'chai';
+import crc32 from '../../src/utils/crc32';
+
+/**
+ * Model data in the format of the model, weights and metadata files (see
+ * encoder.py), with weights given as arrays, stored sequentially as float32
+ * @param {Object} model - model architecture configuration
+ * @param {Object[]} weights - objects with keys `layerName`, `weightName`, `shape`, and `data`
+ * @returns {Object} object with keys `model`, `weights` (ArrayBuffer), and `metadata`
+ */
+export function createModelData(model, weights = []) {
+  let offset = 0;
+  const metadata = weights.map(({ layerName, weightName, shape, data }) => {
+    const meta = {
+      layer_name: layerName,
+      weight_name: weightName,
+      offset,
+      length: data.length,
+      shape,
+      type: 'float32'
+    };
+    offset += data.length * 4;
+    return meta;
+  });
+  let buffer = new Float32Array(offset / 4);
+  weights.forEach(({ data }, i) => buffer.set(data, metadata[i].offset / 4));
+  return { model, weights: buffer.buffer, metadata };
+}
+
+/**
+ * Single-file bundle of model data (see createModelData), in the format written by
+ * encoder.py (see utils/bundle.js)
+ * @param {Object} data
+ * @returns {ArrayBuffer}
+ */
+export function createBundle(data) {
+  const sections = [
+    Buffer.from(JSON.stringify(data.model), 'utf8'),
+    Buffer.from(JSON.stringify(data.metadata), 'utf8'),
+    Buffer.from(data.weights)
+  ];
+  let offsets = [];
+  let offset = 48;
+  sections.forEach((bytes, i) => {
+    if (i === 2) {
+      // weights section aligned to 4 bytes
+      offset += (4 - offset % 4) % 4;
+    }
+    offsets.push(offset);
+    offset += bytes.length;
+  });
+
+  let bundle = new Uint8Array(offset);
+  const header = new DataView(bundle.buffer);
+  bundle.set(Buffer.from('KJSB', 'ascii'), 0);
+  header.setUint32(4, 1, true);
+  header.setUint32(8, offset, true);
+  sections.forEach((bytes, i) => {
+    header.setUint32(12 + i * 12, offsets[i], true);
+    header.setUint32(16 + i * 12, bytes.length, true);
+    header.setUint32(20 + i * 12, crc32(bytes), true);
+    bundle.set(bytes, offsets[i]);
+  });
+  return bundle.buffer;
+}
+
+/**
+ * Writes model data (see createModelData) to model, weights and metadata files in
+ * a new temporary directory
+ * @param {Object} data
+ * @returns {Object} file paths, with keys `model`, `weights`, `metadata`, and `dir`
+ */
+export function writeModelFiles(data) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keras-js-'));
+  const filepaths = {
+    model: path.join(dir, 'model.json'),
+    weights: path.join(dir, 'model_weights.buf'),
+    metadata: path.join(dir, 'model_metadata.json')
+  };
+  fs.writeFileSync(filepaths.model, JSON.stringify(data.model));
+  fs.writeFileSync(filepaths.weights, Buffer.from(data.weights));
+  fs.writeFileSync(filepaths.metadata, JSON.stringify(data.metadata));
+  return Object.assign({ dir }, filepaths);
+}
+
+/**
+ * Removes temporary directory created by writeModelFiles
+ * @param {string} dir
+ */
+export function removeModelFiles(dir) {
+  fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+  fs.rmdirSync(dir);
+}
+
+/**
+ * Dense layer definition in Keras 1 model config
+ * @param {string} name
+ * @param {number} inputDim
+ * @param {number} outputDim
+ * @param {string} [activation]
+ * @returns {Object}
+ */
+export function denseLayerDef(name, inputDim, outputDim, activation = 'linear') {
+  return {
+    class_name: 'Dense',
+    config: {
+      name,
+      input_dim: inputDim,
+      output_dim: outputDim,
+      activation,
+      bias: true
+    }
+  };
+}
+
+/**
+ * InputLayer definition in Keras 1 model config
+ * @param {string} name
+ * @param {number[]} shape - input shape, without the batch axis
+ * @returns {Object}
+ */
+export function inputLayerDef(name, shape) {
+  return {
+    name,
+    class_name: 'InputLayer',
+    inbound_nodes: [],
+    config: { name, batch_input_shape: [ null, ...shape ] }
+  };
+}
+
+/**
+ * Layer definition in Keras 1 Model config, with its nodes
+ * @param {Object} layerDef - layer definition, e.g. from denseLayerDef
+ * @param {...Array} nodes - for each node of the layer, its inbound layers, as layer
+ *                           names, or `[layer name, node index]` arrays
+ * @returns {Object}
+ */
+export function withNodes(layerDef, ...nodes) {
+  return Object.assign({ name: layerDef.config.name }, layerDef, {
+    inbound_nodes: nodes.map(inbound =>
+      inbound.map(
+        layer => Array.isArray(layer) ? [ ...layer, 0 ] : [ layer, 0, 0 ]
+      ))
+  });
+}
+
+/**
+ * Weights of Dense layer, with deterministic values
+ * @param {string} name - layer name
+ * @param {number} inputDim
+ * @param {number} outputDim
+ * @param {number} [seed]
+ * @returns {Object[]} weights W and b, in the format taken by createModelData
+ */
+export function denseWeights(name, inputDim, outputDim, seed = 1) {
+  const values = n =>
+    Array.from(
+      { length: n },
+      (v, i) => Math.round(100 * Math.sin(seed * 7 + i * 1.3)) / 100
+    );
+  return [
+    {
+      layerName: name,
+      weightName: `${name}_W`,
+      shape: [ inputDim, outputDim ],
+      data: values(inputDim * outputDim)
+    },
+    {
+      layerName: name,
+      weightName: `${name}_b`,
+      shape: [ outputDim ],
+      data: values(outputDim).map(v => v / 10)
+    }
+  ];
+}
+
+/**
+ * Reference implementation of Dense layer, on arrays
+ * @param {number[]} x
+ * @param {Object[]} weights - weights W and b (see denseWeights)
+ * @param {string} [activation] - `linear` or `relu`
+ * @returns {number[]}
+ */
+export function denseReference(x, weights, activation = 'linear') {
+  const [ W, b ] = weights;
+  const [ inputDim, outputDim ] = W.shape;
+  return b.data.map((bias, j) => {
+    let y = bias;
+    for (let i = 0; i < inputDim; i++) {
+      y += x[i] * W.data[i * outputDim + j];
+    }
+    return activation === 'relu' ? Math.max(y, 0) : y;
+  });
+}
+
+/**
+ * SimpleRNN layer definition in Keras 1 model config, stateful and returning only
+ * the last output
+ * @param {string} name
+ * @param {number} outputDim
+ * @returns {Object}
+ */
+export function simpleRNNLayerDef(name, outputDim) {
+  return {
+    class_name: 'SimpleRNN',
+    config: {
+      name,
+      output_dim: outputDim,
+      activation: 'tanh',
+      return_sequences: false,
+      go_backwards: false,
+      stateful: true
+    }
+  };
+}
+
+/**
+ * Weights of SimpleRNN layer, with deterministic values
+ * @param {string} name - layer name
+ * @param {number} inputDim
+ * @param {number} outputDim
+ * @param {number} [seed]
+ * @returns {Object[]} weights W, U and b, in the format taken by createModelData
+ */
+export function simpleRNNWeights(name, inputDim, outputDim, seed = 1) {
+  const [ W, b ] = denseWeights(name, inputDim, outputDim, seed);
+  const [ U ] = denseWeights(name, outputDim, outputDim, seed + 1);
+  return [ W, Object.assign(U, { weightName: `${name}_U` }), b ];
+}
+
+/**
+ * Reference implementation of SimpleRNN layer with tanh activation, on arrays
+ * @param {number[]} x - flattened input sequence
+ * @param {Object[]} weights - weights W, U and b (see simpleRNNWeights)
+ * @param {number[]} [h] - initial hidden state, by default zeros
+ * @returns {number[]} last hidden state, i.e. the last output
+ */
+export function simpleRNNReference(x, weights, h = null) {
+  const [ W, U, b ] = weights;
+  const [ inputDim, outputDim ] = W.shape;
+  const zeros = new Array(outputDim).fill(0);
+  h = h || zeros;
+  for (let t = 0; t < x.length / inputDim; t++) {
+    const xW = denseReference(x.slice(t * inputDim, (t + 1) * inputDim), [
+      W,
+      b
+    ]);
+    const hU = denseReference(h, [ U, { data: zeros } ]);
+    h = xW.map((v, j) => Math.tanh(v + hU[j]));
+  }
+  return h;
+}
+
+/**
+ * Sequential model of 2 Dense layers, 3 => 4 (relu) => 2, with a reference
+ * implementation of its output
+ * @returns {Object} object with keys `data` (see createModelData), and `predict`
+ */
+export function createMLP() {
+  const hidden = denseWeights('dense_1', 3, 4, 1);
+  const output = denseWeights('dense_2', 4, 2, 2);
+  let inputLayerDef = denseLayerDef('dense_1', 3, 4, 'relu');
+  inputLayerDef.config.batch_input_shape = [ null, 3 ];
+  const model = {
+    class_name: 'Sequential',
+    config: [ inputLayerDef, denseLayerDef('dense_2', 4, 2) ]
+  };
+  return {
+    data: createModelData(model, hidden.concat(output)),
+    predict: x => denseReference(denseReference(x, hidden, 'relu'), output)
+  };
+}
+
+/**
+ * Asserts arrays are equal within a tolerance
+ * @param {(number[]|TypedArray)} actual
+ * @param {(number[]|TypedArray)} expected
+ * @param {number} [tol]
+ */
+export function assertArraysClose(actual, expected, tol = 1e-5) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.closeTo(actual[i], expected[i], tol, `at index ${i}`);
+  }
+}
+
+/**
+ * Seeded generator of uniform random numbers in (0, 1), in place of Math.random
+ * (Park-Miller minimal standard generator)
+ * @param {number} [seed] - positive integer
+ * @returns {Function}
+ */
+export function seededRandom(seed = 1) {
+  let state = seed;
+  return () => {
+    state = state * 16807 % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+/**
+ * Error a Promise rejects with, failing the test if it resolves instead
+ * @param {Promise} promise
+ * @returns {Promise.<Error>}
+ */
+export function getRejection(promise) {
+  return Promise.resolve(promise).then(
+    () => assert.fail('resolved', 'rejected', 'expected Promise to reject'),
+    err => err
+  );
+}
+
+/**
+ * Minimal XMLHttpRequest serving files from memory, for tests of loading by URL.
+ * Files are set in `FakeXMLHttpRequest.files`, keyed by URL, with any other URL
+ * responding with status 404. Responses arrive asynchronously, unless held back
+ * by setting `FakeXMLHttpRequest.pending` to true, in which case they are kept in
+ * `FakeXMLHttpRequest.requests` until `respond()` is called.
+ */
+export class FakeXMLHttpRequest {
+  /**
+   * @param {string} method
+   * @param {string} url
+   */
+  open(method, url) {
+    this.url = url;
+    this.status = 0;
+    this.statusText = '';
+    this.response = null;
+    this.aborted = false;
+  }
+
+  /**
+   * @param {string} header
+   * @param {string} value
+   */
+  setRequestHeader(header, value) {
+    this.headers = Object.assign({}, this.headers, { [header]: value });
+  }
+
+  /**
+   * Sends request, responding asynchronously unless responses are held back
+   */
+  send() {
+    FakeXMLHttpRequest.requests.push(this);
+    if (!FakeXMLHttpRequest.pending) {
+      setImmediate(() => this.respond());
+    }
+  }
+
+  /**
+   * Responds with the file at the URL of the request, or with status 404
+   */
+  respond() {
+    if (this.aborted) {
+      return;
+    }
+    const file = FakeXMLHttpRequest.files[this.url];
+    if (!file) {
+      this.status = 404;
+      this.statusText = 'Not Found';
+    } else {
+      this.status = 200;
+      this.statusText = 'OK';
+      const buffer = Buffer.from(file);
+      this.response = this.responseType === 'json'
+        ? JSON.parse(buffer.toString('utf8'))
+        : buffer.buffer.slice(
+          buffer.byteOffset,
+          buffer.byteOffset + buffer.byteLength
+        );
+    }
+    this.onload({});
+  }
+
+  /**
+   * Aborts request, which then never responds
+   */
+  abort() {
+    this.aborted = true;
+    this.onabort({});
+  }
+}
+FakeXMLHttpRequest.files = {};
+FakeXMLHttpRequest.requests = [];
+FakeXMLHttpRequest.pending = false;
+
+/**
+ * Serves files from memory through FakeXMLHttpRequest, installed as the global
+ * XMLHttpRequest until uninstallFakeXMLHttpRequest is called
+ * @param {Object} files - contents of each file (string, ArrayBuffer or Buffer), keyed by URL
+ */
+export function installFakeXMLHttpRequest(files) {
+  FakeXMLHttpRequest.files = files;
+  FakeXMLHttpRequest.requests = [];
+  FakeXMLHttpRequest.pending = false;
+  global.XMLHttpRequest = FakeXMLHttpRequest;
+}
+
+/**
+ * Removes the global XMLHttpRequest installed by installFakeXMLHttpRequest
+ */
+export function uninstallFakeXMLHttpRequest() {
+  delete global.XMLHttpRequest;
+}
+
+/**
+ * Files of model data (see createModelData), keyed by URL, for
+ * installFakeXMLHttpRequest
+ * @param {Object} data
+ * @param {string} [prefix] - URL prefix
+ * @returns {Object} object with keys `files`, and `filepaths` (the URLs)
+ */
+export function modelDataFiles(data, prefix = '/models/model') {
+  const filepaths = {
+    model: `${prefix}.json`,
+    weights: `${prefix}_weights.buf`,
+    metadata: `${prefix}_metadata.json`
+  };
+  return {
+    filepaths,
+    files: {
+      [filepaths.model]: JSON.stringify(data.model),
+      [filepaths.weights]: Buffer.from(data.weights),
+      [filepaths.metadata]: JSON.stringify(data.metadata)
+    }
+  };
+}
@@ -0,0 +1,249 @@
+import { assert } from 'chai';
+import { Model, Tensor } from '../../src/node';
+import {
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  withNodes,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: hooks', function() {
+  // dense_s is shared between a and b, and its results are concatenated by
+  // merge => dense_out
+  const shared = denseWeights('dense_s', 3, 2, 1);
+  const out = denseWeights('dense_out', 4, 1, 2);
+  const modelConfig = {
+    class_name: 'Model',
+    config: {
+      name: 'model_1',
+      layers: [
+        inputLayerDef('a', [ 3 ]),
+        inputLayerDef('b', [ 3 ]),
+        withNodes(denseLayerDef('dense_s', 3, 2), [ 'a' ], [ 'b' ]),
+        withNodes(
+          {
+            class_name: 'Merge',
+            config: { name: 'merge', mode: 'concat', concat_axis: -1 }
+          },
+          [ [ 'dense_s', 0 ], [ 'dense_s', 1 ] ]
+        ),
+        withNodes(denseLayerDef('dense_out', 4, 1), [ 'merge' ])
+      ],
+      input_layers: [ [ 'a', 0, 0 ], [ 'b', 0, 0 ] ],
+      output_layers: [ [ 'dense_out', 0, 0 ] ]
+    }
+  };
+  const a = [ 0.5, -1.2, 2 ];
+  const b = [ -0.3, 0.8, 0.1 ];
+  const sharedA = denseReference(a, shared);
+  const sharedB = denseReference(b, shared);
+  let model;
+  let removers;
+
+  const predict = (options = {}) =>
+    model.predict(
+      { a: new Float32Array(a), b: new Float32Array(b) },
+      Object.assign({ outputs: [ 'dense_s', 'dense_s:1' ] }, options)
+    );
+
+  // adds hook, removed after the test
+  const addHook = (target, hook) => {
+    const remove = model.addHook(target, hook);
+    removers.push(remove);
+    return remove;
+  };
+
+  before(function() {
+    model = new Model({
+      data: createModelData(modelConfig, [ ...shared, ...out ])
+    });
+    return model.ready();
+  });
+
+  beforeEach(function() {
+    removers = [];
+  });
+
+  afterEach(function() {
+    removers.forEach(remove => remove());
+  });
+
+  it('runs hooks of a layer name for all nodes of the layer', async function() {
+    let calls = [];
+    addHook('dense_s', {
+      before: (x, info) => {
+        calls.push([ 'before', info.name, Array.from(x.tensor.data) ]);
+      },
+      after: (x, info) => {
+        calls.push([ 'after', info.name, Array.from(x.tensor.data) ]);
+      }
+    });
+    await predict();
+    assert.deepEqual(calls.map(([ stage, name ]) => `${stage} ${name}`), [
+      'before dense_s',
+      'after dense_s',
+      'before dense_s:1',
+      'after dense_s:1'
+    ]);
+    assertArraysClose(calls[0][2], a);
+    assertArraysClose(calls[1][2], sharedA);
+    assertArraysClose(calls[2][2], b);
+    assertArraysClose(calls[3][2], sharedB);
+  });
+
+  it('runs hooks of a node key only for that node', async function() {
+    let infos = [];
+    addHook('dense_s:1', {
+      after: (x, info) => {
+        infos.push(info);
+      }
+    });
+    await predict();
+    assert.deepEqual(infos, [
+      {
+        name: 'dense_s:1',
+        layerName: 'dense_s',
+        layerClass: 'Dense',
+        batch: false
+      }
+    ]);
+  });
+
+  it('runs hooks of a layer class for each call of its layers, in plan order', async function() {
+    let names = [];
+    addHook('Dense', {
+      before: (x, info) => {
+        names.push(info.name);
+      }
+    });
+    let mergeInputs = null;
+    addHook('Merge', {
+      before: x => {
+        mergeInputs = x;
+      }
+    });
+    await predict();
+    assert.deepEqual(names, [ 'dense_s', 'dense_s:1', 'dense_out' ]);
+    // inputs of Merge layers are arrays of Tensors
+    assert.isArray(mergeInputs);
+    assert.lengthOf(mergeInputs, 2);
+    assertArraysClose(mergeInputs[1].tensor.data, sharedB);
+  });
+
+  it('uses Tensors returned by before hooks as the layer input', async function() {
+    addHook('dense_out', { before: () => new Tensor([], [ 4 ]) });
+    const outputData = await predict();
+    // output is the bias alone
+    assertArraysClose(outputData.dense_out, out[1].data);
+    assertArraysClose(outputData.dense_s, sharedA);
+  });
+
+  it('uses Tensors returned by after hooks as the layer result', async function() {
+    addHook('dense_s:1', {
+      after: x => new Tensor([ 1, 2 ], x.tensor.shape)
+    });
+    const outputData = await predict();
+    assertArraysClose(outputData['dense_s:1'], [ 1, 2 ]);
+    assertArraysClose(outputData.dense_s, sharedA);
+    assertArraysClose(
+      outputData.dense_out,
+      denseReference(sharedA.concat([ 1, 2 ]), out)
+    );
+  });
+
+  it('keeps tensors modified in place by hooks returning nothing', async function() {
+    addHook('dense_s', {
+      after: x => {
+        x.tensor.data.fill(0);
+      }
+    });
+    const outputData = await predict();
+    assertArraysClose(outputData.dense_s, [ 0, 0 ]);
+    assertArraysClose(outputData['dense_s:1'], [ 0, 0 ]);
+    assertArraysClose(outputData.dense_out, out[1].data);
+  });
+
+  it('passes each hook the tensor returned by the previous one, in the order added', async function() {
+    let seen = [];
+    addHook('dense_s:1', { after: () => new Tensor([ 1, 1 ], [ 2 ]) });
+    addHook('Dense', {
+      after: (x, info) => {
+        if (info.name === 'dense_s:1') {
+          seen.push(Array.from(x.tensor.data));
+          return new Tensor([ 2, 2 ], [ 2 ]);
+        }
+      }
+    });
+    const outputData = await predict();
+    assert.deepEqual(seen, [ [ 1, 1 ] ]);
+    assertArraysClose(outputData['dense_s:1'], [ 2, 2 ]);
+  });
+
+  it('passes batch: true, and mini-batch tensors, from predictBatch()', async function() {
+    let calls = [];
+    addHook('dense_out', {
+      before: (x, info) => {
+        calls.push([ info.batch, x.tensor.shape ]);
+      }
+    });
+    await model.predictBatch({
+      a: [ new Float32Array(a), new Float32Array(b) ],
+      b: [ new Float32Array(b), new Float32Array(a) ]
+    });
+    assert.deepEqual(calls, [ [ true, [ 2, 4 ] ] ]);
+  });
+
+  it('removes hooks with the function returned', async function() {
+    let calls = 0;
+    const remove = model.addHook('dense_s', {
+      before: () => {
+        calls += 1;
+      }
+    });
+    await predict();
+    assert.strictEqual(calls, 2);
+    remove();
+    remove();
+    assert.lengthOf(model.hooks, 0);
+    await predict();
+    assert.strictEqual(calls, 2);
+  });
+
+  it('throws without before or after functions', function() {
+    assert.throws(
+      () => model.addHook('dense_s', {}),
+      'addHook() must take a before or after function.'
+    );
+    assert.throws(
+      () => model.addHook('dense_s'),
+      'addHook() must take a before or after function.'
+    );
+  });
+
+  it('throws for names which are not layers of the model, or input layers', function() {
+    const hook = { before: () => {} };
+    assert.throws(
+      () => model.addHook('dense_x', hook),
+      'addHook() must take the name or class of a layer of the model, not: dense_x.'
+    );
+    assert.throws(
+      () => model.addHook('a', hook),
+      'addHook() must take the name or class of a layer of the model, not: a.'
+    );
+    assert.throws(() => model.addHook('InputLayer', hook), /not: InputLayer\./);
+    assert.lengthOf(model.hooks, 0);
+  });
+
+  it('rejects if a hook returns anything other than a Tensor', async function() {
+    addHook('dense_out', { after: () => [ 1 ] });
+    const err = await getRejection(predict());
+    assert.strictEqual(
+      err.message,
+      '[Model] after hook of dense_out must return a Tensor, or nothing.'
+    );
+  });
+});
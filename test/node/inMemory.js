@@ -0,0 +1,96 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createMLP,
+  writeModelFiles,
+  removeModelFiles,
+  installFakeXMLHttpRequest,
+  uninstallFakeXMLHttpRequest,
+  modelDataFiles,
+  assertArraysClose
+} from './helpers';
+
+describe('Model: loading from data in memory', function() {
+  const mlp = createMLP();
+  const { data } = mlp;
+  const input = new Float32Array([ 0.5, -1.2, 2 ]);
+  let filepaths;
+  let expected;
+
+  const predict = async model => {
+    await model.ready();
+    const outputData = await model.predict({ input: new Float32Array(input) });
+    return outputData.output;
+  };
+
+  before(async function() {
+    filepaths = writeModelFiles(data);
+    expected = await predict(new Model({ filepaths, filesystem: true }));
+    assertArraysClose(expected, mlp.predict(input));
+  });
+
+  after(function() {
+    removeModelFiles(filepaths.dir);
+  });
+
+  it('matches model loaded by path, from objects and ArrayBuffer', async function() {
+    const output = await predict(new Model({ data }));
+    assertArraysClose(output, expected, 0);
+  });
+
+  it('matches model loaded by URL', async function() {
+    const { files, filepaths: urls } = modelDataFiles(data);
+    installFakeXMLHttpRequest(files);
+    try {
+      const model = new Model({ filepaths: urls });
+      const output = await predict(model);
+      assertArraysClose(output, expected, 0);
+      const inMemoryOutput = await predict(new Model({ data }));
+      assertArraysClose(inMemoryOutput, output, 0);
+    } finally {
+      uninstallFakeXMLHttpRequest();
+    }
+  });
+
+  it('parses model and metadata given as JSON strings', async function() {
+    const output = await predict(
+      new Model({
+        data: {
+          model: JSON.stringify(data.model),
+          weights: data.weights,
+          metadata: JSON.stringify(data.metadata)
+        }
+      })
+    );
+    assertArraysClose(output, expected, 0);
+  });
+
+  it('takes weights as a TypedArray view at an offset in a larger buffer', async function() {
+    // e.g. a Node.js Buffer from a shared pool, or a file in an unpacked archive
+    let archive = new Uint8Array(data.weights.byteLength + 12);
+    archive.set(new Uint8Array(data.weights), 5);
+    const weights = archive.subarray(5, 5 + data.weights.byteLength);
+    const output = await predict(
+      new Model({ data: Object.assign({}, data, { weights }) })
+    );
+    assertArraysClose(output, expected, 0);
+  });
+
+  it('does not modify the data passed in', async function() {
+    const weightsCopy = data.weights.slice(0);
+    const model = new Model({ data });
+    await predict(model);
+    assert.deepEqual(
+      new Uint8Array(data.weights),
+      new Uint8Array(weightsCopy)
+    );
+    assert.strictEqual(model.getLoadingProgress(), 100);
+  });
+
+  it('throws if model, weights, or metadata are missing', function() {
+    assert.throws(
+      () => new Model({ data: { model: data.model, weights: data.weights } }),
+      /Data must be provided for model, weights, and metadata/
+    );
+  });
+});
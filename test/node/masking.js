@@ -0,0 +1,315 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  withNodes,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: masking', function() {
+  // token indices of a vocabulary of 5, index 0 being padding
+  const vocabSize = 5;
+
+  const embeddingLayerDef = (name, inputLength, maskZero) => ({
+    class_name: 'Embedding',
+    config: {
+      name,
+      input_dim: vocabSize,
+      output_dim: 3,
+      input_length: inputLength,
+      mask_zero: maskZero,
+      dropout: 0
+    }
+  });
+
+  const embeddingWeights = (name, seed) =>
+    denseWeights(name, vocabSize, 3, seed).slice(0, 1);
+
+  const lstmLayerDef = (name, outputDim, returnSequences = false) => ({
+    class_name: 'LSTM',
+    config: {
+      name,
+      output_dim: outputDim,
+      activation: 'tanh',
+      inner_activation: 'hard_sigmoid',
+      return_sequences: returnSequences,
+      go_backwards: false,
+      stateful: false
+    }
+  });
+
+  // weights W, U and b of each gate, of layer `layerName`, or of the wrapped layer
+  // `name` of a Bidirectional layer
+  const lstmWeights = (name, inputDim, outputDim, seed, layerName = name) => {
+    let weights = [];
+    [ 'i', 'c', 'f', 'o' ].forEach((gate, k) => {
+      const [ W, b ] = denseWeights(name, inputDim, outputDim, seed + 2 * k);
+      const [ U ] = denseWeights(name, outputDim, outputDim, seed + 2 * k + 1);
+      weights.push(
+        Object.assign(W, { layerName, weightName: `${name}_W_${gate}` }),
+        Object.assign(U, { layerName, weightName: `${name}_U_${gate}` }),
+        Object.assign(b, { layerName, weightName: `${name}_b_${gate}` })
+      );
+    });
+    return weights;
+  };
+
+  // Sequential model of embedding_1 => recurrent layers, taking sequences of
+  // `inputLength` indices
+  const createSequential = (inputLength, maskZero, layerDefs, weights) => {
+    let embeddingDef = embeddingLayerDef('embedding_1', inputLength, maskZero);
+    embeddingDef.config.batch_input_shape = [ null, inputLength ];
+    const modelConfig = {
+      class_name: 'Sequential',
+      config: [ embeddingDef, ...layerDefs ]
+    };
+    return new Model({
+      data: createModelData(modelConfig, [
+        ...embeddingWeights('embedding_1', 4),
+        ...weights
+      ])
+    });
+  };
+
+  describe('Embedding with mask_zero => LSTM', function() {
+    const weights = lstmWeights('lstm_1', 3, 2, 1);
+    let padded;
+    let unpadded;
+
+    before(async function() {
+      padded = createSequential(4, true, [ lstmLayerDef('lstm_1', 2) ], weights);
+      unpadded = createSequential(
+        2,
+        false,
+        [ lstmLayerDef('lstm_1', 2) ],
+        weights
+      );
+      await padded.ready();
+      await unpadded.ready();
+    });
+
+    it('infers the masked nodes at load', function() {
+      assert.deepEqual(padded.maskedNodes, [ 'embedding_1' ]);
+      assert.deepEqual(unpadded.maskedNodes, []);
+    });
+
+    it('skips padded timesteps, with the output of the unpadded sequence', async function() {
+      const expected = await unpadded.predict({
+        input: new Float32Array([ 2, 4 ])
+      });
+      for (let sequence of [ [ 0, 0, 2, 4 ], [ 2, 4, 0, 0 ], [ 0, 2, 0, 4 ] ]) {
+        const outputData = await padded.predict({
+          input: new Float32Array(sequence)
+        });
+        assertArraysClose(outputData.output, expected.output);
+      }
+      assert.deepEqual(
+        Array.from(padded.nodeMasks.embedding_1.tensor.data),
+        [ 0, 1, 0, 1 ]
+      );
+
+      // with tokens in place of the padding, the output differs
+      const outputData = await padded.predict({
+        input: new Float32Array([ 1, 3, 2, 4 ])
+      });
+      assert.notDeepEqual(
+        Array.from(outputData.output),
+        Array.from(expected.output)
+      );
+    });
+
+    it('skips padded timesteps of each sample in predictBatch()', async function() {
+      const samples = [
+        new Float32Array([ 0, 0, 2, 4 ]),
+        new Float32Array([ 1, 3, 2, 4 ]),
+        new Float32Array([ 3, 0, 0, 1 ])
+      ];
+      const batchOutputData = await padded.predictBatch({ input: samples });
+      assert.deepEqual(padded.nodeMasks.embedding_1.tensor.shape, [ 3, 4 ]);
+      assert.deepEqual(
+        Array.from(padded.nodeMasks.embedding_1.tensor.data),
+        [ 0, 0, 1, 1, 1, 1, 1, 1, 1, 0, 0, 1 ]
+      );
+      for (let n = 0; n < samples.length; n++) {
+        const outputData = await padded.predict({
+          input: new Float32Array(samples[n])
+        });
+        assertArraysClose(batchOutputData.output[n], outputData.output);
+      }
+      const expected = await unpadded.predict({
+        input: new Float32Array([ 2, 4 ])
+      });
+      assertArraysClose(batchOutputData.output[0], expected.output);
+    });
+
+    it('passes the mask through LSTM layers returning sequences', async function() {
+      const layerDefs = [
+        lstmLayerDef('lstm_1', 2, true),
+        lstmLayerDef('lstm_2', 2)
+      ];
+      const stackedWeights = [ ...weights, ...lstmWeights('lstm_2', 2, 2, 9) ];
+      const stacked = createSequential(4, true, layerDefs, stackedWeights);
+      const stackedUnpadded = createSequential(
+        2,
+        false,
+        layerDefs,
+        stackedWeights
+      );
+      await stacked.ready();
+      await stackedUnpadded.ready();
+      assert.deepEqual(stacked.maskedNodes, [ 'embedding_1', 'lstm_1' ]);
+
+      const outputData = await stacked.predict({
+        input: new Float32Array([ 0, 2, 0, 4 ])
+      });
+      const expected = await stackedUnpadded.predict({
+        input: new Float32Array([ 2, 4 ])
+      });
+      assertArraysClose(outputData.output, expected.output);
+    });
+  });
+
+  describe('Merge layers', function() {
+    // a => embedding_a, b => embedding_b, summed by merge_1 => lstm_1
+    const createMerged = (inputLength, maskZero) => {
+      const modelConfig = {
+        class_name: 'Model',
+        config: {
+          name: 'model_1',
+          layers: [
+            inputLayerDef('a', [ inputLength ]),
+            inputLayerDef('b', [ inputLength ]),
+            withNodes(embeddingLayerDef('embedding_a', inputLength, maskZero), [
+              'a'
+            ]),
+            withNodes(embeddingLayerDef('embedding_b', inputLength, maskZero), [
+              'b'
+            ]),
+            withNodes(
+              { class_name: 'Merge', config: { name: 'merge_1', mode: 'sum' } },
+              [ 'embedding_a', 'embedding_b' ]
+            ),
+            withNodes(lstmLayerDef('lstm_1', 2), [ 'merge_1' ])
+          ],
+          input_layers: [ [ 'a', 0, 0 ], [ 'b', 0, 0 ] ],
+          output_layers: [ [ 'lstm_1', 0, 0 ] ]
+        }
+      };
+      return new Model({
+        data: createModelData(modelConfig, [
+          ...embeddingWeights('embedding_a', 4),
+          ...embeddingWeights('embedding_b', 5),
+          ...lstmWeights('lstm_1', 3, 2, 1)
+        ])
+      });
+    };
+
+    it('masks timesteps masked in any input', async function() {
+      const padded = createMerged(4, true);
+      const unpadded = createMerged(2, false);
+      await padded.ready();
+      await unpadded.ready();
+      assert.deepEqual(padded.maskedNodes, [
+        'embedding_a',
+        'embedding_b',
+        'merge_1'
+      ]);
+
+      const outputData = await padded.predict({
+        a: new Float32Array([ 0, 0, 1, 2 ]),
+        b: new Float32Array([ 0, 3, 4, 1 ])
+      });
+      assert.deepEqual(
+        Array.from(padded.nodeMasks.merge_1.tensor.data),
+        [ 0, 0, 1, 1 ]
+      );
+      const expected = await unpadded.predict({
+        a: new Float32Array([ 1, 2 ]),
+        b: new Float32Array([ 4, 1 ])
+      });
+      assertArraysClose(outputData.lstm_1, expected.lstm_1);
+    });
+  });
+
+  describe('Bidirectional layers', function() {
+    const bidirectionalLayerDef = {
+      class_name: 'Bidirectional',
+      config: {
+        name: 'bidirectional_1',
+        merge_mode: 'concat',
+        layer: lstmLayerDef('forward_lstm_1', 2)
+      }
+    };
+    const weights = [
+      ...lstmWeights('forward_lstm_1', 3, 2, 1, 'bidirectional_1'),
+      ...lstmWeights('backward_lstm_1', 3, 2, 11, 'bidirectional_1')
+    ];
+
+    it('skips padded timesteps in both directions', async function() {
+      const padded = createSequential(4, true, [ bidirectionalLayerDef ], weights);
+      const unpadded = createSequential(
+        2,
+        false,
+        [ bidirectionalLayerDef ],
+        weights
+      );
+      await padded.ready();
+      await unpadded.ready();
+
+      const expected = await unpadded.predict({
+        input: new Float32Array([ 2, 4 ])
+      });
+      assert.lengthOf(expected.output, 4);
+      for (let sequence of [ [ 0, 0, 2, 4 ], [ 2, 0, 4, 0 ] ]) {
+        const outputData = await padded.predict({
+          input: new Float32Array(sequence)
+        });
+        assertArraysClose(outputData.output, expected.output);
+      }
+
+      const batchOutputData = await padded.predictBatch({
+        input: [ new Float32Array([ 2, 4, 0, 0 ]) ]
+      });
+      assertArraysClose(batchOutputData.output[0], expected.output);
+    });
+  });
+
+  it('rejects at load for layers without masking support taking masked input', async function() {
+    const modelConfig = {
+      class_name: 'Model',
+      config: {
+        name: 'model_1',
+        layers: [
+          inputLayerDef('input', [ 4 ]),
+          withNodes(embeddingLayerDef('embedding_1', 4, true), [ 'input' ]),
+          withNodes({ class_name: 'Flatten', config: { name: 'flatten' } }, [
+            'embedding_1'
+          ]),
+          withNodes(denseLayerDef('dense_1', 12, 1), [ 'flatten' ])
+        ],
+        input_layers: [ [ 'input', 0, 0 ] ],
+        output_layers: [ [ 'dense_1', 0, 0 ] ]
+      }
+    };
+    const weights = [
+      ...embeddingWeights('embedding_1', 4),
+      ...denseWeights('dense_1', 12, 1)
+    ];
+    const model = new Model({ data: createModelData(modelConfig, weights) });
+    const err = await getRejection(model.ready());
+    assert.strictEqual(
+      err.message,
+      'flatten [Flatten layer] does not support masking, but its input is masked.'
+    );
+
+    // without mask_zero, the input of flatten is not masked
+    modelConfig.config.layers[1].config.mask_zero = false;
+    const unmasked = new Model({ data: createModelData(modelConfig, weights) });
+    await unmasked.ready();
+    assert.deepEqual(unmasked.maskedNodes, []);
+  });
+});
@@ -0,0 +1,176 @@
+import { assert } from 'chai';
+import { Model, Tensor } from '../../src/node';
+import {
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  withNodes,
+  assertArraysClose
+} from './helpers';
+
+/**
+ * Weights of nested model, stored under the name of the nested model
+ * @param {string} modelName
+ * @param {Object[]} weights - see denseWeights
+ * @returns {Object[]}
+ */
+function inWeightsGroup(modelName, weights) {
+  return weights.map(w => Object.assign({}, w, { layerName: modelName }));
+}
+
+describe('Model: nested models', function() {
+  const a = [ 0.5, -1.2, 2 ];
+  const b = [ -0.3, 0.8, 0.1 ];
+
+  describe('Sequential nested in Model', function() {
+    // input => seq (dense_1 => dense_2) => dense_out
+    const hidden = denseWeights('dense_1', 3, 4, 1);
+    const output = denseWeights('dense_2', 4, 2, 2);
+    const out = denseWeights('dense_out', 2, 1, 3);
+    let nestedInputLayerDef = denseLayerDef('dense_1', 3, 4, 'relu');
+    nestedInputLayerDef.config.batch_input_shape = [ null, 3 ];
+    const modelConfig = {
+      class_name: 'Model',
+      config: {
+        name: 'model_1',
+        layers: [
+          inputLayerDef('input_1', [ 3 ]),
+          {
+            name: 'seq',
+            class_name: 'Sequential',
+            config: [ nestedInputLayerDef, denseLayerDef('dense_2', 4, 2) ],
+            inbound_nodes: [ [ [ 'input_1', 0, 0 ] ] ]
+          },
+          withNodes(denseLayerDef('dense_out', 2, 1), [ 'seq' ])
+        ],
+        input_layers: [ [ 'input_1', 0, 0 ] ],
+        output_layers: [ [ 'dense_out', 0, 0 ], [ 'seq', 0, 0 ] ]
+      }
+    };
+    const weights = [
+      ...inWeightsGroup('seq', hidden.concat(output)),
+      ...out
+    ];
+    const seqOutput = denseReference(denseReference(a, hidden, 'relu'), output);
+    let model;
+
+    before(function() {
+      model = new Model({ data: createModelData(modelConfig, weights) });
+      return model.ready();
+    });
+
+    it('creates nested model as a layer, with weights of its weights group', function() {
+      const seq = model.modelLayersMap.get('seq');
+      assert.instanceOf(seq, Model);
+      assert.strictEqual(seq.name, 'seq');
+      assert.strictEqual(seq.layerClass, 'Sequential');
+      assert.strictEqual(seq.weightsGroup, 'seq');
+      assert.strictEqual(model.modelDAG.seq.layerClass, 'Sequential');
+    });
+
+    it('computes outputs through the nested model', async function() {
+      const outputData = await model.predict({ input_1: new Float32Array(a) });
+      assertArraysClose(outputData.seq, seqOutput);
+      assertArraysClose(outputData.dense_out, denseReference(seqOutput, out));
+    });
+
+    it('computes each sample of a batch as predict() does', async function() {
+      const batchOutputData = await model.predictBatch({
+        input_1: [ new Float32Array(a), new Float32Array(b) ]
+      });
+      assertArraysClose(batchOutputData.seq[0], seqOutput);
+      const outputData = await model.predict({ input_1: new Float32Array(b) });
+      assertArraysClose(batchOutputData.dense_out[1], outputData.dense_out);
+    });
+  });
+
+  describe('Model shared between two nodes', function() {
+    // encoder (x => dense_enc) is called on a and b, concatenated => dense_out
+    const enc = denseWeights('dense_enc', 3, 2, 1);
+    const out = denseWeights('dense_out', 4, 1, 2);
+    const modelConfig = {
+      class_name: 'Model',
+      config: {
+        name: 'model_1',
+        layers: [
+          inputLayerDef('a', [ 3 ]),
+          inputLayerDef('b', [ 3 ]),
+          {
+            name: 'encoder',
+            class_name: 'Model',
+            config: {
+              name: 'encoder',
+              layers: [
+                inputLayerDef('x', [ 3 ]),
+                withNodes(denseLayerDef('dense_enc', 3, 2, 'relu'), [ 'x' ])
+              ],
+              input_layers: [ [ 'x', 0, 0 ] ],
+              output_layers: [ [ 'dense_enc', 0, 0 ] ]
+            },
+            inbound_nodes: [ [ [ 'a', 0, 0 ] ], [ [ 'b', 0, 0 ] ] ]
+          },
+          withNodes(
+            {
+              class_name: 'Merge',
+              config: { name: 'merge', mode: 'concat', concat_axis: -1 }
+            },
+            [ [ 'encoder', 0 ], [ 'encoder', 1 ] ]
+          ),
+          withNodes(denseLayerDef('dense_out', 4, 1), [ 'merge' ])
+        ],
+        input_layers: [ [ 'a', 0, 0 ], [ 'b', 0, 0 ] ],
+        output_layers: [ [ 'dense_out', 0, 0 ] ]
+      }
+    };
+    const weights = [ ...inWeightsGroup('encoder', enc), ...out ];
+    const encA = denseReference(a, enc, 'relu');
+    const encB = denseReference(b, enc, 'relu');
+    let model;
+
+    before(function() {
+      model = new Model({ data: createModelData(modelConfig, weights) });
+      return model.ready();
+    });
+
+    it('calls the nested model once for each node, on its own inputs', async function() {
+      const outputData = await model.predict(
+        { a: new Float32Array(a), b: new Float32Array(b) },
+        { outputs: [ 'encoder', 'encoder:1' ] }
+      );
+      assertArraysClose(outputData.encoder, encA);
+      assertArraysClose(outputData['encoder:1'], encB);
+      assertArraysClose(
+        outputData.dense_out,
+        denseReference(encA.concat(encB), out)
+      );
+    });
+
+    it('queues concurrent calls of the nested model', async function() {
+      const encoder = model.modelLayersMap.get('encoder');
+      const results = await Promise.all([
+        encoder._callNested([ new Tensor(new Float32Array(a), [ 3 ]) ]),
+        encoder._callNested([ new Tensor(new Float32Array(b), [ 3 ]) ])
+      ]);
+      assert.notStrictEqual(results[0], results[1]);
+      assertArraysClose(results[0].tensor.data, encA);
+      assertArraysClose(results[1].tensor.data, encB);
+    });
+
+    it('computes each sample of a batch as predict() does', async function() {
+      const batchOutputData = await model.predictBatch({
+        a: [ new Float32Array(a), new Float32Array(b) ],
+        b: [ new Float32Array(b), new Float32Array(a) ]
+      });
+      assertArraysClose(
+        batchOutputData.dense_out[0],
+        denseReference(encA.concat(encB), out)
+      );
+      assertArraysClose(
+        batchOutputData.dense_out[1],
+        denseReference(encB.concat(encA), out)
+      );
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createMLP,
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  withNodes,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: outputs option', function() {
+  const input = [ 0.5, -1.2, 2 ];
+
+  describe('Sequential model', function() {
+    const mlp = createMLP();
+    const hidden = denseWeights('dense_1', 3, 4, 1);
+    let model;
+
+    before(function() {
+      model = new Model({ data: mlp.data });
+      return model.ready();
+    });
+
+    it('returns the output, followed by extra outputs in the order given', async function() {
+      const outputData = await model.predict(
+        { input: new Float32Array(input) },
+        { outputs: [ 'dense_1', 'input' ] }
+      );
+      assert.deepEqual(Object.keys(outputData), [
+        'output',
+        'dense_1',
+        'input'
+      ]);
+      assertArraysClose(outputData.output, mlp.predict(input));
+      assertArraysClose(
+        outputData.dense_1,
+        denseReference(input, hidden, 'relu')
+      );
+      assertArraysClose(outputData.input, input);
+    });
+
+    it('returns extra outputs of each sample from predictBatch()', async function() {
+      const batchOutputData = await model.predictBatch(
+        { input: [ new Float32Array(input), new Float32Array(3) ] },
+        { outputs: [ 'dense_1' ] }
+      );
+      assert.deepEqual(Object.keys(batchOutputData), [ 'output', 'dense_1' ]);
+      assertArraysClose(
+        batchOutputData.dense_1[0],
+        denseReference(input, hidden, 'relu')
+      );
+      assertArraysClose(
+        batchOutputData.dense_1[1],
+        denseReference([ 0, 0, 0 ], hidden, 'relu')
+      );
+    });
+
+    it('throws for names which are not layers of the model', async function() {
+      const err = await getRejection(
+        model.predict(
+          { input: new Float32Array(input) },
+          { outputs: [ 'dense_1', 'dense_3', 'foo' ] }
+        )
+      );
+      assert.strictEqual(
+        err.message,
+        'predict() outputs must be names of layers of the model, not: dense_3,foo.'
+      );
+      assert.isFalse(model.isRunning);
+
+      const batchErr = await getRejection(
+        model.predictBatch(
+          { input: [ new Float32Array(input) ] },
+          { outputs: [ 'foo' ] }
+        )
+      );
+      assert.strictEqual(
+        batchErr.message,
+        'predictBatch() outputs must be names of layers of the model, not: foo.'
+      );
+      assert.isFalse(model.isRunning);
+    });
+  });
+
+  describe('Model with 2 outputs', function() {
+    // input_1 => dense_a => dense_b, with outputs dense_b, then dense_a
+    const denseA = denseWeights('dense_a', 3, 2, 1);
+    const denseB = denseWeights('dense_b', 2, 1, 2);
+    const modelConfig = {
+      class_name: 'Model',
+      config: {
+        name: 'model_1',
+        layers: [
+          inputLayerDef('input_1', [ 3 ]),
+          withNodes(denseLayerDef('dense_a', 3, 2, 'relu'), [ 'input_1' ]),
+          withNodes(denseLayerDef('dense_b', 2, 1), [ 'dense_a' ])
+        ],
+        input_layers: [ [ 'input_1', 0, 0 ] ],
+        output_layers: [ [ 'dense_b', 0, 0 ], [ 'dense_a', 0, 0 ] ]
+      }
+    };
+    const resultA = denseReference(input, denseA, 'relu');
+    let model;
+
+    before(function() {
+      model = new Model({
+        data: createModelData(modelConfig, [ ...denseA, ...denseB ])
+      });
+      return model.ready();
+    });
+
+    it('returns outputs in the order of the output layers, then extra outputs', async function() {
+      const outputData = await model.predict(
+        { input_1: new Float32Array(input) },
+        { outputs: [ 'input_1' ] }
+      );
+      assert.deepEqual(Object.keys(outputData), [
+        'dense_b',
+        'dense_a',
+        'input_1'
+      ]);
+      assertArraysClose(outputData.dense_a, resultA);
+      assertArraysClose(outputData.dense_b, denseReference(resultA, denseB));
+      assertArraysClose(outputData.input_1, input);
+    });
+
+    it('throws for the name `output`, which only Sequential models have', async function() {
+      const err = await getRejection(
+        model.predict(
+          { input_1: new Float32Array(input) },
+          { outputs: [ 'output' ] }
+        )
+      );
+      assert.match(err.message, /not: output\.$/);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+import { assert } from 'chai';
+import { Model, errors } from '../../src/node';
+import {
+  createMLP,
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  withNodes,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: predictBatch', function() {
+  const samples = [
+    new Float32Array([ 0.5, -1.2, 2 ]),
+    new Float32Array([ -0.3, 0.8, 0.1 ]),
+    new Float32Array([ 1.5, 0.2, -0.7 ])
+  ];
+
+  describe('Sequential model', function() {
+    const mlp = createMLP();
+    let model;
+
+    before(function() {
+      model = new Model({ data: mlp.data });
+      return model.ready();
+    });
+
+    it('computes each sample of the batch as predict() does', async function() {
+      const batchOutputData = await model.predictBatch({ input: samples });
+      assert.deepEqual(Object.keys(batchOutputData), [ 'output' ]);
+      assert.lengthOf(batchOutputData.output, samples.length);
+      for (let n = 0; n < samples.length; n++) {
+        const outputData = await model.predict({
+          input: new Float32Array(samples[n])
+        });
+        assertArraysClose(batchOutputData.output[n], outputData.output);
+        assertArraysClose(batchOutputData.output[n], mlp.predict(samples[n]));
+      }
+    });
+
+    it('computes batch of a single sample', async function() {
+      const batchOutputData = await model.predictBatch({
+        input: [ samples[1] ]
+      });
+      assert.lengthOf(batchOutputData.output, 1);
+      assertArraysClose(batchOutputData.output[0], mlp.predict(samples[1]));
+    });
+
+    it('throws if inputs are not the named inputs of the model', async function() {
+      const err = await getRejection(model.predictBatch({ x: samples }));
+      assert.match(err.message, /named inputs of the model: input/);
+      assert.isFalse(model.isRunning);
+    });
+
+    it('throws if samples are not arrays of Float32Array', async function() {
+      const err = await getRejection(
+        model.predictBatch({ input: new Float32Array(9) })
+      );
+      assert.match(err.message, /arrays of the flattened data of each sample/);
+    });
+
+    it('throws if there are no samples', async function() {
+      const err = await getRejection(model.predictBatch({ input: [] }));
+      assert.match(err.message, /same non-zero number of samples/);
+    });
+
+    it('throws ShapeMismatchError if a sample does not match the input shape', async function() {
+      const err = await getRejection(
+        model.predictBatch({
+          input: [ samples[0], new Float32Array(4) ]
+        })
+      );
+      assert.instanceOf(err, errors.ShapeMismatchError);
+      assert.match(err.message, /sample 1 of input input has length 4/);
+      assert.deepEqual(err.expected, [ 3 ]);
+      assert.deepEqual(err.actual, [ 4 ]);
+      assert.isFalse(model.isRunning);
+    });
+  });
+
+  describe('Model with 2 inputs', function() {
+    // a => dense_a, b => dense_b, concatenated => dense_out
+    const weights = [
+      ...denseWeights('dense_a', 3, 2, 1),
+      ...denseWeights('dense_b', 2, 2, 2),
+      ...denseWeights('dense_out', 4, 1, 3)
+    ];
+    const modelConfig = {
+      class_name: 'Model',
+      config: {
+        name: 'model_1',
+        layers: [
+          inputLayerDef('a', [ 3 ]),
+          inputLayerDef('b', [ 2 ]),
+          withNodes(denseLayerDef('dense_a', 3, 2, 'relu'), [ 'a' ]),
+          withNodes(denseLayerDef('dense_b', 2, 2, 'relu'), [ 'b' ]),
+          withNodes(
+            {
+              class_name: 'Merge',
+              config: { name: 'merge', mode: 'concat', concat_axis: -1 }
+            },
+            [ 'dense_a', 'dense_b' ]
+          ),
+          withNodes(denseLayerDef('dense_out', 4, 1), [ 'merge' ])
+        ],
+        input_layers: [ [ 'a', 0, 0 ], [ 'b', 0, 0 ] ],
+        output_layers: [ [ 'dense_out', 0, 0 ] ]
+      }
+    };
+    const bSamples = [
+      new Float32Array([ 0.4, -0.9 ]),
+      new Float32Array([ 1.1, 0.6 ]),
+      new Float32Array([ -0.2, 0.3 ])
+    ];
+    let model;
+
+    before(function() {
+      model = new Model({ data: createModelData(modelConfig, weights) });
+      return model.ready();
+    });
+
+    it('computes each sample of the batch as predict() does', async function() {
+      const batchOutputData = await model.predictBatch({
+        a: samples,
+        b: bSamples
+      });
+      assert.lengthOf(batchOutputData.dense_out, samples.length);
+      for (let n = 0; n < samples.length; n++) {
+        const outputData = await model.predict({
+          a: new Float32Array(samples[n]),
+          b: new Float32Array(bSamples[n])
+        });
+        assertArraysClose(batchOutputData.dense_out[n], outputData.dense_out);
+      }
+    });
+
+    it('throws if inputs have different numbers of samples', async function() {
+      const err = await getRejection(
+        model.predictBatch({ a: samples, b: bSamples.slice(1) })
+      );
+      assert.match(err.message, /same non-zero number of samples/);
+    });
+
+    it('throws ShapeMismatchError if a sample does not match the input shape', async function() {
+      const err = await getRejection(
+        model.predictBatch({ a: samples, b: samples })
+      );
+      assert.instanceOf(err, errors.ShapeMismatchError);
+      assert.match(err.message, /sample 0 of input b has length 3/);
+    });
+  });
+
+  describe('Convolution2D in th dim ordering', function() {
+    // input of shape [channels, rows, cols], convolved with 2x2 kernels of 2
+    // filters
+    const [ channels, rows, cols, nbFilter, k ] = [ 2, 3, 3, 2, 2 ];
+    const values = (n, seed) =>
+      Array.from(
+        { length: n },
+        (v, i) => Math.round(100 * Math.sin(seed * 7 + i * 1.3)) / 100
+      );
+    // in th dim ordering, [nbFilter, channels, nbRow, nbCol]
+    const W = values(nbFilter * channels * k * k, 1);
+    const b = values(nbFilter, 2);
+    const modelConfig = {
+      class_name: 'Sequential',
+      config: [
+        {
+          class_name: 'Convolution2D',
+          config: {
+            name: 'conv_1',
+            nb_filter: nbFilter,
+            nb_row: k,
+            nb_col: k,
+            activation: 'linear',
+            border_mode: 'valid',
+            subsample: [ 1, 1 ],
+            dim_ordering: 'th',
+            bias: true,
+            batch_input_shape: [ null, channels, rows, cols ]
+          }
+        }
+      ]
+    };
+    const weights = [
+      {
+        layerName: 'conv_1',
+        weightName: 'conv_1_W',
+        shape: [ nbFilter, channels, k, k ],
+        data: W
+      },
+      {
+        layerName: 'conv_1',
+        weightName: 'conv_1_b',
+        shape: [ nbFilter ],
+        data: b
+      }
+    ];
+    const convSamples = [
+      values(channels * rows * cols, 3),
+      values(channels * rows * cols, 4)
+    ];
+    // output in th dim ordering, [nbFilter, outputRows, outputCols]
+    const convReference = x => {
+      const [ outputRows, outputCols ] = [ rows - k + 1, cols - k + 1 ];
+      let y = [];
+      for (let f = 0; f < nbFilter; f++) {
+        for (let i = 0; i < outputRows; i++) {
+          for (let j = 0; j < outputCols; j++) {
+            let sum = b[f];
+            for (let c = 0; c < channels; c++) {
+              for (let ki = 0; ki < k; ki++) {
+                for (let kj = 0; kj < k; kj++) {
+                  sum += x[(c * rows + i + ki) * cols + j + kj] *
+                    W[((f * channels + c) * k + ki) * k + kj];
+                }
+              }
+            }
+            y.push(sum);
+          }
+        }
+      }
+      return y;
+    };
+    let model;
+
+    before(function() {
+      model = new Model({ data: createModelData(modelConfig, weights) });
+      return model.ready();
+    });
+
+    it('converts each sample to tf dim ordering before the batched matrix multiply', async function() {
+      const batchOutputData = await model.predictBatch({
+        input: convSamples.map(x => new Float32Array(x))
+      });
+      assert.lengthOf(batchOutputData.output, 2);
+      for (let n = 0; n < convSamples.length; n++) {
+        assertArraysClose(
+          batchOutputData.output[n],
+          convReference(convSamples[n])
+        );
+        const outputData = await model.predict({
+          input: new Float32Array(convSamples[n])
+        });
+        assertArraysClose(outputData.output, convReference(convSamples[n]));
+      }
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { assert } from 'chai';
+import { Model, Tensor } from '../../src/node';
+import {
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  withNodes,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: predictSubgraph', function() {
+  // input_1 => dense_a => dense_b, and input_1 => dense_c, with outputs dense_b
+  // and dense_c
+  const denseA = denseWeights('dense_a', 3, 2, 1);
+  const denseB = denseWeights('dense_b', 2, 2, 2);
+  const denseC = denseWeights('dense_c', 3, 1, 3);
+  const modelConfig = {
+    class_name: 'Model',
+    config: {
+      name: 'model_1',
+      layers: [
+        inputLayerDef('input_1', [ 3 ]),
+        withNodes(denseLayerDef('dense_a', 3, 2, 'relu'), [ 'input_1' ]),
+        withNodes(denseLayerDef('dense_b', 2, 2), [ 'dense_a' ]),
+        withNodes(denseLayerDef('dense_c', 3, 1), [ 'input_1' ])
+      ],
+      input_layers: [ [ 'input_1', 0, 0 ] ],
+      output_layers: [ [ 'dense_b', 0, 0 ], [ 'dense_c', 0, 0 ] ]
+    }
+  };
+  const input = [ 0.5, -1.2, 2 ];
+  const latent = [ 0.3, -0.7 ];
+  let model;
+  let calledNodes;
+
+  before(function() {
+    model = new Model({
+      data: createModelData(modelConfig, [ ...denseA, ...denseB, ...denseC ])
+    });
+    return model.ready();
+  });
+
+  beforeEach(function() {
+    // record calls of layers other than input layers
+    calledNodes = [];
+    [ 'dense_a', 'dense_b', 'dense_c' ].forEach(name => {
+      const layer = model.modelLayersMap.get(name);
+      layer.call = x => {
+        calledNodes.push(name);
+        return Object.getPrototypeOf(layer).call.call(layer, x);
+      };
+    });
+  });
+
+  afterEach(function() {
+    [ 'dense_a', 'dense_b', 'dense_c' ].forEach(name => {
+      delete model.modelLayersMap.get(name).call;
+    });
+  });
+
+  it('runs only the layers needed to compute the targets from a Tensor', async function() {
+    const start = new Tensor(new Float32Array(latent), [ 2 ]);
+    const outputData = await model.predictSubgraph({ dense_a: start }, [
+      'dense_b'
+    ]);
+    assert.deepEqual(calledNodes, [ 'dense_b' ]);
+    assert.deepEqual(Object.keys(outputData), [ 'dense_b' ]);
+    assertArraysClose(outputData.dense_b, denseReference(latent, denseB));
+    assert.deepEqual(model.layersWithResults, [ 'dense_b' ]);
+    // start tensor is copied, not modified
+    assertArraysClose(start.tensor.data, latent);
+  });
+
+  it('runs the layers needed from input data, for targets in the order given', async function() {
+    const outputData = await model.predictSubgraph(
+      { input_1: new Float32Array(input) },
+      [ 'dense_c', 'dense_a' ]
+    );
+    assert.sameMembers(calledNodes, [ 'dense_a', 'dense_c' ]);
+    assert.deepEqual(Object.keys(outputData), [ 'dense_c', 'dense_a' ]);
+    assertArraysClose(
+      outputData.dense_a,
+      denseReference(input, denseA, 'relu')
+    );
+    assertArraysClose(outputData.dense_c, denseReference(input, denseC));
+  });
+
+  it('computes the outputs of the model if no targets are given', async function() {
+    const outputData = await model.predictSubgraph({
+      input_1: new Float32Array(input)
+    });
+    assert.sameMembers(calledNodes, [ 'dense_a', 'dense_b', 'dense_c' ]);
+    assert.deepEqual(Object.keys(outputData), [ 'dense_b', 'dense_c' ]);
+    const predicted = await model.predict({ input_1: new Float32Array(input) });
+    assertArraysClose(outputData.dense_b, predicted.dense_b);
+    assertArraysClose(outputData.dense_c, predicted.dense_c);
+  });
+
+  it('throws for targets which are not layers of the model', async function() {
+    const err = await getRejection(
+      model.predictSubgraph({ input_1: new Float32Array(input) }, [
+        'dense_b',
+        'decoder'
+      ])
+    );
+    assert.strictEqual(
+      err.message,
+      'predictSubgraph() targets must be names of layers of the model, not: decoder.'
+    );
+    assert.deepEqual(calledNodes, []);
+    assert.isFalse(model.isRunning);
+  });
+
+  it('throws for start tensors which are not layers of the model, or not Tensors', async function() {
+    const err = await getRejection(
+      model.predictSubgraph({ latent: new Float32Array(latent) }, [
+        'dense_b'
+      ])
+    );
+    assert.match(
+      err.message,
+      /start tensors must be names of layers of the model, not: latent\./
+    );
+
+    const dataErr = await getRejection(
+      model.predictSubgraph({ dense_a: new Float32Array(latent) }, [
+        'dense_b'
+      ])
+    );
+    assert.match(
+      dataErr.message,
+      /must be Tensors, or Float32Array for input layers: dense_a\./
+    );
+    assert.isFalse(model.isRunning);
+  });
+
+  it('throws if targets depend on layers with no start tensor', async function() {
+    const start = new Tensor(new Float32Array(latent), [ 2 ]);
+    const err = await getRejection(
+      model.predictSubgraph({ dense_a: start }, [ 'dense_b', 'dense_c' ])
+    );
+    assert.strictEqual(
+      err.message,
+      'predictSubgraph() targets depend on layers with no start tensor: input_1.'
+    );
+    assert.deepEqual(calledNodes, []);
+    assert.isFalse(model.isRunning);
+  });
+
+  it('is not running after a layer throws, or for unknown outputs', async function() {
+    const dense = model.modelLayersMap.get('dense_b');
+    dense.call = dense.callBatch = () => {
+      throw new Error('failed');
+    };
+    try {
+      const calls = [
+        () => model.predict({ input_1: new Float32Array(input) }),
+        () => model.predictBatch({ input_1: [ new Float32Array(input) ] }),
+        () => model.predictSubgraph({ input_1: new Float32Array(input) })
+      ];
+      for (let call of calls) {
+        assert.strictEqual((await getRejection(call())).message, 'failed');
+        assert.isFalse(model.isRunning);
+      }
+    } finally {
+      delete dense.callBatch;
+    }
+
+    const err = await getRejection(
+      model.predict({ input_1: new Float32Array(input) }, { outputs: [ 'x' ] })
+    );
+    assert.match(err.message, /not: x\./);
+    assert.isFalse(model.isRunning);
+  });
+});
@@ -0,0 +1,155 @@
+import { assert } from 'chai';
+import { Model, errors } from '../../src/node';
+import {
+  createMLP,
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  withNodes,
+  getRejection
+} from './helpers';
+
+describe('Model: shape inference', function() {
+  // asserts inferred output shapes match the shapes of the results of a call,
+  // with the results of all layers requested as activations, so that they are
+  // not modified by later layers operating in place
+  const assertShapesOfResults = async (model, inputData) => {
+    const nodes = Object.keys(model.modelDAG);
+    await model.predict(inputData, { activations: nodes });
+    nodes.forEach(node => {
+      assert.deepEqual(
+        model.nodeResults[node].tensor.shape,
+        model.outputShapes[node],
+        `output shape of ${node}`
+      );
+    });
+  };
+
+  it('infers output shapes and counts parameters of a Sequential model', async function() {
+    const model = new Model({ data: createMLP().data });
+    await model.ready();
+    assert.deepEqual(model.outputShapes, {
+      input: [ 3 ],
+      dense_1: [ 4 ],
+      dense_2: [ 2 ]
+    });
+    // as in Keras: 3 * 4 + 4 and 4 * 2 + 2
+    assert.deepEqual(model.paramCounts, {
+      input: 0,
+      dense_1: 16,
+      dense_2: 10
+    });
+    assert.strictEqual(model.countParams(), 26);
+
+    await assertShapesOfResults(model, {
+      input: new Float32Array([ 0.5, -1.2, 2 ])
+    });
+  });
+
+  describe('Merge layers', function() {
+    // a and b, of 2 timesteps of dimension 3, concatenated by merge_concat =>
+    // flatten => dense_1, and merged by merge_cos along the last axis
+    const modelConfig = {
+      class_name: 'Model',
+      config: {
+        name: 'model_1',
+        layers: [
+          inputLayerDef('a', [ 2, 3 ]),
+          inputLayerDef('b', [ 2, 3 ]),
+          withNodes(
+            {
+              class_name: 'Merge',
+              config: {
+                name: 'merge_concat',
+                mode: 'concat',
+                concat_axis: -1
+              }
+            },
+            [ 'a', 'b' ]
+          ),
+          withNodes(
+            { class_name: 'Flatten', config: { name: 'flatten' } },
+            [ 'merge_concat' ]
+          ),
+          withNodes(denseLayerDef('dense_1', 12, 1), [ 'flatten' ]),
+          withNodes(
+            {
+              class_name: 'Merge',
+              config: { name: 'merge_cos', mode: 'cos', dot_axes: 2 }
+            },
+            [ 'a', 'b' ]
+          )
+        ],
+        input_layers: [ [ 'a', 0, 0 ], [ 'b', 0, 0 ] ],
+        output_layers: [ [ 'dense_1', 0, 0 ], [ 'merge_cos', 0, 0 ] ]
+      }
+    };
+
+    it('infers output shapes of concat and cos modes', async function() {
+      const model = new Model({
+        data: createModelData(modelConfig, denseWeights('dense_1', 12, 1))
+      });
+      await model.ready();
+      assert.deepEqual(model.outputShapes, {
+        a: [ 2, 3 ],
+        b: [ 2, 3 ],
+        merge_concat: [ 2, 6 ],
+        flatten: [ 12 ],
+        dense_1: [ 1 ],
+        merge_cos: [ 1, 2, 2 ]
+      });
+      assert.deepEqual(model.paramCounts, {
+        a: 0,
+        b: 0,
+        merge_concat: 0,
+        flatten: 0,
+        dense_1: 13,
+        merge_cos: 0
+      });
+      assert.strictEqual(model.countParams(), 13);
+
+      await assertShapesOfResults(model, {
+        a: new Float32Array([ 1, 2, 3, 4, 5, 6 ]),
+        b: new Float32Array([ 6, 5, 4, 3, 2, 1 ])
+      });
+    });
+
+    it('infers null shapes downstream of dimensions of unspecified size', async function() {
+      let config = JSON.parse(JSON.stringify(modelConfig));
+      config.config.layers[0].config.batch_input_shape = [ null, null, 3 ];
+      const model = new Model({
+        data: createModelData(config, denseWeights('dense_1', 12, 1))
+      });
+      await model.ready();
+      assert.isNull(model.outputShapes.a);
+      assert.isNull(model.outputShapes.merge_concat);
+      assert.isNull(model.outputShapes.dense_1);
+      assert.deepEqual(model.outputShapes.b, [ 2, 3 ]);
+    });
+  });
+
+  it('rejects with ShapeMismatchError at load for incompatible layers', async function() {
+    // dense_2 takes inputs of dimension 5, but dense_1 outputs 4
+    let inputLayerDef = denseLayerDef('dense_1', 3, 4);
+    inputLayerDef.config.batch_input_shape = [ null, 3 ];
+    const modelConfig = {
+      class_name: 'Sequential',
+      config: [ inputLayerDef, denseLayerDef('dense_2', 5, 2) ]
+    };
+    const model = new Model({
+      data: createModelData(modelConfig, [
+        ...denseWeights('dense_1', 3, 4),
+        ...denseWeights('dense_2', 5, 2)
+      ])
+    });
+    const err = await getRejection(model.ready());
+    assert.instanceOf(err, errors.ShapeMismatchError);
+    assert.strictEqual(
+      err.message,
+      'dense_2 [Dense layer] input shape 4 does not match expected shape 5.'
+    );
+    assert.deepEqual(err.expected, [ 5 ]);
+    assert.deepEqual(err.actual, [ 4 ]);
+  });
+});
@@ -0,0 +1,118 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  withNodes,
+  assertArraysClose
+} from './helpers';
+
+describe('Model: shared layers', function() {
+  // dense_shared is called on a (node 0), and on dense_pre of b (node 1), which
+  // comes after it in the model config; its results are concatenated by merge
+  const pre = denseWeights('dense_pre', 3, 3, 1);
+  const shared = denseWeights('dense_shared', 3, 2, 2);
+  const out = denseWeights('dense_out', 4, 1, 3);
+  const modelConfig = {
+    class_name: 'Model',
+    config: {
+      name: 'model_1',
+      layers: [
+        inputLayerDef('a', [ 3 ]),
+        inputLayerDef('b', [ 3 ]),
+        withNodes(
+          denseLayerDef('dense_shared', 3, 2, 'relu'),
+          [ 'a' ],
+          [ 'dense_pre' ]
+        ),
+        withNodes(denseLayerDef('dense_pre', 3, 3), [ 'b' ]),
+        withNodes(
+          {
+            class_name: 'Merge',
+            config: { name: 'merge', mode: 'concat', concat_axis: -1 }
+          },
+          [ [ 'dense_shared', 0 ], [ 'dense_shared', 1 ] ]
+        ),
+        withNodes(denseLayerDef('dense_out', 4, 1), [ 'merge' ])
+      ],
+      input_layers: [ [ 'a', 0, 0 ], [ 'b', 0, 0 ] ],
+      output_layers: [ [ 'dense_out', 0, 0 ], [ 'dense_shared', 1, 0 ] ]
+    }
+  };
+  const a = [ 0.5, -1.2, 2 ];
+  const b = [ -0.3, 0.8, 0.1 ];
+  const sharedA = denseReference(a, shared, 'relu');
+  const sharedB = denseReference(denseReference(b, pre), shared, 'relu');
+  const expected = denseReference(sharedA.concat(sharedB), out);
+  let model;
+
+  before(function() {
+    model = new Model({
+      data: createModelData(modelConfig, [ ...pre, ...shared, ...out ])
+    });
+    return model.ready();
+  });
+
+  it('adds a DAG node for each call of the layer, keyed by name:index', function() {
+    const first = model.modelDAG.dense_shared;
+    const second = model.modelDAG['dense_shared:1'];
+    assert.deepEqual(first.inbound, [ 'a' ]);
+    assert.deepEqual(second.inbound, [ 'dense_pre' ]);
+    assert.strictEqual(second.layerName, 'dense_shared');
+    assert.strictEqual(second.nodeIndex, 1);
+    assert.deepEqual(model.modelDAG.dense_pre.outbound, [ 'dense_shared:1' ]);
+    assert.deepEqual(model.modelDAG.merge.inbound, [
+      'dense_shared',
+      'dense_shared:1'
+    ]);
+    // both nodes call the same layer, with the same weights
+    assert.strictEqual(
+      model._getNodeLayer('dense_shared:1'),
+      model._getNodeLayer('dense_shared')
+    );
+  });
+
+  it('computes each node of the shared layer on its own inputs', async function() {
+    await model.predict({ a: new Float32Array(a), b: new Float32Array(b) });
+    assert.includeMembers(model.layersWithResults, [
+      'dense_shared',
+      'dense_shared:1'
+    ]);
+    const activations = model.getActivations([
+      'dense_shared',
+      'dense_shared:1'
+    ]);
+    assertArraysClose(activations.dense_shared.tensor.data, sharedA);
+    assertArraysClose(activations['dense_shared:1'].tensor.data, sharedB);
+  });
+
+  it('returns outputs keyed by node key, including a node of the shared layer', async function() {
+    const outputData = await model.predict({
+      a: new Float32Array(a),
+      b: new Float32Array(b)
+    });
+    assert.deepEqual(Object.keys(outputData), [
+      'dense_out',
+      'dense_shared:1'
+    ]);
+    assertArraysClose(outputData.dense_out, expected);
+    assertArraysClose(outputData['dense_shared:1'], sharedB);
+  });
+
+  it('computes each sample of a batch as predict() does', async function() {
+    const batchOutputData = await model.predictBatch({
+      a: [ new Float32Array(a), new Float32Array(b) ],
+      b: [ new Float32Array(b), new Float32Array(a) ]
+    });
+    assertArraysClose(batchOutputData.dense_out[0], expected);
+    assertArraysClose(batchOutputData['dense_shared:1'][0], sharedB);
+    const swapped = await model.predict({
+      a: new Float32Array(b),
+      b: new Float32Array(a)
+    });
+    assertArraysClose(batchOutputData.dense_out[1], swapped.dense_out);
+  });
+});
@@ -0,0 +1,221 @@
+import { assert } from 'chai';
+import { Model, Tensor, errors } from '../../src/node';
+import {
+  createModelData,
+  denseLayerDef,
+  denseWeights,
+  denseReference,
+  simpleRNNLayerDef,
+  simpleRNNWeights,
+  simpleRNNReference,
+  assertArraysClose
+} from './helpers';
+
+describe('Model: states', function() {
+  // sequences of 2 timesteps of dimension 3 => simplernn_1 => dense_1
+  const rnn = simpleRNNWeights('simplernn_1', 3, 4, 1);
+  const dense = denseWeights('dense_1', 4, 2, 3);
+  let rnnLayerDef = simpleRNNLayerDef('simplernn_1', 4);
+  rnnLayerDef.config.batch_input_shape = [ 1, 2, 3 ];
+  const sequences = [
+    [ 0.5, -1.2, 2, -0.3, 0.8, 0.1 ],
+    [ 1.5, 0.2, -0.7, 0.4, -0.9, 1.1 ],
+    [ -0.2, 0.3, 0.6, 1, -1, 0.5 ]
+  ];
+
+  // outputs of predicting on each sequence in turn
+  const predictAll = async (model, seqs) => {
+    let outputs = [];
+    for (let sequence of seqs) {
+      const outputData = await model.predict({
+        input: new Float32Array(sequence)
+      });
+      outputs.push(Array.from(outputData.output));
+    }
+    return outputs;
+  };
+
+  describe('Sequential model', function() {
+    const data = createModelData(
+      {
+        class_name: 'Sequential',
+        config: [ rnnLayerDef, denseLayerDef('dense_1', 4, 2) ]
+      },
+      [ ...rnn, ...dense ]
+    );
+    let model;
+
+    beforeEach(function() {
+      model = new Model({ data });
+      return model.ready();
+    });
+
+    it('gets zero states before the first call, and states as of the last call', async function() {
+      const initial = model.getStates();
+      assert.deepEqual(Object.keys(initial), [ 'simplernn_1' ]);
+      assert.deepEqual(Object.keys(initial.simplernn_1), [ 'hiddenState' ]);
+      assertArraysClose(initial.simplernn_1.hiddenState.tensor.data, [
+        0,
+        0,
+        0,
+        0
+      ]);
+
+      await predictAll(model, sequences.slice(0, 2));
+      const h = simpleRNNReference(
+        sequences[1],
+        rnn,
+        simpleRNNReference(sequences[0], rnn)
+      );
+      const { hiddenState } = model.getStates().simplernn_1;
+      assert.instanceOf(hiddenState, Tensor);
+      assertArraysClose(hiddenState.tensor.data, h);
+    });
+
+    it('restores states to reproduce the same continuation', async function() {
+      await predictAll(model, sequences.slice(0, 1));
+      const saved = model.getStates();
+      const continuation = await predictAll(model, sequences.slice(1));
+
+      // states returned are copies, not changed by later calls
+      assertArraysClose(
+        saved.simplernn_1.hiddenState.tensor.data,
+        simpleRNNReference(sequences[0], rnn)
+      );
+      model.setStates(saved);
+      assert.deepEqual(
+        await predictAll(model, sequences.slice(1)),
+        continuation
+      );
+
+      // restoring into another model of the same architecture
+      const other = new Model({ data });
+      await other.ready();
+      other.setStates(saved);
+      assert.deepEqual(
+        await predictAll(other, sequences.slice(1)),
+        continuation
+      );
+    });
+
+    it('continues from the states of the previous call, unless reset', async function() {
+      const [ first ] = await predictAll(model, sequences.slice(1, 2));
+      const [ second ] = await predictAll(model, sequences.slice(1, 2));
+      assert.notDeepEqual(second, first);
+      model.resetStates();
+      const [ afterReset ] = await predictAll(model, sequences.slice(1, 2));
+      assert.deepEqual(afterReset, first);
+      assertArraysClose(
+        first,
+        denseReference(simpleRNNReference(sequences[1], rnn), dense)
+      );
+    });
+
+    it('throws for keys which are not stateful layers, without setting any states', async function() {
+      await predictAll(model, sequences.slice(0, 1));
+      const saved = model.getStates();
+      model.resetStates();
+      assert.throws(
+        () =>
+          model.setStates(Object.assign({ dense_1: {}, lstm_1: {} }, saved)),
+        'setStates() keys must be names of stateful layers of the model, not: dense_1,lstm_1.'
+      );
+      assertArraysClose(
+        model.getStates().simplernn_1.hiddenState.tensor.data,
+        [ 0, 0, 0, 0 ]
+      );
+    });
+
+    it('throws for states which are not Tensors of the shape of the states', function() {
+      assert.throws(
+        () =>
+          model.setStates({ simplernn_1: { hiddenState: [ 0, 0, 0, 0 ] } }),
+        /setState\(\) must take a Tensor for state hiddenState/
+      );
+      let err;
+      try {
+        model.setStates({
+          simplernn_1: { hiddenState: new Tensor([], [ 3 ]) }
+        });
+      } catch (e) {
+        err = e;
+      }
+      assert.instanceOf(err, errors.ShapeMismatchError);
+      assert.deepEqual(err.expected, [ 4 ]);
+      assert.deepEqual(err.actual, [ 3 ]);
+    });
+  });
+
+  describe('nested model', function() {
+    // input_1 => seq (simplernn_1 => dense_1)
+    const modelConfig = {
+      class_name: 'Model',
+      config: {
+        name: 'model_1',
+        layers: [
+          {
+            name: 'input_1',
+            class_name: 'InputLayer',
+            inbound_nodes: [],
+            config: { name: 'input_1', batch_input_shape: [ 1, 2, 3 ] }
+          },
+          {
+            name: 'seq',
+            class_name: 'Sequential',
+            config: [ rnnLayerDef, denseLayerDef('dense_1', 4, 2) ],
+            inbound_nodes: [ [ [ 'input_1', 0, 0 ] ] ]
+          }
+        ],
+        input_layers: [ [ 'input_1', 0, 0 ] ],
+        output_layers: [ [ 'seq', 0, 0 ] ]
+      }
+    };
+    const weights = [ ...rnn, ...dense ].map(w =>
+      Object.assign({}, w, { layerName: 'seq' }));
+    let model;
+
+    before(function() {
+      model = new Model({ data: createModelData(modelConfig, weights) });
+      return model.ready();
+    });
+
+    const predictNested = async seqs => {
+      let outputs = [];
+      for (let sequence of seqs) {
+        const outputData = await model.predict({
+          input_1: new Float32Array(sequence)
+        });
+        outputs.push(Array.from(outputData.seq));
+      }
+      return outputs;
+    };
+
+    it('gets, sets, and resets states of nested models', async function() {
+      await predictNested(sequences.slice(0, 1));
+      const saved = model.getStates();
+      assert.deepEqual(Object.keys(saved), [ 'seq' ]);
+      assertArraysClose(
+        saved.seq.simplernn_1.hiddenState.tensor.data,
+        simpleRNNReference(sequences[0], rnn)
+      );
+      const continuation = await predictNested(sequences.slice(1));
+
+      model.setStates(saved);
+      assert.deepEqual(await predictNested(sequences.slice(1)), continuation);
+
+      model.resetStates();
+      const [ afterReset ] = await predictNested(sequences.slice(1, 2));
+      assertArraysClose(
+        afterReset,
+        denseReference(simpleRNNReference(sequences[1], rnn), dense)
+      );
+    });
+
+    it('throws for keys which are not stateful layers of nested models', function() {
+      assert.throws(
+        () => model.setStates({ seq: { dense_1: {} } }),
+        'setStates() keys must be names of stateful layers of the model, not: dense_1.'
+      );
+    });
+  });
+});
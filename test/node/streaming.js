@@ -0,0 +1,154 @@
+import fs from 'fs';
+import { assert } from 'chai';
+import { Model, errors } from '../../src/node';
+import {
+  createMLP,
+  writeModelFiles,
+  removeModelFiles,
+  installFakeXMLHttpRequest,
+  uninstallFakeXMLHttpRequest,
+  modelDataFiles,
+  assertArraysClose,
+  getRejection
+} from './helpers';
+
+describe('Model: streaming weights', function() {
+  const mlp = createMLP();
+  const input = new Float32Array([ 0.5, -1.2, 2 ]);
+  // weights of dense_1 take up the first 64 bytes, and dense_2 the next 40
+  const truncatedLength = 80;
+  let filepaths;
+
+  before(function() {
+    filepaths = writeModelFiles(mlp.data);
+  });
+
+  after(function() {
+    removeModelFiles(filepaths.dir);
+  });
+
+  /**
+   * Checks model rejects with a MissingWeightError for dense_2, once dense_1
+   * has been created
+   * @param {Object} config - Model config
+   */
+  const checkTruncated = async config => {
+    let loaded = [];
+    const model = new Model(
+      Object.assign({ onLayerLoad: ({ name }) => loaded.push(name) }, config)
+    );
+    const err = await getRejection(model.ready());
+    assert.instanceOf(err, errors.MissingWeightError);
+    assert.strictEqual(err.layerName, 'dense_2');
+    assert.strictEqual(err.weightName, 'dense_2_W');
+    assert.match(err.message, /weights data ends before weights dense_2_W/);
+    assert.deepEqual(loaded, [ 'dense_1' ]);
+    assert.deepEqual(model.loadedLayers, [ 'dense_1' ]);
+  };
+
+  describe('from the local filesystem', function() {
+    it('rejects with MissingWeightError if the weights file is truncated', async function() {
+      const weights = `${filepaths.weights}.truncated`;
+      fs.writeFileSync(
+        weights,
+        fs.readFileSync(filepaths.weights).slice(0, truncatedLength)
+      );
+      await checkTruncated({
+        filepaths: Object.assign({}, filepaths, { weights }),
+        filesystem: true,
+        streaming: true
+      });
+    });
+
+    it('rejects with MissingWeightError if the weights Buffer is truncated', async function() {
+      await checkTruncated({
+        filepaths: Object.assign({}, filepaths, {
+          weights: fs.readFileSync(filepaths.weights).slice(0, truncatedLength)
+        }),
+        filesystem: true,
+        streaming: true
+      });
+    });
+  });
+
+  describe('using fetch', function() {
+    const originalFetch = global.fetch;
+    const { files, filepaths: urls } = modelDataFiles(mlp.data);
+    let weightsChunks;
+
+    before(function() {
+      // model and metadata files are requested by XHR, and only the weights are
+      // streamed, in the chunks set by each test
+      installFakeXMLHttpRequest(files);
+      global.fetch = url => {
+        assert.strictEqual(url, urls.weights);
+        let chunks = weightsChunks.slice();
+        const body = new ReadableStream({
+          pull(controller) {
+            if (chunks.length) {
+              controller.enqueue(chunks.shift());
+            } else {
+              controller.close();
+            }
+          }
+        });
+        return Promise.resolve(new Response(body));
+      };
+    });
+
+    after(function() {
+      uninstallFakeXMLHttpRequest();
+      global.fetch = originalFetch;
+    });
+
+    /**
+     * Splits weights data into chunks
+     * @param {number} end - byte length to cut the data to
+     * @param {number} chunkLength
+     * @returns {Uint8Array[]}
+     */
+    const splitWeights = (end, chunkLength) => {
+      let chunks = [];
+      for (let i = 0; i < end; i += chunkLength) {
+        const chunkEnd = Math.min(i + chunkLength, end);
+        chunks.push(new Uint8Array(mlp.data.weights.slice(i, chunkEnd)));
+      }
+      return chunks;
+    };
+
+    it('creates layers as their weights arrive', async function() {
+      weightsChunks = splitWeights(104, 24);
+      let progress = [];
+      const model = new Model({
+        filepaths: urls,
+        streaming: true,
+        onLayerLoad: ({ name }) =>
+          progress.push([ name, model.xhrProgress.weights ])
+      });
+      await model.ready();
+      // dense_1 is created once the first 64 bytes have arrived, in the third chunk
+      assert.deepEqual(progress, [ [ 'dense_1', 69 ], [ 'dense_2', 100 ] ]);
+      const outputData = await model.predict({ input });
+      assertArraysClose(outputData.output, mlp.predict(input));
+    });
+
+    it('rejects with MissingWeightError if the stream ends early', async function() {
+      weightsChunks = splitWeights(truncatedLength, 24);
+      await checkTruncated({ filepaths: urls, streaming: true });
+    });
+
+    it('rejects with MissingWeightError if the stream is empty', async function() {
+      weightsChunks = [];
+      let loaded = [];
+      const model = new Model({
+        filepaths: urls,
+        streaming: true,
+        onLayerLoad: ({ name }) => loaded.push(name)
+      });
+      const err = await getRejection(model.ready());
+      assert.instanceOf(err, errors.MissingWeightError);
+      assert.strictEqual(err.layerName, 'dense_1');
+      assert.deepEqual(loaded, []);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { assert } from 'chai';
+import { Model } from '../../src/node';
+import {
+  createMLP,
+  createModelData,
+  inputLayerDef,
+  denseLayerDef,
+  denseWeights,
+  withNodes
+} from './helpers';
+
+describe('Model: summary and architecture export', function() {
+  // input_1 => dense_a => dense_b and dense_c, each => dense_s (shared), whose
+  // two results are concatenated by merge
+  const modelConfig = {
+    class_name: 'Model',
+    config: {
+      name: 'model_1',
+      layers: [
+        inputLayerDef('input_1', [ 3 ]),
+        withNodes(denseLayerDef('dense_a', 3, 4, 'relu'), [ 'input_1' ]),
+        withNodes(denseLayerDef('dense_b', 4, 2), [ 'dense_a' ]),
+        withNodes(denseLayerDef('dense_c', 4, 2), [ 'dense_a' ]),
+        withNodes(
+          denseLayerDef('dense_s', 2, 2),
+          [ 'dense_b' ],
+          [ 'dense_c' ]
+        ),
+        withNodes(
+          {
+            class_name: 'Merge',
+            config: { name: 'merge', mode: 'concat', concat_axis: -1 }
+          },
+          [ [ 'dense_s', 0 ], [ 'dense_s', 1 ] ]
+        )
+      ],
+      input_layers: [ [ 'input_1', 0, 0 ] ],
+      output_layers: [ [ 'merge', 0, 0 ] ]
+    }
+  };
+  const weights = [
+    ...denseWeights('dense_a', 3, 4, 1),
+    ...denseWeights('dense_b', 4, 2, 2),
+    ...denseWeights('dense_c', 4, 2, 3),
+    ...denseWeights('dense_s', 2, 2, 4)
+  ];
+  let model;
+
+  before(function() {
+    model = new Model({ data: createModelData(modelConfig, weights) });
+    return model.ready();
+  });
+
+  it('summarizes each node in plan order, with output shapes and params', function() {
+    const summary = model.summary();
+    assert.strictEqual(summary.name, 'model_1');
+    assert.strictEqual(summary.modelClass, 'Model');
+    // shared layer params are only counted for its first node
+    assert.strictEqual(summary.totalParams, 16 + 10 + 10 + 6);
+    assert.strictEqual(summary.totalParams, model.countParams());
+    assert.deepEqual(
+      summary.layers.map(({ name, className, outputShape, params }) => [
+        name,
+        className,
+        outputShape,
+        params
+      ]),
+      [
+        [ 'input_1', 'InputLayer', [ 3 ], 0 ],
+        [ 'dense_a', 'Dense', [ 4 ], 16 ],
+        [ 'dense_b', 'Dense', [ 2 ], 10 ],
+        [ 'dense_c', 'Dense', [ 2 ], 10 ],
+        [ 'dense_s', 'Dense', [ 2 ], 6 ],
+        [ 'dense_s:1', 'Dense', [ 2 ], 0 ],
+        [ 'merge', 'Merge', [ 4 ], 0 ]
+      ]
+    );
+    const shared = summary.layers[5];
+    assert.strictEqual(shared.layerName, 'dense_s');
+    assert.deepEqual(shared.inbound, [ 'dense_c' ]);
+    assert.isFalse(shared.gpu);
+    assert.isFalse(shared.pipeline);
+  });
+
+  it('exports the summary as JSON', function() {
+    const json = model.exportArchitecture();
+    assert.deepEqual(JSON.parse(json), model.summary());
+    assert.strictEqual(model.exportArchitecture('json'), json);
+  });
+
+  it('exports a DOT graph with a node for each layer call and an edge from each inbound node', function() {
+    assert.strictEqual(
+      model.exportArchitecture('dot'),
+      [
+        'digraph "model_1" {',
+        '  rankdir=TB;',
+        '  node [shape=record];',
+        '  "input_1" [label="{input_1|InputLayer|(3)|0 params}"];',
+        '  "dense_a" [label="{dense_a|Dense|(4)|16 params}"];',
+        '  "dense_b" [label="{dense_b|Dense|(2)|10 params}"];',
+        '  "dense_c" [label="{dense_c|Dense|(2)|10 params}"];',
+        '  "dense_s" [label="{dense_s|Dense|(2)|6 params}"];',
+        '  "dense_s:1" [label="{dense_s:1|Dense|(2)|0 params}"];',
+        '  "merge" [label="{merge|Merge|(4)|0 params}"];',
+        '  "input_1" -> "dense_a";',
+        '  "dense_a" -> "dense_b";',
+        '  "dense_a" -> "dense_c";',
+        '  "dense_b" -> "dense_s";',
+        '  "dense_c" -> "dense_s:1";',
+        '  "dense_s" -> "merge";',
+        '  "dense_s:1" -> "merge";',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+
+  it('throws for other export formats', function() {
+    assert.throws(
+      () => model.exportArchitecture('yaml'),
+      '[Model] architecture export format must be json or dot, not: yaml.'
+    );
+  });
+
+  it('summarizes Sequential models, named by their class', async function() {
+    const sequential = new Model({ data: createMLP().data });
+    await sequential.ready();
+    const summary = sequential.summary();
+    assert.isNull(summary.name);
+    assert.strictEqual(summary.modelClass, 'Sequential');
+    assert.deepEqual(summary.layers.map(({ name }) => name), [
+      'input',
+      'dense_1',
+      'dense_2'
+    ]);
+    assert.deepEqual(summary.layers[2].inbound, [ 'dense_1' ]);
+    assert.strictEqual(summary.totalParams, 16 + 10);
+    assert.match(
+      sequential.exportArchitecture('dot'),
+      /^digraph "Sequential" \{\n/
+    );
+  });
+});
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { assert } from 'chai';
+import { Model } from '../../../src/node';
+import {
+  isBundle,
+  parseBundle,
+  BUNDLE_HEADER_LENGTH
+} from '../../../src/utils/bundle';
+import {
+  createMLP,
+  createBundle,
+  writeModelFiles,
+  removeModelFiles,
+  assertArraysClose,
+  getRejection
+} from '../helpers';
+
+describe('utils: bundle', function() {
+  const mlp = createMLP();
+  const { data } = mlp;
+  const input = new Float32Array([ 0.5, -1.2, 2 ]);
+
+  // copy of bundle with its bytes modified
+  const modifyBundle = (bundle, modify) => {
+    let copy = bundle.slice(0);
+    modify(new DataView(copy), new Uint8Array(copy));
+    return copy;
+  };
+
+  let bundle;
+
+  beforeEach(function() {
+    bundle = createBundle(data);
+  });
+
+  describe('parseBundle', function() {
+    it('round-trips model, metadata, and weights', function() {
+      assert.isTrue(isBundle(bundle));
+      const parsed = parseBundle(bundle);
+      assert.deepEqual(parsed.model, data.model);
+      assert.strictEqual(parsed.weights, bundle);
+
+      // offsets are shifted to the start of the weights section in the bundle
+      const weightsOffset = new DataView(bundle).getUint32(36, true);
+      assert.strictEqual(weightsOffset % 4, 0);
+      assert.isAtLeast(weightsOffset, BUNDLE_HEADER_LENGTH);
+      parsed.metadata.forEach((meta, i) => {
+        const original = data.metadata[i];
+        assert.strictEqual(meta.offset, original.offset + weightsOffset);
+        assert.deepEqual(
+          Object.assign({}, meta, { offset: original.offset }),
+          original
+        );
+        assertArraysClose(
+          new Float32Array(bundle, meta.offset, meta.length),
+          new Float32Array(data.weights, original.offset, original.length),
+          0
+        );
+      });
+    });
+
+    it('throws on bad magic number', function() {
+      const badMagic = modifyBundle(bundle, (view, bytes) => {
+        bytes[0] = 'X'.charCodeAt(0);
+      });
+      assert.isFalse(isBundle(badMagic));
+      assert.throws(() => parseBundle(badMagic), /not a valid model bundle/);
+      assert.throws(
+        () => parseBundle(new ArrayBuffer(2)),
+        /not a valid model bundle/
+      );
+    });
+
+    it('throws on header shorter than header length', function() {
+      assert.throws(
+        () => parseBundle(bundle.slice(0, BUNDLE_HEADER_LENGTH - 1)),
+        /not a valid model bundle/
+      );
+    });
+
+    it('throws on unsupported version', function() {
+      const badVersion = modifyBundle(bundle, view => {
+        view.setUint32(4, 2, true);
+      });
+      assert.throws(
+        () => parseBundle(badVersion),
+        /unsupported bundle version 2, expected 1/
+      );
+    });
+
+    it('throws on truncated bundle', function() {
+      const truncated = bundle.slice(0, bundle.byteLength - 3);
+      assert.throws(
+        () => parseBundle(truncated),
+        new RegExp(
+          `bundle length ${truncated.byteLength} does not match length ${bundle.byteLength} in header, file may be truncated`
+        )
+      );
+    });
+
+    it('throws on section out of bounds', function() {
+      const badLength = modifyBundle(bundle, view => {
+        view.setUint32(40, view.getUint32(40, true) + 4, true);
+      });
+      assert.throws(
+        () => parseBundle(badLength),
+        /weights section out of bounds/
+      );
+    });
+
+    it('throws on checksum mismatch', function() {
+      const weightsOffset = new DataView(bundle).getUint32(36, true);
+      const corrupted = modifyBundle(bundle, (view, bytes) => {
+        bytes[weightsOffset + 5] ^= 0x01;
+      });
+      assert.throws(
+        () => parseBundle(corrupted),
+        /checksum mismatch in weights section/
+      );
+
+      const metadataOffset = new DataView(bundle).getUint32(24, true);
+      const corruptedMetadata = modifyBundle(bundle, (view, bytes) => {
+        bytes[metadataOffset + 1] ^= 0x20;
+      });
+      assert.throws(
+        () => parseBundle(corruptedMetadata),
+        /checksum mismatch in metadata section/
+      );
+    });
+  });
+
+  describe('Model', function() {
+    let filepaths;
+
+    before(function() {
+      filepaths = writeModelFiles(data);
+      filepaths.bundle = path.join(filepaths.dir, 'model_bundle.buf');
+      fs.writeFileSync(filepaths.bundle, Buffer.from(createBundle(data)));
+    });
+
+    after(function() {
+      removeModelFiles(filepaths.dir);
+    });
+
+    it('loads bundle from file', async function() {
+      const model = new Model({
+        filepaths: { bundle: filepaths.bundle },
+        filesystem: true
+      });
+      await model.ready();
+      const outputData = await model.predict({ input });
+      assertArraysClose(outputData.output, mlp.predict(input));
+    });
+
+    it('loads bundle from data in memory', async function() {
+      const model = new Model({ data: { bundle } });
+      await model.ready();
+      const outputData = await model.predict({ input });
+      assertArraysClose(outputData.output, mlp.predict(input));
+    });
+
+    it('rejects corrupted bundle before creating any layers', async function() {
+      const weightsOffset = new DataView(bundle).getUint32(36, true);
+      const corrupted = modifyBundle(bundle, (view, bytes) => {
+        bytes[weightsOffset] ^= 0x80;
+      });
+      const model = new Model({ data: { bundle: corrupted } });
+      const err = await getRejection(model.ready());
+      assert.match(err.message, /checksum mismatch in weights section/);
+      assert.lengthOf(model.loadedLayers, 0);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import { assert } from 'chai';
+import crc32 from '../../../src/utils/crc32';
+
+describe('utils: crc32', function() {
+  const ascii = str => new Uint8Array(Buffer.from(str, 'ascii'));
+
+  it('matches the standard check value', function() {
+    assert.strictEqual(crc32(ascii('123456789')), 0xcbf43926);
+  });
+
+  it('matches zlib.crc32 for other inputs', function() {
+    assert.strictEqual(crc32(new Uint8Array(0)), 0);
+    assert.strictEqual(crc32(ascii('a')), 0xe8b7be43);
+    assert.strictEqual(
+      crc32(ascii('The quick brown fox jumps over the lazy dog')),
+      0x414fa339
+    );
+    assert.strictEqual(crc32(new Uint8Array(32).fill(0xff)), 0xff6cab0b);
+  });
+
+  it('returns an unsigned 32-bit integer', function() {
+    const checksum = crc32(ascii('123456789'));
+    assert.isAbove(checksum, 0x7fffffff);
+    assert.strictEqual(checksum >>> 0, checksum);
+  });
+});
@@ -0,0 +1,304 @@
+import { assert } from 'chai';
+import decodeWeights, {
+  getWeightsByteLength
+} from '../../../src/utils/decodeWeights';
+import { Model } from '../../../src/node';
+import { createMLP, assertArraysClose } from '../helpers';
+
+describe('utils: decodeWeights', function() {
+  /**
+   * Weights data with bytes at an offset
+   * @param {TypedArray} data
+   * @param {number} [offset] - in bytes
+   * @returns {ArrayBuffer}
+   */
+  const toBuffer = (data, offset = 0) => {
+    let bytes = new Uint8Array(offset + data.byteLength);
+    bytes.set(
+      new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+      offset
+    );
+    return bytes.buffer;
+  };
+
+  /**
+   * Quantizes weights to uint8, as encoder.py does
+   * @param {number[]} w
+   * @param {string} quantization - `minmax` or `affine`
+   * @returns {Object} object with keys `data` (Uint8Array), and `meta`
+   */
+  const quantize = (w, quantization) => {
+    const clip = q => Math.min(Math.max(Math.round(q), 0), 255);
+    let min = Math.min(...w);
+    let max = Math.max(...w);
+    if (quantization === 'affine') {
+      min = Math.min(min, 0);
+      max = Math.max(max, 0);
+      const scale = (max - min) / 255 || 1;
+      const zeroPoint = Math.round(-min / scale);
+      return {
+        data: new Uint8Array(
+          w.map(x => clip(Math.round(x / scale) + zeroPoint))
+        ),
+        meta: { scale, zero_point: zeroPoint }
+      };
+    }
+    const step = (max - min) / 255;
+    return {
+      data: new Uint8Array(w.map(x => step ? clip((x - min) / step) : 0)),
+      meta: { min, max }
+    };
+  };
+
+  describe('getWeightsByteLength', function() {
+    it('returns byte length for each type', function() {
+      assert.strictEqual(getWeightsByteLength({ length: 5 }), 20);
+      assert.strictEqual(
+        getWeightsByteLength({ length: 5, type: 'float32' }),
+        20
+      );
+      assert.strictEqual(
+        getWeightsByteLength({ length: 5, type: 'float16' }),
+        10
+      );
+      assert.strictEqual(getWeightsByteLength({ length: 5, type: 'uint8' }), 5);
+    });
+
+    it('throws on unsupported type', function() {
+      assert.throws(
+        () => getWeightsByteLength({ length: 5, type: 'int4' }),
+        /unsupported weights type int4/
+      );
+    });
+  });
+
+  describe('float32', function() {
+    const data = new Float32Array([ 1.5, -2.25, 3e-8, 0 ]);
+
+    it('returns view on weights data without copying', function() {
+      const buffer = toBuffer(data, 8);
+      const decoded = decodeWeights(buffer, { offset: 8, length: 4 });
+      assert.strictEqual(decoded.buffer, buffer);
+      assertArraysClose(decoded, data, 0);
+    });
+
+    it('copies weights at unaligned offset', function() {
+      const decoded = decodeWeights(toBuffer(data, 3), {
+        offset: 3,
+        length: 4,
+        type: 'float32'
+      });
+      assertArraysClose(decoded, data, 0);
+    });
+  });
+
+  describe('float16', function() {
+    const decode = (bits, offset = 0) =>
+      decodeWeights(toBuffer(new Uint16Array(bits), offset), {
+        offset,
+        length: bits.length,
+        type: 'float16'
+      });
+
+    it('decodes zeros, keeping the sign', function() {
+      const [ positive, negative ] = decode([ 0x0000, 0x8000 ]);
+      assert.isTrue(Object.is(positive, 0));
+      assert.isTrue(Object.is(negative, -0));
+    });
+
+    it('decodes subnormals', function() {
+      const decoded = decode([ 0x0001, 0x03ff, 0x8001, 0x0200 ]);
+      assert.strictEqual(decoded[0], Math.pow(2, -24));
+      assert.strictEqual(decoded[1], 1023 * Math.pow(2, -24));
+      assert.strictEqual(decoded[2], -Math.pow(2, -24));
+      assert.strictEqual(decoded[3], Math.pow(2, -15));
+    });
+
+    it('decodes normals, including the smallest and largest', function() {
+      const decoded = decode([
+        0x0400,
+        0x3c00,
+        0xc000,
+        0x3555,
+        0x7bff,
+        0xfbff
+      ]);
+      assert.strictEqual(decoded[0], Math.pow(2, -14));
+      assert.strictEqual(decoded[1], 1);
+      assert.strictEqual(decoded[2], -2);
+      assert.strictEqual(decoded[3], 0.333251953125);
+      assert.strictEqual(decoded[4], 65504);
+      assert.strictEqual(decoded[5], -65504);
+    });
+
+    it('decodes infinities and NaN', function() {
+      const decoded = decode([ 0x7c00, 0xfc00, 0x7e00, 0x7c01, 0xffff ]);
+      assert.strictEqual(decoded[0], Infinity);
+      assert.strictEqual(decoded[1], -Infinity);
+      assert.isTrue(isNaN(decoded[2]));
+      assert.isTrue(isNaN(decoded[3]));
+      assert.isTrue(isNaN(decoded[4]));
+    });
+
+    it('decodes weights encoded by encoder.py', function() {
+      // numpy astype('<f2') of 0.1, -3.14159, 1000.5, 1e-5, 6e-8, 70000
+      const decoded = decode(
+        [ 0x2e66, 0xc248, 0x63d1, 0x00a8, 0x0001, 0x7c00 ],
+        2
+      );
+      assert.deepEqual(Array.from(decoded), [
+        0.0999755859375,
+        -3.140625,
+        1000.5,
+        1.0013580322265625e-5,
+        5.960464477539063e-8,
+        Infinity
+      ]);
+    });
+  });
+
+  describe('uint8', function() {
+    const w = [ -0.5, -0.1, 0, 0.25, 1.2, 0.7 ];
+
+    it('decodes minmax quantized weights encoded by encoder.py', function() {
+      const data = new Uint8Array([ 0, 60, 75, 112, 255, 180 ]);
+      const decoded = decodeWeights(toBuffer(data, 1), {
+        offset: 1,
+        length: 6,
+        type: 'uint8',
+        min: -0.5,
+        max: 1.2000000476837158
+      });
+      const step = 1.7 / 255;
+      assertArraysClose(decoded, w, step / 2);
+      assert.strictEqual(decoded[0], -0.5);
+      assert.closeTo(decoded[4], 1.2, 1e-7);
+    });
+
+    it('decodes affine quantized weights encoded by encoder.py, with exact 0', function() {
+      const data = new Uint8Array([ 0, 60, 75, 112, 255, 180 ]);
+      const decoded = decodeWeights(toBuffer(data, 3), {
+        offset: 3,
+        length: 6,
+        type: 'uint8',
+        scale: 0.006666666853661631,
+        zero_point: 75
+      });
+      assertArraysClose(decoded, w, 0.0067 / 2);
+      assert.strictEqual(decoded[2], 0);
+    });
+
+    [ 'minmax', 'affine' ].forEach(quantization => {
+      it(`round-trips ${quantization} quantized weights within half a step`, function() {
+        const values = Array.from(
+          { length: 50 },
+          (v, i) => Math.sin(i) * 3 + 1
+        );
+        const { data, meta } = quantize(values, quantization);
+        const decoded = decodeWeights(
+          toBuffer(data),
+          Object.assign(
+            { offset: 0, length: values.length, type: 'uint8' },
+            meta
+          )
+        );
+        const step = quantization === 'affine'
+          ? meta.scale
+          : (meta.max - meta.min) / 255;
+        assertArraysClose(decoded, values, step / 2 + 1e-6);
+      });
+    });
+
+    it('decodes constant tensors', function() {
+      const minmax = quantize([ 0.4, 0.4, 0.4 ], 'minmax');
+      const decoded = decodeWeights(
+        toBuffer(minmax.data),
+        Object.assign({ offset: 0, length: 3, type: 'uint8' }, minmax.meta)
+      );
+      assertArraysClose(decoded, [ 0.4, 0.4, 0.4 ], 1e-7);
+
+      const affine = quantize([ 0, 0, 0 ], 'affine');
+      assert.strictEqual(affine.meta.scale, 1);
+      assertArraysClose(
+        decodeWeights(
+          toBuffer(affine.data),
+          Object.assign({ offset: 0, length: 3, type: 'uint8' }, affine.meta)
+        ),
+        [ 0, 0, 0 ],
+        0
+      );
+    });
+
+    it('throws without quantization parameters', function() {
+      assert.throws(
+        () =>
+          decodeWeights(new ArrayBuffer(4), {
+            weight_name: 'dense_1_W',
+            offset: 0,
+            length: 4,
+            type: 'uint8'
+          }),
+        /uint8 weights dense_1_W require min and max, or scale and zero_point/
+      );
+    });
+  });
+
+  describe('Model', function() {
+    [ 'minmax', 'affine' ].forEach(quantization => {
+      it(`loads ${quantization} quantized weights`, async function() {
+        const mlp = createMLP();
+        const { model, metadata, weights } = mlp.data;
+
+        // each weight tensor quantized and aligned to 4 bytes, as encoder.py does
+        let offset = 0;
+        let chunks = [];
+        const quantizedMetadata = metadata.map(meta => {
+          const { data, meta: encoding } = quantize(
+            Array.from(decodeWeights(weights, meta)),
+            quantization
+          );
+          const padding = (4 - data.length % 4) % 4;
+          chunks.push(data, new Uint8Array(padding));
+          const quantizedMeta = Object.assign({}, meta, encoding, {
+            offset,
+            type: 'uint8'
+          });
+          offset += data.length + padding;
+          return quantizedMeta;
+        });
+        let quantizedWeights = new Uint8Array(offset);
+        chunks.reduce(
+          (pos, chunk) => {
+            quantizedWeights.set(chunk, pos);
+            return pos + chunk.length;
+          },
+          0
+        );
+
+        const quantizedModel = new Model({
+          data: {
+            model,
+            weights: quantizedWeights,
+            metadata: quantizedMetadata
+          }
+        });
+        await quantizedModel.ready();
+        const input = new Float32Array([ 0.5, -1.2, 2 ]);
+        const outputData = await quantizedModel.predict({ input });
+        assertArraysClose(outputData.output, mlp.predict(input), 0.02);
+      });
+    });
+  });
+
+  it('throws on unsupported type', function() {
+    assert.throws(
+      () =>
+        decodeWeights(new ArrayBuffer(4), {
+          offset: 0,
+          length: 1,
+          type: 'int4'
+        }),
+      /unsupported weights type int4/
+    );
+  });
+});
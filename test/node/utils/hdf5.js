@@ -0,0 +1,336 @@
+import fs from 'fs';
+import path from 'path';
+import { assert } from 'chai';
+import { Model } from '../../../src/node';
+import { isHDF5, parseHDF5, HDF5File } from '../../../src/utils/hdf5';
+import { denseReference, assertArraysClose } from '../helpers';
+
+// fixtures generated by fixtures/hdf5/generate.py
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/hdf5');
+
+// chunk index types (see utils/hdf5.js)
+const CHUNK_INDEX_BTREE = 0;
+const CHUNK_INDEX_SINGLE = 1;
+const CHUNK_INDEX_IMPLICIT = 2;
+const CHUNK_INDEX_FIXED_ARRAY = 3;
+
+/**
+ * Contents of HDF5 fixture file
+ * @param {string} name
+ * @returns {ArrayBuffer}
+ */
+function readFixture(name) {
+  const buffer = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.h5`));
+  return buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.byteLength
+  );
+}
+
+/**
+ * Values of fixture datasets at each flat index, as written by generate.py
+ * @param {number[]} shape
+ * @returns {number[]}
+ */
+function fixtureValues(shape) {
+  const size = shape.reduce((a, b) => a * b, 1);
+  return Array.from({ length: size }, (v, i) => i % 97 / 4 - 12);
+}
+
+describe('utils: hdf5', function() {
+  /**
+   * Checks weights metadata and weights parsed from a fixture file
+   * @param {Object} parsed - from parseHDF5()
+   * @param {Array[]} expected - `[layer name, weight name, shape]` of each weight
+   */
+  const checkWeights = (parsed, expected) => {
+    const { metadata, weights } = parsed;
+    assert.deepEqual(
+      metadata.map(meta => [ meta.layer_name, meta.weight_name, meta.shape ]),
+      expected
+    );
+    let offset = 0;
+    metadata.forEach(meta => {
+      assert.strictEqual(meta.offset, offset);
+      assert.strictEqual(meta.type, 'float32');
+      assert.strictEqual(
+        meta.length,
+        meta.shape.reduce((a, b) => a * b, 1)
+      );
+      offset += meta.length * 4;
+    });
+    assert.strictEqual(weights.byteLength, offset);
+  };
+
+  /**
+   * Decoded values of weight
+   * @param {Object} parsed - from parseHDF5()
+   * @param {string} weightName
+   * @returns {Float32Array}
+   */
+  const getValues = (parsed, weightName) => {
+    const meta = parsed.metadata.find(m => m.weight_name === weightName);
+    return new Float32Array(parsed.weights, meta.offset, meta.length);
+  };
+
+  const getLayout = (file, datasetPath) =>
+    file.getDataset(file.get(datasetPath)).layout;
+
+  // superblock offset, after any user block, and version
+  const superblockStart = buffer => {
+    const bytes = new Uint8Array(buffer);
+    return [ 0, 512, 1024 ].find(offset => bytes[offset + 1] === 0x48);
+  };
+  const superblockVersion = buffer =>
+    new Uint8Array(buffer)[superblockStart(buffer) + 8];
+
+  // version 2 object headers start with a signature, and version 1 headers
+  // with the version
+  const objectHeaderVersion = (buffer, address) =>
+    String.fromCharCode(...new Uint8Array(buffer, address, 4)) === 'OHDR'
+      ? 2
+      : new Uint8Array(buffer)[address];
+
+  it('detects HDF5 files', function() {
+    assert.isTrue(isHDF5(readFixture('superblock_v0')));
+    assert.isTrue(isHDF5(readFixture('superblock_v1')));
+    assert.isFalse(isHDF5(new ArrayBuffer(2048)));
+    assert.throws(
+      () => parseHDF5(new ArrayBuffer(16)),
+      /not a valid HDF5 file/
+    );
+  });
+
+  describe('superblock version 0, version 1 object headers, symbol table groups', function() {
+    const buffer = readFixture('superblock_v0');
+    const file = new HDF5File(buffer);
+
+    it('is in the format under test', function() {
+      assert.strictEqual(superblockVersion(buffer), 0);
+      assert.strictEqual(objectHeaderVersion(buffer, file.rootAddress), 1);
+      assert.strictEqual(getLayout(file, 'dense_1/dense_1_W').layoutClass, 1);
+      assert.strictEqual(getLayout(file, 'other/other_compact').layoutClass, 0);
+      assert.strictEqual(
+        getLayout(file, 'big/big_W').chunkIndex,
+        CHUNK_INDEX_BTREE
+      );
+    });
+
+    it('lists groups, and weights in attribute order', function() {
+      const children = file.getChildren(file.rootAddress);
+      assert.sameMembers(Array.from(children.keys()), [
+        'dense_1',
+        'conv_1',
+        'big',
+        'other',
+        'dropout_1'
+      ]);
+      const parsed = parseHDF5(buffer);
+      assert.isNull(parsed.model);
+      checkWeights(parsed, [
+        [ 'dense_1', 'dense_1_W', [ 3, 4 ] ],
+        [ 'dense_1', 'dense_1_b', [ 4 ] ],
+        [ 'conv_1', 'conv_1_W', [ 3, 3, 2, 4 ] ],
+        [ 'big', 'big_W', [ 20, 20 ] ],
+        [ 'other', 'other_compact', [ 5 ] ],
+        [ 'other', 'other_bigendian', [ 2, 3 ] ]
+      ]);
+    });
+
+    it('reads contiguous float32 and float64 datasets', function() {
+      const parsed = parseHDF5(buffer);
+      assertArraysClose(
+        getValues(parsed, 'dense_1_W'),
+        fixtureValues([ 3, 4 ]),
+        0
+      );
+      assertArraysClose(
+        getValues(parsed, 'dense_1_b'),
+        fixtureValues([ 4 ]),
+        0
+      );
+    });
+
+    it('reads compact and big-endian datasets', function() {
+      const parsed = parseHDF5(buffer);
+      assertArraysClose(
+        getValues(parsed, 'other_compact'),
+        fixtureValues([ 5 ]),
+        0
+      );
+      assertArraysClose(
+        getValues(parsed, 'other_bigendian'),
+        fixtureValues([ 2, 3 ]),
+        0
+      );
+    });
+
+    it('reads chunked datasets indexed by B-tree, with partial edge chunks', function() {
+      const parsed = parseHDF5(buffer);
+      assertArraysClose(
+        getValues(parsed, 'conv_1_W'),
+        fixtureValues([ 3, 3, 2, 4 ]),
+        0
+      );
+      // 100 chunks, more than fit in a B-tree leaf node
+      assertArraysClose(
+        getValues(parsed, 'big_W'),
+        fixtureValues([ 20, 20 ]),
+        0
+      );
+    });
+  });
+
+  describe('superblock version 1, after user block', function() {
+    const buffer = readFixture('superblock_v1');
+
+    it('is in the format under test', function() {
+      assert.strictEqual(superblockStart(buffer), 512);
+      assert.strictEqual(superblockVersion(buffer), 1);
+    });
+
+    it('reads datasets', function() {
+      const parsed = parseHDF5(buffer);
+      checkWeights(parsed, [
+        [ 'dense_1', 'dense_1_W', [ 3, 4 ] ],
+        [ 'dense_1', 'dense_1_b', [ 4 ] ],
+        [ 'big', 'big_W', [ 20, 20 ] ]
+      ]);
+      assertArraysClose(
+        getValues(parsed, 'dense_1_W'),
+        fixtureValues([ 3, 4 ]),
+        0
+      );
+      assertArraysClose(
+        getValues(parsed, 'big_W'),
+        fixtureValues([ 20, 20 ]),
+        0
+      );
+    });
+  });
+
+  describe('superblock version 2, version 2 object headers, compact link groups', function() {
+    const buffer = readFixture('superblock_v2');
+    const file = new HDF5File(buffer);
+
+    it('is in the format under test', function() {
+      assert.strictEqual(superblockVersion(buffer), 2);
+      assert.strictEqual(objectHeaderVersion(buffer, file.rootAddress), 2);
+      assert.strictEqual(
+        getLayout(file, 'model_weights/dense_1/dense_1_W').chunkIndex,
+        CHUNK_INDEX_BTREE
+      );
+    });
+
+    it('reads embedded model config, and attributes in continuation blocks', function() {
+      const parsed = parseHDF5(buffer);
+      assert.strictEqual(parsed.model.class_name, 'Sequential');
+      assert.deepEqual(
+        file.getAttributes(file.get('model_weights/dense_1')).weight_names,
+        [ 'dense_1_W', 'dense_1_b' ]
+      );
+      checkWeights(parsed, [
+        [ 'dense_1', 'dense_1_W', [ 3, 4 ] ],
+        [ 'dense_1', 'dense_1_b', [ 4 ] ],
+        [ 'dense_2', 'dense_2_W', [ 4, 2 ] ],
+        [ 'dense_2', 'dense_2_b', [ 2 ] ]
+      ]);
+      parsed.metadata.forEach(meta => {
+        assertArraysClose(
+          getValues(parsed, meta.weight_name),
+          fixtureValues(meta.shape),
+          0
+        );
+      });
+    });
+
+    it('loads model from HDF5 file with embedded model config', async function() {
+      const model = new Model({
+        filepaths: { hdf5: path.join(FIXTURES_DIR, 'superblock_v2.h5') },
+        filesystem: true
+      });
+      await model.ready();
+
+      const weights = (inputDim, outputDim) =>
+        [ [ inputDim, outputDim ], [ outputDim ] ].map(shape => ({
+          shape,
+          data: fixtureValues(shape)
+        }));
+      const input = new Float32Array([ 0.5, -1.2, 2 ]);
+      const expected = denseReference(
+        denseReference(input, weights(3, 4), 'relu'),
+        weights(4, 2)
+      );
+      const outputData = await model.predict({ input });
+      assertArraysClose(outputData.output, expected, 1e-4);
+    });
+  });
+
+  describe('superblock version 3, version 4 data layout chunk indexes', function() {
+    const buffer = readFixture('superblock_v3');
+    const file = new HDF5File(buffer);
+    const parsed = parseHDF5(buffer);
+
+    it('is in the format under test', function() {
+      assert.strictEqual(superblockVersion(buffer), 3);
+      assert.strictEqual(objectHeaderVersion(buffer, file.rootAddress), 2);
+    });
+
+    it('reads chunked dataset with single chunk index', function() {
+      assert.strictEqual(
+        getLayout(file, 'chunked/single_W').chunkIndex,
+        CHUNK_INDEX_SINGLE
+      );
+      assertArraysClose(
+        getValues(parsed, 'single_W'),
+        fixtureValues([ 2, 3 ]),
+        0
+      );
+    });
+
+    it('reads chunked dataset with implicit index', function() {
+      assert.strictEqual(
+        getLayout(file, 'chunked/implicit_W').chunkIndex,
+        CHUNK_INDEX_IMPLICIT
+      );
+      assertArraysClose(
+        getValues(parsed, 'implicit_W'),
+        fixtureValues([ 4, 5 ]),
+        0
+      );
+    });
+
+    it('reads chunked dataset with fixed array index, with partial edge chunks', function() {
+      assert.strictEqual(
+        getLayout(file, 'chunked/fixed_W').chunkIndex,
+        CHUNK_INDEX_FIXED_ARRAY
+      );
+      assertArraysClose(
+        getValues(parsed, 'fixed_W'),
+        fixtureValues([ 10, 10 ]),
+        0
+      );
+    });
+
+    it('reads chunked dataset with paged fixed array index', function() {
+      // 1600 chunks, in pages of 1024
+      assert.strictEqual(
+        getLayout(file, 'chunked/paged_W').chunkIndex,
+        CHUNK_INDEX_FIXED_ARRAY
+      );
+      assertArraysClose(
+        getValues(parsed, 'paged_W'),
+        fixtureValues([ 40, 40 ]),
+        0
+      );
+    });
+
+    it('reads unallocated chunks of fixed array index as zeros', function() {
+      // only the first 2 rows are written, so the second page is not allocated
+      const expected = fixtureValues([ 40, 40 ]).map(
+        (value, i) => i < 80 ? value : 0
+      );
+      assertArraysClose(getValues(parsed, 'sparse_W'), expected, 0);
+    });
+  });
+});
@@ -0,0 +1,393 @@
+import path from 'path';
+import { assert } from 'chai';
+import snakeCase from 'lodash/snakeCase';
+import { Model, errors } from '../../../src/node';
+import { normalizeModelConfig } from '../../../src/utils/keras2';
+import { createModelData, assertArraysClose, getRejection } from '../helpers';
+
+// Keras 1 layer test data, in the browser layer tests
+const LAYER_TESTS_DIR = path.join(__dirname, '../../layers');
+
+/**
+ * Loads Keras 1 layer test data files, which set `window.TEST_DATA`
+ * @param {...string} files - paths relative to the layer tests directory
+ * @returns {Object} test data, keyed by test ID
+ */
+function loadLayerTestData(...files) {
+  global.window = { TEST_DATA: {} };
+  files.forEach(file => require(path.join(LAYER_TESTS_DIR, file)));
+  const data = global.window.TEST_DATA;
+  delete global.window;
+  return data;
+}
+
+/**
+ * Fuses weights of each gate along the last axis, as in Keras 2
+ * @param {Object[]} gates - weights of each gate, with keys `data` and `shape`
+ * @returns {Object} fused weights, with keys `data` and `shape`
+ */
+function fuseGates(gates) {
+  const { shape } = gates[0];
+  const size = shape[shape.length - 1];
+  const rows = gates[0].data.length / size;
+  let data = [];
+  for (let row = 0; row < rows; row++) {
+    gates.forEach(gate => {
+      data.push(...gate.data.slice(row * size, (row + 1) * size));
+    });
+  }
+  return { data, shape: [ ...shape.slice(0, -1), size * gates.length ] };
+}
+
+/**
+ * Transposes data of shape (rows, cols, channels) to (channels, rows, cols)
+ * @param {Object} x - with keys `data` and `shape`
+ * @returns {Object} transposed, with keys `data` and `shape`
+ */
+function toChannelsFirst({ data, shape }) {
+  const [ rows, cols, channels ] = shape;
+  let transposed = new Array(data.length);
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < cols; j++) {
+      for (let k = 0; k < channels; k++) {
+        transposed[k * rows * cols + i * cols + j] = data[
+          i * cols * channels + j * channels + k
+        ];
+      }
+    }
+  }
+  return { data: transposed, shape: [ channels, rows, cols ] };
+}
+
+/**
+ * Creates single layer Sequential Keras 2 model
+ * @param {Object} layerDef - Keras 2 layer definition
+ * @param {Object} weights - weights keyed by Keras 2 weight name, e.g.
+ *                           `kernel`, with keys `data` and `shape`
+ * @returns {Promise} resolves to the model, once ready
+ */
+async function createKeras2Model(layerDef, weights) {
+  const layerName = layerDef.config.name;
+  const model = new Model({
+    data: createModelData(
+      {
+        class_name: 'Sequential',
+        keras_version: '2.0.8',
+        config: [ layerDef ]
+      },
+      Object.keys(weights).map(name => ({
+        layerName,
+        weightName: `${layerName}/${name}:0`,
+        shape: weights[name].shape,
+        data: weights[name].data
+      }))
+    )
+  });
+  await model.ready();
+  return model;
+}
+
+/**
+ * Runs single layer Sequential Keras 2 model
+ * @param {Object} layerDef - Keras 2 layer definition
+ * @param {Object} weights - see createKeras2Model
+ * @param {number[]} input
+ * @returns {Promise} resolves to output data
+ */
+async function runKeras2Layer(layerDef, weights, input) {
+  const model = await createKeras2Model(layerDef, weights);
+  const outputData = await model.predict({ input: new Float32Array(input) });
+  return outputData.output;
+}
+
+describe('utils: keras2', function() {
+  const TEST_DATA = loadLayerTestData(
+    'recurrent/LSTM_data.js',
+    'recurrent/GRU_data.js',
+    'convolutional/Convolution2D_data.js'
+  );
+
+  describe('recurrent layer weights', function() {
+    // Keras 1 test cases of non-stateful layers: input shape, and attributes
+    const testParams = [
+      {
+        inputShape: [ 3, 6 ],
+        units: 4,
+        activation: 'tanh',
+        innerActivation: 'hardSigmoid',
+        returnSequences: false,
+        goBackwards: false
+      },
+      {
+        inputShape: [ 8, 5 ],
+        units: 5,
+        activation: 'sigmoid',
+        innerActivation: 'sigmoid',
+        returnSequences: false,
+        goBackwards: false
+      },
+      {
+        inputShape: [ 3, 6 ],
+        units: 4,
+        activation: 'tanh',
+        innerActivation: 'hardSigmoid',
+        returnSequences: true,
+        goBackwards: false
+      },
+      {
+        inputShape: [ 3, 6 ],
+        units: 4,
+        activation: 'tanh',
+        innerActivation: 'hardSigmoid',
+        returnSequences: false,
+        goBackwards: true
+      },
+      {
+        inputShape: [ 3, 6 ],
+        units: 4,
+        activation: 'tanh',
+        innerActivation: 'hardSigmoid',
+        returnSequences: true,
+        goBackwards: true
+      }
+    ];
+
+    /**
+     * Keras 2 recurrent layer definition for Keras 1 test case
+     * @param {string} layerClass
+     * @param {Object} params
+     * @returns {Object}
+     */
+    const recurrentLayerDef = (layerClass, params) => ({
+      class_name: layerClass,
+      config: {
+        name: `${layerClass.toLowerCase()}_1`,
+        units: params.units,
+        activation: snakeCase(params.activation),
+        recurrent_activation: snakeCase(params.innerActivation),
+        use_bias: true,
+        return_sequences: params.returnSequences,
+        go_backwards: params.goBackwards,
+        stateful: false,
+        batch_input_shape: [ null, ...params.inputShape ]
+      }
+    });
+
+    testParams.forEach((params, i) => {
+      it(`converts fused LSTM gates i, f, c, o to Keras 1 weights [recurrent.LSTM.${i}]`, async function() {
+        const { input, weights, expected } = TEST_DATA[`recurrent.LSTM.${i}`];
+        // Keras 1 weights are W, U, b for each gate, in the order i, c, f, o
+        const gates = [ 0, 2, 1, 3 ].map(gate =>
+          weights.slice(gate * 3, gate * 3 + 3));
+        const output = await runKeras2Layer(
+          recurrentLayerDef('LSTM', params),
+          {
+            kernel: fuseGates(gates.map(gate => gate[0])),
+            recurrent_kernel: fuseGates(gates.map(gate => gate[1])),
+            bias: fuseGates(gates.map(gate => gate[2]))
+          },
+          input.data
+        );
+        assertArraysClose(output, expected.data, 1e-5);
+      });
+    });
+
+    testParams.forEach((params, i) => {
+      it(`splits fused GRU gates z, r, h into Keras 1 weights [recurrent.GRU.${i}]`, async function() {
+        const { input, weights, expected } = TEST_DATA[`recurrent.GRU.${i}`];
+        // Keras 1 weights are W, U, b for each gate, in the order z, r, h
+        const gates = [ 0, 1, 2 ].map(gate =>
+          weights.slice(gate * 3, gate * 3 + 3));
+        const output = await runKeras2Layer(
+          recurrentLayerDef('GRU', params),
+          {
+            kernel: fuseGates(gates.map(gate => gate[0])),
+            recurrent_kernel: fuseGates(gates.map(gate => gate[1])),
+            bias: fuseGates(gates.map(gate => gate[2]))
+          },
+          input.data
+        );
+        assertArraysClose(output, expected.data, 1e-5);
+      });
+    });
+
+    it('rejects GRU with reset_after', async function() {
+      let layerDef = recurrentLayerDef('GRU', testParams[0]);
+      layerDef.config.reset_after = true;
+      const err = await getRejection(runKeras2Layer(layerDef, {}, []));
+      assert.instanceOf(err, errors.UnsupportedLayerError);
+      assert.strictEqual(err.layerClass, 'GRU');
+    });
+  });
+
+  describe('convolution kernels', function() {
+    // Keras 1 test cases: layer attributes, with tf dim ordering
+    const testParams = [
+      { activation: 'linear', padding: 'valid', strides: [ 1, 1 ], bias: true },
+      {
+        activation: 'linear',
+        padding: 'valid',
+        strides: [ 1, 1 ],
+        bias: false
+      },
+      { activation: 'relu', padding: 'valid', strides: [ 2, 2 ], bias: true },
+      { activation: 'relu', padding: 'valid', strides: [ 2, 1 ], bias: true },
+      { activation: 'relu', padding: 'same', strides: [ 1, 1 ], bias: true }
+    ];
+
+    /**
+     * Keras 2 Conv2D layer definition for Keras 1 test case
+     * @param {Object} params
+     * @param {number[]} kernelShape
+     * @param {string} dataFormat
+     * @param {number[]} inputShape
+     * @returns {Object}
+     */
+    const conv2DLayerDef = (params, kernelShape, dataFormat, inputShape) => {
+      const [ nbRow, nbCol, , nbFilter ] = kernelShape;
+      return {
+        class_name: 'Conv2D',
+        config: {
+          name: 'conv2d_1',
+          filters: nbFilter,
+          kernel_size: [ nbRow, nbCol ],
+          strides: params.strides,
+          padding: params.padding,
+          data_format: dataFormat,
+          dilation_rate: [ 1, 1 ],
+          activation: params.activation,
+          use_bias: params.bias,
+          batch_input_shape: [ null, ...inputShape ]
+        }
+      };
+    };
+
+    [ 'channels_last', 'channels_first' ].forEach(dataFormat => {
+      testParams.forEach((params, i) => {
+        it(`converts Conv2D kernel with data_format ${dataFormat} [convolutional.Convolution2D.${i}]`, async function() {
+          const { input, weights, expected } = TEST_DATA[
+            `convolutional.Convolution2D.${i}`
+          ];
+          // Keras 2 kernels are (rows, cols, input channels, filters) in both
+          // data formats, the same as Keras 1 kernels in tf dim ordering, and
+          // are transposed to (filters, input channels, rows, cols) for th
+          const [ kernel, bias ] = weights;
+          const channelsFirst = dataFormat === 'channels_first';
+          const x = channelsFirst ? toChannelsFirst(input) : input;
+          const output = await runKeras2Layer(
+            conv2DLayerDef(params, kernel.shape, dataFormat, x.shape),
+            params.bias ? { kernel, bias } : { kernel },
+            x.data
+          );
+          assertArraysClose(
+            output,
+            channelsFirst ? toChannelsFirst(expected).data : expected.data,
+            1e-5
+          );
+        });
+      });
+    });
+
+    it('runs mini-batches with data_format channels_first', async function() {
+      const { input, weights, expected } = TEST_DATA[
+        'convolutional.Convolution2D.4'
+      ];
+      const [ kernel, bias ] = weights;
+      const x = toChannelsFirst(input);
+      const model = await createKeras2Model(
+        conv2DLayerDef(testParams[4], kernel.shape, 'channels_first', x.shape),
+        { kernel, bias }
+      );
+      const zeros = new Float32Array(x.data.length);
+      const zerosOutput = (await model.predict({ input: zeros })).output;
+      const outputData = await model.predictBatch({
+        input: [ new Float32Array(x.data), zeros ]
+      });
+      assertArraysClose(outputData.output[0], toChannelsFirst(expected).data);
+      assertArraysClose(outputData.output[1], zerosOutput);
+    });
+  });
+
+  describe('normalizeModelConfig', function() {
+    it('maps Keras 2 layer classes and config keys onto Keras 1', function() {
+      const { config: [ conv, dense ] } = normalizeModelConfig({
+        class_name: 'Sequential',
+        config: [
+          {
+            class_name: 'Conv2D',
+            config: {
+              name: 'conv2d_1',
+              filters: 4,
+              kernel_size: 3,
+              strides: [ 2, 2 ],
+              padding: 'same',
+              data_format: 'channels_first',
+              use_bias: false
+            }
+          },
+          { class_name: 'Dense', config: { name: 'dense_1', units: 10 } }
+        ]
+      });
+      assert.strictEqual(conv.class_name, 'Convolution2D');
+      assert.deepEqual(conv.config, {
+        name: 'conv2d_1',
+        nb_filter: 4,
+        nb_row: 3,
+        nb_col: 3,
+        subsample: [ 2, 2 ],
+        border_mode: 'same',
+        dim_ordering: 'th',
+        bias: false
+      });
+      assert.deepEqual(dense, {
+        class_name: 'Dense',
+        config: { name: 'dense_1', output_dim: 10 }
+      });
+    });
+
+    it('maps merge layers onto Merge, and inbound nodes onto arrays', function() {
+      const keras3Tensor = name => ({
+        class_name: '__keras_tensor__',
+        config: { shape: [ null, 4 ], keras_history: [ name, 0, 0 ] }
+      });
+      const { class_name: className, config } = normalizeModelConfig({
+        class_name: 'Functional',
+        config: {
+          layers: [
+            {
+              class_name: 'Add',
+              name: 'add_1',
+              config: { name: 'add_1' },
+              inbound_nodes: [
+                [ [ 'dense_1', 0, 0, {} ], [ 'dense_2', 1, 0, {} ] ]
+              ]
+            },
+            {
+              class_name: 'Concatenate',
+              name: 'concatenate_1',
+              config: { name: 'concatenate_1', axis: -1 },
+              inbound_nodes: [
+                {
+                  args: [ [ keras3Tensor('add_1'), keras3Tensor('dense_3') ] ],
+                  kwargs: {}
+                }
+              ]
+            }
+          ]
+        }
+      });
+      assert.strictEqual(className, 'Model');
+      const [ add, concatenate ] = config.layers;
+      assert.strictEqual(add.class_name, 'Merge');
+      assert.strictEqual(add.config.mode, 'sum');
+      assert.deepEqual(add.inbound_nodes, [
+        [ [ 'dense_1', 0, 0 ], [ 'dense_2', 1, 0 ] ]
+      ]);
+      assert.strictEqual(concatenate.config.mode, 'concat');
+      assert.strictEqual(concatenate.config.concat_axis, -1);
+      assert.deepEqual(concatenate.inbound_nodes, [
+        [ [ 'add_1', 0, 0 ], [ 'dense_3', 0, 0 ] ]
+      ]);
+    });
+  });
+});
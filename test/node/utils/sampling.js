@@ -0,0 +1,81 @@
+import { assert } from 'chai';
+import range from 'lodash/range';
+import { sample } from '../../../src/utils/sampling';
+import { seededRandom } from '../helpers';
+
+describe('utils: sampling', function() {
+  const probs = [ 0.1, 0.2, 0.3, 0.4 ];
+
+  it('samples indices by their cumulative probability', function() {
+    assert.strictEqual(sample(probs, { random: () => 0 }), 0);
+    assert.strictEqual(sample(probs, { random: () => 0.25 }), 1);
+    assert.strictEqual(sample(probs, { random: () => 0.5 }), 2);
+    assert.strictEqual(sample(probs, { random: () => 0.999 }), 3);
+    // probabilities are not necessarily normalized
+    assert.strictEqual(sample([ 1, 2, 3, 4 ], { random: () => 0.25 }), 1);
+    assert.strictEqual(
+      sample(new Float32Array(probs), { random: () => 0.5 }),
+      2
+    );
+  });
+
+  it('never samples indices of zero probability', function() {
+    assert.strictEqual(sample([ 0, 1, 0 ], { random: () => 0 }), 1);
+    assert.strictEqual(sample([ 0, 1, 0 ], { random: () => 0.999 }), 1);
+    // for which round-off leaves part of the random number after the last index
+    assert.strictEqual(
+      sample([ 0.81, 0.61, 0.96, 0.31, 0 ], {
+        random: () => 1 - Number.EPSILON
+      }),
+      3
+    );
+  });
+
+  it('throws if no probability is positive', function() {
+    const message =
+      'sample() must take probabilities of which at least one is positive.';
+    assert.throws(() => sample([ 0, 0, 0 ]), message);
+    assert.throws(() => sample([ 0, 0 ], { temperature: 0 }), message);
+  });
+
+  it('takes the most likely index at temperature 0, without random numbers', function() {
+    const random = () => assert.fail('called', 'not called', 'random called');
+    assert.strictEqual(sample(probs, { temperature: 0, random }), 3);
+    assert.strictEqual(
+      sample([ 0.3, 0.5, 0.2 ], { temperature: 0, topK: 2, random }),
+      1
+    );
+  });
+
+  it('makes likely indices more likely at temperatures below 1', function() {
+    // weights p^2 are 0.01, 0.04, 0.09, 0.16 of 0.3
+    assert.strictEqual(sample(probs, { random: () => 0.5 }), 2);
+    assert.strictEqual(
+      sample(probs, { temperature: 0.5, random: () => 0.5 }),
+      3
+    );
+    assert.strictEqual(
+      sample(probs, { temperature: 0.5, random: () => 0.45 }),
+      2
+    );
+  });
+
+  it('only samples the k most likely indices with topK', function() {
+    // indices 3 and 2, of weights 0.4 and 0.3 of 0.7
+    assert.strictEqual(sample(probs, { topK: 2, random: () => 0 }), 3);
+    assert.strictEqual(sample(probs, { topK: 2, random: () => 0.5 }), 3);
+    assert.strictEqual(sample(probs, { topK: 2, random: () => 0.6 }), 2);
+    assert.strictEqual(sample(probs, { topK: 1, random: () => 0.999 }), 3);
+
+    const random = seededRandom(7);
+    const samples = range(100).map(() => sample(probs, { topK: 2, random }));
+    assert.sameMembers(Array.from(new Set(samples)), [ 2, 3 ]);
+  });
+
+  it('returns the same indices from generators of the same seed', function() {
+    const draw = random => range(20).map(() => sample(probs, { random }));
+    const samples = draw(seededRandom(42));
+    assert.deepEqual(draw(seededRandom(42)), samples);
+    assert.notDeepEqual(draw(seededRandom(43)), samples);
+  });
+});
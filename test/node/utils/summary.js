@@ -0,0 +1,51 @@
+import { assert } from 'chai';
+import { formatShape, summaryToDot } from '../../../src/utils/summary';
+
+describe('utils: summary', function() {
+  it('formats output shapes, including unknown shapes and several outputs', function() {
+    assert.strictEqual(formatShape([ 26, 26, 32 ]), '(26, 26, 32)');
+    assert.strictEqual(formatShape([ 10 ]), '(10)');
+    assert.strictEqual(formatShape(null), '?');
+    assert.strictEqual(formatShape([ [ 4 ], [ 2, 3 ] ]), '(4), (2, 3)');
+  });
+
+  it('escapes names in DOT ids and record labels', function() {
+    const dot = summaryToDot({
+      name: null,
+      modelClass: 'Model',
+      layers: [
+        {
+          name: 'in"put',
+          className: 'InputLayer',
+          inbound: [],
+          outputShape: [ 3 ],
+          params: 0,
+          gpu: false,
+          pipeline: false
+        },
+        {
+          name: 'a|b{c}',
+          className: 'Dense',
+          inbound: [ 'in"put' ],
+          outputShape: null,
+          params: 16,
+          gpu: true,
+          pipeline: true
+        }
+      ]
+    });
+    assert.strictEqual(
+      dot,
+      [
+        'digraph "Model" {',
+        '  rankdir=TB;',
+        '  node [shape=record];',
+        '  "in\\"put" [label="{in\\"put|InputLayer|(3)|0 params}"];',
+        '  "a|b{c}" [label="{a\\|b\\{c\\}|Dense|?|16 params|GPU pipeline}"];',
+        '  "in\\"put" -> "a|b{c}";',
+        '}',
+        ''
+      ].join('\n')
+    );
+  });
+});
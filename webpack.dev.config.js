@@ -2,14 +2,20 @@ const path = require('path');
 const webpack = require('webpack');
 
 module.exports = {
-  entry: [ 'babel-polyfill', path.join(__dirname, 'src/index') ],
+  entry: {
+    keras: [ 'babel-polyfill', path.join(__dirname, 'src/index') ],
+    // Web Worker script used by WorkerModel
+    'keras.worker': [ 'babel-polyfill', path.join(__dirname, 'src/worker') ]
+  },
   output: {
     path: path.join(__dirname, 'dist'),
-    filename: 'keras.js',
+    filename: '[name].js',
     library: 'KerasJS',
     libraryTarget: 'umd'
   },
   devtool: 'eval',
+  // fs is only used by Model in filesystem mode (Node.js)
+  node: { fs: 'empty' },
   module: {
     rules: [
       { test: /\.js$/, use: [ 'babel-loader' ], exclude: /node_modules/ },
@@ -0,0 +1,33 @@
+const path = require('path');
+const webpack = require('webpack');
+const pkg = require('./package.json');
+
+// dependencies are installed alongside in Node.js, so are not bundled
+const dependencies = Object.keys(pkg.dependencies).join('|');
+
+module.exports = {
+  entry: [ 'babel-polyfill', path.join(__dirname, 'src/node') ],
+  output: {
+    path: path.join(__dirname, 'dist'),
+    filename: 'keras.node.js',
+    libraryTarget: 'commonjs2'
+  },
+  target: 'node',
+  externals: [ new RegExp(`^(${dependencies})(/.*)?$`) ],
+  devtool: 'cheap-module-source-map',
+  module: {
+    rules: [
+      { test: /\.js$/, use: [ 'babel-loader' ], exclude: /node_modules/ },
+      {
+        test: /\.(glsl|frag|vert)$/,
+        use: [ 'raw-loader', 'glslify-loader' ],
+        exclude: /node_modules/
+      }
+    ]
+  },
+  plugins: [
+    new webpack.DefinePlugin({
+      'process.env': { NODE_ENV: JSON.stringify('production') }
+    })
+  ]
+};